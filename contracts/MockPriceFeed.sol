@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title MockPriceFeed
+ * @dev Chainlink style ETH/USD price feed with 8 decimals for local testing.
+ * Anyone can post an answer, or backdate the latest one to make the feed stale.
+ */
+contract MockPriceFeed {
+    // Identifier of the latest round
+    uint80 public latestRound;
+
+    // Answer of the latest round, USD per ETH with 8 decimals
+    int256 public latestAnswer;
+
+    // Timestamp of the latest answer
+    uint256 public latestTimestamp;
+
+    /**
+     * @dev Constructor function
+     * @param initialAnswer First answer, USD per ETH with 8 decimals
+     */
+    constructor(int256 initialAnswer) {
+        setAnswer(initialAnswer);
+    }
+
+    /**
+     * @dev Returns the number of decimals of the answers
+     */
+    function decimals() external pure returns (uint8) {
+        return 8;
+    }
+
+    /**
+     * @dev Posts a new answer in a new round
+     * @param answer USD per ETH with 8 decimals
+     */
+    function setAnswer(int256 answer) public {
+        latestRound++;
+        latestAnswer = answer;
+        latestTimestamp = block.timestamp;
+    }
+
+    /**
+     * @dev Backdates the latest answer
+     * @param timestamp Timestamp the answer claims to be from
+     */
+    function setUpdatedAt(uint256 timestamp) external {
+        latestTimestamp = timestamp;
+    }
+
+    /**
+     * @dev Returns the latest round like a Chainlink aggregator
+     */
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        return (latestRound, latestAnswer, latestTimestamp, latestTimestamp, latestRound);
+    }
+}
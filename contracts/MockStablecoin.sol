@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-ERC20Permit.sol";
+
+/**
+ * @title MockStablecoin
+ * @dev USDC-like ERC-20 with 6 decimals and EIP-2612 permits for local testing.
+ * Anyone can mint. It can be switched to misbehave like tokens found in the wild: taking a fee
+ * on every transfer, or returning false from transfers instead of reverting.
+ */
+contract MockStablecoin is ERC20Permit {
+    // Fee kept on every transfer, in basis points of the amount
+    uint256 public transferFeeBps;
+
+    // Whether transfer and transferFrom return false without moving tokens
+    bool public failTransfers;
+
+    /**
+     * @dev Constructor function
+     */
+    constructor() ERC20("Mock USD", "mUSD") ERC20Permit("Mock USD") {}
+
+    /**
+     * @dev Returns the number of decimals, 6 like USDC
+     */
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+
+    /**
+     * @dev Mints tokens to an address
+     * @param to Address receiving the tokens
+     * @param amount Amount in the smallest unit
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Sets the fee burned on every transfer
+     * @param feeBps Fee in basis points, zero for none
+     */
+    function setTransferFee(uint256 feeBps) external {
+        require(feeBps <= 10000, "Fee too high");
+        transferFeeBps = feeBps;
+    }
+
+    /**
+     * @dev Makes transfers fail silently or work again
+     * @param fail Whether transfers return false
+     */
+    function setFailTransfers(bool fail) external {
+        failTransfers = fail;
+    }
+
+    /**
+     * @dev Sends tokens, or returns false while transfers fail
+     */
+    function transfer(address to, uint256 amount) public override returns (bool) {
+        if (failTransfers) return false;
+        return super.transfer(to, amount);
+    }
+
+    /**
+     * @dev Sends approved tokens, or returns false while transfers fail
+     */
+    function transferFrom(address from, address to, uint256 amount) public override returns (bool) {
+        if (failTransfers) return false;
+        return super.transferFrom(from, to, amount);
+    }
+
+    /**
+     * @dev Moves tokens, burning the transfer fee out of the amount
+     */
+    function _transfer(address from, address to, uint256 amount) internal override {
+        uint256 fee = (amount * transferFeeBps) / 10000;
+        if (fee > 0) {
+            _burn(from, fee);
+        }
+        super._transfer(from, to, amount - fee);
+    }
+}
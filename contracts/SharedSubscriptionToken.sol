@@ -1,149 +1,24 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
-/**
- * @dev Interface for interacting with the SubscriptionServiceProvider contract
- */
-interface ISubscriptionServiceProvider {
-    function processPayment(uint256 serviceId, address user) external payable returns (bool);
-    function storeEncryptedCredentials(address user, uint256 serviceId, bytes calldata encryptedData) external;
-    function getEncryptedCredentials(address user, uint256 serviceId) external view returns (bytes memory);
-    function cancelSubscription(address user, uint256 serviceId) external;
-    function getServiceDetails(uint256 serviceId) external view returns (bool, uint256, string memory, string memory);
-    function checkSubscriptionStatus(uint256 serviceId, address user) external view returns (bool);
-}
+import "./SharedSubscriptionTokenBase.sol";
 
 /**
  * @title SharedSubscriptionToken
  * @dev A contract that implements token-as-a-subscription functionality with shared accounts.
  * This contract manages subscription accounts and user membership, while interacting
  * with an external service provider contract that handles actual service credentials.
+ * The owner wires the contracts together; storing credentials, withdrawing funds and choosing
+ * how services match users with accounts are separate roles (see SubscriptionAccessControl).
+ * Guardians can pause payments, joins, governance changes and credential reads (see SubscriptionPausable).
  */
-contract SharedSubscriptionToken {
-    // Contract owner address
-    address public owner;
-    
-    // Price per token in ETH (0.01 ETH = 1 token)
-    uint256 public tokenPrice = 0.01 ether;
-    
-    // Default subscription duration (30 days)
-    uint256 public subscriptionDuration = 30 days;
-    
-    // Maximum users allowed in one subscription account
-    uint256 public maxUsersPerSubscription = 5;
-    
-    // Address of the associated voting contract that manages governance
-    address public votingContractAddress;
-    
-    // Address of the service provider contract
-    address public serviceProviderAddress;
-    
-    // Service provider interface
-    ISubscriptionServiceProvider public serviceProvider;
-    
-    /**
-     * @dev Information about a shared subscription account
-     * @param active Whether the subscription is currently active
-     * @param expirationTime Timestamp when the subscription expires
-     * @param members Array of addresses who are members of this subscription
-     * @param isMember Mapping for quick lookup if an address is a member
-     * @param serviceId ID of the service this account is subscribed to
-     */
-    struct SubscriptionAccount {
-        bool active;
-        uint256 expirationTime;
-        address[] members;
-        mapping(address => bool) isMember;
-        uint256 serviceId;
-    }
-    
-    /**
-     * @dev Information about a user's subscription
-     * @param exists Whether the user has an active subscription
-     * @param serviceId ID of the service the user is subscribed to
-     * @param accountId ID of the subscription account the user belongs to
-     */
-    struct UserSubscription {
-        bool exists;
-        uint256 serviceId;
-        uint256 accountId;
-    }
-    
-    // ==================== STATE VARIABLES ====================
-    
-    // Token balances for each address
-    mapping(address => uint256) public balanceOf;
-    
-    // Double mapping of service ID and account ID to subscription account info
-    mapping(uint256 => mapping(uint256 => SubscriptionAccount)) public subscriptionAccounts;
-    
-    // Double mapping of user address and service ID to user's subscription info
-    mapping(address => mapping(uint256 => UserSubscription)) public userSubscriptions;
-    
-    // Mapping of service ID to array of active account IDs for that service
-    mapping(uint256 => uint256[]) public activeSubscriptionsByService;
-    
-    // Mapping of service ID to subscription count
-    mapping(uint256 => uint256) public subscriptionCounts;
-    
-    // Mapping of user address to their public key for encryption
-    mapping(address => string) public userPublicKeys;
-    
-    // ==================== EVENTS ====================
-    
-    // Emitted when a new subscription account is created
-    event SubscriptionAccountCreated(uint256 serviceId, uint256 accountId);
-    
-    // Emitted when a user is added to a subscription account
-    event UserAddedToSubscription(address user, uint256 serviceId, uint256 accountId);
-    
-    // Emitted when subscription cost information is updated
-    event SubscriptionUpdate(uint256 serviceId, uint256 accountId, uint256 numMembers, uint256 costPerMember);
-    
-    // Emitted when a user's credentials are updated
-    event CredentialsUpdated(address user, uint256 serviceId, uint256 accountId);
-    
-    // Emitted when a user registers their public key
-    event PublicKeyRegistered(address user, string publicKey);
-    
-    // Emitted when a user is kicked from a subscription account
-    event UserKicked(uint256 serviceId, uint256 accountId, address kickedUser);
-    
+contract SharedSubscriptionToken is SharedSubscriptionTokenBase {
     /**
      * @dev Constructor function
-     * Initializes the contract with the deployer as owner and gives them initial tokens for testing
-     */
-    constructor() {
-        owner = msg.sender;
-        balanceOf[msg.sender] = 1000; // Initial tokens for testing
-    }
-    
-    // ==================== MODIFIERS ====================
-    
-    /**
-     * @dev Restricts function access to the contract owner
-     */
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Ownable: caller is not the owner");
-        _;
-    }
-
-    /**
-     * @dev Restricts function access to the voting contract
+     * Initializes the contract with the deployer as owner holding every role
      */
-    modifier onlyVotingContract() {
-        require(msg.sender == votingContractAddress, "Only voting contract can call this function");
-        _;
-    }
-
-    /**
-     * @dev Prevents reentrancy attacks
-     */
-    modifier nonReentrant() {
-        require(!_locked, "ReentrancyGuard: reentrant call");
-        _locked = true;
-        _;
-        _locked = false;
+    constructor() initializer {
+        _initialize(msg.sender);
     }
     
     // ==================== ADMIN FUNCTIONS ====================
@@ -166,25 +41,36 @@ contract SharedSubscriptionToken {
     }
     
     /**
-     * @dev Updates the maximum number of users allowed per subscription
-     * @param newMax New maximum user count
+     * @dev Sets the address of the extension contract whose functions the fallback runs
+     * @param _extensionAddress Address of a SharedSubscriptionTokenExtension deployment
      */
-    function updateMaxUsersPerSubscription(uint256 newMax) external onlyOwner {
-        maxUsersPerSubscription = newMax;
+    function setExtensionAddress(address _extensionAddress) external onlyOwner {
+        extensionAddress = _extensionAddress;
     }
     
     /**
-     * @dev Withdraws funds from the contract
+     * @dev Sets how subscribe matches users of a service with accounts that have free seats
+     * @param serviceId ID of the service
+     * @param strategy Matching strategy, FillMostFull until set
+     */
+    function setMatchingStrategy(uint256 serviceId, MatchingStrategy strategy) external onlyRole(CATALOG_ADMIN_ROLE) {
+        matchingStrategies[serviceId] = strategy;
+        emit MatchingStrategyUpdated(serviceId, strategy);
+    }
+    
+    /**
+     * @dev Withdraws funds from the contract to the calling treasurer
+     * ETH held in escrow for members and the token reserve are excluded.
      * Includes reentrancy protection to prevent attacks
      */
-    function withdrawFunds() external onlyOwner nonReentrant {
-        uint256 amount = address(this).balance;
+    function withdrawFunds() external onlyRole(TREASURER_ROLE) nonReentrant {
+        uint256 amount = address(this).balance - totalEscrowed - _tokenReserve;
         // Update state before external call
         uint256 contractBalance = amount;
         amount = 0;
         
         // Perform external call after state updates
-        (bool success, ) = owner.call{value: contractBalance}("");
+        (bool success, ) = msg.sender.call{value: contractBalance}("");
         require(success, "Transfer failed");
     }
     
@@ -198,7 +84,7 @@ contract SharedSubscriptionToken {
         address user,
         uint256 serviceId, 
         bytes calldata encryptedData
-    ) external onlyOwner {
+    ) external onlyRole(CREDENTIALS_OPERATOR_ROLE) {
         UserSubscription storage userSub = userSubscriptions[user][serviceId];
         require(userSub.exists, "User not subscribed to this service");
         require(bytes(userPublicKeys[user]).length > 0, "User has not registered a public key");
@@ -217,52 +103,128 @@ contract SharedSubscriptionToken {
     
     /**
      * @dev Allows users to purchase tokens with ETH
+     * Tokens cost what the pricing contract quotes, volume discounts included, and tokenPrice
+     * each while none is set. ETH sent beyond the cost is refunded. The cost goes into the token
+     * reserve the tokens can be sold back from, and the tokens count as backed by it.
      * @param amount Number of tokens to purchase
      */
-    function buyTokens(uint256 amount) external payable {
-        require(msg.value >= amount * tokenPrice, "Insufficient payment");
-        balanceOf[msg.sender] += amount;
+    function buyTokens(uint256 amount) external payable whenNotPaused(PauseSwitch.Payments) nonReentrant {
+        uint256 cost = amount * tokenPrice;
+        if (_pricingContractAddress != address(0)) {
+            (cost, ) = ISubscriptionTokenPricing(_pricingContractAddress).quote(amount);
+        }
+        require(msg.value >= cost, "Insufficient payment");
+        _mint(msg.sender, amount);
+        _backedBalances[msg.sender] += amount;
+        _backedSupply += amount;
+        _tokenReserve += cost;
+        
+        uint256 excess = msg.value - cost;
+        if (excess > 0) {
+            (bool success, ) = msg.sender.call{value: excess}("");
+            require(success, "Transfer failed");
+        }
     }
     
     /**
      * @dev Allows a user to subscribe to a service
-     * User will be assigned to an existing subscription account with space or a new one will be created
+     * User will be assigned to an existing subscription account with space or a new one will be created.
+     * Users are only grouped with accounts of the same plan tier.
+     * ETH sent along is deposited into the account's escrow. A new account pays its first period
+     * out of the escrow right away, so its creator has to deposit the full cost of the tier.
+     * Paused services only accept members into existing accounts, retired services nobody.
      * @param serviceId ID of the service to subscribe to
+     * @param tierId ID of the plan tier (0 is the standard tier of every service)
      */
-    function subscribe(uint256 serviceId) external payable {
-        // Verify the service exists by checking with service provider
-        (bool exists, uint256 serviceCost, , ) = serviceProvider.getServiceDetails(serviceId);
-        require(exists, "Service does not exist");
-        require(balanceOf[msg.sender] >= 1, "Insufficient tokens");
-        require(!userSubscriptions[msg.sender][serviceId].exists, "Already subscribed to this service");
-        
-        // Deduct token for subscription
-        balanceOf[msg.sender] -= 1;
+    function subscribe(uint256 serviceId, uint256 tierId) external payable {
+        _subscribe(serviceId, tierId, false);
+    }
+    
+    /**
+     * @dev Opens a private account with the caller as its first member
+     * Private accounts are left out of the matching of subscribe; others join them with an
+     * invitation code of the creator (subscribeWithInvite) or a vote of the members (acceptInvite).
+     * Like any new account, the creator has to deposit the full cost of the tier.
+     * @param serviceId ID of the service to subscribe to
+     * @param tierId ID of the plan tier
+     */
+    function createPrivateAccount(uint256 serviceId, uint256 tierId) external payable {
+        uint256 accountId = _subscribe(serviceId, tierId, true);
+        emit PrivateAccountCreated(serviceId, accountId, msg.sender);
+    }
+    
+    /**
+     * @dev Issues an invitation code to a private account
+     * Only the hash of the code is stored, so it has to be shared privately. The code shows in
+     * the pending subscribeWithInvite transaction, so give single use codes to one person only.
+     * @param serviceId ID of the service
+     * @param accountId ID of the private account
+     * @param codeHash keccak256 of the ABI encoded 32 byte code
+     * @param expiresAt Timestamp after which the code can no longer be used
+     * @param maxUses Number of users that can join with the code
+     */
+    function createInviteCode(
+        uint256 serviceId,
+        uint256 accountId,
+        bytes32 codeHash,
+        uint256 expiresAt,
+        uint256 maxUses
+    ) external {
+        _checkCreator(serviceId, accountId);
+        require(expiresAt > block.timestamp && maxUses > 0, "Invalid invite code terms");
+        require(inviteCodes[serviceId][accountId][codeHash].usesLeft == 0, "Invite code already exists");
+        
+        inviteCodes[serviceId][accountId][codeHash] = InviteCode(expiresAt, maxUses);
+        
+        emit InviteCodeCreated(serviceId, accountId, codeHash, expiresAt, maxUses);
+    }
+    
+    /**
+     * @dev Revokes an outstanding invitation code of a private account
+     * @param serviceId ID of the service
+     * @param accountId ID of the private account
+     * @param codeHash Hash of the code to revoke
+     */
+    function revokeInviteCode(uint256 serviceId, uint256 accountId, bytes32 codeHash) external {
+        _checkCreator(serviceId, accountId);
+        require(inviteCodes[serviceId][accountId][codeHash].usesLeft > 0, "Invalid invite code");
         
-        // Try to find an available subscription account
-        uint256 accountId = _getAvailableSubscriptionAccount(serviceId);
+        delete inviteCodes[serviceId][accountId][codeHash];
         
-        // If no account available, create a new one
-        if (accountId == 0) {
-            accountId = _createSubscriptionAccount(serviceId);
-            
-            // Process payment to service provider for new subscription account
-            bool success = serviceProvider.processPayment{value: serviceCost}(serviceId, msg.sender);
-            require(success, "Payment to service provider failed");
-        }
+        emit InviteCodeRevoked(serviceId, accountId, codeHash);
+    }
+    
+    /**
+     * @dev Joins a private account with an invitation code of its creator
+     * ETH sent along is deposited into the caller's share of the escrow.
+     * @param serviceId ID of the service
+     * @param accountId ID of the private account
+     * @param code The 32 byte invitation code
+     */
+    function subscribeWithInvite(uint256 serviceId, uint256 accountId, bytes32 code) external payable {
+        bytes32 codeHash = keccak256(abi.encode(code));
+        InviteCode storage invite = inviteCodes[serviceId][accountId][codeHash];
+        require(invite.usesLeft > 0, "Invalid invite code");
+        require(invite.expiresAt >= block.timestamp, "Invite code expired");
         
-        // Add user to subscription account
-        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
-        account.members.push(msg.sender);
-        account.isMember[msg.sender] = true;
+        invite.usesLeft -= 1;
+        emit InviteCodeUsed(serviceId, accountId, codeHash, msg.sender, invite.usesLeft);
         
-        // Record user's subscription
-        UserSubscription storage userSub = userSubscriptions[msg.sender][serviceId];
-        userSub.exists = true;
-        userSub.serviceId = serviceId;
-        userSub.accountId = accountId;
+        _joinAccount(serviceId, accountId);
+    }
+    
+    /**
+     * @dev Joins the account whose members voted to invite the caller
+     * The invitation skips the automatic matching but not the seat limit of the account's tier.
+     * ETH sent along is deposited into the caller's share of the escrow.
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     */
+    function acceptInvite(uint256 serviceId, uint256 accountId) external payable {
+        require(accountInvites[serviceId][accountId][msg.sender], "Not invited to this account");
+        delete accountInvites[serviceId][accountId][msg.sender];
         
-        emit UserAddedToSubscription(msg.sender, serviceId, accountId);
+        _joinAccount(serviceId, accountId);
     }
     
     /**
@@ -280,7 +242,12 @@ contract SharedSubscriptionToken {
      * @param serviceId ID of the service
      * @return Encrypted credentials bytes
      */
-    function getEncryptedCredentials(uint256 serviceId) external view returns (bytes memory) {
+    function getEncryptedCredentials(uint256 serviceId)
+        external
+        view
+        whenNotPaused(PauseSwitch.CredentialReads)
+        returns (bytes memory)
+    {
         // Check if the subscription is active
         UserSubscription storage userSub = userSubscriptions[msg.sender][serviceId];
         require(userSub.exists, "Not subscribed to this service");
@@ -298,6 +265,10 @@ contract SharedSubscriptionToken {
     
     /**
      * @dev Renews a subscription by extending its expiration time
+     * ETH sent along is deposited into the caller's share of the escrow first. The provider is only
+     * paid when every member's deposit covers their share of the tier's cost. Like autoRenew it
+     * only renews within autoRenewWindow of the expiry and once per period, and the new period
+     * starts where the current one ends, so renewing early loses no paid time.
      * @param serviceId ID of the service to renew
      */
     function renewSubscription(uint256 serviceId) external payable {
@@ -305,40 +276,143 @@ contract SharedSubscriptionToken {
         require(userSub.exists, "Not subscribed to this service");
         require(balanceOf[msg.sender] >= 1, "Insufficient tokens");
         
+        require(!_isRetired(serviceId), "Service is retired");
+        
         uint256 accountId = userSub.accountId;
         SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        require(_isDueForRenewal(account), "Account is not due for renewal");
         
-        // Get service cost
-        (, uint256 serviceCost, , ) = serviceProvider.getServiceDetails(serviceId);
-        
-        // Process payment to service provider
-        bool success = serviceProvider.processPayment{value: serviceCost}(serviceId, msg.sender);
-        require(success, "Payment to service provider failed");
+        // Pay the provider out of the members' deposits
+        _depositToEscrow(serviceId, accountId, msg.sender, msg.value);
+        uint256 duration = _chargeEscrow(serviceId, accountId, msg.sender);
         
         // Deduct token and extend expiration
-        balanceOf[msg.sender] -= 1;
-        account.expirationTime = block.timestamp + subscriptionDuration;
+        uint256 tokenValue = _spendToken(msg.sender);
+        uint256 periodStart = account.expirationTime > block.timestamp ? account.expirationTime : block.timestamp;
+        account.expirationTime = periodStart + duration;
         account.active = true; // Ensure it's active
+        _creditToken(serviceId, accountId, msg.sender, tokenValue);
+        
+        emit SubscriptionRenewed(serviceId, accountId, msg.sender, account.expirationTime);
     }
     
     /**
-     * @dev Calculates the cost per member for a specific subscription account
+     * @dev Renews an account that expires within the auto-renew window
+     * Anyone can call this. The service cost and the keeper reward are split between the members
+     * and taken from their escrow deposits, so every member has to have opted in and deposited
+     * their share. The new period starts where the current one ends, no time is lost.
      * @param serviceId ID of the service
      * @param accountId ID of the subscription account
      */
-    function calculateCostPerMember(uint256 serviceId, uint256 accountId) external {
-        // Check with service provider that the service exists
-        (bool exists, uint256 serviceCost, , ) = serviceProvider.getServiceDetails(serviceId);
-        require(exists, "Service does not exist");
-        require(subscriptionAccounts[serviceId][accountId].active, "Subscription account not active");
-        
+    function autoRenew(uint256 serviceId, uint256 accountId) external nonReentrant {
         SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
-        uint256 memberCount = account.members.length;
+        require(account.members.length > 0, "No members in subscription");
+        require(!_isRetired(serviceId), "Service is retired");
+        require(_isDueForRenewal(account), "Account is not due for renewal");
+        require(_allOptedIn(serviceId, accountId), "Not all members opted in to auto-renewal");
+        
+        uint256 duration = _chargeEscrow(serviceId, accountId, account.members[0]);
+        uint256 reward = _debitMembers(serviceId, accountId, keeperReward);
+        
+        uint256 periodStart = account.expirationTime > block.timestamp ? account.expirationTime : block.timestamp;
+        account.expirationTime = periodStart + duration;
+        account.active = true;
         
-        require(memberCount > 0, "No members in subscription");
-        uint256 costPerMember = serviceCost / memberCount;
+        emit SubscriptionAutoRenewed(serviceId, accountId, msg.sender, reward, account.expirationTime);
         
-        emit SubscriptionUpdate(serviceId, accountId, memberCount, costPerMember);
+        if (reward > 0) {
+            (bool success, ) = msg.sender.call{value: reward}("");
+            require(success, "Transfer failed");
+        }
+    }
+    
+    /**
+     * @dev Closes an account of a retired service
+     * Anyone can call this. Every member is removed as if they had left: the refund for unused time
+     * and escrow deposits become withdrawable with withdrawEscrowRefund.
+     * @param serviceId ID of the retired service
+     * @param accountId ID of the subscription account
+     */
+    function windDownAccount(uint256 serviceId, uint256 accountId) external nonReentrant {
+        require(_isRetired(serviceId), "Service is not retired");
+        (uint256 memberCount, uint256 refund) = _closeAccount(serviceId, accountId);
+        emit AccountWoundDown(serviceId, accountId, memberCount, refund);
+    }
+    
+    /**
+     * @dev Opts the caller in or out of auto-renewal of their account for a service
+     * @param serviceId ID of the service
+     * @param enabled Whether the caller's account may be auto-renewed
+     */
+    function setAutoRenew(uint256 serviceId, bool enabled) external {
+        require(userSubscriptions[msg.sender][serviceId].exists, "Not subscribed to this service");
+        autoRenewEnabled[msg.sender][serviceId] = enabled;
+        emit AutoRenewUpdated(msg.sender, serviceId, enabled);
+    }
+    
+    /**
+     * @dev Deposits ETH towards the caller's share of their account's next period
+     * @param serviceId ID of the service
+     */
+    function depositToEscrow(uint256 serviceId) external payable {
+        UserSubscription storage userSub = userSubscriptions[msg.sender][serviceId];
+        require(userSub.exists, "Not subscribed to this service");
+        require(msg.value > 0, "Nothing to deposit");
+        
+        _depositToEscrow(serviceId, userSub.accountId, msg.sender, msg.value);
+    }
+    
+    /**
+     * @dev Withdraws the part of the caller's deposit that exceeds their share of the next period
+     * @param serviceId ID of the service
+     */
+    function withdrawEscrowSurplus(uint256 serviceId) external nonReentrant {
+        UserSubscription storage userSub = userSubscriptions[msg.sender][serviceId];
+        require(userSub.exists, "Not subscribed to this service");
+        
+        uint256 accountId = userSub.accountId;
+        (, , , uint256 surplus) = getMemberEscrow(msg.sender, serviceId);
+        require(surplus > 0, "No surplus to withdraw");
+        
+        escrowDeposits[serviceId][accountId][msg.sender] -= surplus;
+        accountEscrow[serviceId][accountId] -= surplus;
+        totalEscrowed -= surplus;
+        emit EscrowRefunded(msg.sender, serviceId, accountId, surplus);
+        
+        (bool success, ) = msg.sender.call{value: surplus}("");
+        require(success, "Transfer failed");
+    }
+    
+    /**
+     * @dev Withdraws the deposits the caller left behind in accounts they were removed from
+     */
+    function withdrawEscrowRefund() external nonReentrant {
+        require(pendingEscrowRefunds[msg.sender] > 0, "No refund to withdraw");
+        _sendEscrowRefund(msg.sender);
+    }
+    
+    /**
+     * @dev Allows a member to leave their subscription account without a vote
+     * Unused time of the tokens the caller spent on the account is refunded pro rata in ETH
+     * (see calculateLeaveRefund). It is paid back in the same call as the caller's unspent
+     * escrow deposit.
+     * @param serviceId ID of the service to leave
+     */
+    function leaveSubscription(uint256 serviceId) external nonReentrant {
+        UserSubscription storage userSub = userSubscriptions[msg.sender][serviceId];
+        require(userSub.exists, "Not subscribed to this service");
+        
+        uint256 accountId = userSub.accountId;
+        uint256 refund = calculateLeaveRefund(msg.sender, serviceId);
+        
+        _removeMember(serviceId, accountId, msg.sender);
+        refund = _refundUnusedTime(msg.sender, refund);
+        
+        emit UserLeftSubscription(msg.sender, serviceId, accountId, refund);
+        
+        if (pendingEscrowRefunds[msg.sender] > 0) {
+            _sendEscrowRefund(msg.sender);
+        }
     }
     
     /**
@@ -378,26 +452,99 @@ contract SharedSubscriptionToken {
      * @param accountId ID of the subscription account
      * @param userToKick Address of the user to kick
      */
-    function kickUser(uint256 serviceId, uint256 accountId, address userToKick) external onlyVotingContract {
+    function kickUser(uint256 serviceId, uint256 accountId, address userToKick)
+        external
+        onlyVotingContract
+        whenNotPaused(PauseSwitch.Governance)
+    {
+        require(subscriptionAccounts[serviceId][accountId].isMember[userToKick], "User not in this account");
+        
+        _removeMember(serviceId, accountId, userToKick);
+        
+        emit UserKicked(serviceId, accountId, userToKick);
+    }
+    
+    /**
+     * @dev Moves an account to another plan tier of its service
+     * Can only be called by the voting contract after a successful vote. The current period
+     * is left as it is, the new tier's cost and period apply from the next renewal.
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @param tierId ID of the new plan tier
+     */
+    function switchAccountTier(uint256 serviceId, uint256 accountId, uint256 tierId)
+        external
+        onlyVotingContract
+        whenNotPaused(PauseSwitch.Governance)
+    {
         SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
-        require(account.isMember[userToKick], "User not in this account");
+        require(account.members.length > 0, "No members in subscription");
+        require(account.tierId != tierId, "Account is already on this tier");
+        (, uint256 maxSeats, ) = _tier(serviceId, tierId);
+        require(account.members.length <= maxSeats, "Too many members for this tier");
         
-        // Remove user from subscription members array
-        for (uint256 i = 0; i < account.members.length; i++) {
-            if (account.members[i] == userToKick) {
-                account.members[i] = account.members[account.members.length - 1];
-                account.members.pop();
-                break;
-            }
-        }
+        account.tierId = tierId;
+        _updateMatching(serviceId, accountId);
         
-        account.isMember[userToKick] = false;
-        delete userSubscriptions[userToKick][serviceId];
+        emit AccountTierSwitched(serviceId, accountId, tierId);
+    }
+    
+    /**
+     * @dev Opts every member of an account in or out of auto-renewal
+     * Can only be called by the voting contract after a successful vote
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @param enabled Whether the account may be auto-renewed
+     */
+    function setAccountAutoRenew(uint256 serviceId, uint256 accountId, bool enabled)
+        external
+        onlyVotingContract
+        whenNotPaused(PauseSwitch.Governance)
+    {
+        address[] storage members = subscriptionAccounts[serviceId][accountId].members;
+        require(members.length > 0, "No members in subscription");
+        
+        for (uint256 i = 0; i < members.length; i++) {
+            autoRenewEnabled[members[i]][serviceId] = enabled;
+            emit AutoRenewUpdated(members[i], serviceId, enabled);
+        }
+    }
+    
+    /**
+     * @dev Invites a user to join an account with acceptInvite
+     * Can only be called by the voting contract after a successful vote
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @param user Address of the invited user
+     */
+    function inviteUser(uint256 serviceId, uint256 accountId, address user)
+        external
+        onlyVotingContract
+        whenNotPaused(PauseSwitch.Governance)
+    {
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        require(account.members.length > 0, "No members in subscription");
+        require(!account.isMember[user], "User already in this account");
         
-        // Notify service provider to cancel this user's access
-        serviceProvider.cancelSubscription(userToKick, serviceId);
+        accountInvites[serviceId][accountId][user] = true;
         
-        emit UserKicked(serviceId, accountId, userToKick);
+        emit UserInvited(user, serviceId, accountId);
+    }
+    
+    /**
+     * @dev Closes an account and removes every member as if they had left
+     * Can only be called by the voting contract after a successful vote
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     */
+    function dissolveAccount(uint256 serviceId, uint256 accountId)
+        external
+        onlyVotingContract
+        whenNotPaused(PauseSwitch.Governance)
+        nonReentrant
+    {
+        (uint256 memberCount, uint256 refund) = _closeAccount(serviceId, accountId);
+        emit AccountDissolved(serviceId, accountId, memberCount, refund);
     }
     
     // ==================== VIEW FUNCTIONS ====================
@@ -467,65 +614,123 @@ contract SharedSubscriptionToken {
         return subscriptionAccounts[serviceId][accountId].isMember[user];
     }
     
-    // ==================== INTERNAL FUNCTIONS ====================
-    
-    // State variable for reentrancy guard
-    bool private _locked;
-    
     /**
-     * @dev Helper function to get a random subscription account with available space
+     * @dev Gets a member's position in their account's escrow
+     * @param user Address of the member
      * @param serviceId ID of the service
-     * @return Account ID with space, or 0 if none found
-     */
-    function _getAvailableSubscriptionAccount(uint256 serviceId) internal view returns (uint256) {
-        uint256[] memory activeAccounts = activeSubscriptionsByService[serviceId];
-        uint256[] memory availableAccounts = new uint256[](activeAccounts.length);
-        uint256 availableCount = 0;
-        
-        // Find accounts with available space
-        for (uint i = 0; i < activeAccounts.length; i++) {
-            uint256 accountId = activeAccounts[i];
-            if (subscriptionAccounts[serviceId][accountId].members.length < maxUsersPerSubscription) {
-                availableAccounts[availableCount] = accountId;
-                availableCount++;
-            }
-        }
+     * @return deposit Unspent ETH deposited by the member
+     * @return share Member's share of the next period (service cost split between members, rounded up).
+     * Members who opted in to auto-renewal also owe their share of the keeper reward.
+     * @return shortfall ETH the member still has to deposit to cover their share
+     * @return surplus ETH deposited beyond the share, withdrawable with withdrawEscrowSurplus
+     */
+    function getMemberEscrow(address user, uint256 serviceId) public view
+        returns (uint256 deposit, uint256 share, uint256 shortfall, uint256 surplus) {
+        UserSubscription storage userSub = userSubscriptions[user][serviceId];
+        if (!userSub.exists) return (0, 0, 0, 0);
         
-        // If no accounts have space, return 0 to signal a new account is needed
-        if (availableCount == 0) {
-            return 0;
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][userSub.accountId];
+        (uint256 serviceCost, , ) = _tier(serviceId, account.tierId);
+        uint256 memberCount = account.members.length;
+        deposit = escrowDeposits[serviceId][userSub.accountId][user];
+        share = _shareOf(serviceCost, memberCount);
+        if (autoRenewEnabled[user][serviceId]) {
+            share += _shareOf(keeperReward, memberCount);
+        }
+        if (deposit < share) {
+            shortfall = share - deposit;
+        } else {
+            surplus = deposit - share;
         }
-        
-        // Random selection from available accounts
-        uint256 randomIndex = uint256(keccak256(abi.encodePacked(
-            block.timestamp, 
-            msg.sender, 
-            blockhash(block.number - 1),
-            block.prevrandao // For post-merge Ethereum
-        ))) % availableCount;
-        return availableAccounts[randomIndex];
     }
     
     /**
-     * @dev Creates a new subscription account
+     * @dev Calculates the ETH an account's members still have to deposit before it can be renewed
      * @param serviceId ID of the service
-     * @return ID of the new account
+     * @param accountId ID of the subscription account
+     * @return Sum of the members' shortfalls
      */
-    function _createSubscriptionAccount(uint256 serviceId) internal returns (uint256) {
-        uint256 accountId = subscriptionCounts[serviceId] + 1;
-        subscriptionCounts[serviceId] = accountId;
-        
-        // Initialize the subscription account in storage
+    function getAccountEscrowShortfall(uint256 serviceId, uint256 accountId) external view returns (uint256) {
         SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
-        account.active = true;
-        account.expirationTime = block.timestamp + subscriptionDuration;
-        account.serviceId = serviceId;
+        (uint256 serviceCost, , ) = _tier(serviceId, account.tierId);
+        uint256 share = _shareOf(serviceCost, account.members.length);
+        uint256 rewardShare = _shareOf(keeperReward, account.members.length);
         
-        // Add to active accounts
-        activeSubscriptionsByService[serviceId].push(accountId);
+        uint256 shortfall = 0;
+        for (uint256 i = 0; i < account.members.length; i++) {
+            address member = account.members[i];
+            uint256 owed = autoRenewEnabled[member][serviceId] ? share + rewardShare : share;
+            uint256 deposit = escrowDeposits[serviceId][accountId][member];
+            if (deposit < owed) {
+                shortfall += owed - deposit;
+            }
+        }
+        return shortfall;
+    }
+    
+    /**
+     * @dev Checks whether autoRenew would currently succeed for an account
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @return Whether the account is due, fully opted in and funded
+     */
+    function canAutoRenew(uint256 serviceId, uint256 accountId) public view returns (bool) {
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        uint256 memberCount = account.members.length;
+        if (memberCount == 0 || !_isDueForRenewal(account)) return false;
+        if (_isRetired(serviceId)) return false;
+        if (!_allOptedIn(serviceId, accountId)) return false;
+        
+        (uint256 serviceCost, , ) = _tier(serviceId, account.tierId);
+        uint256 share = _shareOf(serviceCost, memberCount) + _shareOf(keeperReward, memberCount);
+        for (uint256 i = 0; i < memberCount; i++) {
+            if (escrowDeposits[serviceId][accountId][account.members[i]] < share) return false;
+        }
+        return true;
+    }
+    
+    /**
+     * @dev Lists the accounts of a service that can be auto-renewed right now
+     * @param serviceId ID of the service
+     * @return Account IDs for which canAutoRenew is true
+     */
+    function getAutoRenewableAccounts(uint256 serviceId) external view returns (uint256[] memory) {
+        uint256[] storage accounts = activeSubscriptionsByService[serviceId];
+        uint256[] memory due = new uint256[](accounts.length);
+        uint256 count = 0;
+        
+        for (uint256 i = 0; i < accounts.length; i++) {
+            if (canAutoRenew(serviceId, accounts[i])) {
+                due[count] = accounts[i];
+                count++;
+            }
+        }
         
-        emit SubscriptionAccountCreated(serviceId, accountId);
-        return accountId;
+        // Copy into an array of the right length
+        uint256[] memory result = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            result[i] = due[i];
+        }
+        return result;
+    }
+    
+    /**
+     * @dev Runs the functions of the extension contract on the token's storage
+     * The token is close to the contract size limit, so newer functions live in
+     * SharedSubscriptionTokenExtension and are reached through here with the caller preserved.
+     */
+    fallback() external payable {
+        address extension = extensionAddress;
+        require(extension != address(0), "Function not supported");
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let result := delegatecall(gas(), extension, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            switch result
+            case 0 { revert(ptr, returndatasize()) }
+            default { return(ptr, returndatasize()) }
+        }
     }
     
     /**
@@ -0,0 +1,1001 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./SubscriptionPausable.sol";
+
+/**
+ * @dev Interface for interacting with the SubscriptionServiceProvider contract
+ */
+interface ISubscriptionServiceProvider {
+    enum ServiceStatus { Active, Paused, Retired }
+    
+    function processPayment(uint256 serviceId, uint256 tierId, address user) external payable returns (bool);
+    function storeEncryptedCredentials(address user, uint256 serviceId, bytes calldata encryptedData) external;
+    function getEncryptedCredentials(address user, uint256 serviceId) external view returns (bytes memory);
+    function cancelSubscription(address user, uint256 serviceId) external;
+    function getServiceDetails(uint256 serviceId) external view returns (bool, uint256, string memory, string memory);
+    function checkSubscriptionStatus(uint256 serviceId, address user) external view returns (bool);
+    function getServiceStatus(uint256 serviceId) external view returns (ServiceStatus);
+    function getTierDetails(uint256 serviceId, uint256 tierId) external view
+        returns (bool, string memory, uint256, uint256, uint256);
+    function transferSubscription(address from, address to, uint256 serviceId) external;
+    function processTokenPayment(uint256 serviceId, uint256 tierId, address user, address paymentToken)
+        external returns (bool);
+    function tierTokenCosts(uint256 serviceId, uint256 tierId, address paymentToken) external view returns (uint256);
+}
+
+/**
+ * @dev Interface for interacting with the SubscriptionSeats contract
+ */
+interface ISubscriptionSeats {
+    function mintSeat(address holder, uint256 serviceId) external;
+    function burnSeat(address holder, uint256 serviceId) external;
+}
+
+/**
+ * @dev Interface for interacting with the SubscriptionVoting contract
+ */
+interface ISubscriptionVoting {
+    function openProposals(uint256 serviceId, uint256 accountId) external view returns (uint256);
+}
+
+/**
+ * @dev Interface for interacting with the SubscriptionTokenPricing contract
+ */
+interface ISubscriptionTokenPricing {
+    function quote(uint256 amount) external view returns (uint256 cost, uint256 price);
+    function redemptionPrice() external view returns (uint256);
+}
+
+/**
+ * @title SharedSubscriptionTokenBase
+ * @dev Storage, events and internal logic of SharedSubscriptionToken.
+ * Kept apart from the external functions so that other implementations can share the exact
+ * storage layout of the token behind the same proxy, like SharedSubscriptionTokenMigration
+ * which imports the state of a legacy deployment. New state variables go after the existing ones.
+ */
+abstract contract SharedSubscriptionTokenBase is SubscriptionPausable {
+    // Role allowed to store encrypted credentials for members
+    bytes32 public constant CREDENTIALS_OPERATOR_ROLE = keccak256("CREDENTIALS_OPERATOR_ROLE");
+    
+    // Role allowed to withdraw the funds that are not held in escrow
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    
+    // Role allowed to configure how the services of the catalog are offered
+    bytes32 public constant CATALOG_ADMIN_ROLE = keccak256("CATALOG_ADMIN_ROLE");
+    
+    // Price per token in ETH (0.01 ETH = 1 token)
+    uint256 public tokenPrice;
+    
+    // How long before expiry an account can be auto-renewed (3 days)
+    uint256 public autoRenewWindow;
+    
+    // Reward paid to whoever triggers an auto-renewal, split between the account's members
+    uint256 public keeperReward;
+    
+    // How long an account stays renewable after expiring before pruneAccounts may close it
+    uint256 public constant PRUNE_GRACE_PERIOD = 7 days;
+    
+    // Address of the associated voting contract that manages governance
+    address public votingContractAddress;
+    
+    // Address of the service provider contract
+    address public serviceProviderAddress;
+    
+    // Service provider interface
+    ISubscriptionServiceProvider public serviceProvider;
+    
+    /**
+     * @dev Information about a shared subscription account
+     * @param active Whether the subscription is currently active
+     * @param expirationTime Timestamp when the subscription expires
+     * @param members Array of addresses who are members of this subscription
+     * @param isMember Mapping for quick lookup if an address is a member
+     * @param serviceId ID of the service this account is subscribed to
+     * @param tierId ID of the plan tier of the service, which sets the seats and the period length
+     * @param periodDuration Length of the current period, taken from the tier when it was paid
+     * @param creator Creator of a private account, zero for accounts that take part in the matching
+     */
+    struct SubscriptionAccount {
+        bool active;
+        uint256 expirationTime;
+        address[] members;
+        mapping(address => bool) isMember;
+        uint256 serviceId;
+        uint256 tierId;
+        uint256 periodDuration;
+        address creator;
+    }
+    
+    /**
+     * @dev Invitation code of a private account, stored by the hash of the code
+     * @param expiresAt Timestamp after which the code can no longer be used
+     * @param usesLeft Number of users that can still join with the code
+     */
+    struct InviteCode {
+        uint256 expiresAt;
+        uint256 usesLeft;
+    }
+    
+    /**
+     * @dev How subscribe picks an account among those with free seats
+     * FillMostFull fills accounts up before spreading members, FillLeastFull evens the accounts
+     * out and RoundRobin hands out the accounts in turn.
+     */
+    enum MatchingStrategy { FillMostFull, FillLeastFull, RoundRobin }
+    
+    /**
+     * @dev Where an account with free seats is listed for the matching
+     * @param tierId Tier the account was listed under
+     * @param memberCount Member count the account was listed under
+     * @param bucketPosition Position plus one in the list of accounts with that member count, 0 if unlisted
+     * @param rotationPosition Position plus one in the round robin rotation of the tier, 0 if unlisted
+     */
+    struct MatchingSlot {
+        uint256 tierId;
+        uint256 memberCount;
+        uint256 bucketPosition;
+        uint256 rotationPosition;
+    }
+    
+    /**
+     * @dev Information about a user's subscription
+     * @param exists Whether the user has an active subscription
+     * @param serviceId ID of the service the user is subscribed to
+     * @param accountId ID of the subscription account the user belongs to
+     */
+    struct UserSubscription {
+        bool exists;
+        uint256 serviceId;
+        uint256 accountId;
+    }
+    
+    /**
+     * @dev Token a member spent on their account, refunded pro rata for the time it has left
+     * @param value Wei spending the token released from the token reserve
+     * @param start Timestamp the paid time starts at
+     * @param end Timestamp the paid time ends at
+     */
+    struct TokenCredit {
+        uint256 value;
+        uint256 start;
+        uint256 end;
+    }
+    
+    // ==================== STATE VARIABLES ====================
+    
+    // Token balances for each address
+    mapping(address => uint256) public balanceOf;
+    
+    // Double mapping of service ID and account ID to subscription account info
+    mapping(uint256 => mapping(uint256 => SubscriptionAccount)) public subscriptionAccounts;
+    
+    // Double mapping of user address and service ID to user's subscription info
+    mapping(address => mapping(uint256 => UserSubscription)) public userSubscriptions;
+    
+    // Mapping of service ID to array of active account IDs for that service
+    mapping(uint256 => uint256[]) public activeSubscriptionsByService;
+    
+    // Mapping of service ID to subscription count
+    mapping(uint256 => uint256) public subscriptionCounts;
+    
+    // Mapping of user address to their public key for encryption
+    mapping(address => string) public userPublicKeys;
+    
+    // Double mapping of service ID and account ID to the ETH held in escrow for that account
+    mapping(uint256 => mapping(uint256 => uint256)) public accountEscrow;
+    
+    // Triple mapping of service ID, account ID and member to the member's unspent deposit
+    mapping(uint256 => mapping(uint256 => mapping(address => uint256))) public escrowDeposits;
+    
+    // Deposits of removed members waiting to be withdrawn
+    mapping(address => uint256) public pendingEscrowRefunds;
+    
+    // Total ETH held for members (account escrows and pending refunds), never withdrawable by the treasurer
+    uint256 public totalEscrowed;
+    
+    // Double mapping of user address and service ID to whether the user opted in to auto-renewal
+    mapping(address => mapping(uint256 => bool)) public autoRenewEnabled;
+    
+    // Triple mapping of service ID, account ID and user to whether the account's members invited the user
+    mapping(uint256 => mapping(uint256 => mapping(address => bool))) public accountInvites;
+    
+    // Triple mapping of service ID, account ID and code hash to the invitation codes of private accounts
+    mapping(uint256 => mapping(uint256 => mapping(bytes32 => InviteCode))) public inviteCodes;
+    
+    // Mapping of service ID to the strategy subscribe matches users with accounts by
+    mapping(uint256 => MatchingStrategy) public matchingStrategies;
+    
+    // Triple mapping of service ID, tier ID and member count to the accounts with free seats and that many members
+    mapping(uint256 => mapping(uint256 => mapping(uint256 => uint256[]))) private _openAccountsByMemberCount;
+    
+    // Double mapping of service ID and tier ID to the accounts with free seats in round robin order
+    mapping(uint256 => mapping(uint256 => uint256[])) private _roundRobinAccounts;
+    
+    // Double mapping of service ID and tier ID to the position of the next account in the round robin
+    mapping(uint256 => mapping(uint256 => uint256)) private _roundRobinCursors;
+    
+    // Double mapping of service ID and account ID to where the account is listed for the matching
+    mapping(uint256 => mapping(uint256 => MatchingSlot)) private _matchingSlots;
+    
+    // Double mapping of service ID and account ID to the position plus one of the account in activeSubscriptionsByService
+    mapping(uint256 => mapping(uint256 => uint256)) internal _activeAccountPositions;
+    
+    // Double mapping of user address and service ID to whether the user agreed to have their account merged
+    mapping(address => mapping(uint256 => bool)) public mergeConsent;
+    
+    // State variable for reentrancy guard
+    bool private _locked;
+    
+    // Address of the seat NFT contract, zero when memberships are not issued as seats
+    address public seatContractAddress;
+    
+    // Address of the SharedSubscriptionTokenExtension whose functions the token runs in its fallback
+    address public extensionAddress;
+    
+    // Address of the seat marketplace, which can move token balances to pay for seats
+    address public marketplaceAddress;
+    
+    // Number of tokens in circulation
+    uint256 public totalSupply;
+    
+    // Double mapping of holder and spender addresses to the tokens the spender may transfer, read with allowance
+    mapping(address => mapping(address => uint256)) internal _allowances;
+    
+    // ETH paid for tokens and not yet spent on subscriptions, read with tokenReserve
+    uint256 internal _tokenReserve;
+    
+    // Price of one token in each accepted ERC-20 payment token, zero if not accepted, read with paymentTokenPrice
+    mapping(address => uint256) internal _paymentTokenPrices;
+    
+    // ERC-20 payment tokens that were ever given a price, read with getPaymentTokens
+    address[] internal _paymentTokens;
+    
+    // Address of the SubscriptionTokenPricing contract, zero for the fixed tokenPrice, read with pricingContractAddress
+    address internal _pricingContractAddress;
+    
+    // Triple mapping of service ID, account ID and member to the token the member spent on the account
+    mapping(uint256 => mapping(uint256 => mapping(address => TokenCredit))) internal _tokenCredits;
+    
+    // Tokens of each holder that were bought with ETH and are backed by the token reserve, read with backedBalanceOf
+    mapping(address => uint256) internal _backedBalances;
+    
+    // Number of tokens in circulation that were bought with ETH, read with backedSupply
+    uint256 internal _backedSupply;
+    
+    // ==================== EVENTS ====================
+    
+    // ERC-20 events, with the indexed parameters of the standard so wallets and explorers pick them up
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+    
+    // Emitted when a holder redeems tokens for ETH at the token price
+    event TokensSold(address seller, uint256 amount, uint256 payout);
+    
+    // Emitted when tokens are bought with an ERC-20 payment token
+    event TokensBoughtWithToken(address buyer, address paymentToken, uint256 amount, uint256 cost);
+    
+    // Emitted when the price of the token in an ERC-20 payment token is set, zero when it is no longer accepted
+    event PaymentTokenPriceUpdated(address paymentToken, uint256 price);
+    
+    // Emitted when a new subscription account is created
+    event SubscriptionAccountCreated(uint256 serviceId, uint256 accountId, uint256 tierId);
+    
+    // Emitted when a user is added to a subscription account
+    event UserAddedToSubscription(address user, uint256 serviceId, uint256 accountId);
+    
+    // Emitted when subscription cost information is updated
+    event SubscriptionUpdate(uint256 serviceId, uint256 accountId, uint256 numMembers, uint256 costPerMember);
+    
+    // Emitted when a user's credentials are updated
+    event CredentialsUpdated(address user, uint256 serviceId, uint256 accountId);
+    
+    // Emitted when a user registers their public key
+    event PublicKeyRegistered(address user, string publicKey);
+    
+    // Emitted when a user is kicked from a subscription account
+    event UserKicked(uint256 serviceId, uint256 accountId, address kickedUser);
+    
+    // Emitted when a subscription account is renewed
+    event SubscriptionRenewed(uint256 serviceId, uint256 accountId, address renewedBy, uint256 expirationTime);
+    
+    // Emitted when a user leaves a subscription account voluntarily
+    event UserLeftSubscription(address user, uint256 serviceId, uint256 accountId, uint256 refund);
+    
+    // Emitted when a member deposits ETH into their account's escrow
+    event EscrowDeposited(address member, uint256 serviceId, uint256 accountId, uint256 amount);
+    
+    // Emitted when a subscription period is paid to the service provider out of an account's escrow
+    event EscrowCharged(uint256 serviceId, uint256 accountId, uint256 numMembers, uint256 costPerMember);
+    
+    // Emitted when ETH leaves an account's escrow back to a member
+    event EscrowRefunded(address member, uint256 serviceId, uint256 accountId, uint256 amount);
+    
+    // Emitted when a member opts in or out of auto-renewal
+    event AutoRenewUpdated(address user, uint256 serviceId, bool enabled);
+    
+    // Emitted when the account of a retired service is closed and its members refunded
+    event AccountWoundDown(uint256 serviceId, uint256 accountId, uint256 numMembers, uint256 totalRefund);
+    
+    // Emitted when an account is renewed by a keeper
+    event SubscriptionAutoRenewed(uint256 serviceId, uint256 accountId, address keeper, uint256 reward, uint256 expirationTime);
+    
+    // Emitted when the members of an account vote to move it to another plan tier
+    event AccountTierSwitched(uint256 serviceId, uint256 accountId, uint256 tierId);
+    
+    // Emitted when the members of an account vote to invite a user
+    event UserInvited(address user, uint256 serviceId, uint256 accountId);
+    
+    // Emitted when the members of an account vote to close it and are refunded
+    event AccountDissolved(uint256 serviceId, uint256 accountId, uint256 numMembers, uint256 totalRefund);
+    
+    // Emitted when a user opens a private account that is left out of the matching
+    event PrivateAccountCreated(uint256 serviceId, uint256 accountId, address creator);
+    
+    // Emitted when the creator of a private account issues an invitation code
+    event InviteCodeCreated(uint256 serviceId, uint256 accountId, bytes32 codeHash, uint256 expiresAt, uint256 maxUses);
+    
+    // Emitted when the creator of a private account revokes an invitation code
+    event InviteCodeRevoked(uint256 serviceId, uint256 accountId, bytes32 codeHash);
+    
+    // Emitted when a user joins a private account with an invitation code
+    event InviteCodeUsed(uint256 serviceId, uint256 accountId, bytes32 codeHash, address user, uint256 usesLeft);
+    
+    // Emitted when a catalog admin changes how users of a service are matched with accounts
+    event MatchingStrategyUpdated(uint256 serviceId, MatchingStrategy strategy);
+    
+    // Emitted when an empty or long expired account is taken out of the active accounts
+    event AccountPruned(uint256 serviceId, uint256 accountId, uint256 numMembers);
+    
+    // Emitted when a member agrees or stops agreeing to merge their account
+    event MergeConsentUpdated(address user, uint256 serviceId, bool consent);
+    
+    // Emitted for every member moved by a merge, before they are added to their new account
+    event MemberMoved(address user, uint256 serviceId, uint256 fromAccountId, uint256 toAccountId);
+    
+    // Emitted when the members of an account are moved into another account of the same service
+    event AccountsMerged(uint256 serviceId, uint256 fromAccountId, uint256 intoAccountId, uint256 membersMoved);
+    
+    /**
+     * @dev Sets up the owner holding every role and the default settings
+     * Called by the constructor of SharedSubscriptionToken, and by SharedSubscriptionTokenMigration
+     * for proxies: the token itself has no room left for a public initializer.
+     * @param initialOwner Address becoming owner
+     */
+    function _initialize(address initialOwner) internal onlyInitializing {
+        _initPausable(initialOwner);
+        _grantRole(CREDENTIALS_OPERATOR_ROLE, initialOwner);
+        _grantRole(TREASURER_ROLE, initialOwner);
+        _grantRole(CATALOG_ADMIN_ROLE, initialOwner);
+        tokenPrice = 0.01 ether;
+        autoRenewWindow = 3 days;
+        keeperReward = 0.001 ether;
+    }
+    
+    // ==================== MODIFIERS ====================
+    
+    /**
+     * @dev Restricts function access to the voting contract
+     */
+    modifier onlyVotingContract() {
+        require(msg.sender == votingContractAddress, "Only voting contract can call this function");
+        _;
+    }
+
+    /**
+     * @dev Prevents reentrancy attacks
+     */
+    modifier nonReentrant() {
+        require(!_locked, "ReentrancyGuard: reentrant call");
+        _locked = true;
+        _;
+        _locked = false;
+    }
+    
+    // ==================== VIEW FUNCTIONS ====================
+    
+    /**
+     * @dev Calculates the refund a member would get by leaving their account now
+     * Only the tokens a member spent are refunded: the one they joined with, for the rest of
+     * that period, and the ones they renewed with, for the period they paid. The unused time is
+     * refunded as its share of what spending the token released from the token reserve, so it
+     * needs no price feed and leaving never waits on the oracle. Periods paid by other members,
+     * or renewed from the escrow alone, refund nothing.
+     * @param user Address of the member
+     * @param serviceId ID of the service
+     * @return Refund in wei
+     */
+    function calculateLeaveRefund(address user, uint256 serviceId) public view returns (uint256) {
+        UserSubscription storage userSub = userSubscriptions[user][serviceId];
+        if (!userSub.exists || !subscriptionAccounts[serviceId][userSub.accountId].active) {
+            return 0;
+        }
+        
+        TokenCredit storage credit = _tokenCredits[serviceId][userSub.accountId][user];
+        if (credit.end <= block.timestamp) return 0;
+        uint256 from = credit.start > block.timestamp ? credit.start : block.timestamp;
+        return (credit.value * (credit.end - from)) / (credit.end - credit.start);
+    }
+    
+    // ==================== INTERNAL FUNCTIONS ====================
+    
+    /**
+     * @dev Subscribes the caller, matching them with an account or opening a new one
+     * @param serviceId ID of the service to subscribe to
+     * @param tierId ID of the plan tier
+     * @param isPrivate Whether to open a new private account of the caller instead of matching
+     * @return accountId ID of the account the caller joined
+     */
+    function _subscribe(uint256 serviceId, uint256 tierId, bool isPrivate) internal returns (uint256 accountId) {
+        // Verify the service exists by checking with service provider
+        (bool exists, , , ) = serviceProvider.getServiceDetails(serviceId);
+        require(exists, "Service does not exist");
+        (, uint256 maxSeats, uint256 duration) = _tier(serviceId, tierId);
+        ISubscriptionServiceProvider.ServiceStatus status = serviceProvider.getServiceStatus(serviceId);
+        require(status != ISubscriptionServiceProvider.ServiceStatus.Retired, "Service is retired");
+        require(balanceOf[msg.sender] >= 1, "Insufficient tokens");
+        require(!userSubscriptions[msg.sender][serviceId].exists, "Already subscribed to this service");
+        
+        // Deduct token for subscription
+        uint256 tokenValue = _spendToken(msg.sender);
+        
+        // Try to find an available subscription account
+        if (!isPrivate) {
+            accountId = _getAvailableSubscriptionAccount(serviceId, tierId, maxSeats);
+        }
+        
+        // If no account available, create a new one
+        bool isNewAccount = accountId == 0;
+        if (isNewAccount) {
+            require(status == ISubscriptionServiceProvider.ServiceStatus.Active, "Service is paused");
+            accountId = _createSubscriptionAccount(serviceId, tierId, duration);
+            if (isPrivate) {
+                subscriptionAccounts[serviceId][accountId].creator = msg.sender;
+            }
+        }
+        
+        _addMember(serviceId, accountId, msg.sender);
+        _depositToEscrow(serviceId, accountId, msg.sender, msg.value);
+        
+        // Pay the first period of a new subscription account
+        if (isNewAccount) {
+            _chargeEscrow(serviceId, accountId, msg.sender);
+        }
+        _creditToken(serviceId, accountId, msg.sender, tokenValue);
+    }
+    
+    /**
+     * @dev Adds the caller to a given account, within the seat limit of its tier
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     */
+    function _joinAccount(uint256 serviceId, uint256 accountId) internal {
+        require(!_isRetired(serviceId), "Service is retired");
+        require(balanceOf[msg.sender] >= 1, "Insufficient tokens");
+        require(!userSubscriptions[msg.sender][serviceId].exists, "Already subscribed to this service");
+        
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        require(account.members.length > 0, "No members in subscription");
+        (, uint256 maxSeats, ) = _tier(serviceId, account.tierId);
+        require(account.members.length < maxSeats, "Subscription account is full");
+        
+        uint256 tokenValue = _spendToken(msg.sender);
+        
+        _addMember(serviceId, accountId, msg.sender);
+        _depositToEscrow(serviceId, accountId, msg.sender, msg.value);
+        _creditToken(serviceId, accountId, msg.sender, tokenValue);
+    }
+    
+    /**
+     * @dev Picks an account with free seats by the matching strategy of the service
+     * The accounts are bucketed by member count, so the cost depends on the seats of the tier
+     * rather than on the number of accounts the service ever had.
+     * @param serviceId ID of the service
+     * @param tierId ID of the plan tier the account must be on
+     * @param maxSeats Maximum number of members of the tier
+     * @return Account ID with space, or 0 if none found
+     */
+    function _getAvailableSubscriptionAccount(uint256 serviceId, uint256 tierId, uint256 maxSeats)
+        internal
+        returns (uint256)
+    {
+        MatchingStrategy strategy = matchingStrategies[serviceId];
+        
+        if (strategy == MatchingStrategy.RoundRobin) {
+            uint256[] storage rotation = _roundRobinAccounts[serviceId][tierId];
+            while (rotation.length > 0) {
+                uint256 position = _roundRobinCursors[serviceId][tierId] % rotation.length;
+                uint256 accountId = rotation[position];
+                if (subscriptionAccounts[serviceId][accountId].members.length < maxSeats) {
+                    _roundRobinCursors[serviceId][tierId] = position + 1;
+                    return accountId;
+                }
+                // The tier lost seats since the account was listed
+                _updateMatching(serviceId, accountId);
+            }
+            return 0;
+        }
+        
+        // Accounts listed with as many members as the tier has seats or more are full
+        for (uint256 i = 1; i < maxSeats; i++) {
+            uint256 memberCount = strategy == MatchingStrategy.FillMostFull ? maxSeats - i : i;
+            uint256[] storage bucket = _openAccountsByMemberCount[serviceId][tierId][memberCount];
+            if (bucket.length > 0) {
+                return bucket[bucket.length - 1];
+            }
+        }
+        
+        // If no accounts have space, return 0 to signal a new account is needed
+        return 0;
+    }
+    
+    /**
+     * @dev Lists an account for the matching by its current tier and member count, or delists it
+     * Only accounts formed by the matching that have members and free seats are listed. Accounts
+     * that were full when their tier gained seats are listed again on their next membership change.
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     */
+    function _updateMatching(uint256 serviceId, uint256 accountId) internal {
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        MatchingSlot storage slot = _matchingSlots[serviceId][accountId];
+        uint256 memberCount = account.members.length;
+        
+        bool open = account.creator == address(0) && memberCount > 0;
+        if (open) {
+            (, uint256 maxSeats, ) = _tier(serviceId, account.tierId);
+            open = memberCount < maxSeats;
+        }
+        
+        // Take the account out of the lists it no longer belongs to
+        bool sameTier = open && slot.tierId == account.tierId;
+        if (slot.bucketPosition > 0 && !(sameTier && slot.memberCount == memberCount)) {
+            _removeFromList(
+                _openAccountsByMemberCount[serviceId][slot.tierId][slot.memberCount],
+                slot.bucketPosition,
+                serviceId,
+                true
+            );
+            slot.bucketPosition = 0;
+        }
+        if (slot.rotationPosition > 0 && !sameTier) {
+            _removeFromList(_roundRobinAccounts[serviceId][slot.tierId], slot.rotationPosition, serviceId, false);
+            slot.rotationPosition = 0;
+        }
+        if (!open) return;
+        
+        // Round robin keeps the account's place while it has free seats
+        slot.tierId = account.tierId;
+        slot.memberCount = memberCount;
+        if (slot.bucketPosition == 0) {
+            uint256[] storage bucket = _openAccountsByMemberCount[serviceId][account.tierId][memberCount];
+            bucket.push(accountId);
+            slot.bucketPosition = bucket.length;
+        }
+        if (slot.rotationPosition == 0) {
+            uint256[] storage rotation = _roundRobinAccounts[serviceId][account.tierId];
+            rotation.push(accountId);
+            slot.rotationPosition = rotation.length;
+        }
+    }
+    
+    /**
+     * @dev Removes an account from a matching list, moving the last account into its place
+     * @param list Bucket or rotation the account is in
+     * @param position Position plus one of the account in the list
+     * @param serviceId ID of the service
+     * @param isBucket Whether the list is a bucket or a rotation, to update the moved account's slot
+     */
+    function _removeFromList(uint256[] storage list, uint256 position, uint256 serviceId, bool isBucket) internal {
+        uint256 lastAccountId = list[list.length - 1];
+        list[position - 1] = lastAccountId;
+        list.pop();
+        
+        MatchingSlot storage moved = _matchingSlots[serviceId][lastAccountId];
+        if (isBucket) {
+            moved.bucketPosition = position;
+        } else {
+            moved.rotationPosition = position;
+        }
+    }
+    
+    /**
+     * @dev Reverts unless the caller created the given private account and is still a member
+     * @param serviceId ID of the service
+     * @param accountId ID of the private account
+     */
+    function _checkCreator(uint256 serviceId, uint256 accountId) internal view {
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        require(account.creator == msg.sender && account.isMember[msg.sender], "Only the account creator");
+    }
+    
+    /**
+     * @dev Adds a user to a subscription account and records their subscription
+     * Every way of joining an account ends here, so this is where paused joins are refused.
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @param user Address of the new member
+     */
+    function _addMember(uint256 serviceId, uint256 accountId, address user) internal {
+        _checkNotPaused(PauseSwitch.Joins);
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        account.members.push(user);
+        account.isMember[user] = true;
+        
+        // Record user's subscription
+        UserSubscription storage userSub = userSubscriptions[user][serviceId];
+        userSub.exists = true;
+        userSub.serviceId = serviceId;
+        userSub.accountId = accountId;
+        _updateMatching(serviceId, accountId);
+        if (seatContractAddress != address(0)) {
+            ISubscriptionSeats(seatContractAddress).mintSeat(user, serviceId);
+        }
+        
+        emit UserAddedToSubscription(user, serviceId, accountId);
+    }
+    
+    /**
+     * @dev Removes every member of an account and takes it out of the matching
+     * Members get the refund of leaving: the unused time and their escrow deposits are set aside
+     * for withdrawEscrowRefund.
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @return memberCount Number of members removed
+     * @return refunded Total wei refunded to the members for the unused time
+     */
+    function _closeAccount(uint256 serviceId, uint256 accountId) internal returns (uint256 memberCount, uint256 refunded) {
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        memberCount = account.members.length;
+        require(memberCount > 0, "No members in subscription");
+        
+        while (account.members.length > 0) {
+            address member = account.members[account.members.length - 1];
+            uint256 refund = calculateLeaveRefund(member, serviceId);
+            _removeMember(serviceId, accountId, member);
+            refund = _refundUnusedTime(member, refund);
+            refunded += refund;
+            emit UserLeftSubscription(member, serviceId, accountId, refund);
+        }
+        
+        account.active = false;
+        account.expirationTime = block.timestamp;
+        _deactivateAccount(serviceId, accountId);
+    }
+    
+    /**
+     * @dev Takes an account out of activeSubscriptionsByService, moving the last account into its place
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     */
+    function _deactivateAccount(uint256 serviceId, uint256 accountId) internal {
+        uint256 position = _activeAccountPositions[serviceId][accountId];
+        if (position == 0) return;
+        
+        uint256[] storage activeAccounts = activeSubscriptionsByService[serviceId];
+        uint256 lastAccountId = activeAccounts[activeAccounts.length - 1];
+        activeAccounts[position - 1] = lastAccountId;
+        activeAccounts.pop();
+        _activeAccountPositions[serviceId][lastAccountId] = position;
+        delete _activeAccountPositions[serviceId][accountId];
+    }
+    
+    /**
+     * @dev Removes a member from a subscription account and cancels their access at the provider
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @param user Address of the member to remove
+     */
+    function _removeMember(uint256 serviceId, uint256 accountId, address user) internal {
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        
+        // Remove user from subscription members array
+        for (uint256 i = 0; i < account.members.length; i++) {
+            if (account.members[i] == user) {
+                account.members[i] = account.members[account.members.length - 1];
+                account.members.pop();
+                break;
+            }
+        }
+        
+        account.isMember[user] = false;
+        _clearMembership(serviceId, accountId, user);
+        _updateMatching(serviceId, accountId);
+        if (seatContractAddress != address(0)) {
+            ISubscriptionSeats(seatContractAddress).burnSeat(user, serviceId);
+        }
+        
+        // Notify service provider to cancel this user's access
+        serviceProvider.cancelSubscription(user, serviceId);
+    }
+    
+    /**
+     * @dev Forgets a former member's subscription and settings, setting their unspent deposit aside for withdrawal
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @param user Address of the former member
+     */
+    function _clearMembership(uint256 serviceId, uint256 accountId, address user) internal {
+        delete userSubscriptions[user][serviceId];
+        delete mergeConsent[user][serviceId];
+        delete autoRenewEnabled[user][serviceId];
+        delete _tokenCredits[serviceId][accountId][user];
+        
+        uint256 deposit = escrowDeposits[serviceId][accountId][user];
+        if (deposit > 0) {
+            delete escrowDeposits[serviceId][accountId][user];
+            accountEscrow[serviceId][accountId] -= deposit;
+            pendingEscrowRefunds[user] += deposit;
+            emit EscrowRefunded(user, serviceId, accountId, deposit);
+        }
+    }
+    
+    /**
+     * @dev Adds ETH to a member's deposit in an account's escrow
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @param member Address of the depositing member
+     * @param amount Amount of ETH deposited
+     */
+    function _depositToEscrow(uint256 serviceId, uint256 accountId, address member, uint256 amount) internal {
+        if (amount == 0) return;
+        _checkNotPaused(PauseSwitch.Payments);
+        
+        escrowDeposits[serviceId][accountId][member] += amount;
+        accountEscrow[serviceId][accountId] += amount;
+        totalEscrowed += amount;
+        
+        emit EscrowDeposited(member, serviceId, accountId, amount);
+    }
+    
+    /**
+     * @dev Pays one subscription period of the account's tier to the service provider out of its escrow
+     * Every member is charged the same share. The shares are rounded up so the provider always
+     * receives at least the tier cost; the rounding never exceeds one wei per member.
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @param payer Member the provider records the payment for
+     * @return Length of the period paid for
+     */
+    function _chargeEscrow(uint256 serviceId, uint256 accountId, address payer) internal returns (uint256) {
+        _checkNotPaused(PauseSwitch.Payments);
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        (uint256 cost, , uint256 duration) = _tier(serviceId, account.tierId);
+        uint256 memberCount = account.members.length;
+        uint256 total = _debitMembers(serviceId, accountId, cost);
+        
+        bool success = serviceProvider.processPayment{value: total}(serviceId, account.tierId, payer);
+        require(success, "Payment to service provider failed");
+        
+        account.periodDuration = duration;
+        emit EscrowCharged(serviceId, accountId, memberCount, total / memberCount);
+        return duration;
+    }
+    
+    /**
+     * @dev Takes an amount out of an account's escrow, split equally between the members' deposits
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @param amount Amount to split
+     * @return Amount actually taken, the rounded up share times the number of members
+     */
+    function _debitMembers(uint256 serviceId, uint256 accountId, uint256 amount) internal returns (uint256) {
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        uint256 memberCount = account.members.length;
+        uint256 share = _shareOf(amount, memberCount);
+        
+        for (uint256 i = 0; i < memberCount; i++) {
+            address member = account.members[i];
+            require(escrowDeposits[serviceId][accountId][member] >= share, "Escrow does not cover the service cost");
+            escrowDeposits[serviceId][accountId][member] -= share;
+        }
+        
+        uint256 total = share * memberCount;
+        accountEscrow[serviceId][accountId] -= total;
+        totalEscrowed -= total;
+        return total;
+    }
+    
+    /**
+     * @dev Gets the terms of a plan tier from the service provider
+     * @param serviceId ID of the service
+     * @param tierId ID of the tier
+     * @return cost Full cost of one period
+     * @return maxSeats Maximum number of members per account
+     * @return duration Length of one period in seconds
+     */
+    function _tier(uint256 serviceId, uint256 tierId) internal view
+        returns (uint256 cost, uint256 maxSeats, uint256 duration) {
+        bool exists;
+        (exists, , cost, maxSeats, duration) = serviceProvider.getTierDetails(serviceId, tierId);
+        require(exists, "Tier does not exist");
+    }
+    
+    /**
+     * @dev Checks whether a service has been retired by the provider
+     * @param serviceId ID of the service
+     * @return Whether the service is retired
+     */
+    function _isRetired(uint256 serviceId) internal view returns (bool) {
+        return serviceProvider.getServiceStatus(serviceId) == ISubscriptionServiceProvider.ServiceStatus.Retired;
+    }
+    
+    /**
+     * @dev Checks whether every member of an account opted in to auto-renewal
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @return Whether all members opted in
+     */
+    function _allOptedIn(uint256 serviceId, uint256 accountId) internal view returns (bool) {
+        address[] storage members = subscriptionAccounts[serviceId][accountId].members;
+        for (uint256 i = 0; i < members.length; i++) {
+            if (!autoRenewEnabled[members[i]][serviceId]) return false;
+        }
+        return true;
+    }
+    
+    /**
+     * @dev Checks whether an account can be renewed now
+     * Renewals open autoRenewWindow before the expiry, and a period paid in advance has to start
+     * before the next one can be paid, so members are charged at most once per period.
+     * @param account The subscription account
+     * @return Whether the account is due for renewal
+     */
+    function _isDueForRenewal(SubscriptionAccount storage account) internal view returns (bool) {
+        return account.expirationTime <= block.timestamp + autoRenewWindow
+            && account.expirationTime - account.periodDuration <= block.timestamp;
+    }
+    
+    /**
+     * @dev Records the token a member spent on the current period of their account
+     * A token spent while the member's previous one still has time left takes over that time,
+     * so renewing early does not forfeit the refund for it.
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @param member Address of the member
+     * @param value Wei spending the token released from the token reserve
+     */
+    function _creditToken(uint256 serviceId, uint256 accountId, address member, uint256 value) internal {
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        uint256 start = account.expirationTime - account.periodDuration;
+        uint256 unused = calculateLeaveRefund(member, serviceId);
+        if (unused > 0) {
+            value += unused;
+            start = block.timestamp;
+        }
+        _tokenCredits[serviceId][accountId][member] = TokenCredit(value, start, account.expirationTime);
+    }
+    
+    /**
+     * @dev Sets a refund for unused time aside for withdrawEscrowRefund
+     * It is paid out of the funds that are neither escrowed nor in the token reserve, where the
+     * tokens spent on the period went, so it is cut short if the treasurer withdrew them.
+     * @param member Address of the former member
+     * @param amount Refund in wei, see calculateLeaveRefund
+     * @return Refund actually set aside
+     */
+    function _refundUnusedTime(address member, uint256 amount) internal returns (uint256) {
+        uint256 held = totalEscrowed + _tokenReserve;
+        uint256 available = address(this).balance > held ? address(this).balance - held : 0;
+        if (amount > available) amount = available;
+        
+        pendingEscrowRefunds[member] += amount;
+        totalEscrowed += amount;
+        return amount;
+    }
+    
+    /**
+     * @dev Gets the price tokens are sold back at
+     * @return Price in wei, the redemption price of the pricing contract when one is set
+     */
+    function _redemptionPrice() internal view returns (uint256) {
+        if (_pricingContractAddress == address(0)) return tokenPrice;
+        return ISubscriptionTokenPricing(_pricingContractAddress).redemptionPrice();
+    }
+    
+    /**
+     * @dev Sends a removed member's pending escrow refund
+     * @param member Address of the member
+     */
+    function _sendEscrowRefund(address member) internal {
+        uint256 amount = pendingEscrowRefunds[member];
+        pendingEscrowRefunds[member] = 0;
+        totalEscrowed -= amount;
+        
+        (bool success, ) = member.call{value: amount}("");
+        require(success, "Transfer failed");
+    }
+    
+    /**
+     * @dev Splits a service cost between members, rounding up
+     * @param serviceCost Cost of one subscription period
+     * @param memberCount Number of members sharing the cost
+     * @return Share of each member
+     */
+    function _shareOf(uint256 serviceCost, uint256 memberCount) internal pure returns (uint256) {
+        if (memberCount == 0) return serviceCost;
+        return (serviceCost + memberCount - 1) / memberCount;
+    }
+    
+    /**
+     * @dev Creates a new subscription account
+     * @param serviceId ID of the service
+     * @param tierId ID of the plan tier of the account
+     * @param duration Length of the first period
+     * @return ID of the new account
+     */
+    function _createSubscriptionAccount(uint256 serviceId, uint256 tierId, uint256 duration) internal returns (uint256) {
+        uint256 accountId = subscriptionCounts[serviceId] + 1;
+        subscriptionCounts[serviceId] = accountId;
+        
+        // Initialize the subscription account in storage
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        account.active = true;
+        account.expirationTime = block.timestamp + duration;
+        account.periodDuration = duration;
+        account.serviceId = serviceId;
+        account.tierId = tierId;
+        
+        // Add to active accounts
+        activeSubscriptionsByService[serviceId].push(accountId);
+        _activeAccountPositions[serviceId][accountId] = activeSubscriptionsByService[serviceId].length;
+        
+        emit SubscriptionAccountCreated(serviceId, accountId, tierId);
+        return accountId;
+    }
+    
+    /**
+     * @dev Creates tokens
+     * @param to Address receiving the tokens
+     * @param amount Number of tokens
+     */
+    function _mint(address to, uint256 amount) internal {
+        totalSupply += amount;
+        balanceOf[to] += amount;
+        emit Transfer(address(0), to, amount);
+    }
+    
+    /**
+     * @dev Destroys tokens, the ones not backed by the token reserve first
+     * @param from Address holding the tokens
+     * @param amount Number of tokens
+     */
+    function _burn(address from, uint256 amount) internal {
+        uint256 backed = _backedPart(from, amount);
+        _backedBalances[from] -= backed;
+        _backedSupply -= backed;
+        balanceOf[from] -= amount;
+        totalSupply -= amount;
+        emit Transfer(from, address(0), amount);
+    }
+    
+    /**
+     * @dev Counts the tokens backed by the token reserve among tokens a holder gives up
+     * Tokens that were not bought with ETH are given up first.
+     * @param holder Address holding the tokens
+     * @param amount Number of tokens given up
+     * @return Number of them that are backed
+     */
+    function _backedPart(address holder, uint256 amount) internal view returns (uint256) {
+        uint256 unbacked = balanceOf[holder] - _backedBalances[holder];
+        return amount > unbacked ? amount - unbacked : 0;
+    }
+    
+    /**
+     * @dev Burns the token a member spends on a subscription period
+     * A token bought with ETH takes its share of the token reserve, the average paid for the
+     * tokens bought with ETH in circulation, out of the reserve as revenue withdrawable with
+     * withdrawFunds, which also pays the refunds for unused time. Prices and discounts change
+     * between purchases, so the reserve only knows what was paid for all tokens together.
+     * Tokens bought with a payment token are spent first and release nothing.
+     * @param user Address of the member
+     * @return value Wei released from the reserve
+     */
+    function _spendToken(address user) internal returns (uint256 value) {
+        if (_backedPart(user, 1) > 0) {
+            value = _tokenReserve / _backedSupply;
+            _tokenReserve -= value;
+        }
+        _burn(user, 1);
+    }
+}
@@ -0,0 +1,686 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
+import "./SharedSubscriptionTokenBase.sol";
+
+/**
+ * @title SharedSubscriptionTokenExtension
+ * @dev Functions of SharedSubscriptionToken that no longer fit in the token under the contract
+ * size limit. The token delegates calls it has no function for to the extension set with
+ * setExtensionAddress, so these functions run on the token's storage, which they share through
+ * SharedSubscriptionTokenBase. Called directly, the extension only sees its own empty storage.
+ */
+contract SharedSubscriptionTokenExtension is SharedSubscriptionTokenBase {
+    using SafeERC20 for IERC20;
+    
+    /**
+     * @dev Constructor function
+     * Locks the extension itself, it only runs on the storage of the token
+     */
+    constructor() {
+        _disableInitializers();
+    }
+    
+    // ==================== ADMIN FUNCTIONS ====================
+    
+    /**
+     * @dev Sets the address of the seat NFT contract, or zero to stop issuing seats
+     * @param _seatContractAddress Address of the seat contract
+     */
+    function setSeatContractAddress(address _seatContractAddress) external onlyOwner {
+        seatContractAddress = _seatContractAddress;
+    }
+    
+    /**
+     * @dev Sets the address of the seat marketplace
+     * @param _marketplaceAddress Address of the SubscriptionSeatMarketplace contract
+     */
+    function setMarketplaceAddress(address _marketplaceAddress) external onlyOwner {
+        marketplaceAddress = _marketplaceAddress;
+    }
+    
+    /**
+     * @dev Sets the address of the pricing contract, or zero to sell tokens at the fixed tokenPrice
+     * @param pricingAddress Address of the SubscriptionTokenPricing contract
+     */
+    function setPricingContractAddress(address pricingAddress) external onlyOwner {
+        _pricingContractAddress = pricingAddress;
+    }
+    
+    /**
+     * @dev Updates how long before expiry an account can be auto-renewed
+     * @param newWindow New window in seconds
+     */
+    function updateAutoRenewWindow(uint256 newWindow) external onlyOwner {
+        autoRenewWindow = newWindow;
+    }
+    
+    /**
+     * @dev Updates the reward paid for triggering an auto-renewal
+     * @param newReward New reward in wei
+     */
+    function updateKeeperReward(uint256 newReward) external onlyOwner {
+        keeperReward = newReward;
+    }
+    
+    // ==================== ERC-20 FUNCTIONS ====================
+    
+    /**
+     * @dev Returns the name of the token
+     */
+    function name() external pure returns (string memory) {
+        return "Shared Subscription Token";
+    }
+    
+    /**
+     * @dev Returns the symbol of the token
+     */
+    function symbol() external pure returns (string memory) {
+        return "SUBT";
+    }
+    
+    /**
+     * @dev Returns the number of decimals, zero as one whole token pays for one period
+     */
+    function decimals() external pure returns (uint8) {
+        return 0;
+    }
+    
+    /**
+     * @dev Returns the tokens a spender may still transfer on behalf of a holder
+     * @param holder Address of the holder
+     * @param spender Address of the spender
+     * @return Number of tokens
+     */
+    function allowance(address holder, address spender) external view returns (uint256) {
+        return _allowances[holder][spender];
+    }
+    
+    /**
+     * @dev Sends tokens to another address, e.g. to gift them to a flatmate
+     * @param to Address of the recipient
+     * @param amount Number of tokens
+     * @return Always true, failures revert
+     */
+    function transfer(address to, uint256 amount) external returns (bool) {
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+    
+    /**
+     * @dev Lets a spender transfer up to an amount of the caller's tokens, replacing an earlier allowance
+     * @param spender Address of the spender
+     * @param amount Number of tokens, the maximum uint256 for an allowance that is never used up
+     * @return Always true
+     */
+    function approve(address spender, uint256 amount) external returns (bool) {
+        _allowances[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+    
+    /**
+     * @dev Sends tokens of a holder that approved the caller
+     * @param from Address of the holder
+     * @param to Address of the recipient
+     * @param amount Number of tokens
+     * @return Always true, failures revert
+     */
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        uint256 allowed = _allowances[from][msg.sender];
+        if (allowed != type(uint256).max) {
+            require(allowed >= amount, "Insufficient allowance");
+            _allowances[from][msg.sender] = allowed - amount;
+        }
+        _transfer(from, to, amount);
+        return true;
+    }
+    
+    // ==================== TOKEN RESERVE FUNCTIONS ====================
+    
+    /**
+     * @dev Returns the ETH paid for tokens that has not been spent on subscriptions
+     * Tokens are sold back out of it, and withdrawFunds leaves it untouched.
+     * @return Reserve in wei
+     */
+    function tokenReserve() external view returns (uint256) {
+        return _tokenReserve;
+    }
+    
+    /**
+     * @dev Gets the tokens of a holder that were bought with ETH and can be sold back
+     * @param holder Address of the holder
+     * @return Number of tokens backed by the token reserve
+     */
+    function backedBalanceOf(address holder) external view returns (uint256) {
+        return _backedBalances[holder];
+    }
+    
+    /**
+     * @dev Gets the number of tokens in circulation that were bought with ETH
+     * @return Number of tokens backed by the token reserve
+     */
+    function backedSupply() external view returns (uint256) {
+        return _backedSupply;
+    }
+    
+    /**
+     * @dev Sells tokens back for ETH at the token price
+     * With a pricing contract the price is its redemption price, the price with the largest volume
+     * discount, so tokens bought at a discount do not sell back for more.
+     * No token sells for more than the average the reserve holds per token bought with ETH, so
+     * tokens bought before a price rise cannot take what later buyers paid for theirs.
+     * Only tokens bought with ETH are backed by the reserve (see backedBalanceOf); tokens bought
+     * with a payment token cannot be sold for ETH.
+     * @param amount Number of tokens to sell
+     */
+    function sellTokens(uint256 amount) external nonReentrant whenNotPaused(PauseSwitch.Payments) {
+        require(amount > 0, "Amount must be positive");
+        require(balanceOf[msg.sender] >= amount, "Insufficient tokens");
+        require(_backedBalances[msg.sender] >= amount, "Insufficient tokens bought with ETH");
+        uint256 price = _redemptionPrice();
+        uint256 average = _tokenReserve / _backedSupply;
+        if (average < price) price = average;
+        uint256 payout = amount * price;
+        
+        // The sold tokens stop being backed, so the burn takes them rather than unbacked ones
+        _backedBalances[msg.sender] -= amount;
+        _backedSupply -= amount;
+        _burn(msg.sender, amount);
+        _tokenReserve -= payout;
+        emit TokensSold(msg.sender, amount, payout);
+        
+        (bool success, ) = msg.sender.call{value: payout}("");
+        require(success, "Transfer failed");
+    }
+    
+    // ==================== PRICING FUNCTIONS ====================
+    
+    /**
+     * @dev Gets the address of the pricing contract
+     * @return Address of the SubscriptionTokenPricing contract, zero while tokens sell at tokenPrice
+     */
+    function pricingContractAddress() external view returns (address) {
+        return _pricingContractAddress;
+    }
+    
+    /**
+     * @dev Gets what buyTokens charges for a purchase
+     * @param amount Number of tokens bought at once
+     * @return Cost in wei, volume discounts included
+     */
+    function quoteTokens(uint256 amount) external view returns (uint256) {
+        if (_pricingContractAddress == address(0)) return amount * tokenPrice;
+        (uint256 cost, ) = ISubscriptionTokenPricing(_pricingContractAddress).quote(amount);
+        return cost;
+    }
+    
+    // ==================== PAYMENT TOKEN FUNCTIONS ====================
+    
+    /**
+     * @dev Sets the price of one token in an ERC-20 payment token such as a stablecoin
+     * Prices are in the smallest unit of the payment token and kept in line with tokenPrice by
+     * the treasurer. Tokens taking a fee on transfer are not supported, their payments fall short.
+     * @param paymentToken Address of the ERC-20 token
+     * @param price Price of one token, zero to stop accepting the payment token
+     */
+    function setPaymentTokenPrice(address paymentToken, uint256 price) external onlyRole(TREASURER_ROLE) {
+        require(paymentToken != address(0), "Invalid payment token");
+        bool listed = false;
+        for (uint256 i = 0; i < _paymentTokens.length; i++) {
+            if (_paymentTokens[i] == paymentToken) {
+                listed = true;
+                break;
+            }
+        }
+        if (!listed) {
+            _paymentTokens.push(paymentToken);
+        }
+        _paymentTokenPrices[paymentToken] = price;
+        emit PaymentTokenPriceUpdated(paymentToken, price);
+    }
+    
+    /**
+     * @dev Gets the price of one token in an ERC-20 payment token
+     * @param paymentToken Address of the ERC-20 token
+     * @return Price in the smallest unit of the payment token, zero if it is not accepted
+     */
+    function paymentTokenPrice(address paymentToken) external view returns (uint256) {
+        return _paymentTokenPrices[paymentToken];
+    }
+    
+    /**
+     * @dev Gets the ERC-20 payment tokens that were ever given a price
+     * @return Addresses of the payment tokens, including ones no longer accepted
+     */
+    function getPaymentTokens() external view returns (address[] memory) {
+        return _paymentTokens;
+    }
+    
+    /**
+     * @dev Buys tokens with an ERC-20 payment token the caller approved the token contract for
+     * The payment is revenue for withdrawPaymentTokens; unlike ETH purchases it does not back
+     * the token reserve, so these tokens cannot be sold back for ETH out of it (see sellTokens).
+     * @param paymentToken Address of the accepted ERC-20 token
+     * @param amount Number of tokens to buy
+     */
+    function buyTokensWith(address paymentToken, uint256 amount)
+        public
+        nonReentrant
+        whenNotPaused(PauseSwitch.Payments)
+    {
+        uint256 price = _paymentTokenPrices[paymentToken];
+        require(price > 0, "Payment token not accepted");
+        uint256 cost = amount * price;
+        
+        // Count what arrived rather than what was sent, tokens may keep part of a transfer
+        IERC20 token = IERC20(paymentToken);
+        uint256 balanceBefore = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), cost);
+        require(token.balanceOf(address(this)) - balanceBefore >= cost, "Insufficient payment");
+        
+        _mint(msg.sender, amount);
+        emit TokensBoughtWithToken(msg.sender, paymentToken, amount, cost);
+    }
+    
+    /**
+     * @dev Buys tokens with an EIP-2612 payment token, approving the token contract by signature
+     * @param paymentToken Address of the accepted ERC-20 token
+     * @param amount Number of tokens to buy
+     * @param deadline Timestamp until which the permit is valid
+     * @param v Recovery byte of the permit signature
+     * @param r First half of the permit signature
+     * @param s Second half of the permit signature
+     */
+    function buyTokensWithPermit(
+        address paymentToken,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        _permit(paymentToken, address(this), amount * _paymentTokenPrices[paymentToken], deadline, v, r, s);
+        buyTokensWith(paymentToken, amount);
+    }
+    
+    /**
+     * @dev Withdraws the payments received in an ERC-20 token to the calling treasurer
+     * @param paymentToken Address of the ERC-20 token
+     */
+    function withdrawPaymentTokens(address paymentToken) external onlyRole(TREASURER_ROLE) nonReentrant {
+        IERC20 token = IERC20(paymentToken);
+        token.safeTransfer(msg.sender, token.balanceOf(address(this)));
+    }
+    
+    /**
+     * @dev Renews the caller's account, paying the period in an ERC-20 token
+     * The cost of the tier in the token, set at the service provider, is split between the members
+     * like escrow payments, and each member's share is pulled from their allowance to the token
+     * contract, so every member has to approve theirs first. Members' escrow deposits are left
+     * untouched. Like renewSubscription it only renews within autoRenewWindow of the expiry and
+     * once per period, so shares are pulled once per period however often members call it.
+     * The new period starts where the current one ends, no time is lost.
+     * @param serviceId ID of the service
+     * @param paymentToken Address of an ERC-20 token the service provider accepts for the tier
+     */
+    function renewWithToken(uint256 serviceId, address paymentToken) public nonReentrant {
+        UserSubscription storage userSub = userSubscriptions[msg.sender][serviceId];
+        require(userSub.exists, "Not subscribed to this service");
+        require(balanceOf[msg.sender] >= 1, "Insufficient tokens");
+        require(!_isRetired(serviceId), "Service is retired");
+        _checkNotPaused(PauseSwitch.Payments);
+        
+        uint256 accountId = userSub.accountId;
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        require(_isDueForRenewal(account), "Account is not due for renewal");
+        (, , uint256 duration) = _tier(serviceId, account.tierId);
+        
+        // Collect the members' shares and pass the cost on to the provider
+        uint256 cost = serviceProvider.tierTokenCosts(serviceId, account.tierId, paymentToken);
+        _collectShares(serviceId, accountId, IERC20(paymentToken), cost);
+        IERC20(paymentToken).safeApprove(address(serviceProvider), cost);
+        bool success = serviceProvider.processTokenPayment(serviceId, account.tierId, msg.sender, paymentToken);
+        require(success, "Payment to service provider failed");
+        
+        // Deduct token and extend expiration
+        uint256 tokenValue = _spendToken(msg.sender);
+        uint256 periodStart = account.expirationTime > block.timestamp ? account.expirationTime : block.timestamp;
+        account.periodDuration = duration;
+        account.expirationTime = periodStart + duration;
+        account.active = true;
+        _creditToken(serviceId, accountId, msg.sender, tokenValue);
+        
+        emit SubscriptionRenewed(serviceId, accountId, msg.sender, account.expirationTime);
+    }
+    
+    /**
+     * @dev Renews the caller's account with an EIP-2612 payment token, approving the caller's
+     * share by signature
+     * The other members approve their shares as for renewWithToken.
+     * @param serviceId ID of the service
+     * @param paymentToken Address of an ERC-20 token the service provider accepts for the tier
+     * @param value Amount the token contract may pull, at least the caller's share
+     * @param deadline Timestamp until which the permit is valid
+     * @param v Recovery byte of the permit signature
+     * @param r First half of the permit signature
+     * @param s Second half of the permit signature
+     */
+    function renewWithTokenPermit(
+        uint256 serviceId,
+        address paymentToken,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        _permit(paymentToken, address(this), value, deadline, v, r, s);
+        renewWithToken(serviceId, paymentToken);
+    }
+    
+    // ==================== ACCOUNT FUNCTIONS ====================
+    
+    /**
+     * @dev Calculates the cost per member for a specific subscription account
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     */
+    function calculateCostPerMember(uint256 serviceId, uint256 accountId) external {
+        // Check with service provider that the service exists
+        (bool exists, , , ) = serviceProvider.getServiceDetails(serviceId);
+        require(exists, "Service does not exist");
+        require(subscriptionAccounts[serviceId][accountId].active, "Subscription account not active");
+        
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        (uint256 serviceCost, , ) = _tier(serviceId, account.tierId);
+        uint256 memberCount = account.members.length;
+        
+        require(memberCount > 0, "No members in subscription");
+        uint256 costPerMember = serviceCost / memberCount;
+        
+        emit SubscriptionUpdate(serviceId, accountId, memberCount, costPerMember);
+    }
+    
+    // ==================== HOUSEKEEPING FUNCTIONS ====================
+    
+    /**
+     * @dev Closes empty accounts and accounts expired for longer than PRUNE_GRACE_PERIOD
+     * Anyone can call this. Members of a long expired account are removed with no unused time
+     * left to refund, their escrow deposits become withdrawable with withdrawEscrowRefund.
+     * Accounts that cannot be pruned are skipped, so a stale list does not make the call fail.
+     * @param serviceId ID of the service
+     * @param accountIds IDs of the accounts to prune, see getPrunableAccounts
+     * @return pruned Number of accounts pruned
+     */
+    function pruneAccounts(uint256 serviceId, uint256[] calldata accountIds) external nonReentrant returns (uint256 pruned) {
+        for (uint256 i = 0; i < accountIds.length; i++) {
+            uint256 accountId = accountIds[i];
+            if (!isPrunable(serviceId, accountId)) continue;
+            
+            uint256 memberCount = subscriptionAccounts[serviceId][accountId].members.length;
+            if (memberCount > 0) {
+                _closeAccount(serviceId, accountId);
+            } else {
+                subscriptionAccounts[serviceId][accountId].active = false;
+                _deactivateAccount(serviceId, accountId);
+            }
+            pruned++;
+            
+            emit AccountPruned(serviceId, accountId, memberCount);
+        }
+    }
+    
+    /**
+     * @dev Agrees or stops agreeing to have the caller's account merged with another one
+     * @param serviceId ID of the service
+     * @param consent Whether the caller's account may be merged
+     */
+    function setMergeConsent(uint256 serviceId, bool consent) external {
+        require(userSubscriptions[msg.sender][serviceId].exists, "Not subscribed to this service");
+        mergeConsent[msg.sender][serviceId] = consent;
+        emit MergeConsentUpdated(msg.sender, serviceId, consent);
+    }
+    
+    /**
+     * @dev Combines two underfilled accounts of the same tier once every member of both agreed
+     * The account that expires later is kept. Members of the other account are moved into it with
+     * their escrow deposits and their access at the provider is cancelled so that credentials of
+     * the kept account can be issued. The time their tokens paid for carries over rather than
+     * being refunded: they use the kept account instead, and get the unused time back when they
+     * leave it (see calculateLeaveRefund). The consent of every member is used up by the merge.
+     * @param serviceId ID of the service
+     * @param accountId ID of one of the accounts
+     * @param otherAccountId ID of the other account
+     */
+    function mergeAccounts(uint256 serviceId, uint256 accountId, uint256 otherAccountId) external nonReentrant {
+        require(accountId != otherAccountId, "Cannot merge an account with itself");
+        SubscriptionAccount storage kept = subscriptionAccounts[serviceId][accountId];
+        SubscriptionAccount storage merged = subscriptionAccounts[serviceId][otherAccountId];
+        if (merged.expirationTime > kept.expirationTime) {
+            (kept, merged) = (merged, kept);
+            (accountId, otherAccountId) = (otherAccountId, accountId);
+        }
+        
+        require(kept.members.length > 0 && merged.members.length > 0, "No members in subscription");
+        require(kept.expirationTime >= block.timestamp, "Subscription has expired");
+        require(kept.tierId == merged.tierId, "Accounts are on different tiers");
+        (, uint256 maxSeats, ) = _tier(serviceId, kept.tierId);
+        require(kept.members.length + merged.members.length <= maxSeats, "Too many members to merge");
+        require(_allAgreedToMerge(serviceId, kept) && _allAgreedToMerge(serviceId, merged), "Not every member agreed");
+        
+        uint256 memberCount = merged.members.length;
+        while (merged.members.length > 0) {
+            address member = merged.members[merged.members.length - 1];
+            merged.members.pop();
+            merged.isMember[member] = false;
+            
+            // The deposit follows the member into the kept account
+            uint256 deposit = escrowDeposits[serviceId][otherAccountId][member];
+            if (deposit > 0) {
+                delete escrowDeposits[serviceId][otherAccountId][member];
+                accountEscrow[serviceId][otherAccountId] -= deposit;
+                escrowDeposits[serviceId][accountId][member] += deposit;
+                accountEscrow[serviceId][accountId] += deposit;
+            }
+            
+            // So does the time the member's tokens paid for, the redundant subscription is cancelled
+            _tokenCredits[serviceId][accountId][member] = _tokenCredits[serviceId][otherAccountId][member];
+            delete _tokenCredits[serviceId][otherAccountId][member];
+            serviceProvider.cancelSubscription(member, serviceId);
+            
+            emit MemberMoved(member, serviceId, otherAccountId, accountId);
+            _addMember(serviceId, accountId, member);
+        }
+        
+        // Another merge needs a new agreement
+        for (uint256 i = 0; i < kept.members.length; i++) {
+            delete mergeConsent[kept.members[i]][serviceId];
+            emit MergeConsentUpdated(kept.members[i], serviceId, false);
+        }
+        
+        merged.active = false;
+        merged.expirationTime = block.timestamp;
+        _updateMatching(serviceId, otherAccountId);
+        _deactivateAccount(serviceId, otherAccountId);
+        
+        emit AccountsMerged(serviceId, otherAccountId, accountId, memberCount);
+    }
+    
+    /**
+     * @dev Checks whether pruneAccounts would close an account
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @return Whether the account is active and empty or expired for longer than PRUNE_GRACE_PERIOD
+     */
+    function isPrunable(uint256 serviceId, uint256 accountId) public view returns (bool) {
+        if (_activeAccountPositions[serviceId][accountId] == 0) return false;
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        return account.members.length == 0 || account.expirationTime + PRUNE_GRACE_PERIOD < block.timestamp;
+    }
+    
+    /**
+     * @dev Lists the accounts of a service that pruneAccounts would close
+     * @param serviceId ID of the service
+     * @return Account IDs for which isPrunable is true
+     */
+    function getPrunableAccounts(uint256 serviceId) external view returns (uint256[] memory) {
+        uint256[] storage accounts = activeSubscriptionsByService[serviceId];
+        uint256[] memory prunable = new uint256[](accounts.length);
+        uint256 count = 0;
+        
+        for (uint256 i = 0; i < accounts.length; i++) {
+            if (isPrunable(serviceId, accounts[i])) {
+                prunable[count] = accounts[i];
+                count++;
+            }
+        }
+        
+        // Copy into an array of the right length
+        uint256[] memory result = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            result[i] = prunable[i];
+        }
+        return result;
+    }
+    
+    // ==================== SEAT CONTRACT FUNCTIONS ====================
+    
+    /**
+     * @dev Hands a member's seat in their account to another user
+     * Called by the seat contract when a seat NFT changes hands. The recipient takes the
+     * member's place in the account with their own settings and the time the member's tokens
+     * paid for; the sender's unspent escrow deposit is set aside for withdrawEscrowRefund and
+     * the recipient owes their own share.
+     * An invitation of the recipient to the account is used up. Votes are recorded per address, so
+     * seats cannot change hands while the account has proposals that were not executed, otherwise
+     * a member could vote again from a second address.
+     * @param from Address of the member giving up the seat
+     * @param to Address of the recipient, who needs a registered public key for the credentials
+     * @param serviceId ID of the service
+     */
+    function transferSeat(address from, address to, uint256 serviceId) external whenNotPaused(PauseSwitch.Joins) {
+        require(msg.sender == seatContractAddress, "Only seat contract can call this function");
+        require(bytes(userPublicKeys[to]).length > 0, "Recipient has no public key");
+        require(!userSubscriptions[to][serviceId].exists, "Already subscribed to this service");
+        
+        uint256 accountId = userSubscriptions[from][serviceId].accountId;
+        require(
+            ISubscriptionVoting(votingContractAddress).openProposals(serviceId, accountId) == 0,
+            "Account has open proposals"
+        );
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        for (uint256 i = 0; i < account.members.length; i++) {
+            if (account.members[i] == from) {
+                account.members[i] = to;
+                break;
+            }
+        }
+        account.isMember[from] = false;
+        account.isMember[to] = true;
+        delete accountInvites[serviceId][accountId][to];
+        _tokenCredits[serviceId][accountId][to] = _tokenCredits[serviceId][accountId][from];
+        _clearMembership(serviceId, accountId, from);
+        userSubscriptions[to][serviceId] = UserSubscription(true, serviceId, accountId);
+        
+        serviceProvider.transferSubscription(from, to, serviceId);
+        serviceProvider.cancelSubscription(from, serviceId);
+        
+        emit UserLeftSubscription(from, serviceId, accountId, 0);
+        emit UserAddedToSubscription(to, serviceId, accountId);
+    }
+    
+    // ==================== MARKETPLACE FUNCTIONS ====================
+    
+    /**
+     * @dev Pays the seller of a seat bought on the marketplace in tokens
+     * @param buyer Address of the buyer paying the tokens
+     * @param seller Address of the seller receiving them
+     * @param amount Number of tokens
+     */
+    function payWithTokens(address buyer, address seller, uint256 amount) external {
+        require(msg.sender == marketplaceAddress, "Only marketplace can call this function");
+        _transfer(buyer, seller, amount);
+    }
+    
+    // ==================== INTERNAL FUNCTIONS ====================
+    
+    /**
+     * @dev Moves tokens between holders
+     * Tokens not backed by the token reserve are moved first, backed ones stay backed.
+     * @param from Address of the holder
+     * @param to Address of the recipient
+     * @param amount Number of tokens
+     */
+    function _transfer(address from, address to, uint256 amount) internal {
+        require(to != address(0), "Transfer to the zero address");
+        require(balanceOf[from] >= amount, "Insufficient tokens");
+        uint256 backed = _backedPart(from, amount);
+        _backedBalances[from] -= backed;
+        _backedBalances[to] += backed;
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount;
+        emit Transfer(from, to, amount);
+    }
+    
+    /**
+     * @dev Checks whether every member of an account agreed to merge it
+     * @param serviceId ID of the service
+     * @param account The subscription account
+     * @return Whether every member gave their consent
+     */
+    function _allAgreedToMerge(uint256 serviceId, SubscriptionAccount storage account) internal view returns (bool) {
+        for (uint256 i = 0; i < account.members.length; i++) {
+            if (!mergeConsent[account.members[i]][serviceId]) return false;
+        }
+        return true;
+    }
+    
+    /**
+     * @dev Pulls each member's share of a cost in an ERC-20 token, split like _debitMembers
+     * splits escrow payments
+     * What is left over from rounding the shares up stays with the payment token revenue.
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @param token ERC-20 token the members pay in
+     * @param cost Amount to split
+     */
+    function _collectShares(uint256 serviceId, uint256 accountId, IERC20 token, uint256 cost) internal {
+        address[] storage members = subscriptionAccounts[serviceId][accountId].members;
+        uint256 share = _shareOf(cost, members.length);
+        
+        // Count what arrived rather than what was sent, tokens may keep part of a transfer
+        uint256 balanceBefore = token.balanceOf(address(this));
+        for (uint256 i = 0; i < members.length; i++) {
+            require(token.allowance(members[i], address(this)) >= share, "Member has not approved their share");
+            token.safeTransferFrom(members[i], address(this), share);
+        }
+        require(token.balanceOf(address(this)) - balanceBefore >= share * members.length, "Insufficient payment");
+    }
+    
+    /**
+     * @dev Approves a spender of the caller's payment tokens with an EIP-2612 permit
+     * A failing permit is ignored, as someone may have submitted it first; the transfer that
+     * follows fails if the allowance is still missing.
+     * @param paymentToken Address of the ERC-20 token
+     * @param spender Address allowed to pull the tokens
+     * @param value Amount allowed
+     * @param deadline Timestamp until which the permit is valid
+     * @param v Recovery byte of the permit signature
+     * @param r First half of the permit signature
+     * @param s Second half of the permit signature
+     */
+    function _permit(
+        address paymentToken,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        try IERC20Permit(paymentToken).permit(msg.sender, spender, value, deadline, v, r, s) {} catch {}
+    }
+}
@@ -0,0 +1,192 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./SharedSubscriptionTokenBase.sol";
+
+/**
+ * @title SharedSubscriptionTokenMigration
+ * @dev Implementation a SharedSubscriptionToken proxy starts on.
+ * It initializes the proxy and lets the owner import the state of a legacy deployment: token
+ * balances, public keys, accounts with their members and escrow deposits, and pending escrow
+ * refunds. The proxy is then upgraded to SharedSubscriptionToken, which has the same storage
+ * layout through SharedSubscriptionTokenBase (see scripts/migrate.js).
+ * Imported accounts keep their IDs, so credentials stored per account stay valid. The ETH of the
+ * legacy contract cannot be moved: the owner sends the ETH of the imported deposits along.
+ */
+contract SharedSubscriptionTokenMigration is SharedSubscriptionTokenBase {
+    /**
+     * @dev State of an active legacy account to import
+     * @param serviceId ID of the service
+     * @param accountId ID of the account in the legacy deployment
+     * @param tierId ID of the plan tier of the account
+     * @param expirationTime Timestamp when the current period expires
+     * @param periodDuration Length of the current period
+     * @param creator Creator of a private account, zero for accounts that take part in the matching
+     * @param members Members in the order they joined
+     * @param escrowDeposits Unspent escrow deposit of each member
+     * @param autoRenew Whether each member opted in to auto-renewal
+     * @param mergeConsent Whether each member agreed to have the account merged
+     */
+    struct AccountImport {
+        uint256 serviceId;
+        uint256 accountId;
+        uint256 tierId;
+        uint256 expirationTime;
+        uint256 periodDuration;
+        address creator;
+        address[] members;
+        uint256[] escrowDeposits;
+        bool[] autoRenew;
+        bool[] mergeConsent;
+    }
+    
+    /**
+     * @dev Constructor function
+     * Locks the implementation itself, only proxies using it can be initialized
+     */
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Sets up a proxy of the token
+     * @param initialOwner Address becoming owner and holding every role
+     */
+    function initialize(address initialOwner) external initializer {
+        _initialize(initialOwner);
+    }
+    
+    // ==================== IMPORT FUNCTIONS ====================
+    
+    /**
+     * @dev Sets the token balances of users, minting or burning the difference
+     * The imported tokens are not backed by the token reserve: the ETH they were bought with
+     * stays with the legacy contract.
+     * @param users Addresses of the users
+     * @param balances Token balance of each user
+     */
+    function importBalances(address[] calldata users, uint256[] calldata balances) external onlyOwner {
+        require(users.length == balances.length, "Length mismatch");
+        for (uint256 i = 0; i < users.length; i++) {
+            uint256 balance = balanceOf[users[i]];
+            if (balances[i] > balance) {
+                _mint(users[i], balances[i] - balance);
+            } else if (balances[i] < balance) {
+                _burn(users[i], balance - balances[i]);
+            }
+        }
+    }
+    
+    /**
+     * @dev Registers the public keys of users
+     * Emits PublicKeyRegistered so the credentials operator issues credentials for the new deployment.
+     * @param users Addresses of the users
+     * @param publicKeys Public key of each user
+     */
+    function importPublicKeys(address[] calldata users, string[] calldata publicKeys) external onlyOwner {
+        require(users.length == publicKeys.length, "Length mismatch");
+        for (uint256 i = 0; i < users.length; i++) {
+            userPublicKeys[users[i]] = publicKeys[i];
+            emit PublicKeyRegistered(users[i], publicKeys[i]);
+        }
+    }
+    
+    /**
+     * @dev Recreates active accounts with their members, settings and escrow deposits
+     * The service provider has to be wired and know the tiers of the accounts.
+     * @param accounts Accounts to import
+     */
+    function importAccounts(AccountImport[] calldata accounts) external payable onlyOwner {
+        uint256 deposited = 0;
+        for (uint256 i = 0; i < accounts.length; i++) {
+            deposited += _importAccount(accounts[i]);
+        }
+        require(msg.value == deposited, "Escrow deposits not funded");
+    }
+    
+    /**
+     * @dev Raises the account counters of services, so closed legacy accounts keep their IDs unused
+     * @param serviceIds IDs of the services
+     * @param counts Number of accounts ever created for each service
+     */
+    function importSubscriptionCounts(uint256[] calldata serviceIds, uint256[] calldata counts) external onlyOwner {
+        require(serviceIds.length == counts.length, "Length mismatch");
+        for (uint256 i = 0; i < serviceIds.length; i++) {
+            if (counts[i] > subscriptionCounts[serviceIds[i]]) {
+                subscriptionCounts[serviceIds[i]] = counts[i];
+            }
+        }
+    }
+    
+    /**
+     * @dev Adds the escrow refunds removed members have not withdrawn yet
+     * @param users Addresses of the former members
+     * @param amounts Pending refund of each former member
+     */
+    function importEscrowRefunds(address[] calldata users, uint256[] calldata amounts) external payable onlyOwner {
+        require(users.length == amounts.length, "Length mismatch");
+        uint256 total = 0;
+        for (uint256 i = 0; i < users.length; i++) {
+            pendingEscrowRefunds[users[i]] += amounts[i];
+            total += amounts[i];
+        }
+        totalEscrowed += total;
+        require(msg.value == total, "Escrow refunds not funded");
+    }
+    
+    // ==================== INTERNAL FUNCTIONS ====================
+    
+    /**
+     * @dev Recreates one account under its legacy ID
+     * @param data State of the account
+     * @return deposited Total escrow deposits of the members
+     */
+    function _importAccount(AccountImport calldata data) internal returns (uint256 deposited) {
+        uint256 serviceId = data.serviceId;
+        uint256 accountId = data.accountId;
+        uint256 memberCount = data.members.length;
+        require(
+            data.escrowDeposits.length == memberCount
+                && data.autoRenew.length == memberCount
+                && data.mergeConsent.length == memberCount,
+            "Length mismatch"
+        );
+        
+        SubscriptionAccount storage account = subscriptionAccounts[serviceId][accountId];
+        require(accountId > 0 && account.expirationTime == 0, "Account already exists");
+        account.active = true;
+        account.expirationTime = data.expirationTime;
+        account.periodDuration = data.periodDuration;
+        account.serviceId = serviceId;
+        account.tierId = data.tierId;
+        account.creator = data.creator;
+        if (accountId > subscriptionCounts[serviceId]) {
+            subscriptionCounts[serviceId] = accountId;
+        }
+        activeSubscriptionsByService[serviceId].push(accountId);
+        _activeAccountPositions[serviceId][accountId] = activeSubscriptionsByService[serviceId].length;
+        
+        emit SubscriptionAccountCreated(serviceId, accountId, data.tierId);
+        if (data.creator != address(0)) {
+            emit PrivateAccountCreated(serviceId, accountId, data.creator);
+        }
+        
+        for (uint256 i = 0; i < memberCount; i++) {
+            address member = data.members[i];
+            require(!userSubscriptions[member][serviceId].exists, "Already subscribed to this service");
+            _addMember(serviceId, accountId, member);
+            // Legacy members paid for the period with a token bought at the fixed price
+            _creditToken(serviceId, accountId, member, tokenPrice);
+            if (data.autoRenew[i]) {
+                autoRenewEnabled[member][serviceId] = true;
+                emit AutoRenewUpdated(member, serviceId, true);
+            }
+            if (data.mergeConsent[i]) {
+                mergeConsent[member][serviceId] = true;
+                emit MergeConsentUpdated(member, serviceId, true);
+            }
+            _depositToEscrow(serviceId, accountId, member, data.escrowDeposits[i]);
+            deposited += data.escrowDeposits[i];
+        }
+    }
+}
@@ -0,0 +1,173 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+
+/**
+ * @title SubscriptionAccessControl
+ * @dev Ownership and roles shared by the contracts of the system.
+ * The owner wires contracts together and grants and revokes roles; each contract gates its
+ * privileged functions behind the role of the duty they belong to (credentials, treasury,
+ * catalog...), so those duties can be handed to separate accounts. Ownership is transferred
+ * in two steps: the new owner has to accept it, so a mistyped address cannot take over.
+ * Roles are not tied to the owner and stay with their holders when ownership changes.
+ * Contracts set up their state in an initializer instead of the constructor so they can also run
+ * behind a proxy; state added to this contract has to take its slots from __gap.
+ */
+abstract contract SubscriptionAccessControl is Initializable {
+    // Contract owner address
+    address public owner;
+    
+    // Address ownership is being transferred to, until it accepts
+    address public pendingOwner;
+    
+    // Maps role => account => whether the account holds the role
+    mapping(bytes32 => mapping(address => bool)) private _roles;
+    
+    // Reserved storage slots, so inheriting contracts keep their layout when variables are added here
+    uint256[47] private __gap;
+    
+    // ==================== EVENTS ====================
+    
+    // Emitted when an account is granted a role
+    event RoleGranted(bytes32 role, address account, address sender);
+    
+    // Emitted when an account loses a role, revoked by the owner or renounced by the account
+    event RoleRevoked(bytes32 role, address account, address sender);
+    
+    // Emitted when the owner offers ownership to a new address
+    event OwnershipTransferStarted(address previousOwner, address newOwner);
+    
+    // Emitted when ownership changes hands
+    event OwnershipTransferred(address previousOwner, address newOwner);
+    
+    // ==================== MODIFIERS ====================
+    
+    /**
+     * @dev Restricts function access to the contract owner
+     */
+    modifier onlyOwner() {
+        _checkOwner();
+        _;
+    }
+    
+    /**
+     * @dev Restricts function access to holders of a role
+     * @param role ID of the role
+     */
+    modifier onlyRole(bytes32 role) {
+        _checkRole(role);
+        _;
+    }
+    
+    // ==================== ROLE FUNCTIONS ====================
+    
+    /**
+     * @dev Checks whether an account holds a role
+     * @param role ID of the role
+     * @param account Address to check
+     * @return Whether the account holds the role
+     */
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return _roles[role][account];
+    }
+    
+    /**
+     * @dev Grants a role to an account, does nothing if it already holds it
+     * @param role ID of the role
+     * @param account Address receiving the role
+     */
+    function grantRole(bytes32 role, address account) external onlyOwner {
+        _grantRole(role, account);
+    }
+    
+    /**
+     * @dev Revokes a role from an account, does nothing if it does not hold it
+     * @param role ID of the role
+     * @param account Address losing the role
+     */
+    function revokeRole(bytes32 role, address account) external onlyOwner {
+        _revokeRole(role, account);
+    }
+    
+    /**
+     * @dev Gives up a role of the caller, e.g. when its key may be compromised
+     * @param role ID of the role
+     */
+    function renounceRole(bytes32 role) external {
+        _revokeRole(role, msg.sender);
+    }
+    
+    // ==================== OWNERSHIP FUNCTIONS ====================
+    
+    /**
+     * @dev Offers ownership to a new address, which has to call acceptOwnership
+     * Offering it again replaces the previous offer, offering it to the zero address cancels it.
+     * @param newOwner Address of the new owner
+     */
+    function transferOwnership(address newOwner) external onlyOwner {
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+    
+    /**
+     * @dev Accepts ownership offered with transferOwnership
+     */
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Ownable: caller is not the new owner");
+        _transferOwnership(msg.sender);
+    }
+    
+    // ==================== INTERNAL FUNCTIONS ====================
+    
+    /**
+     * @dev Sets up ownership, called from the initializer of the inheriting contract
+     * @param initialOwner Address of the first owner
+     */
+    function _initAccessControl(address initialOwner) internal onlyInitializing {
+        _transferOwnership(initialOwner);
+    }
+    
+    /**
+     * @dev Reverts unless the caller is the owner
+     */
+    function _checkOwner() internal view virtual {
+        require(msg.sender == owner, "Ownable: caller is not the owner");
+    }
+    
+    /**
+     * @dev Reverts unless the caller holds a role
+     * @param role ID of the role
+     */
+    function _checkRole(bytes32 role) internal view virtual {
+        require(_roles[role][msg.sender], "AccessControl: caller is missing role");
+    }
+    
+    /**
+     * @dev Grants a role and emits RoleGranted unless the account already holds it
+     */
+    function _grantRole(bytes32 role, address account) internal {
+        if (_roles[role][account]) return;
+        _roles[role][account] = true;
+        emit RoleGranted(role, account, msg.sender);
+    }
+    
+    /**
+     * @dev Revokes a role and emits RoleRevoked unless the account does not hold it
+     */
+    function _revokeRole(bytes32 role, address account) internal {
+        if (!_roles[role][account]) return;
+        _roles[role][account] = false;
+        emit RoleRevoked(role, account, msg.sender);
+    }
+    
+    /**
+     * @dev Hands ownership to a new address and clears any pending offer
+     */
+    function _transferOwnership(address newOwner) internal {
+        address previousOwner = owner;
+        owner = newOwner;
+        delete pendingOwner;
+        emit OwnershipTransferred(previousOwner, newOwner);
+    }
+}
@@ -0,0 +1,124 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./SubscriptionAccessControl.sol";
+
+/**
+ * @title SubscriptionPausable
+ * @dev Circuit breaker shared by the contracts of the system.
+ * Each switch halts one kind of operation: payments, users joining accounts, execution of
+ * governance decisions or reading credentials. Guardians can pause a switch when an incident
+ * is suspected but cannot unpause it; a pause lifts by itself after pauseDuration unless a
+ * guardian pauses again, and the owner can lift it earlier. Leaving accounts and withdrawing
+ * funds are never paused and need no price feed, so members can always get their escrow
+ * deposits and the refund for unused time out and the treasury its revenue. Selling tokens
+ * back for ETH is a payment: it stops while payments are paused.
+ */
+abstract contract SubscriptionPausable is SubscriptionAccessControl {
+    /**
+     * @dev Kinds of operations that can be paused
+     * Payments: buying and selling back tokens, paying for accounts, renewals and escrow deposits
+     * Joins: users entering accounts by subscribing, invitation or merge
+     * Governance: execution of proposals and the account changes they make
+     * CredentialReads: members fetching their encrypted credentials
+     */
+    enum PauseSwitch { Payments, Joins, Governance, CredentialReads }
+    
+    // Role allowed to pause switches, but not to unpause them
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    
+    // Longest pause a guardian can set in one go
+    uint256 public constant MAX_PAUSE_DURATION = 30 days;
+    
+    // How long a pause lasts unless the owner lifts it earlier
+    uint256 public pauseDuration;
+    
+    // Maps switch => timestamp its pause lifts at, in the past when not paused
+    mapping(PauseSwitch => uint256) public pausedUntil;
+    
+    // Reserved storage slots, so inheriting contracts keep their layout when variables are added here
+    uint256[48] private __gap;
+    
+    // ==================== EVENTS ====================
+    
+    // Emitted when a guardian pauses a switch, or pauses it again to extend the pause
+    event Paused(PauseSwitch pauseSwitch, uint256 until, address account);
+    
+    // Emitted when the owner lifts a pause before it expires
+    event Unpaused(PauseSwitch pauseSwitch, address account);
+    
+    // Emitted when the owner changes how long pauses last
+    event PauseDurationUpdated(uint256 pauseDuration);
+    
+    // ==================== MODIFIERS ====================
+    
+    /**
+     * @dev Restricts function access to times a switch is not paused
+     * @param pauseSwitch Switch guarding the function
+     */
+    modifier whenNotPaused(PauseSwitch pauseSwitch) {
+        _checkNotPaused(pauseSwitch);
+        _;
+    }
+    
+    // ==================== PAUSE FUNCTIONS ====================
+    
+    /**
+     * @dev Checks whether a switch is paused
+     * @param pauseSwitch Switch to check
+     * @return Whether the switch is paused
+     */
+    function isPaused(PauseSwitch pauseSwitch) public view returns (bool) {
+        return block.timestamp < pausedUntil[pauseSwitch];
+    }
+    
+    /**
+     * @dev Pauses a switch for pauseDuration from now
+     * Pausing a paused switch extends the pause.
+     * @param pauseSwitch Switch to pause
+     */
+    function pause(PauseSwitch pauseSwitch) external onlyRole(GUARDIAN_ROLE) {
+        uint256 until = block.timestamp + pauseDuration;
+        pausedUntil[pauseSwitch] = until;
+        emit Paused(pauseSwitch, until, msg.sender);
+    }
+    
+    /**
+     * @dev Lifts the pause of a switch before it expires
+     * @param pauseSwitch Switch to unpause
+     */
+    function unpause(PauseSwitch pauseSwitch) external onlyOwner {
+        delete pausedUntil[pauseSwitch];
+        emit Unpaused(pauseSwitch, msg.sender);
+    }
+    
+    /**
+     * @dev Updates how long pauses last, pauses already in place keep their end
+     * @param newDuration New duration in seconds, at most MAX_PAUSE_DURATION
+     */
+    function setPauseDuration(uint256 newDuration) external onlyOwner {
+        require(newDuration > 0 && newDuration <= MAX_PAUSE_DURATION, "Invalid pause duration");
+        pauseDuration = newDuration;
+        emit PauseDurationUpdated(newDuration);
+    }
+    
+    // ==================== INTERNAL FUNCTIONS ====================
+    
+    /**
+     * @dev Sets up ownership and pauses lasting 3 days, with the owner as guardian
+     * @param initialOwner Address of the first owner
+     */
+    function _initPausable(address initialOwner) internal onlyInitializing {
+        _initAccessControl(initialOwner);
+        _grantRole(GUARDIAN_ROLE, initialOwner);
+        pauseDuration = 3 days;
+    }
+    
+    /**
+     * @dev Reverts while a switch is paused
+     * @param pauseSwitch Switch to check
+     */
+    function _checkNotPaused(PauseSwitch pauseSwitch) internal view virtual {
+        require(!isPaused(pauseSwitch), "Pausable: paused");
+    }
+}
@@ -0,0 +1,8 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Proxy contracts of upgradeable deployments (see scripts/deploy.js): every contract of the system
+// sits behind a TransparentUpgradeableProxy administered by a ProxyAdmin owned by the deployer,
+// so the contracts themselves carry no upgrade logic.
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
@@ -0,0 +1,232 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "./SubscriptionAccessControl.sol";
+
+/**
+ * @dev Interface for interacting with the SharedSubscriptionToken contract and its extension
+ */
+interface IMarketplaceSubscriptionToken {
+    function getUserSubscriptionDetails(address user, uint256 serviceId) external view returns (bool, uint256);
+    function subscriptionAccounts(uint256 serviceId, uint256 accountId) external view
+        returns (bool, uint256, uint256, uint256, uint256, address);
+    function accountInvites(uint256 serviceId, uint256 accountId, address user) external view returns (bool);
+    function payWithTokens(address buyer, address seller, uint256 amount) external;
+}
+
+/**
+ * @dev Interface for interacting with the SubscriptionSeats contract
+ */
+interface IMarketplaceSeats is IERC721 {
+    function seatOf(address holder, uint256 serviceId) external view returns (uint256);
+    function seatService(uint256 seatId) external view returns (uint256);
+}
+
+/**
+ * @title SubscriptionSeatMarketplace
+ * @dev Lets members sell their seat in a shared account, with the rest of its current period,
+ * for subscription tokens or ETH.
+ * A seller approves the marketplace on their seat NFT and lists it. A purchase moves the seat
+ * to the buyer, which hands the membership over through the token contract (the seller's access
+ * and credentials at the provider are cancelled), and pays the seller in the same transaction.
+ * Sellers can require the account's approval of the buyer: the buyer then has to be invited to
+ * the account through an InviteUser proposal of SubscriptionVoting before they can buy.
+ */
+contract SubscriptionSeatMarketplace is SubscriptionAccessControl {
+    /**
+     * @dev A seat offered for sale
+     * @param seller Address of the member selling the seat
+     * @param price Price in tokens or in wei
+     * @param inTokens Whether the price is in subscription tokens rather than ETH
+     * @param requiresApproval Whether the buyer must have been invited to the account by a vote
+     */
+    struct Listing {
+        address seller;
+        uint256 price;
+        bool inTokens;
+        bool requiresApproval;
+    }
+    
+    // Address of the SharedSubscriptionToken contract
+    address public tokenContractAddress;
+    
+    // Address of the SubscriptionSeats contract
+    address public seatContractAddress;
+    
+    // Listings by seat ID
+    mapping(uint256 => Listing) public listings;
+    
+    // State variable for reentrancy guard
+    bool private _locked;
+    
+    // ==================== EVENTS ====================
+    
+    // Emitted when a member offers their seat for sale
+    event SeatListed(
+        uint256 seatId,
+        address seller,
+        uint256 serviceId,
+        uint256 accountId,
+        uint256 price,
+        bool inTokens,
+        bool requiresApproval
+    );
+    
+    // Emitted when a seller withdraws their offer
+    event SeatListingCancelled(uint256 seatId, address seller);
+    
+    // Emitted when a seat is bought
+    event SeatSold(uint256 seatId, address seller, address buyer, uint256 serviceId, uint256 price, bool inTokens);
+    
+    /**
+     * @dev Constructor function
+     * @param _tokenContractAddress Address of the SharedSubscriptionToken contract
+     * @param _seatContractAddress Address of the SubscriptionSeats contract
+     */
+    constructor(address _tokenContractAddress, address _seatContractAddress) {
+        initialize(msg.sender, _tokenContractAddress, _seatContractAddress);
+    }
+    
+    /**
+     * @dev Sets up the owner and the contracts traded on, run by the constructor or through a proxy
+     * @param initialOwner Address becoming owner
+     * @param _tokenContractAddress Address of the SharedSubscriptionToken contract
+     * @param _seatContractAddress Address of the SubscriptionSeats contract
+     */
+    function initialize(address initialOwner, address _tokenContractAddress, address _seatContractAddress)
+        public
+        initializer
+    {
+        _initAccessControl(initialOwner);
+        tokenContractAddress = _tokenContractAddress;
+        seatContractAddress = _seatContractAddress;
+    }
+    
+    // ==================== MODIFIERS ====================
+    
+    /**
+     * @dev Prevents reentrancy attacks
+     */
+    modifier nonReentrant() {
+        require(!_locked, "ReentrancyGuard: reentrant call");
+        _locked = true;
+        _;
+        _locked = false;
+    }
+    
+    // ==================== ADMIN FUNCTIONS ====================
+    
+    /**
+     * @dev Sets the address of the token contract
+     * @param _tokenContractAddress Address of the SharedSubscriptionToken contract
+     */
+    function setTokenContractAddress(address _tokenContractAddress) external onlyOwner {
+        tokenContractAddress = _tokenContractAddress;
+    }
+    
+    /**
+     * @dev Sets the address of the seat contract
+     * @param _seatContractAddress Address of the SubscriptionSeats contract
+     */
+    function setSeatContractAddress(address _seatContractAddress) external onlyOwner {
+        seatContractAddress = _seatContractAddress;
+    }
+    
+    // ==================== USER FUNCTIONS ====================
+    
+    /**
+     * @dev Offers the caller's seat for a service for sale, replacing an earlier offer
+     * The marketplace must be approved on the seat NFT.
+     * @param serviceId ID of the service
+     * @param price Price in tokens or in wei
+     * @param inTokens Whether the price is in subscription tokens rather than ETH
+     * @param requiresApproval Whether only users invited to the account by a vote may buy
+     * @return seatId ID of the listed seat
+     */
+    function listSeat(uint256 serviceId, uint256 price, bool inTokens, bool requiresApproval)
+        external
+        returns (uint256 seatId)
+    {
+        IMarketplaceSeats seats = IMarketplaceSeats(seatContractAddress);
+        seatId = seats.seatOf(msg.sender, serviceId);
+        require(seatId != 0, "No seat for this service");
+        require(price > 0, "Price must be positive");
+        require(
+            seats.getApproved(seatId) == address(this) || seats.isApprovedForAll(msg.sender, address(this)),
+            "Marketplace not approved for the seat"
+        );
+        
+        listings[seatId] = Listing(msg.sender, price, inTokens, requiresApproval);
+        (, uint256 accountId) = IMarketplaceSubscriptionToken(tokenContractAddress).getUserSubscriptionDetails(
+            msg.sender,
+            serviceId
+        );
+        emit SeatListed(seatId, msg.sender, serviceId, accountId, price, inTokens, requiresApproval);
+    }
+    
+    /**
+     * @dev Withdraws the caller's offer of a seat
+     * @param seatId ID of the seat
+     */
+    function cancelListing(uint256 seatId) external {
+        require(listings[seatId].seller == msg.sender, "Not the seller");
+        delete listings[seatId];
+        emit SeatListingCancelled(seatId, msg.sender);
+    }
+    
+    /**
+     * @dev Buys a listed seat, taking over the seller's membership for the rest of the period
+     * ETH prices are paid with the call, token prices from the caller's token balance. The buyer
+     * needs a registered public key and no account of the service yet, and the account cannot have
+     * proposals that were not executed, as for any other seat transfer.
+     * @param seatId ID of the seat
+     */
+    function buySeat(uint256 seatId) external payable nonReentrant {
+        Listing memory listing = listings[seatId];
+        require(listing.seller != address(0), "Seat not listed");
+        IMarketplaceSeats seats = IMarketplaceSeats(seatContractAddress);
+        require(seats.ownerOf(seatId) == listing.seller, "Listing is stale");
+        
+        uint256 serviceId = seats.seatService(seatId);
+        IMarketplaceSubscriptionToken token = IMarketplaceSubscriptionToken(tokenContractAddress);
+        if (listing.requiresApproval) {
+            (, uint256 accountId) = token.getUserSubscriptionDetails(listing.seller, serviceId);
+            require(token.accountInvites(serviceId, accountId, msg.sender), "Buyer not approved by the account");
+        }
+        require(msg.value == (listing.inTokens ? 0 : listing.price), "Incorrect payment amount");
+        
+        delete listings[seatId];
+        seats.transferFrom(listing.seller, msg.sender, seatId);
+        
+        if (listing.inTokens) {
+            token.payWithTokens(msg.sender, listing.seller, listing.price);
+        } else {
+            (bool success, ) = listing.seller.call{value: listing.price}("");
+            require(success, "Transfer failed");
+        }
+        
+        emit SeatSold(seatId, listing.seller, msg.sender, serviceId, listing.price, listing.inTokens);
+    }
+    
+    // ==================== VIEW FUNCTIONS ====================
+    
+    /**
+     * @dev Gets a listing with the membership on offer
+     * @param seatId ID of the seat
+     * @return listing The listing, with a zero seller if the seat is not listed
+     * @return serviceId ID of the service
+     * @return accountId ID of the account the buyer would join
+     * @return expirationTime Timestamp when the period the buyer takes over ends
+     */
+    function getListing(uint256 seatId) external view
+        returns (Listing memory listing, uint256 serviceId, uint256 accountId, uint256 expirationTime) {
+        listing = listings[seatId];
+        if (listing.seller == address(0)) return (listing, 0, 0, 0);
+        
+        IMarketplaceSubscriptionToken token = IMarketplaceSubscriptionToken(tokenContractAddress);
+        serviceId = IMarketplaceSeats(seatContractAddress).seatService(seatId);
+        (, accountId) = token.getUserSubscriptionDetails(listing.seller, serviceId);
+        (, expirationTime, , , , ) = token.subscriptionAccounts(serviceId, accountId);
+    }
+}
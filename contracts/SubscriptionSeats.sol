@@ -0,0 +1,206 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./SubscriptionAccessControl.sol";
+
+/**
+ * @dev Interface for interacting with the SharedSubscriptionToken contract
+ */
+interface ISeatSubscriptionToken {
+    function getUserSubscriptionDetails(address user, uint256 serviceId) external view returns (bool, uint256);
+    function subscriptionAccounts(uint256 serviceId, uint256 accountId) external view
+        returns (bool, uint256, uint256, uint256, uint256, address);
+    function transferSeat(address from, address to, uint256 serviceId) external;
+}
+
+/**
+ * @title SubscriptionSeats
+ * @dev ERC-721 seats representing membership of SharedSubscriptionToken accounts.
+ * The token contract mints a seat to every member joining an account and burns it when they
+ * leave, are kicked or their account is closed. Transferring a seat hands the membership over:
+ * the token contract moves the account membership and the access at the provider to the
+ * recipient, who needs a registered public key, and reverts the transfer otherwise.
+ * A holder has at most one seat per service, like they have at most one account per service.
+ * Members who joined before seats were issued can claim theirs with claimSeat.
+ */
+contract SubscriptionSeats is ERC721, SubscriptionAccessControl {
+    // Address of the SharedSubscriptionToken contract
+    address public tokenContractAddress;
+    
+    // Service each seat belongs to
+    mapping(uint256 => uint256) public seatService;
+    
+    // Double mapping of holder address and service ID to the seat they hold, 0 if none
+    mapping(address => mapping(uint256 => uint256)) public seatOf;
+    
+    // Number of seats ever minted, which is also the ID of the last one
+    uint256 public seatCount;
+    
+    /**
+     * @dev Constructor function
+     * @param _tokenContractAddress Address of the SharedSubscriptionToken contract
+     */
+    constructor(address _tokenContractAddress) ERC721("Subscription Seat", "SEAT") {
+        initialize(msg.sender, _tokenContractAddress);
+    }
+    
+    /**
+     * @dev Sets up the owner and the token contract, run by the constructor or through a proxy
+     * @param initialOwner Address becoming owner
+     * @param _tokenContractAddress Address of the SharedSubscriptionToken contract
+     */
+    function initialize(address initialOwner, address _tokenContractAddress) public initializer {
+        _initAccessControl(initialOwner);
+        tokenContractAddress = _tokenContractAddress;
+    }
+    
+    // ==================== MODIFIERS ====================
+    
+    /**
+     * @dev Restricts function access to the token contract
+     */
+    modifier onlyTokenContract() {
+        require(msg.sender == tokenContractAddress, "Only token contract can call this function");
+        _;
+    }
+    
+    // ==================== ADMIN FUNCTIONS ====================
+    
+    /**
+     * @dev Sets the address of the token contract
+     * @param _tokenContractAddress Address of the SharedSubscriptionToken contract
+     */
+    function setTokenContractAddress(address _tokenContractAddress) external onlyOwner {
+        tokenContractAddress = _tokenContractAddress;
+    }
+    
+    // ==================== USER FUNCTIONS ====================
+    
+    /**
+     * @dev Mints the seat of a member who joined their account before seats were issued
+     * @param serviceId ID of the service
+     * @return ID of the seat
+     */
+    function claimSeat(uint256 serviceId) external returns (uint256) {
+        ISeatSubscriptionToken token = ISeatSubscriptionToken(tokenContractAddress);
+        (bool exists, ) = token.getUserSubscriptionDetails(msg.sender, serviceId);
+        require(exists, "Not subscribed to this service");
+        require(seatOf[msg.sender][serviceId] == 0, "Seat already issued");
+        return _mintSeat(msg.sender, serviceId);
+    }
+    
+    // ==================== TOKEN CONTRACT FUNCTIONS ====================
+    
+    /**
+     * @dev Mints a seat to a new member
+     * Members moved into another account by a merge keep the seat they hold.
+     * @param holder Address of the member
+     * @param serviceId ID of the service
+     */
+    function mintSeat(address holder, uint256 serviceId) external onlyTokenContract {
+        if (seatOf[holder][serviceId] == 0) {
+            _mintSeat(holder, serviceId);
+        }
+    }
+    
+    /**
+     * @dev Burns the seat of a member removed from their account, if they hold one
+     * @param holder Address of the former member
+     * @param serviceId ID of the service
+     */
+    function burnSeat(address holder, uint256 serviceId) external onlyTokenContract {
+        uint256 seatId = seatOf[holder][serviceId];
+        if (seatId != 0) {
+            _burn(seatId);
+        }
+    }
+    
+    // ==================== VIEW FUNCTIONS ====================
+    
+    /**
+     * @dev Returns the collection name, kept out of storage so proxies need not set it
+     */
+    function name() public pure override returns (string memory) {
+        return "Subscription Seat";
+    }
+    
+    /**
+     * @dev Returns the collection symbol, kept out of storage so proxies need not set it
+     */
+    function symbol() public pure override returns (string memory) {
+        return "SEAT";
+    }
+    
+    /**
+     * @dev Gets the membership a seat stands for
+     * @param seatId ID of the seat
+     * @return holder Address of the member holding the seat
+     * @return serviceId ID of the service
+     * @return accountId ID of the subscription account
+     * @return expirationTime Timestamp when the account's current period ends
+     */
+    function getSeat(uint256 seatId) public view
+        returns (address holder, uint256 serviceId, uint256 accountId, uint256 expirationTime) {
+        holder = ownerOf(seatId);
+        serviceId = seatService[seatId];
+        ISeatSubscriptionToken token = ISeatSubscriptionToken(tokenContractAddress);
+        (, accountId) = token.getUserSubscriptionDetails(holder, serviceId);
+        (, expirationTime, , , , ) = token.subscriptionAccounts(serviceId, accountId);
+    }
+    
+    /**
+     * @dev Returns the metadata of a seat as a data URI holding JSON with its service, account and expiry
+     * @param seatId ID of the seat
+     * @return Base64 encoded JSON data URI
+     */
+    function tokenURI(uint256 seatId) public view override returns (string memory) {
+        (, uint256 serviceId, uint256 accountId, uint256 expirationTime) = getSeat(seatId);
+        bytes memory json = abi.encodePacked(
+            '{"name":"Seat #', Strings.toString(seatId),
+            '","description":"Seat in account ', Strings.toString(accountId),
+            ' of service ', Strings.toString(serviceId),
+            '","attributes":[{"trait_type":"serviceId","value":', Strings.toString(serviceId),
+            '},{"trait_type":"accountId","value":', Strings.toString(accountId),
+            '},{"display_type":"date","trait_type":"expiry","value":', Strings.toString(expirationTime),
+            "}]}"
+        );
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(json)));
+    }
+    
+    // ==================== INTERNAL FUNCTIONS ====================
+    
+    /**
+     * @dev Mints the next seat of a service
+     * @param holder Address receiving the seat
+     * @param serviceId ID of the service
+     * @return ID of the new seat
+     */
+    function _mintSeat(address holder, uint256 serviceId) internal returns (uint256) {
+        uint256 seatId = ++seatCount;
+        seatService[seatId] = serviceId;
+        _mint(holder, seatId);
+        return seatId;
+    }
+    
+    /**
+     * @dev Keeps seatOf in step with the holders and hands the membership over on transfers
+     * @param from Previous holder, zero when minting
+     * @param to New holder, zero when burning
+     * @param seatId ID of the seat
+     */
+    function _afterTokenTransfer(address from, address to, uint256 seatId) internal override {
+        uint256 serviceId = seatService[seatId];
+        if (from != address(0)) {
+            delete seatOf[from][serviceId];
+        }
+        if (to != address(0)) {
+            seatOf[to][serviceId] = seatId;
+        }
+        if (from != address(0) && to != address(0)) {
+            ISeatSubscriptionToken(tokenContractAddress).transferSeat(from, to, serviceId);
+        }
+    }
+}
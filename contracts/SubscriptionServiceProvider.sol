@@ -1,15 +1,28 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./SubscriptionPausable.sol";
+
 /**
  * @title SubscriptionServiceProvider
  * @dev A contract that simulates real-world service providers by offering
  * subscription services, accepting payments, and providing access credentials.
  * This acts as the demo service layer that would interface with actual API services.
+ * Catalog admins manage services and tiers, treasurers collect the payments and the owner
+ * wires in the token contract. Unauthorized callers get the Unauthorized error.
+ * Guardians can pause payments, which then fail with SystemPaused.
+ * Besides ETH, tiers can be paid in allowlisted ERC-20 tokens such as stablecoins, at a cost
+ * set per token by catalog admins.
  */
-contract SubscriptionServiceProvider {
-    // Contract owner address
-    address public owner;
+contract SubscriptionServiceProvider is SubscriptionPausable {
+    using SafeERC20 for IERC20;
+    
+    // Role allowed to add and change services, their tiers and status
+    bytes32 public constant CATALOG_ADMIN_ROLE = keccak256("CATALOG_ADMIN_ROLE");
+    
+    // Role allowed to withdraw payments and choose where they go
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
     
     // SharedSubscriptionToken contract address (trusted caller)
     address public tokenContractAddress;
@@ -17,29 +30,75 @@ contract SubscriptionServiceProvider {
     // Payment receiver address
     address public paymentReceiver;
     
+    // Tier every service starts with, mirroring the service cost
+    uint256 public constant STANDARD_TIER = 0;
+    
+    // Seats of the standard tier
+    uint256 public constant STANDARD_TIER_SEATS = 5;
+    
+    // Duration of one period of the standard tier (30 days)
+    uint256 public constant STANDARD_TIER_DURATION = 30 days;
+    
+    /**
+     * @dev Lifecycle of a service
+     * Active accepts new accounts and renewals, Paused only renewals of existing accounts,
+     * Retired nothing. Retiring a service is final.
+     */
+    enum ServiceStatus { Active, Paused, Retired }
+    
     /**
      * @dev Information about a service offering
      * @param exists Whether the service exists
-     * @param cost The full cost of the service (before sharing)
+     * @param cost The full cost of the service (before sharing), which is the cost of its standard tier
      * @param symbol Service identifier/symbol (e.g., "NFLX" for Netflix)
      * @param apiEndpoint Mock API endpoint for the service
+     * @param status Lifecycle status of the service
      */
     struct ServiceInfo {
         bool exists;
         uint256 cost;
         string symbol;
         string apiEndpoint;
+        ServiceStatus status;
+    }
+    
+    /**
+     * @dev Information about a plan tier of a service
+     * @param exists Whether the tier exists
+     * @param name Display name of the tier (e.g., "Family")
+     * @param cost Full cost of one period of the tier (before sharing)
+     * @param maxSeats Maximum number of members sharing one account of the tier
+     * @param duration Length of one subscription period in seconds
+     */
+    struct PlanTier {
+        bool exists;
+        string name;
+        uint256 cost;
+        uint256 maxSeats;
+        uint256 duration;
     }
     
     // Mapping of service ID to service information
     mapping(uint256 => ServiceInfo) public services;
     
+    // Double mapping of service ID and tier ID to tier information
+    mapping(uint256 => mapping(uint256 => PlanTier)) public tiers;
+    
+    // Mapping of service ID to the IDs of its tiers
+    mapping(uint256 => uint256[]) public tierIds;
+    
+    // IDs of every service ever added, in the order they were added
+    uint256[] public serviceIds;
+    
     // Mapping of service ID and user address to their subscription status
     mapping(uint256 => mapping(address => bool)) public isSubscribed;
     
     // Mapping of service ID and user address to their encrypted API credentials
     mapping(uint256 => mapping(address => bytes)) private encryptedCredentials;
     
+    // Triple mapping of service ID, tier ID and ERC-20 token to the cost of a period in it, zero if not accepted
+    mapping(uint256 => mapping(uint256 => mapping(address => uint256))) public tierTokenCosts;
+    
     // ==================== EVENTS ====================
     
     // Emitted when payment is received for a service
@@ -48,30 +107,59 @@ contract SubscriptionServiceProvider {
     // Emitted when a new service is added
     event ServiceAdded(uint256 serviceId, string symbol, uint256 cost);
     
+    // Emitted when the cost of a service changes
+    event ServiceCostUpdated(uint256 serviceId, uint256 cost);
+    
+    // Emitted when the symbol or API endpoint of a service changes
+    event ServiceMetadataUpdated(uint256 serviceId, string symbol, string apiEndpoint);
+    
+    // Emitted when a service is paused, resumed or retired
+    event ServiceStatusChanged(uint256 serviceId, ServiceStatus status);
+    
+    // Emitted when a plan tier is added to a service
+    event TierAdded(uint256 serviceId, uint256 tierId, string name, uint256 cost, uint256 maxSeats, uint256 duration);
+    
+    // Emitted when a plan tier changes
+    event TierUpdated(uint256 serviceId, uint256 tierId, string name, uint256 cost, uint256 maxSeats, uint256 duration);
+    
     // Emitted when service credentials are updated
     event CredentialsUpdated(uint256 serviceId, address user);
     
+    // Emitted when payment in an ERC-20 token is received for a service
+    event TokenPaymentReceived(uint256 serviceId, address payer, address paymentToken, uint256 amount);
+    
+    // Emitted when the cost of a tier in an ERC-20 token is set, zero when the token is no longer accepted
+    event TierTokenCostUpdated(uint256 serviceId, uint256 tierId, address paymentToken, uint256 cost);
+    
     // ==================== ERRORS ====================
     
     error ServiceNotFound();
     error Unauthorized();
     error InsufficientPayment();
     error NotSubscribed();
+    error ServiceIsRetired();
+    error TierNotFound();
+    error InvalidTier();
+    error SystemPaused();
+    error PaymentTokenNotAccepted();
     
     /**
      * @dev Constructor function
+     * The deployer becomes owner, holds every role and receives the payments.
      */
     constructor() {
-        owner = msg.sender;
-        paymentReceiver = msg.sender;
+        initialize(msg.sender);
     }
     
     /**
-     * @dev Restricts function access to the contract owner
+     * @dev Sets up the contract behind a proxy, the constructor does the same for direct deployments
+     * @param initialOwner Address becoming owner, holding every role and receiving the payments
      */
-    modifier onlyOwner() {
-        if (msg.sender != owner) revert Unauthorized();
-        _;
+    function initialize(address initialOwner) public initializer {
+        _initPausable(initialOwner);
+        _grantRole(CATALOG_ADMIN_ROLE, initialOwner);
+        _grantRole(TREASURER_ROLE, initialOwner);
+        paymentReceiver = initialOwner;
     }
     
     /**
@@ -82,6 +170,29 @@ contract SubscriptionServiceProvider {
         _;
     }
     
+    /**
+     * @dev Reverts with Unauthorized unless the caller is the owner
+     */
+    function _checkOwner() internal view override {
+        if (msg.sender != owner) revert Unauthorized();
+    }
+    
+    /**
+     * @dev Reverts with Unauthorized unless the caller holds a role
+     * @param role ID of the role
+     */
+    function _checkRole(bytes32 role) internal view override {
+        if (!hasRole(role, msg.sender)) revert Unauthorized();
+    }
+    
+    /**
+     * @dev Reverts with SystemPaused while a switch is paused
+     * @param pauseSwitch Switch to check
+     */
+    function _checkNotPaused(PauseSwitch pauseSwitch) internal view override {
+        if (isPaused(pauseSwitch)) revert SystemPaused();
+    }
+    
     // ==================== ADMIN FUNCTIONS ====================
     
     /**
@@ -96,12 +207,13 @@ contract SubscriptionServiceProvider {
      * @dev Sets the payment receiver address
      * @param _paymentReceiver Address to receive payments
      */
-    function setPaymentReceiver(address _paymentReceiver) external onlyOwner {
+    function setPaymentReceiver(address _paymentReceiver) external onlyRole(TREASURER_ROLE) {
         paymentReceiver = _paymentReceiver;
     }
     
     /**
      * @dev Adds a new service to the platform
+     * The service starts with a standard tier (ID 0) at the given cost, with 5 seats and 30 day periods.
      * @param serviceId Unique identifier for the service
      * @param symbol Short identifier string for the service (e.g., "NFLX")
      * @param cost Cost of the service
@@ -112,43 +224,140 @@ contract SubscriptionServiceProvider {
         string calldata symbol, 
         uint256 cost,
         string calldata apiEndpoint
-    ) external onlyOwner {
+    ) external onlyRole(CATALOG_ADMIN_ROLE) {
         if (services[serviceId].exists) revert("Service already exists");
         
         services[serviceId] = ServiceInfo({
             exists: true,
             cost: cost,
             symbol: symbol,
-            apiEndpoint: apiEndpoint
+            apiEndpoint: apiEndpoint,
+            status: ServiceStatus.Active
         });
+        serviceIds.push(serviceId);
         
         emit ServiceAdded(serviceId, symbol, cost);
+        
+        _setTier(serviceId, STANDARD_TIER, "Standard", cost, STANDARD_TIER_SEATS, STANDARD_TIER_DURATION);
     }
     
     /**
      * @dev Updates the cost of an existing service
+     * This is the cost of the standard tier.
      * @param serviceId ID of the service to update
      * @param newCost New cost for the service
      */
-    function updateServiceCost(uint256 serviceId, uint256 newCost) external onlyOwner {
+    function updateServiceCost(uint256 serviceId, uint256 newCost) external onlyRole(CATALOG_ADMIN_ROLE) {
+        if (!services[serviceId].exists) revert ServiceNotFound();
+        PlanTier storage standard = tiers[serviceId][STANDARD_TIER];
+        _setTier(serviceId, STANDARD_TIER, standard.name, newCost, standard.maxSeats, standard.duration);
+    }
+    
+    /**
+     * @dev Adds or updates a plan tier of a service
+     * Changes apply to existing accounts of the tier from their next period on.
+     * @param serviceId ID of the service
+     * @param tierId ID of the tier
+     * @param name Display name of the tier
+     * @param cost Full cost of one period
+     * @param maxSeats Maximum number of members per account
+     * @param duration Length of one period in seconds
+     */
+    function setTier(
+        uint256 serviceId,
+        uint256 tierId,
+        string calldata name,
+        uint256 cost,
+        uint256 maxSeats,
+        uint256 duration
+    ) external onlyRole(CATALOG_ADMIN_ROLE) {
+        if (!services[serviceId].exists) revert ServiceNotFound();
+        _setTier(serviceId, tierId, name, cost, maxSeats, duration);
+    }
+    
+    /**
+     * @dev Sets the cost of one period of a tier in an ERC-20 token
+     * Costs are in the smallest unit of the token. Tokens taking a fee on transfer are not
+     * supported, their payments fall short of the cost.
+     * @param serviceId ID of the service
+     * @param tierId ID of the tier
+     * @param paymentToken Address of the ERC-20 token
+     * @param cost Full cost of one period in the token, zero to stop accepting it
+     */
+    function setTierTokenCost(uint256 serviceId, uint256 tierId, address paymentToken, uint256 cost)
+        external
+        onlyRole(CATALOG_ADMIN_ROLE)
+    {
+        if (!tiers[serviceId][tierId].exists) revert TierNotFound();
+        tierTokenCosts[serviceId][tierId][paymentToken] = cost;
+        emit TierTokenCostUpdated(serviceId, tierId, paymentToken, cost);
+    }
+    
+    /**
+     * @dev Updates the symbol and API endpoint of an existing service
+     * @param serviceId ID of the service to update
+     * @param symbol New symbol of the service
+     * @param apiEndpoint New API endpoint of the service
+     */
+    function updateServiceMetadata(
+        uint256 serviceId,
+        string calldata symbol,
+        string calldata apiEndpoint
+    ) external onlyRole(CATALOG_ADMIN_ROLE) {
         if (!services[serviceId].exists) revert ServiceNotFound();
-        services[serviceId].cost = newCost;
+        services[serviceId].symbol = symbol;
+        services[serviceId].apiEndpoint = apiEndpoint;
+        emit ServiceMetadataUpdated(serviceId, symbol, apiEndpoint);
+    }
+    
+    /**
+     * @dev Stops new accounts for a service, existing accounts can still renew
+     * @param serviceId ID of the service to pause
+     */
+    function pauseService(uint256 serviceId) external onlyRole(CATALOG_ADMIN_ROLE) {
+        _setServiceStatus(serviceId, ServiceStatus.Paused);
+    }
+    
+    /**
+     * @dev Accepts new accounts for a paused service again
+     * @param serviceId ID of the service to resume
+     */
+    function resumeService(uint256 serviceId) external onlyRole(CATALOG_ADMIN_ROLE) {
+        _setServiceStatus(serviceId, ServiceStatus.Active);
+    }
+    
+    /**
+     * @dev Retires a service for good
+     * No payments are accepted anymore; existing accounts are wound down by the token contract.
+     * @param serviceId ID of the service to retire
+     */
+    function retireService(uint256 serviceId) external onlyRole(CATALOG_ADMIN_ROLE) {
+        _setServiceStatus(serviceId, ServiceStatus.Retired);
     }
     
     /**
      * @dev Withdraws funds from the contract
      */
-    function withdrawFunds() external onlyOwner {
+    function withdrawFunds() external onlyRole(TREASURER_ROLE) {
         uint256 amount = address(this).balance;
         (bool success, ) = paymentReceiver.call{value: amount}("");
         require(success, "Transfer failed");
     }
     
+    /**
+     * @dev Withdraws the payments received in an ERC-20 token to the payment receiver
+     * @param paymentToken Address of the ERC-20 token
+     */
+    function withdrawTokenFunds(address paymentToken) external onlyRole(TREASURER_ROLE) {
+        IERC20 token = IERC20(paymentToken);
+        token.safeTransfer(paymentReceiver, token.balanceOf(address(this)));
+    }
+    
     /**
      * @dev Manually registers a user as subscribed (for testing)
-     * Only callable by owner
+     * Only callable by catalog admins
      */
-    function manuallyRegisterSubscriber(uint256 serviceId, address user) external onlyOwner {
+    function manuallyRegisterSubscriber(uint256 serviceId, address user) external onlyRole(CATALOG_ADMIN_ROLE) {
         if (!services[serviceId].exists) revert ServiceNotFound();
         isSubscribed[serviceId][user] = true;
     }
@@ -159,12 +368,21 @@ contract SubscriptionServiceProvider {
      * @dev Processes a payment for a subscription service
      * Can only be called by the token contract
      * @param serviceId ID of the service
+     * @param tierId ID of the tier paid for
      * @param user Address of the subscribing user
      * @return success Whether the payment was successful
      */
-    function processPayment(uint256 serviceId, address user) external payable onlyTokenContract returns (bool success) {
+    function processPayment(uint256 serviceId, uint256 tierId, address user)
+        external
+        payable
+        onlyTokenContract
+        whenNotPaused(PauseSwitch.Payments)
+        returns (bool success)
+    {
         if (!services[serviceId].exists) revert ServiceNotFound();
-        if (msg.value < services[serviceId].cost) revert InsufficientPayment();
+        if (services[serviceId].status == ServiceStatus.Retired) revert ServiceIsRetired();
+        if (!tiers[serviceId][tierId].exists) revert TierNotFound();
+        if (msg.value < tiers[serviceId][tierId].cost) revert InsufficientPayment();
         
         // Mark user as subscribed to this service
         isSubscribed[serviceId][user] = true;
@@ -173,6 +391,43 @@ contract SubscriptionServiceProvider {
         return true;
     }
     
+    /**
+     * @dev Processes a payment for a subscription service in an ERC-20 token
+     * Can only be called by the token contract. The cost of the tier in the token is pulled
+     * from the token contract, which collected it from the members and approved this contract
+     * for it, and checked against what arrived.
+     * @param serviceId ID of the service
+     * @param tierId ID of the tier paid for
+     * @param user Address of the member renewing, the payment is recorded for
+     * @param paymentToken Address of the ERC-20 token
+     * @return success Whether the payment was successful
+     */
+    function processTokenPayment(uint256 serviceId, uint256 tierId, address user, address paymentToken)
+        external
+        onlyTokenContract
+        whenNotPaused(PauseSwitch.Payments)
+        returns (bool success)
+    {
+        if (!services[serviceId].exists) revert ServiceNotFound();
+        if (services[serviceId].status == ServiceStatus.Retired) revert ServiceIsRetired();
+        if (!tiers[serviceId][tierId].exists) revert TierNotFound();
+        uint256 cost = tierTokenCosts[serviceId][tierId][paymentToken];
+        if (cost == 0) revert PaymentTokenNotAccepted();
+        
+        // Count what arrived rather than what was sent, tokens may keep part of a transfer
+        IERC20 token = IERC20(paymentToken);
+        uint256 balanceBefore = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), cost);
+        uint256 received = token.balanceOf(address(this)) - balanceBefore;
+        if (received < cost) revert InsufficientPayment();
+        
+        // Mark user as subscribed to this service
+        isSubscribed[serviceId][user] = true;
+        
+        emit TokenPaymentReceived(serviceId, user, paymentToken, received);
+        return true;
+    }
+    
     /**
      * @dev Stores encrypted credentials for a user
      * Only callable by the token contract
@@ -229,6 +484,19 @@ contract SubscriptionServiceProvider {
         delete encryptedCredentials[serviceId][user];
     }
     
+    /**
+     * @dev Gives a user who took over a seat the access of its previous holder
+     * Only callable by the token contract, which cancels the previous holder's access and
+     * credentials with cancelSubscription afterwards. The credentials are not moved, they are
+     * issued again for the key of the new holder.
+     * @param from Address of the previous holder
+     * @param to Address of the new holder
+     * @param serviceId ID of the service
+     */
+    function transferSubscription(address from, address to, uint256 serviceId) external onlyTokenContract {
+        isSubscribed[serviceId][to] = isSubscribed[serviceId][from];
+    }
+    
     // ==================== VIEW FUNCTIONS ====================
     
     /**
@@ -246,6 +514,50 @@ contract SubscriptionServiceProvider {
         return (service.exists, service.cost, service.symbol, service.apiEndpoint);
     }
     
+    /**
+     * @dev Gets the lifecycle status of a service
+     * @param serviceId ID of the service
+     * @return Status of the service
+     */
+    function getServiceStatus(uint256 serviceId) external view returns (ServiceStatus) {
+        if (!services[serviceId].exists) revert ServiceNotFound();
+        return services[serviceId].status;
+    }
+    
+    /**
+     * @dev Gets details about a plan tier
+     * @param serviceId ID of the service
+     * @param tierId ID of the tier
+     * @return exists Whether the tier exists
+     * @return name Display name of the tier
+     * @return cost Full cost of one period
+     * @return maxSeats Maximum number of members per account
+     * @return duration Length of one period in seconds
+     */
+    function getTierDetails(uint256 serviceId, uint256 tierId) external view
+        returns (bool exists, string memory name, uint256 cost, uint256 maxSeats, uint256 duration)
+    {
+        PlanTier storage tier = tiers[serviceId][tierId];
+        return (tier.exists, tier.name, tier.cost, tier.maxSeats, tier.duration);
+    }
+    
+    /**
+     * @dev Gets the IDs of the tiers of a service
+     * @param serviceId ID of the service
+     * @return Array of tier IDs
+     */
+    function getTierIds(uint256 serviceId) external view returns (uint256[] memory) {
+        return tierIds[serviceId];
+    }
+    
+    /**
+     * @dev Gets the IDs of every service in the catalog, including paused and retired ones
+     * @return Array of service IDs
+     */
+    function getServiceIds() external view returns (uint256[] memory) {
+        return serviceIds;
+    }
+    
     /**
      * @dev Checks if a user is subscribed to a service
      * @param serviceId ID of the service
@@ -256,6 +568,60 @@ contract SubscriptionServiceProvider {
         return isSubscribed[serviceId][user];
     }
     
+    // ==================== INTERNAL FUNCTIONS ====================
+    
+    /**
+     * @dev Changes the status of a service
+     * @param serviceId ID of the service
+     * @param status New status
+     */
+    function _setServiceStatus(uint256 serviceId, ServiceStatus status) internal {
+        if (!services[serviceId].exists) revert ServiceNotFound();
+        if (services[serviceId].status == ServiceStatus.Retired) revert ServiceIsRetired();
+        services[serviceId].status = status;
+        emit ServiceStatusChanged(serviceId, status);
+    }
+    
+    /**
+     * @dev Adds or updates a plan tier, keeping the service cost in sync with the standard tier
+     * @param serviceId ID of the service
+     * @param tierId ID of the tier
+     * @param name Display name of the tier
+     * @param cost Full cost of one period
+     * @param maxSeats Maximum number of members per account
+     * @param duration Length of one period in seconds
+     */
+    function _setTier(
+        uint256 serviceId,
+        uint256 tierId,
+        string memory name,
+        uint256 cost,
+        uint256 maxSeats,
+        uint256 duration
+    ) internal {
+        if (maxSeats == 0 || duration == 0) revert InvalidTier();
+        
+        PlanTier storage tier = tiers[serviceId][tierId];
+        bool isNew = !tier.exists;
+        tier.exists = true;
+        tier.name = name;
+        tier.cost = cost;
+        tier.maxSeats = maxSeats;
+        tier.duration = duration;
+        
+        if (tierId == STANDARD_TIER && services[serviceId].cost != cost) {
+            services[serviceId].cost = cost;
+            emit ServiceCostUpdated(serviceId, cost);
+        }
+        
+        if (isNew) {
+            tierIds[serviceId].push(tierId);
+            emit TierAdded(serviceId, tierId, name, cost, maxSeats, duration);
+        } else {
+            emit TierUpdated(serviceId, tierId, name, cost, maxSeats, duration);
+        }
+    }
+    
     /**
      * @dev Fallback function to receive ETH
      */
@@ -0,0 +1,346 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./SubscriptionAccessControl.sol";
+
+/**
+ * @dev Interface of Chainlink style price feeds, such as ETH/USD
+ */
+interface IPriceFeed {
+    function decimals() external view returns (uint8);
+    function latestRoundData() external view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+}
+
+/**
+ * @title SubscriptionTokenPricing
+ * @dev Prices the tokens of SharedSubscriptionToken.
+ * A token costs either a fixed amount of wei or a fiat amount converted at the rate of a
+ * Chainlink style ETH price feed, which keeps the token pegged to e.g. 0.25 USD while ETH moves.
+ * The owner changes the price through a timelock: a change is proposed, announced with an
+ * event, and anyone can execute it once PRICE_CHANGE_DELAY has passed. Feed answers older than
+ * maxFeedAge are refused, which stops token sales until the feed is updated again.
+ * Volume discounts lower the price of large purchases and change through the same timelock.
+ * Tokens are sold back at the most discounted price, so buying at a discount and selling back
+ * cannot drain the token reserve.
+ */
+contract SubscriptionTokenPricing is SubscriptionAccessControl {
+    /**
+     * @dev A proposed price, waiting for its timelock
+     * @param price Fixed price of a token in wei, zero when the price follows a feed
+     * @param priceFeed Address of the ETH price feed, zero for a fixed price
+     * @param fiatPrice Price of a token in fiat, with the decimals of the feed
+     * @param executableAt Timestamp from which the change can be executed, zero if none is pending
+     */
+    struct PriceChange {
+        uint256 price;
+        address priceFeed;
+        uint256 fiatPrice;
+        uint256 executableAt;
+    }
+    
+    /**
+     * @dev A discount on purchases of at least a number of tokens
+     * @param minAmount Smallest number of tokens bought at once that gets the discount
+     * @param discountBps Discount in basis points of the price
+     */
+    struct VolumeDiscount {
+        uint256 minAmount;
+        uint256 discountBps;
+    }
+    
+    // Time between proposing a price change and executing it
+    uint256 public constant PRICE_CHANGE_DELAY = 2 days;
+    
+    // Largest volume discount, in basis points
+    uint256 public constant MAX_DISCOUNT_BPS = 5000;
+    
+    // Fixed price of a token in wei, zero while the price follows a feed
+    uint256 public fixedPrice;
+    
+    // Address of the ETH price feed the price follows, zero for the fixed price
+    address public priceFeed;
+    
+    // Price of a token in fiat, with the decimals of the price feed
+    uint256 public fiatPrice;
+    
+    // Oldest feed answer accepted, in seconds
+    uint256 public maxFeedAge;
+    
+    // Price change waiting for its timelock
+    PriceChange public pendingChange;
+    
+    // Volume discounts, by growing amount
+    VolumeDiscount[] internal _volumeDiscounts;
+    
+    // Volume discounts waiting for their timelock, by growing amount
+    VolumeDiscount[] internal _pendingDiscounts;
+    
+    // Timestamp from which the pending volume discounts can be executed, zero if none are pending
+    uint256 public discountsExecutableAt;
+    
+    // ==================== EVENTS ====================
+    
+    // Emitted when the owner proposes a new price
+    event PriceChangeProposed(uint256 price, address priceFeed, uint256 fiatPrice, uint256 executableAt);
+    
+    // Emitted when the owner withdraws a proposed price
+    event PriceChangeCancelled(uint256 price, address priceFeed, uint256 fiatPrice);
+    
+    // Emitted when a proposed price takes effect
+    event PriceChanged(uint256 price, address priceFeed, uint256 fiatPrice);
+    
+    // Emitted when the owner proposes new volume discounts
+    event VolumeDiscountsProposed(uint256[] minAmounts, uint256[] discountBps, uint256 executableAt);
+    
+    // Emitted when the owner withdraws proposed volume discounts
+    event VolumeDiscountsCancelled(uint256[] minAmounts, uint256[] discountBps);
+    
+    // Emitted when proposed volume discounts replace the current ones
+    event VolumeDiscountsUpdated(uint256[] minAmounts, uint256[] discountBps);
+    
+    // Emitted when the oldest accepted feed answer changes
+    event MaxFeedAgeUpdated(uint256 maxFeedAge);
+    
+    /**
+     * @dev Constructor function
+     */
+    constructor() {
+        initialize(msg.sender);
+    }
+    
+    /**
+     * @dev Sets up the owner and the starting price, run by the constructor or through a proxy
+     * Tokens start at a fixed 0.01 ETH, the price of the token contract itself.
+     * @param initialOwner Address becoming owner
+     */
+    function initialize(address initialOwner) public initializer {
+        _initAccessControl(initialOwner);
+        fixedPrice = 0.01 ether;
+        maxFeedAge = 1 hours;
+    }
+    
+    // ==================== ADMIN FUNCTIONS ====================
+    
+    /**
+     * @dev Proposes a fixed price, replacing a pending proposal
+     * @param price Price of a token in wei
+     */
+    function proposeFixedPrice(uint256 price) external onlyOwner {
+        require(price > 0, "Price must be positive");
+        _proposeChange(price, address(0), 0);
+    }
+    
+    /**
+     * @dev Proposes pegging the price to a fiat amount through an ETH price feed, replacing a
+     * pending proposal
+     * The feed has to answer with a fresh price already.
+     * @param _priceFeed Address of a Chainlink style ETH price feed, e.g. ETH/USD
+     * @param _fiatPrice Price of a token in fiat, with the decimals of the feed
+     */
+    function proposeFeedPrice(address _priceFeed, uint256 _fiatPrice) external onlyOwner {
+        require(_priceFeed != address(0), "Invalid price feed");
+        require(_fiatPrice > 0, "Price must be positive");
+        _feedPrice(_priceFeed, _fiatPrice);
+        _proposeChange(0, _priceFeed, _fiatPrice);
+    }
+    
+    /**
+     * @dev Withdraws the pending price change
+     */
+    function cancelPriceChange() external onlyOwner {
+        PriceChange memory change = pendingChange;
+        require(change.executableAt != 0, "No price change pending");
+        delete pendingChange;
+        emit PriceChangeCancelled(change.price, change.priceFeed, change.fiatPrice);
+    }
+    
+    /**
+     * @dev Puts the pending price change into effect once its timelock has passed
+     * Anyone can call this, the change was announced when it was proposed.
+     */
+    function executePriceChange() external {
+        PriceChange memory change = pendingChange;
+        require(change.executableAt != 0, "No price change pending");
+        require(block.timestamp >= change.executableAt, "Price change is timelocked");
+        
+        fixedPrice = change.price;
+        priceFeed = change.priceFeed;
+        fiatPrice = change.fiatPrice;
+        delete pendingChange;
+        
+        emit PriceChanged(change.price, change.priceFeed, change.fiatPrice);
+    }
+    
+    /**
+     * @dev Proposes volume discounts replacing the current ones, and a pending proposal
+     * They lower the redemption price as well, so they take effect after PRICE_CHANGE_DELAY
+     * like a price change.
+     * @param minAmounts Smallest purchase of each discount, growing
+     * @param discountBps Discount of each in basis points, growing and at most MAX_DISCOUNT_BPS
+     */
+    function proposeVolumeDiscounts(uint256[] calldata minAmounts, uint256[] calldata discountBps) external onlyOwner {
+        require(minAmounts.length == discountBps.length, "Length mismatch");
+        delete _pendingDiscounts;
+        for (uint256 i = 0; i < minAmounts.length; i++) {
+            require(discountBps[i] <= MAX_DISCOUNT_BPS, "Discount too high");
+            if (i > 0) {
+                require(
+                    minAmounts[i] > minAmounts[i - 1] && discountBps[i] > discountBps[i - 1],
+                    "Discounts must grow with the amount"
+                );
+            }
+            _pendingDiscounts.push(VolumeDiscount(minAmounts[i], discountBps[i]));
+        }
+        discountsExecutableAt = block.timestamp + PRICE_CHANGE_DELAY;
+        emit VolumeDiscountsProposed(minAmounts, discountBps, discountsExecutableAt);
+    }
+    
+    /**
+     * @dev Withdraws the pending volume discounts
+     */
+    function cancelVolumeDiscounts() external onlyOwner {
+        require(discountsExecutableAt != 0, "No volume discounts pending");
+        (uint256[] memory minAmounts, uint256[] memory discountBps) = _splitDiscounts(_pendingDiscounts);
+        delete _pendingDiscounts;
+        discountsExecutableAt = 0;
+        emit VolumeDiscountsCancelled(minAmounts, discountBps);
+    }
+    
+    /**
+     * @dev Puts the pending volume discounts into effect once their timelock has passed
+     * Anyone can call this, the discounts were announced when they were proposed.
+     */
+    function executeVolumeDiscounts() external {
+        require(discountsExecutableAt != 0, "No volume discounts pending");
+        require(block.timestamp >= discountsExecutableAt, "Volume discounts are timelocked");
+        
+        delete _volumeDiscounts;
+        for (uint256 i = 0; i < _pendingDiscounts.length; i++) {
+            _volumeDiscounts.push(_pendingDiscounts[i]);
+        }
+        delete _pendingDiscounts;
+        discountsExecutableAt = 0;
+        
+        (uint256[] memory minAmounts, uint256[] memory discountBps) = _splitDiscounts(_volumeDiscounts);
+        emit VolumeDiscountsUpdated(minAmounts, discountBps);
+    }
+    
+    /**
+     * @dev Sets the oldest feed answer accepted
+     * @param _maxFeedAge Age in seconds, e.g. the heartbeat of the feed
+     */
+    function setMaxFeedAge(uint256 _maxFeedAge) external onlyOwner {
+        require(_maxFeedAge > 0, "Age must be positive");
+        maxFeedAge = _maxFeedAge;
+        emit MaxFeedAgeUpdated(_maxFeedAge);
+    }
+    
+    // ==================== VIEW FUNCTIONS ====================
+    
+    /**
+     * @dev Gets the price of a single token before discounts
+     * Reverts while the price follows a feed whose answer is stale.
+     * @return Price in wei
+     */
+    function unitPrice() public view returns (uint256) {
+        if (priceFeed == address(0)) return fixedPrice;
+        return _feedPrice(priceFeed, fiatPrice);
+    }
+    
+    /**
+     * @dev Gets the discount on a purchase
+     * @param amount Number of tokens bought at once
+     * @return Discount in basis points
+     */
+    function discountFor(uint256 amount) public view returns (uint256) {
+        uint256 discount = 0;
+        for (uint256 i = 0; i < _volumeDiscounts.length && _volumeDiscounts[i].minAmount <= amount; i++) {
+            discount = _volumeDiscounts[i].discountBps;
+        }
+        return discount;
+    }
+    
+    /**
+     * @dev Gets the cost of a purchase, rounded up to the next wei
+     * @param amount Number of tokens bought at once
+     * @return cost Cost in wei with the volume discount
+     * @return price Price of a single token before discounts
+     */
+    function quote(uint256 amount) external view returns (uint256 cost, uint256 price) {
+        price = unitPrice();
+        cost = (amount * price * (10000 - discountFor(amount)) + 9999) / 10000;
+    }
+    
+    /**
+     * @dev Gets the price tokens are sold back at, the price with the largest volume discount
+     * @return Price in wei
+     */
+    function redemptionPrice() external view returns (uint256) {
+        uint256 count = _volumeDiscounts.length;
+        uint256 discount = count == 0 ? 0 : _volumeDiscounts[count - 1].discountBps;
+        return (unitPrice() * (10000 - discount)) / 10000;
+    }
+    
+    /**
+     * @dev Gets the volume discounts
+     * @return Discounts by growing amount
+     */
+    function getVolumeDiscounts() external view returns (VolumeDiscount[] memory) {
+        return _volumeDiscounts;
+    }
+    
+    /**
+     * @dev Gets the volume discounts waiting for their timelock, see discountsExecutableAt
+     * @return Discounts by growing amount
+     */
+    function getPendingVolumeDiscounts() external view returns (VolumeDiscount[] memory) {
+        return _pendingDiscounts;
+    }
+    
+    // ==================== INTERNAL FUNCTIONS ====================
+    
+    /**
+     * @dev Records a proposed price change and starts its timelock
+     * @param price Fixed price of a token in wei, zero when the price follows a feed
+     * @param _priceFeed Address of the ETH price feed, zero for a fixed price
+     * @param _fiatPrice Price of a token in fiat, with the decimals of the feed
+     */
+    function _proposeChange(uint256 price, address _priceFeed, uint256 _fiatPrice) internal {
+        uint256 executableAt = block.timestamp + PRICE_CHANGE_DELAY;
+        pendingChange = PriceChange(price, _priceFeed, _fiatPrice, executableAt);
+        emit PriceChangeProposed(price, _priceFeed, _fiatPrice, executableAt);
+    }
+    
+    /**
+     * @dev Splits volume discounts into the amounts and discounts their events carry
+     * @param discounts Volume discounts
+     * @return minAmounts Smallest purchase of each discount
+     * @return discountBps Discount of each in basis points
+     */
+    function _splitDiscounts(VolumeDiscount[] storage discounts) internal view
+        returns (uint256[] memory minAmounts, uint256[] memory discountBps) {
+        minAmounts = new uint256[](discounts.length);
+        discountBps = new uint256[](discounts.length);
+        for (uint256 i = 0; i < discounts.length; i++) {
+            minAmounts[i] = discounts[i].minAmount;
+            discountBps[i] = discounts[i].discountBps;
+        }
+    }
+    
+    /**
+     * @dev Converts a fiat price to wei at the latest answer of an ETH price feed
+     * @param _priceFeed Address of the price feed
+     * @param _fiatPrice Price in fiat, with the decimals of the feed
+     * @return Price in wei, rounded up
+     */
+    function _feedPrice(address _priceFeed, uint256 _fiatPrice) internal view returns (uint256) {
+        (uint80 roundId, int256 answer, , uint256 updatedAt, uint80 answeredInRound) =
+            IPriceFeed(_priceFeed).latestRoundData();
+        require(answer > 0, "Invalid feed answer");
+        require(answeredInRound >= roundId && updatedAt + maxFeedAge >= block.timestamp, "Price feed is stale");
+        
+        // Both the fiat price and the answer carry the decimals of the feed
+        return (_fiatPrice * 1 ether + uint256(answer) - 1) / uint256(answer);
+    }
+}
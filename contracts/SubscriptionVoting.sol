@@ -1,6 +1,10 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol";
+import "./SubscriptionPausable.sol";
+
 /**
  * @dev Interface for interacting with the SharedSubscriptionToken contract
  */
@@ -8,17 +12,63 @@ interface ISharedSubscriptionToken {
     function isMemberOfAccount(address user, uint256 serviceId, uint256 accountId) external view returns (bool);
     function kickUser(uint256 serviceId, uint256 accountId, address userToKick) external;
     function getSubscriptionMembers(uint256 serviceId, uint256 accountId) external view returns (address[] memory);
+    function switchAccountTier(uint256 serviceId, uint256 accountId, uint256 tierId) external;
+    function setAccountAutoRenew(uint256 serviceId, uint256 accountId, bool enabled) external;
+    function inviteUser(uint256 serviceId, uint256 accountId, address user) external;
+    function dissolveAccount(uint256 serviceId, uint256 accountId) external;
+    function isPaused(SubscriptionPausable.PauseSwitch pauseSwitch) external view returns (bool);
 }
 
 /**
  * @title SubscriptionVoting
  * @dev A contract that handles decentralized governance for SharedSubscriptionToken
- * Members of a subscription can propose and vote on removing other members
- * This implementation uses a simple majority vote mechanism with time-based cooldowns
+ * Members of a subscription can propose and vote on actions for their shared account:
+ * removing a member, switching the plan tier, enabling auto-renewal, inviting a user
+ * or dissolving the account. Every proposal carries its type and an ABI encoded payload
+ * with the arguments of its action.
+ * Each account has its own voting period, proposal cooldown, approval threshold and quorum,
+ * defaulting to a one day vote passed by a simple majority of the members with a 12 hour cooldown.
+ * They can only be changed by a proposal of the account itself. Dissolving an account needs
+ * every member's vote. A proposal can be executed as soon as its outcome can no longer change.
+ * Members without ETH for gas can sign their ballots and proposals as EIP-712 typed data and
+ * let a relayer submit them with voteBySig, voteBySigBatch and proposeBySig.
+ * Accounts can opt in to secret ballots for kick votes: members commit a hash of their vote
+ * during the voting period and reveal it in a following reveal period. Only revealed votes
+ * are counted, unrevealed commitments count as abstentions.
+ * Guardians can pause the execution of proposals (see SubscriptionPausable); voting goes on.
  */
-contract SubscriptionVoting {
-    // Contract owner address
-    address public owner;
+contract SubscriptionVoting is EIP712, SubscriptionPausable {
+    /**
+     * @dev Kinds of proposals and the payload each of them carries
+     * Kick: abi.encode(address userToKick)
+     * SwitchTier: abi.encode(uint256 tierId)
+     * SetAutoRenew: abi.encode(bool enabled)
+     * InviteUser: abi.encode(address user)
+     * DissolveAccount: empty payload
+     * UpdateGovernance: abi.encode(uint256 votingPeriod, uint256 proposalCooldown, uint256 approvalPercent, uint256 quorumPercent)
+     * SetSecretBallots: abi.encode(uint256 revealPeriod), zero switches back to public kick votes
+     */
+    enum ProposalType { Kick, SwitchTier, SetAutoRenew, InviteUser, DissolveAccount, UpdateGovernance, SetSecretBallots }
+    
+    // Governance parameters of an account that never changed them
+    uint256 public constant DEFAULT_VOTING_PERIOD = 1 days;
+    uint256 public constant DEFAULT_PROPOSAL_COOLDOWN = 12 hours;
+    uint256 public constant DEFAULT_APPROVAL_PERCENT = 50;
+    uint256 public constant DEFAULT_QUORUM_PERCENT = 0;
+    
+    // Bounds of the governance parameters an account can choose
+    uint256 public constant MIN_VOTING_PERIOD = 1 hours;
+    uint256 public constant MAX_VOTING_PERIOD = 14 days;
+    uint256 public constant MAX_PROPOSAL_COOLDOWN = 7 days;
+    uint256 public constant MIN_REVEAL_PERIOD = 1 hours;
+    uint256 public constant MAX_REVEAL_PERIOD = 7 days;
+    
+    // EIP-712 type hashes of signed ballots and proposals
+    bytes32 public constant BALLOT_TYPEHASH =
+        keccak256("Ballot(uint256 proposalId,bool support,uint256 nonce,uint256 deadline)");
+    bytes32 public constant PROPOSAL_TYPEHASH = keccak256(
+        "Proposal(uint256 serviceId,uint256 accountId,uint8 proposalType,bytes payload,uint256 nonce,uint256 deadline)"
+    );
     
     // Reference to the main subscription token contract
     ISharedSubscriptionToken public subscriptionToken;
@@ -27,16 +77,63 @@ contract SubscriptionVoting {
     mapping(address => uint256) public lastProposalTime;
     
     /**
-     * @dev Information about a proposal to kick a user
+     * @dev Voting rules of a subscription account
+     * @param customized Whether the account replaced the defaults
+     * @param votingPeriod Length of the vote on a proposal in seconds
+     * @param proposalCooldown Minimum delay between two proposals of the same member in seconds
+     * @param approvalPercent Share of the eligible members that has to be exceeded by the yes votes
+     * @param quorumPercent Share of the eligible members that has to vote at all
+     */
+    struct GovernanceParams {
+        bool customized;
+        uint256 votingPeriod;
+        uint256 proposalCooldown;
+        uint256 approvalPercent;
+        uint256 quorumPercent;
+    }
+    
+    // Double mapping of service ID and account ID to the account's governance parameters
+    mapping(uint256 => mapping(uint256 => GovernanceParams)) internal governanceParams;
+    
+    // Double mapping of service ID and account ID to the reveal period of the account's kick votes,
+    // zero when they are public
+    mapping(uint256 => mapping(uint256 => uint256)) public revealPeriods;
+    
+    // Next signature nonce of each member, shared by signed ballots and proposals
+    mapping(address => uint256) public nonces;
+    
+    /**
+     * @dev A ballot signed by a member for a relayer to submit
+     * @param proposalId ID of the proposal
+     * @param support True for yes, False for no
+     * @param voter Address of the member who signed the ballot
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature EIP-712 signature of the Ballot typed data
+     */
+    struct SignedBallot {
+        uint256 proposalId;
+        bool support;
+        address voter;
+        uint256 deadline;
+        bytes signature;
+    }
+    
+    /**
+     * @dev Information about a proposal
      * @param proposer Address that created the proposal
-     * @param userToKick Address of the user to be potentially kicked
+     * @param userToKick Address of the user to be potentially kicked, zero for other proposal types
      * @param serviceId ID of the service
      * @param accountId ID of the subscription account
-     * @param yesVotes Number of votes in favor of kicking
-     * @param noVotes Number of votes against kicking
+     * @param yesVotes Number of votes in favor of the action
+     * @param noVotes Number of votes against the action
      * @param endTime Timestamp when voting ends
      * @param executed Whether the proposal has been executed
-     * @param hasVoted Mapping of addresses to whether they've voted
+     * @param proposalType Kind of action proposed
+     * @param payload ABI encoded arguments of the action
+     * @param revealEndTime Timestamp when the reveal period ends, zero for public ballots
+     * @param commitCount Number of secret votes committed
+     * @param hasVoted Mapping of addresses to whether they've voted or committed a vote
+     * @param commitments Mapping of addresses to their commitment until it is revealed
      */
     struct Proposal {
         address proposer;
@@ -47,7 +144,12 @@ contract SubscriptionVoting {
         uint256 noVotes;
         uint256 endTime;
         bool executed;
+        ProposalType proposalType;
+        bytes payload;
+        uint256 revealEndTime;
+        uint256 commitCount;
         mapping(address => bool) hasVoted;
+        mapping(address => bytes32) commitments;
     }
     
     // Mapping of proposal ID to proposal details
@@ -56,6 +158,10 @@ contract SubscriptionVoting {
     // Total number of proposals created
     uint256 public proposalCount;
     
+    // Double mapping of service ID and account ID to the number of the account's proposals not executed yet,
+    // seats of the account cannot change hands while they are open
+    mapping(uint256 => mapping(uint256 => uint256)) public openProposals;
+    
     // ==================== EVENTS ====================
     
     // Emitted when a new proposal is created
@@ -64,7 +170,9 @@ contract SubscriptionVoting {
         uint256 serviceId,
         uint256 accountId,
         address proposer,
-        address userToKick
+        address userToKick,
+        ProposalType proposalType,
+        bytes payload
     );
     
     // Emitted when a vote is cast on a proposal
@@ -76,6 +184,14 @@ contract SubscriptionVoting {
         bool vote
     );
     
+    // Emitted when a secret vote is committed, the vote itself is emitted with VoteCast once revealed
+    event VoteCommitted(
+        uint256 proposalId,
+        uint256 serviceId,
+        uint256 accountId,
+        address voter
+    );
+    
     // Emitted when a proposal is executed
     event ProposalExecuted(
         uint256 proposalId,
@@ -85,6 +201,19 @@ contract SubscriptionVoting {
         bool successful
     );
     
+    // Emitted when an account switches its kick votes between public and secret ballots
+    event SecretBallotsUpdated(uint256 serviceId, uint256 accountId, uint256 revealPeriod);
+    
+    // Emitted when an account changes its governance parameters
+    event GovernanceParamsUpdated(
+        uint256 serviceId,
+        uint256 accountId,
+        uint256 votingPeriod,
+        uint256 proposalCooldown,
+        uint256 approvalPercent,
+        uint256 quorumPercent
+    );
+    
     // ==================== ERRORS ====================
     
     // Error for when a vote is attempted after voting period is over
@@ -99,21 +228,26 @@ contract SubscriptionVoting {
     // Error for when a proposal has already been executed
     error ProposalAlreadyExecuted();
     
+    // Error for when a proposal is executed while its outcome can still change
+    error OutcomeNotDecided();
+    
     /**
      * @dev Constructor function
      * @param _subscriptionTokenAddress Address of the SharedSubscriptionToken contract
      */
-    constructor(address _subscriptionTokenAddress) {
-        owner = msg.sender;
-        subscriptionToken = ISharedSubscriptionToken(_subscriptionTokenAddress);
+    constructor(address _subscriptionTokenAddress) EIP712("SubscriptionVoting", "1") {
+        initialize(msg.sender, _subscriptionTokenAddress);
     }
     
     /**
-     * @dev Restricts function access to the contract owner
+     * @dev Sets up the contract behind a proxy, the constructor does the same for direct deployments
+     * The EIP-712 domain keeps working behind a proxy: it is rebuilt for the proxy's address.
+     * @param initialOwner Address becoming owner and guardian
+     * @param _subscriptionTokenAddress Address of the SharedSubscriptionToken contract
      */
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Ownable: caller is not the owner");
-        _;
+    function initialize(address initialOwner, address _subscriptionTokenAddress) public initializer {
+        _initPausable(initialOwner);
+        subscriptionToken = ISharedSubscriptionToken(_subscriptionTokenAddress);
     }
     
     // ==================== PROPOSAL FUNCTIONS ====================
@@ -130,116 +264,188 @@ contract SubscriptionVoting {
         uint256 accountId,
         address userToKick
     ) external returns (uint256) {
-        // Verify the caller is a member of the account
-        require(subscriptionToken.isMemberOfAccount(msg.sender, serviceId, accountId), "Not a member");
-        
-        // Verify the user to kick is a member of the account
-        require(subscriptionToken.isMemberOfAccount(userToKick, serviceId, accountId), "User not in this account");
-        
-        // Prevent users from proposing to kick themselves
-        require(userToKick != msg.sender, "Cannot propose yourself");
-        
-        // Rate limiting: Ensure the user waits at least 12 hours between proposals
-        require(
-            block.timestamp > lastProposalTime[msg.sender] + 12 hours,
-            "Wait before proposing again"
-        );
-        
-        // Update the user's last proposal time
-        lastProposalTime[msg.sender] = block.timestamp;
-        
-        // Create new proposal
-        uint256 proposalId = ++proposalCount;
-        Proposal storage proposal = proposals[proposalId];
-        
-        proposal.proposer = msg.sender;
-        proposal.userToKick = userToKick;
-        proposal.serviceId = serviceId;
-        proposal.accountId = accountId;
-        proposal.endTime = block.timestamp + 1 days; // Voting period of 1 day
-        proposal.executed = false;
-        
-        emit ProposalCreated(proposalId, serviceId, accountId, msg.sender, userToKick);
-        
-        return proposalId;
+        return _propose(msg.sender, serviceId, accountId, ProposalType.Kick, abi.encode(userToKick));
+    }
+    
+    /**
+     * @dev Creates a proposal of any type for a subscription account
+     * The payload is checked against the rules of the proposal type, see ProposalType for its encoding.
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @param proposalType Kind of action proposed
+     * @param payload ABI encoded arguments of the action
+     * @return ID of the newly created proposal
+     */
+    function propose(
+        uint256 serviceId,
+        uint256 accountId,
+        ProposalType proposalType,
+        bytes calldata payload
+    ) external returns (uint256) {
+        return _propose(msg.sender, serviceId, accountId, proposalType, payload);
+    }
+    
+    /**
+     * @dev Creates a proposal signed by a member, submitted by anyone
+     * The proposal is subject to the same checks as if the signer had called propose,
+     * including the signer's proposal cooldown.
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @param proposalType Kind of action proposed
+     * @param payload ABI encoded arguments of the action
+     * @param proposer Address of the member who signed the proposal
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature EIP-712 signature of the Proposal typed data
+     * @return ID of the newly created proposal
+     */
+    function proposeBySig(
+        uint256 serviceId,
+        uint256 accountId,
+        ProposalType proposalType,
+        bytes calldata payload,
+        address proposer,
+        uint256 deadline,
+        bytes calldata signature
+    ) external returns (uint256) {
+        bytes32 structHash = keccak256(abi.encode(
+            PROPOSAL_TYPEHASH,
+            serviceId,
+            accountId,
+            proposalType,
+            keccak256(payload),
+            nonces[proposer],
+            deadline
+        ));
+        _useSignature(proposer, structHash, deadline, signature);
+        return _propose(proposer, serviceId, accountId, proposalType, payload);
     }
     
     /**
      * @dev Allows a member to vote on a proposal
      * @param proposalId ID of the proposal
-     * @param vote True for yes (kick), False for no (don't kick)
+     * @param vote True for yes, False for no
      */
     function voteOnProposal(
         uint256 proposalId,
         bool vote
     ) external {
+        _vote(msg.sender, proposalId, vote);
+    }
+    
+    /**
+     * @dev Records a ballot signed by a member, submitted by anyone
+     * The ballot is subject to the same checks as if the signer had called voteOnProposal.
+     * @param proposalId ID of the proposal
+     * @param support True for yes, False for no
+     * @param voter Address of the member who signed the ballot
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature EIP-712 signature of the Ballot typed data
+     */
+    function voteBySig(
+        uint256 proposalId,
+        bool support,
+        address voter,
+        uint256 deadline,
+        bytes calldata signature
+    ) public {
+        bytes32 structHash = keccak256(abi.encode(BALLOT_TYPEHASH, proposalId, support, nonces[voter], deadline));
+        _useSignature(voter, structHash, deadline, signature);
+        _vote(voter, proposalId, support);
+    }
+    
+    /**
+     * @dev Records several signed ballots in one transaction
+     * The whole batch reverts if one of the ballots is rejected, so relayers should drop
+     * the ballots that fail on their own first.
+     * @param ballots Signed ballots to record, in nonce order for ballots of the same voter
+     */
+    function voteBySigBatch(SignedBallot[] calldata ballots) external {
+        for (uint256 i = 0; i < ballots.length; i++) {
+            SignedBallot calldata ballot = ballots[i];
+            voteBySig(ballot.proposalId, ballot.support, ballot.voter, ballot.deadline, ballot.signature);
+        }
+    }
+    
+    /**
+     * @dev Commits a secret vote on a proposal with secret ballots
+     * The same checks as for a public vote apply. The commitment is
+     * keccak256(abi.encode(proposalId, voter, support, salt)), see lib/secretBallots.js.
+     * @param proposalId ID of the proposal
+     * @param commitment Hash of the vote
+     */
+    function commitVote(uint256 proposalId, bytes32 commitment) external {
         Proposal storage proposal = proposals[proposalId];
+        require(proposal.revealEndTime != 0, "Proposal uses public ballots");
+        require(commitment != bytes32(0), "Invalid commitment");
+        _checkVoter(msg.sender, proposal);
         
-        // Check if voting period is still active
-        require(block.timestamp <= proposal.endTime, "Voting period ended");
+        proposal.hasVoted[msg.sender] = true;
+        proposal.commitments[msg.sender] = commitment;
+        proposal.commitCount += 1;
         
-        // Check if proposal has already been executed
+        emit VoteCommitted(proposalId, proposal.serviceId, proposal.accountId, msg.sender);
+    }
+    
+    /**
+     * @dev Reveals a committed vote during the reveal period and counts it
+     * @param proposalId ID of the proposal
+     * @param support The committed vote
+     * @param salt The salt the commitment was made with
+     */
+    function revealVote(uint256 proposalId, bool support, bytes32 salt) external {
+        Proposal storage proposal = proposals[proposalId];
+        require(
+            block.timestamp > proposal.endTime && block.timestamp <= proposal.revealEndTime,
+            "Not in reveal period"
+        );
         require(!proposal.executed, "Proposal already executed");
         
-        // Verify voter is a member of the account
-        require(subscriptionToken.isMemberOfAccount(msg.sender, proposal.serviceId, proposal.accountId), "Not a member");
-        
-        // The user to be kicked cannot vote on their own removal
-        require(msg.sender != proposal.userToKick, "Cannot vote on your own kick");
-        
-        // Prevent double voting
-        require(!proposal.hasVoted[msg.sender], "Already voted");
+        bytes32 commitment = proposal.commitments[msg.sender];
+        require(commitment != bytes32(0), "No vote to reveal");
+        require(
+            keccak256(abi.encode(proposalId, msg.sender, support, salt)) == commitment,
+            "Vote does not match commitment"
+        );
         
-        // Record the vote
-        proposal.hasVoted[msg.sender] = true;
-        if (vote) {
+        delete proposal.commitments[msg.sender];
+        if (support) {
             proposal.yesVotes += 1;
         } else {
             proposal.noVotes += 1;
         }
         
-        emit VoteCast(proposalId, proposal.serviceId, proposal.accountId, msg.sender, vote);
+        emit VoteCast(proposalId, proposal.serviceId, proposal.accountId, msg.sender, support);
     }
     
     /**
-     * @dev Executes a proposal after the voting period ends
-     * If the proposal passes (majority vote), the user is kicked from the subscription
+     * @dev Executes a proposal once its outcome is decided
+     * That is after the voting period ends, or earlier when the outstanding votes can no longer
+     * change the outcome. If the proposal passes, its action is carried out on the subscription
+     * token contract. A passed proposal whose action is no longer possible (the user to kick
+     * already left, the account no longer fits the tier...) is marked as executed but unsuccessful.
      * @param proposalId ID of the proposal to execute
      */
     function executeProposal(
         uint256 proposalId
-    ) external {
+    ) external whenNotPaused(PauseSwitch.Governance) {
         Proposal storage proposal = proposals[proposalId];
         
-        // Ensure voting period has ended
-        if (block.timestamp <= proposal.endTime) revert VotingPeriodEnded();
-        
         // Ensure proposal hasn't already been executed
         if (proposal.executed) revert ProposalAlreadyExecuted();
         
+        // Ensure the vote is over or its outcome can no longer change
+        (bool decided, bool passed) = _outcome(proposal);
+        if (!decided) revert OutcomeNotDecided();
+        
         // Mark as executed to prevent re-execution
         proposal.executed = true;
-        
-        // Get total member count
-        address[] memory members = subscriptionToken.getSubscriptionMembers(proposal.serviceId, proposal.accountId);
-        require(members.length >= 2, "Not enough members to execute proposal");
-        
-        // Calculate required votes for majority (excluding the user to kick)
-        uint256 totalMembers = members.length - 1;
-        uint256 requiredVotes = (totalMembers / 2) + 1;
-        
-        bool successful = false;
-        
-        // Check if proposal passed
-        if (proposal.yesVotes >= requiredVotes) {
-            // Verify user is still a member before kicking (they might have left already)
-            if (subscriptionToken.isMemberOfAccount(proposal.userToKick, proposal.serviceId, proposal.accountId)) {
-                // Call the main contract to remove the user
-                subscriptionToken.kickUser(proposal.serviceId, proposal.accountId, proposal.userToKick);
-                successful = true;
-            }
+        // Proposals created before open proposals were counted are not in the count
+        if (openProposals[proposal.serviceId][proposal.accountId] > 0) {
+            openProposals[proposal.serviceId][proposal.accountId]--;
         }
         
+        bool successful = passed && _dispatch(proposal);
+        
         emit ProposalExecuted(proposalId, proposal.serviceId, proposal.accountId, proposal.userToKick, successful);
     }
     
@@ -249,13 +455,16 @@ contract SubscriptionVoting {
      * @dev Gets details about a proposal
      * @param proposalId ID of the proposal
      * @return proposer Address that created the proposal
-     * @return userToKick Address of the user to be potentially kicked
+     * @return userToKick Address of the user to be potentially kicked, zero for other proposal types
      * @return serviceId ID of the service
      * @return accountId ID of the subscription account
-     * @return yesVotes Number of votes in favor of kicking
-     * @return noVotes Number of votes against kicking
+     * @return yesVotes Number of votes in favor of the action
+     * @return noVotes Number of votes against the action
      * @return endTime Timestamp when voting ends
      * @return executed Whether the proposal has been executed
+     * @return proposalType Kind of action proposed
+     * @return payload ABI encoded arguments of the action
+     * @return revealEndTime Timestamp when the reveal period ends, zero for public ballots
      */
     function getProposal(uint256 proposalId)
         external
@@ -268,7 +477,10 @@ contract SubscriptionVoting {
             uint256 yesVotes,
             uint256 noVotes,
             uint256 endTime,
-            bool executed
+            bool executed,
+            ProposalType proposalType,
+            bytes memory payload,
+            uint256 revealEndTime
         )
     {
         Proposal storage proposal = proposals[proposalId];
@@ -281,10 +493,51 @@ contract SubscriptionVoting {
             proposal.yesVotes,
             proposal.noVotes,
             proposal.endTime,
-            proposal.executed
+            proposal.executed,
+            proposal.proposalType,
+            proposal.payload,
+            proposal.revealEndTime
         );
     }
     
+    /**
+     * @dev Checks whether a proposal can be executed now
+     * @param proposalId ID of the proposal
+     * @return executable Whether executeProposal would go through
+     * @return passed Whether the proposal passed, only meaningful when executable
+     */
+    function canExecute(uint256 proposalId) external view returns (bool executable, bool passed) {
+        Proposal storage proposal = proposals[proposalId];
+        if (proposal.executed || proposal.endTime == 0) return (false, false);
+        return _outcome(proposal);
+    }
+    
+    /**
+     * @dev Gets the governance parameters of a subscription account
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @return votingPeriod Length of the vote on a proposal in seconds
+     * @return proposalCooldown Minimum delay between two proposals of the same member in seconds
+     * @return approvalPercent Share of the eligible members that has to be exceeded by the yes votes
+     * @return quorumPercent Share of the eligible members that has to vote at all
+     */
+    function getGovernanceParams(uint256 serviceId, uint256 accountId)
+        public
+        view
+        returns (
+            uint256 votingPeriod,
+            uint256 proposalCooldown,
+            uint256 approvalPercent,
+            uint256 quorumPercent
+        )
+    {
+        GovernanceParams storage params = governanceParams[serviceId][accountId];
+        if (!params.customized) {
+            return (DEFAULT_VOTING_PERIOD, DEFAULT_PROPOSAL_COOLDOWN, DEFAULT_APPROVAL_PERCENT, DEFAULT_QUORUM_PERCENT);
+        }
+        return (params.votingPeriod, params.proposalCooldown, params.approvalPercent, params.quorumPercent);
+    }
+    
     /**
      * @dev Checks if a user has voted on a specific proposal
      * @param proposalId ID of the proposal
@@ -305,4 +558,341 @@ contract SubscriptionVoting {
     function updateSubscriptionTokenAddress(address _newAddress) external onlyOwner {
         subscriptionToken = ISharedSubscriptionToken(_newAddress);
     }
-}
\ No newline at end of file
+    
+    // ==================== INTERNAL FUNCTIONS ====================
+    
+    /**
+     * @dev Reverts while a switch is paused here or on the subscription token contract
+     * A proposal executed while the token refuses governance changes would be marked as
+     * executed but unsuccessful, so execution waits for both pauses to lift.
+     * @param pauseSwitch Switch to check
+     */
+    function _checkNotPaused(PauseSwitch pauseSwitch) internal view override {
+        super._checkNotPaused(pauseSwitch);
+        require(!subscriptionToken.isPaused(pauseSwitch), "Pausable: paused");
+    }
+    
+    /**
+     * @dev Records a vote after checking the voter may cast it
+     * @param voter Address of the member voting
+     * @param proposalId ID of the proposal
+     * @param vote True for yes, False for no
+     */
+    function _vote(address voter, uint256 proposalId, bool vote) internal {
+        Proposal storage proposal = proposals[proposalId];
+        require(proposal.revealEndTime == 0, "Proposal uses secret ballots");
+        _checkVoter(voter, proposal);
+        
+        // Record the vote
+        proposal.hasVoted[voter] = true;
+        if (vote) {
+            proposal.yesVotes += 1;
+        } else {
+            proposal.noVotes += 1;
+        }
+        
+        emit VoteCast(proposalId, proposal.serviceId, proposal.accountId, voter, vote);
+    }
+    
+    /**
+     * @dev Checks that a member may vote on a proposal right now
+     * @param voter Address of the member voting
+     * @param proposal The proposal voted on
+     */
+    function _checkVoter(address voter, Proposal storage proposal) internal view {
+        // Check if voting period is still active
+        require(block.timestamp <= proposal.endTime, "Voting period ended");
+        
+        // Check if proposal has already been executed
+        require(!proposal.executed, "Proposal already executed");
+        
+        // Verify voter is a member of the account
+        require(subscriptionToken.isMemberOfAccount(voter, proposal.serviceId, proposal.accountId), "Not a member");
+        
+        // The user to be kicked cannot vote on their own removal
+        if (proposal.proposalType == ProposalType.Kick) {
+            require(voter != proposal.userToKick, "Cannot vote on your own kick");
+        }
+        
+        // Prevent double voting
+        require(!proposal.hasVoted[voter], "Already voted");
+    }
+    
+    /**
+     * @dev Checks an EIP-712 signature and consumes the signer's nonce
+     * @param signer Address expected to have signed
+     * @param structHash Hash of the signed struct, built with the signer's current nonce
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature The signature
+     */
+    function _useSignature(address signer, bytes32 structHash, uint256 deadline, bytes calldata signature) internal {
+        require(block.timestamp <= deadline, "Signature expired");
+        require(ECDSA.recover(_hashTypedDataV4(structHash), signature) == signer, "Invalid signature");
+        nonces[signer] += 1;
+    }
+    
+    /**
+     * @dev Validates and records a new proposal
+     * @param proposer Address of the member proposing
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @param proposalType Kind of action proposed
+     * @param payload ABI encoded arguments of the action
+     * @return ID of the newly created proposal
+     */
+    function _propose(
+        address proposer,
+        uint256 serviceId,
+        uint256 accountId,
+        ProposalType proposalType,
+        bytes memory payload
+    ) internal returns (uint256) {
+        // Verify the proposer is a member of the account
+        require(subscriptionToken.isMemberOfAccount(proposer, serviceId, accountId), "Not a member");
+        
+        address userToKick = _checkPayload(proposer, serviceId, accountId, proposalType, payload);
+        (uint256 votingPeriod, uint256 proposalCooldown, , ) = getGovernanceParams(serviceId, accountId);
+        
+        // Rate limiting: Ensure the user waits out the account's cooldown between proposals
+        require(
+            block.timestamp > lastProposalTime[proposer] + proposalCooldown,
+            "Wait before proposing again"
+        );
+        
+        // Update the user's last proposal time
+        lastProposalTime[proposer] = block.timestamp;
+        
+        // Create new proposal
+        uint256 proposalId = ++proposalCount;
+        Proposal storage proposal = proposals[proposalId];
+        
+        proposal.proposer = proposer;
+        proposal.userToKick = userToKick;
+        proposal.serviceId = serviceId;
+        proposal.accountId = accountId;
+        proposal.endTime = block.timestamp + votingPeriod;
+        proposal.executed = false;
+        proposal.proposalType = proposalType;
+        proposal.payload = payload;
+        openProposals[serviceId][accountId]++;
+        
+        // Kick votes of accounts that opted in are secret
+        uint256 revealPeriod = revealPeriods[serviceId][accountId];
+        if (proposalType == ProposalType.Kick && revealPeriod > 0) {
+            proposal.revealEndTime = proposal.endTime + revealPeriod;
+        }
+        
+        emit ProposalCreated(proposalId, serviceId, accountId, proposer, userToKick, proposalType, payload);
+        
+        return proposalId;
+    }
+    
+    /**
+     * @dev Checks a payload against the rules of its proposal type
+     * Conditions that can change during the vote (tier seats, auto-renew state...) are left
+     * to the subscription token contract when the proposal is executed.
+     * @param proposer Address of the member proposing
+     * @param serviceId ID of the service
+     * @param accountId ID of the subscription account
+     * @param proposalType Kind of action proposed
+     * @param payload ABI encoded arguments of the action
+     * @return userToKick The user to kick for kick proposals, zero otherwise
+     */
+    function _checkPayload(
+        address proposer,
+        uint256 serviceId,
+        uint256 accountId,
+        ProposalType proposalType,
+        bytes memory payload
+    ) internal view returns (address userToKick) {
+        if (proposalType == ProposalType.DissolveAccount) {
+            require(payload.length == 0, "Invalid payload");
+            return address(0);
+        }
+        if (proposalType == ProposalType.UpdateGovernance) {
+            require(payload.length == 128, "Invalid payload");
+            (uint256 votingPeriod, uint256 proposalCooldown, uint256 approvalPercent, uint256 quorumPercent) =
+                abi.decode(payload, (uint256, uint256, uint256, uint256));
+            require(
+                _validParams(votingPeriod, proposalCooldown, approvalPercent, quorumPercent),
+                "Invalid governance parameters"
+            );
+            return address(0);
+        }
+        require(payload.length == 32, "Invalid payload");
+        
+        if (proposalType == ProposalType.SetSecretBallots) {
+            uint256 revealPeriod = abi.decode(payload, (uint256));
+            require(
+                revealPeriod == 0 || (revealPeriod >= MIN_REVEAL_PERIOD && revealPeriod <= MAX_REVEAL_PERIOD),
+                "Invalid reveal period"
+            );
+            return address(0);
+        }
+        
+        if (proposalType == ProposalType.Kick) {
+            userToKick = abi.decode(payload, (address));
+            
+            // Verify the user to kick is a member of the account
+            require(subscriptionToken.isMemberOfAccount(userToKick, serviceId, accountId), "User not in this account");
+            
+            // Prevent users from proposing to kick themselves
+            require(userToKick != proposer, "Cannot propose yourself");
+        } else if (proposalType == ProposalType.InviteUser) {
+            address user = abi.decode(payload, (address));
+            require(user != address(0), "Invalid user");
+            require(!subscriptionToken.isMemberOfAccount(user, serviceId, accountId), "User already in this account");
+        } else if (proposalType == ProposalType.SetAutoRenew) {
+            abi.decode(payload, (bool));
+        }
+    }
+    
+    /**
+     * @dev Checks governance parameters against their bounds
+     * The approval threshold cannot go below half of the members so that two contradicting
+     * proposals cannot both pass.
+     * @return Whether the parameters are acceptable
+     */
+    function _validParams(
+        uint256 votingPeriod,
+        uint256 proposalCooldown,
+        uint256 approvalPercent,
+        uint256 quorumPercent
+    ) internal pure returns (bool) {
+        return votingPeriod >= MIN_VOTING_PERIOD && votingPeriod <= MAX_VOTING_PERIOD
+            && proposalCooldown <= MAX_PROPOSAL_COOLDOWN
+            && approvalPercent >= 50 && approvalPercent <= 100
+            && quorumPercent <= 100;
+    }
+    
+    /**
+     * @dev Works out whether the outcome of a proposal is decided and whether it passed
+     * Votes are counted against the current members of the account; the user to kick is not
+     * eligible to vote on their own removal. Yes votes only ever grow, so a proposal that reached
+     * its approval threshold and quorum has passed for good. Before the end of the voting period a
+     * proposal has failed for good once the members who have not voted yet could not reach the
+     * approval threshold anymore. Secret ballots are only counted once revealed, so their outcome
+     * is open during the whole voting period and then depends on the commitments left to reveal.
+     * A kick needs a member besides the user to kick and any other proposal a member; without
+     * them the proposal fails once the voting period is over, so it can still be closed.
+     * @param proposal The proposal to evaluate
+     * @return decided Whether the outcome can no longer change
+     * @return passed Whether the proposal passed
+     */
+    function _outcome(Proposal storage proposal) internal view returns (bool decided, bool passed) {
+        // Get total member count
+        address[] memory members = subscriptionToken.getSubscriptionMembers(proposal.serviceId, proposal.accountId);
+        bool isKick = proposal.proposalType == ProposalType.Kick;
+        if (members.length < (isKick ? 2 : 1)) return (block.timestamp > proposal.endTime, false);
+        
+        // The user to kick does not count towards the votes needed
+        uint256 eligible = isKick ? members.length - 1 : members.length;
+        
+        (, , uint256 approvalPercent, uint256 quorumPercent) =
+            getGovernanceParams(proposal.serviceId, proposal.accountId);
+        uint256 requiredVotes = _requiredVotes(proposal.proposalType, eligible, approvalPercent);
+        uint256 quorum = (eligible * quorumPercent + 99) / 100;
+        
+        uint256 cast = proposal.yesVotes + proposal.noVotes;
+        if (proposal.revealEndTime != 0) {
+            if (block.timestamp <= proposal.endTime) return (false, false);
+            if (proposal.yesVotes >= requiredVotes && cast >= quorum) return (true, true);
+            if (block.timestamp > proposal.revealEndTime) return (true, false);
+            
+            // Votes still to be revealed
+            uint256 unrevealed = proposal.commitCount - cast;
+            return (proposal.yesVotes + unrevealed < requiredVotes, false);
+        }
+        
+        if (proposal.yesVotes >= requiredVotes && cast >= quorum) return (true, true);
+        if (block.timestamp > proposal.endTime) return (true, false);
+        
+        uint256 outstanding = eligible > cast ? eligible - cast : 0;
+        return (proposal.yesVotes + outstanding < requiredVotes, false);
+    }
+    
+    /**
+     * @dev Number of yes votes a proposal needs to pass
+     * Dissolving an account needs every eligible member, every other type more than the
+     * account's approval share of them.
+     * @param proposalType Kind of action proposed
+     * @param eligibleVoters Number of members allowed to vote
+     * @param approvalPercent Share of the eligible members that has to be exceeded
+     * @return Required number of yes votes
+     */
+    function _requiredVotes(
+        ProposalType proposalType,
+        uint256 eligibleVoters,
+        uint256 approvalPercent
+    ) internal pure returns (uint256) {
+        uint256 required = (eligibleVoters * approvalPercent) / 100 + 1;
+        if (proposalType == ProposalType.DissolveAccount || required > eligibleVoters) {
+            return eligibleVoters;
+        }
+        return required;
+    }
+    
+    /**
+     * @dev Carries out the action of a passed proposal on the subscription token contract
+     * @param proposal The proposal to carry out
+     * @return Whether the action succeeded
+     */
+    function _dispatch(Proposal storage proposal) internal returns (bool) {
+        uint256 serviceId = proposal.serviceId;
+        uint256 accountId = proposal.accountId;
+        ProposalType proposalType = proposal.proposalType;
+        
+        if (proposalType == ProposalType.Kick) {
+            // Verify user is still a member before kicking (they might have left already)
+            if (!subscriptionToken.isMemberOfAccount(proposal.userToKick, serviceId, accountId)) return false;
+            subscriptionToken.kickUser(serviceId, accountId, proposal.userToKick);
+            return true;
+        }
+        
+        if (proposalType == ProposalType.SwitchTier) {
+            try subscriptionToken.switchAccountTier(serviceId, accountId, abi.decode(proposal.payload, (uint256))) {
+                return true;
+            } catch {
+                return false;
+            }
+        }
+        
+        if (proposalType == ProposalType.SetAutoRenew) {
+            try subscriptionToken.setAccountAutoRenew(serviceId, accountId, abi.decode(proposal.payload, (bool))) {
+                return true;
+            } catch {
+                return false;
+            }
+        }
+        
+        if (proposalType == ProposalType.InviteUser) {
+            try subscriptionToken.inviteUser(serviceId, accountId, abi.decode(proposal.payload, (address))) {
+                return true;
+            } catch {
+                return false;
+            }
+        }
+        
+        if (proposalType == ProposalType.UpdateGovernance) {
+            (uint256 votingPeriod, uint256 proposalCooldown, uint256 approvalPercent, uint256 quorumPercent) =
+                abi.decode(proposal.payload, (uint256, uint256, uint256, uint256));
+            governanceParams[serviceId][accountId] =
+                GovernanceParams(true, votingPeriod, proposalCooldown, approvalPercent, quorumPercent);
+            emit GovernanceParamsUpdated(serviceId, accountId, votingPeriod, proposalCooldown, approvalPercent, quorumPercent);
+            return true;
+        }
+        
+        if (proposalType == ProposalType.SetSecretBallots) {
+            uint256 revealPeriod = abi.decode(proposal.payload, (uint256));
+            revealPeriods[serviceId][accountId] = revealPeriod;
+            emit SecretBallotsUpdated(serviceId, accountId, revealPeriod);
+            return true;
+        }
+        
+        try subscriptionToken.dissolveAccount(serviceId, accountId) {
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
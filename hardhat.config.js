@@ -1,7 +1,28 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/token");
+require("./tasks/voting");
+require("./tasks/provider");
+require("./tasks/pricing");
+require("./tasks/access");
 
 module.exports = {
-  solidity: "0.8.20",
+  solidity: {
+    version: "0.8.20",
+    settings: {
+      // Keeps SharedSubscriptionToken under the 24KB contract size limit
+      viaIR: true,
+      optimizer: {
+        enabled: true,
+        runs: 200
+      },
+      // Storage layouts are compared before upgrading a proxy (see lib/storageLayout.js)
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"]
+        }
+      }
+    }
+  },
   networks: {
     hardhat: {
       chainId: 1337
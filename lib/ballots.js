@@ -0,0 +1,110 @@
+const { encodeProposalAction, proposalTypeId } = require("./proposals");
+
+/**
+ * EIP-712 signed ballots and proposals for SubscriptionVoting
+ *
+ * Members sign their votes and proposals off-chain; a relayer submits them with voteBySig,
+ * voteBySigBatch or proposeBySig and pays the gas. Every signature consumes the signer's next
+ * nonce, so several signatures of the same member have to be submitted in nonce order.
+ */
+
+// Typed data of a vote, must match SubscriptionVoting.BALLOT_TYPEHASH
+const BALLOT_TYPES = {
+  Ballot: [
+    { name: "proposalId", type: "uint256" },
+    { name: "support", type: "bool" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Typed data of a proposal, must match SubscriptionVoting.PROPOSAL_TYPEHASH
+const SIGNED_PROPOSAL_TYPES = {
+  Proposal: [
+    { name: "serviceId", type: "uint256" },
+    { name: "accountId", type: "uint256" },
+    { name: "proposalType", type: "uint8" },
+    { name: "payload", type: "bytes" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Signatures are valid for a day unless a deadline is given
+const DEFAULT_VALIDITY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Builds the EIP-712 domain of a SubscriptionVoting deployment
+ * @param {object} voting SubscriptionVoting contract instance connected to a provider
+ * @returns {Promise<object>}
+ */
+async function votingDomain(voting) {
+  const { chainId } = await voting.runner.provider.getNetwork();
+  return { name: "SubscriptionVoting", version: "1", chainId, verifyingContract: await voting.getAddress() };
+}
+
+/**
+ * Signs a vote on a proposal
+ * @param {object} voting SubscriptionVoting contract instance
+ * @param {object} signer Ethers signer of the voting member
+ * @param {object} ballot
+ * @param {number|string|bigint} ballot.proposalId ID of the proposal
+ * @param {boolean} ballot.support True for yes, false for no
+ * @param {number|bigint} [ballot.deadline] Expiry timestamp of the signature
+ * @param {number|bigint} [ballot.nonce] Nonce to sign, the member's next nonce by default
+ * @returns {Promise<object>} Signed ballot in the shape of SubscriptionVoting.SignedBallot, with kind "ballot"
+ */
+async function signBallot(voting, signer, ballot) {
+  const voter = await signer.getAddress();
+  const value = {
+    proposalId: BigInt(ballot.proposalId),
+    support: ballot.support,
+    nonce: ballot.nonce !== undefined ? BigInt(ballot.nonce) : await voting.nonces(voter),
+    deadline: await _deadline(voting, ballot.deadline),
+  };
+  const signature = await signer.signTypedData(await votingDomain(voting), BALLOT_TYPES, value);
+  return { kind: "ballot", ...value, voter, signature };
+}
+
+/**
+ * Signs a proposal
+ * @param {object} voting SubscriptionVoting contract instance
+ * @param {object} signer Ethers signer of the proposing member
+ * @param {object} proposal
+ * @param {number|string|bigint} proposal.serviceId ID of the service
+ * @param {number|string|bigint} proposal.accountId ID of the subscription account
+ * @param {string|number} proposal.proposalType Type name or enum value, see lib/proposals.js
+ * @param {object} [proposal.action] Arguments of the action, encoded into the payload
+ * @param {string} [proposal.payload] Already encoded payload, used instead of action
+ * @param {number|bigint} [proposal.deadline] Expiry timestamp of the signature
+ * @param {number|bigint} [proposal.nonce] Nonce to sign, the member's next nonce by default
+ * @returns {Promise<object>} Signed proposal with the arguments of proposeBySig, with kind "proposal"
+ */
+async function signProposal(voting, signer, proposal) {
+  const proposer = await signer.getAddress();
+  const value = {
+    serviceId: BigInt(proposal.serviceId),
+    accountId: BigInt(proposal.accountId),
+    proposalType: proposalTypeId(proposal.proposalType),
+    payload: proposal.payload || encodeProposalAction(proposal.proposalType, proposal.action),
+    nonce: proposal.nonce !== undefined ? BigInt(proposal.nonce) : await voting.nonces(proposer),
+    deadline: await _deadline(voting, proposal.deadline),
+  };
+  const signature = await signer.signTypedData(await votingDomain(voting), SIGNED_PROPOSAL_TYPES, value);
+  return { kind: "proposal", ...value, proposer, signature };
+}
+
+async function _deadline(voting, deadline) {
+  if (deadline !== undefined) return BigInt(deadline);
+  const latestBlock = await voting.runner.provider.getBlock("latest");
+  return BigInt(latestBlock.timestamp + DEFAULT_VALIDITY_SECONDS);
+}
+
+module.exports = {
+  BALLOT_TYPES,
+  SIGNED_PROPOSAL_TYPES,
+  DEFAULT_VALIDITY_SECONDS,
+  votingDomain,
+  signBallot,
+  signProposal,
+};
@@ -0,0 +1,277 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { NonceManager } = require("ethers");
+const { encryptCredentials } = require("./credentials");
+
+// SharedSubscriptionToken events that change who should hold which credentials
+const MEMBERSHIP_EVENTS = [
+  "SubscriptionAccountCreated",
+  "UserAddedToSubscription",
+  "PublicKeyRegistered",
+  "UserKicked",
+  "UserLeftSubscription",
+  "MemberMoved",
+];
+
+/**
+ * Keeps members' on-chain credentials in sync with a local vault
+ *
+ * The distributor replays membership events from SharedSubscriptionToken into a local model of
+ * accounts and members, then reconciles: every member with a registered public key should hold
+ * the vault login of their (serviceId, accountId), encrypted with their current key. Anything
+ * missing or stale (new member, new key, rotated vault entry, kick of a flatmate) is re-sent with
+ * storeEncryptedCredentials.
+ *
+ * Progress is persisted in a checkpoint file so a restarted daemon resumes where it stopped
+ * without re-sending credentials that were already delivered.
+ *
+ * The vault is a JSON file keyed by service ID, then account ID:
+ *   { "1": { "1": { "username": "...", "password": "..." } } }
+ */
+class CredentialDistributor {
+  /**
+   * @param {object} options
+   * @param {object} options.token SharedSubscriptionToken contract instance
+   * @param {object} options.signer Signer holding the credentials operator role, used to store credentials
+   * @param {string} options.vaultFile Path of the vault JSON file
+   * @param {string} options.checkpointFile Path of the checkpoint JSON file
+   * @param {number} [options.startBlock] First block to scan when there is no checkpoint
+   * @param {number} [options.confirmations] Blocks to wait before processing events
+   * @param {number} [options.maxBlockRange] Maximum number of blocks per log query
+   * @param {number} [options.maxRetries] Attempts per transaction before giving up until the next sync
+   * @param {number} [options.retryDelayMs] Base delay between attempts, doubled on every retry
+   * @param {Function} [options.log] Logger
+   */
+  constructor(options) {
+    this.token = options.token;
+    this.signer = new NonceManager(options.signer);
+    this.vaultFile = options.vaultFile;
+    this.checkpointFile = options.checkpointFile;
+    this.startBlock = options.startBlock || 0;
+    this.confirmations = options.confirmations || 0;
+    this.maxBlockRange = options.maxBlockRange || 2000;
+    this.maxRetries = options.maxRetries === undefined ? 3 : options.maxRetries;
+    this.retryDelayMs = options.retryDelayMs === undefined ? 1000 : options.retryDelayMs;
+    this.log = options.log || console.log;
+
+    this.state = this._loadCheckpoint();
+    this._timer = null;
+    this._running = false;
+  }
+
+  /**
+   * Processes new events and delivers every missing or stale credential
+   * @returns {Promise<{fromBlock: number, toBlock: number, events: number, delivered: Array, failed: Array}>}
+   */
+  async sync() {
+    const provider = this.token.runner.provider || this.signer.provider;
+    const head = (await provider.getBlockNumber()) - this.confirmations;
+    const fromBlock = this.state.lastBlock + 1;
+    let events = 0;
+
+    for (let start = fromBlock; start <= head; start += this.maxBlockRange) {
+      const end = Math.min(start + this.maxBlockRange - 1, head);
+      const logs = await provider.getLogs({
+        address: await this.token.getAddress(),
+        fromBlock: start,
+        toBlock: end,
+      });
+      for (const log of logs) {
+        const parsed = this.token.interface.parseLog(log);
+        if (!parsed || !MEMBERSHIP_EVENTS.includes(parsed.name)) continue;
+        this._applyEvent(parsed.name, parsed.args);
+        events++;
+      }
+      this.state.lastBlock = end;
+      this._saveCheckpoint();
+    }
+
+    const { delivered, failed } = await this._reconcile();
+    return { fromBlock, toBlock: Math.max(head, this.state.lastBlock), events, delivered, failed };
+  }
+
+  /**
+   * Runs sync in a loop until stop is called
+   * @param {number} [intervalMs] Delay between two syncs
+   */
+  start(intervalMs = 5000) {
+    this._running = true;
+    const loop = async () => {
+      try {
+        const result = await this.sync();
+        if (result.delivered.length || result.failed.length) {
+          this.log(
+            `Synced to block ${result.toBlock}: ${result.delivered.length} delivered, ${result.failed.length} failed`
+          );
+        }
+      } catch (error) {
+        this.log(`Sync failed: ${error.message}`);
+      }
+      if (this._running) this._timer = setTimeout(loop, intervalMs);
+    };
+    loop();
+  }
+
+  /**
+   * Stops the loop started with start
+   */
+  stop() {
+    this._running = false;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  // ==================== EVENT HANDLING ====================
+
+  _applyEvent(name, args) {
+    const { accounts, memberships } = this.state;
+
+    if (name === "SubscriptionAccountCreated") {
+      const key = _accountKey(args.serviceId, args.accountId);
+      accounts[key] = accounts[key] || [];
+      if (!this._vaultEntry(args.serviceId, args.accountId)) {
+        this.log(`Warning: no vault entry for service ${args.serviceId} account ${args.accountId}`);
+      }
+    } else if (name === "UserAddedToSubscription") {
+      const key = _accountKey(args.serviceId, args.accountId);
+      accounts[key] = accounts[key] || [];
+      if (!accounts[key].includes(args.user)) accounts[key].push(args.user);
+      memberships[_membershipKey(args.user, args.serviceId)] = args.accountId.toString();
+    } else if (name === "UserKicked") {
+      this._removeMember(args.kickedUser, args.serviceId, args.accountId);
+    } else if (name === "UserLeftSubscription") {
+      this._removeMember(args.user, args.serviceId, args.accountId);
+    } else if (name === "MemberMoved") {
+      // The login of the new account is delivered once UserAddedToSubscription is applied
+      this._removeMember(args.user, args.serviceId, args.fromAccountId);
+    } else if (name === "PublicKeyRegistered") {
+      // A new key makes every previous delivery to this user unreadable for them
+      for (const key of Object.keys(this.state.delivered)) {
+        if (key.startsWith(`${args.user}:`)) delete this.state.delivered[key];
+      }
+    }
+  }
+
+  _removeMember(user, serviceId, accountId) {
+    const key = _accountKey(serviceId, accountId);
+    const { accounts, memberships, delivered } = this.state;
+    accounts[key] = (accounts[key] || []).filter((member) => member !== user);
+    delete memberships[_membershipKey(user, serviceId)];
+    delete delivered[_membershipKey(user, serviceId)];
+
+    // The remaining members get their credentials re-issued, picking up a rotated login
+    for (const member of accounts[key]) {
+      delete delivered[_membershipKey(member, serviceId)];
+    }
+  }
+
+  // ==================== DELIVERY ====================
+
+  async _reconcile() {
+    const vault = this._readVault();
+    const pending = [];
+
+    for (const [membershipKey, accountId] of Object.entries(this.state.memberships)) {
+      const [user, serviceId] = membershipKey.split(":");
+      const entry = vault[serviceId] && vault[serviceId][accountId];
+      if (!entry) continue;
+
+      const publicKey = await this.token.getPublicKey(user);
+      if (!publicKey) continue;
+
+      const fingerprint = _fingerprint(accountId, publicKey, entry);
+      const previous = this.state.delivered[membershipKey];
+      if (previous && previous.fingerprint === fingerprint) continue;
+
+      // Skip members whose on-chain membership changed after the last processed block
+      if (!(await this.token.isMemberOfAccount(user, serviceId, accountId))) continue;
+
+      pending.push({ user, serviceId, accountId, publicKey, entry, fingerprint });
+    }
+
+    const delivered = [];
+    const failed = [];
+    for (const delivery of pending) {
+      try {
+        await this._store(delivery);
+        this.state.delivered[_membershipKey(delivery.user, delivery.serviceId)] = {
+          accountId: delivery.accountId,
+          fingerprint: delivery.fingerprint,
+        };
+        this._saveCheckpoint();
+        delivered.push({ user: delivery.user, serviceId: delivery.serviceId, accountId: delivery.accountId });
+      } catch (error) {
+        this.log(`Could not deliver to ${delivery.user} for service ${delivery.serviceId}: ${error.message}`);
+        failed.push({ user: delivery.user, serviceId: delivery.serviceId, error: error.message });
+      }
+    }
+    return { delivered, failed };
+  }
+
+  async _store({ user, serviceId, publicKey, entry }) {
+    const token = this.token.connect(this.signer);
+    const encrypted = encryptCredentials(publicKey, entry);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const tx = await token.storeEncryptedCredentials(user, serviceId, encrypted);
+        return await tx.wait();
+      } catch (error) {
+        // The local nonce may be ahead of the chain after a failed send
+        this.signer.reset();
+        if (attempt >= this.maxRetries) throw error;
+        await new Promise((resolve) => setTimeout(resolve, this.retryDelayMs * 2 ** (attempt - 1)));
+      }
+    }
+  }
+
+  // ==================== PERSISTENCE ====================
+
+  _readVault() {
+    // Read on every sync so operators can rotate logins without restarting the daemon
+    return JSON.parse(fs.readFileSync(this.vaultFile, "utf8"));
+  }
+
+  _vaultEntry(serviceId, accountId) {
+    try {
+      const vault = this._readVault();
+      return vault[serviceId.toString()] && vault[serviceId.toString()][accountId.toString()];
+    } catch {
+      return undefined;
+    }
+  }
+
+  _loadCheckpoint() {
+    if (this.checkpointFile && fs.existsSync(this.checkpointFile)) {
+      return JSON.parse(fs.readFileSync(this.checkpointFile, "utf8"));
+    }
+    return { lastBlock: this.startBlock - 1, accounts: {}, memberships: {}, delivered: {} };
+  }
+
+  _saveCheckpoint() {
+    if (!this.checkpointFile) return;
+    // Write then rename so a crash never leaves a truncated checkpoint behind
+    fs.mkdirSync(path.dirname(this.checkpointFile), { recursive: true });
+    const tmp = `${this.checkpointFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmp, this.checkpointFile);
+  }
+}
+
+function _accountKey(serviceId, accountId) {
+  return `${serviceId}:${accountId}`;
+}
+
+function _membershipKey(user, serviceId) {
+  return `${user}:${serviceId}`;
+}
+
+function _fingerprint(accountId, publicKey, entry) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([accountId.toString(), publicKey, entry]))
+    .digest("hex");
+}
+
+module.exports = { MEMBERSHIP_EVENTS, CredentialDistributor };
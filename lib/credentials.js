@@ -0,0 +1,258 @@
+const crypto = require("crypto");
+
+/**
+ * Credential encryption helpers for SharedSubscriptionToken
+ *
+ * Credentials are sealed in a hybrid envelope: a fresh AES-256-GCM key encrypts the payload
+ * and is itself wrapped with the member's RSA public key (OAEP, SHA-256). This removes the
+ * ~190 byte limit of encrypting directly with a 2048-bit RSA key.
+ *
+ * Envelope layout (all integers big-endian):
+ *   magic        2 bytes  "SC"
+ *   version      1 byte   ENVELOPE_VERSION
+ *   keyLength    2 bytes  length of the wrapped key
+ *   wrappedKey   keyLength bytes
+ *   iv           12 bytes
+ *   tag          16 bytes
+ *   ciphertext   remaining bytes
+ *
+ * The header and wrapped key are authenticated as additional data, so any modification
+ * of the envelope is reported as tampering.
+ */
+
+const ENVELOPE_MAGIC = Buffer.from("SC", "ascii");
+const ENVELOPE_VERSION = 1;
+const MIN_RSA_MODULUS_LENGTH = 2048;
+
+const AES_KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = ENVELOPE_MAGIC.length + 1 + 2;
+
+/**
+ * Error raised for invalid keys, malformed envelopes and failed decryption
+ * The code property tells the cases apart:
+ * INVALID_PUBLIC_KEY, INVALID_DATA, INVALID_ENVELOPE, UNSUPPORTED_VERSION, KEY_UNWRAP_FAILED, TAMPERED
+ */
+class CredentialError extends Error {
+  constructor(code, message, cause) {
+    super(message);
+    this.name = "CredentialError";
+    this.code = code;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * Generates an RSA key pair in the PEM formats expected by registerPublicKey
+ * @param {number} [modulusLength] RSA modulus length in bits
+ * @returns {{publicKey: string, privateKey: string}} PEM encoded key pair
+ */
+function generateKeyPair(modulusLength = MIN_RSA_MODULUS_LENGTH) {
+  return crypto.generateKeyPairSync("rsa", {
+    modulusLength,
+    publicKeyEncoding: {
+      type: "spki",
+      format: "pem",
+    },
+    privateKeyEncoding: {
+      type: "pkcs8",
+      format: "pem",
+    },
+  });
+}
+
+/**
+ * Checks that a PEM string is an RSA public key suitable for registerPublicKey
+ * @param {string} publicKey PEM encoded public key
+ * @returns {crypto.KeyObject} The parsed key
+ * @throws {CredentialError} INVALID_PUBLIC_KEY when the key is unusable
+ */
+function validatePublicKey(publicKey) {
+  if (typeof publicKey !== "string" || !publicKey.includes("-----BEGIN PUBLIC KEY-----")) {
+    throw new CredentialError("INVALID_PUBLIC_KEY", "Public key must be a PEM encoded SPKI key");
+  }
+
+  let key;
+  try {
+    key = crypto.createPublicKey(publicKey);
+  } catch (error) {
+    throw new CredentialError("INVALID_PUBLIC_KEY", `Public key could not be parsed: ${error.message}`, error);
+  }
+
+  if (key.asymmetricKeyType !== "rsa") {
+    throw new CredentialError("INVALID_PUBLIC_KEY", `Expected an RSA key, got ${key.asymmetricKeyType}`);
+  }
+  const { modulusLength } = key.asymmetricKeyDetails;
+  if (modulusLength < MIN_RSA_MODULUS_LENGTH) {
+    throw new CredentialError(
+      "INVALID_PUBLIC_KEY",
+      `RSA key is ${modulusLength} bits, at least ${MIN_RSA_MODULUS_LENGTH} are required`
+    );
+  }
+  return key;
+}
+
+/**
+ * Converts the different shapes of on-chain bytes into a Buffer
+ * Accepts hex strings (with or without 0x), Buffers, Uint8Arrays and arrays of numbers or bigints
+ * @param {string|Uint8Array|Array<number|bigint>} data Bytes as returned by getEncryptedCredentials
+ * @returns {Buffer}
+ */
+function toBuffer(data) {
+  if (Buffer.isBuffer(data)) return data;
+  if (data instanceof Uint8Array) return Buffer.from(data);
+  if (Array.isArray(data)) return Buffer.from(data.map((n) => Number(n)));
+  if (typeof data === "string") {
+    const hex = data.startsWith("0x") ? data.slice(2) : data;
+    if (hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+      throw new CredentialError("INVALID_DATA", "Encrypted data is not a valid hex string");
+    }
+    return Buffer.from(hex, "hex");
+  }
+  throw new CredentialError("INVALID_DATA", `Unsupported encrypted data type: ${typeof data}`);
+}
+
+/**
+ * Serializes the parts of an envelope into bytes
+ * @param {{wrappedKey: Buffer, iv: Buffer, tag: Buffer, ciphertext: Buffer}} parts
+ * @returns {Buffer}
+ */
+function encodeEnvelope({ wrappedKey, iv, tag, ciphertext }) {
+  return Buffer.concat([_encodeHeader(wrappedKey.length), wrappedKey, iv, tag, ciphertext]);
+}
+
+/**
+ * Parses envelope bytes into their parts
+ * @param {string|Uint8Array|Array<number|bigint>} data Envelope bytes in any format accepted by toBuffer
+ * @returns {{version: number, header: Buffer, wrappedKey: Buffer, iv: Buffer, tag: Buffer, ciphertext: Buffer}}
+ * @throws {CredentialError} INVALID_ENVELOPE or UNSUPPORTED_VERSION
+ */
+function decodeEnvelope(data) {
+  const envelope = toBuffer(data);
+  if (envelope.length < HEADER_LENGTH || !envelope.subarray(0, ENVELOPE_MAGIC.length).equals(ENVELOPE_MAGIC)) {
+    throw new CredentialError("INVALID_ENVELOPE", "Data is not a credential envelope");
+  }
+
+  const version = envelope.readUInt8(ENVELOPE_MAGIC.length);
+  if (version !== ENVELOPE_VERSION) {
+    throw new CredentialError("UNSUPPORTED_VERSION", `Unsupported envelope version ${version}`);
+  }
+
+  const keyLength = envelope.readUInt16BE(ENVELOPE_MAGIC.length + 1);
+  const keyEnd = HEADER_LENGTH + keyLength;
+  const ivEnd = keyEnd + IV_LENGTH;
+  const tagEnd = ivEnd + TAG_LENGTH;
+  if (envelope.length < tagEnd) {
+    throw new CredentialError("INVALID_ENVELOPE", "Credential envelope is truncated");
+  }
+
+  return {
+    version,
+    header: envelope.subarray(0, HEADER_LENGTH),
+    wrappedKey: envelope.subarray(HEADER_LENGTH, keyEnd),
+    iv: envelope.subarray(keyEnd, ivEnd),
+    tag: envelope.subarray(ivEnd, tagEnd),
+    ciphertext: envelope.subarray(tagEnd),
+  };
+}
+
+/**
+ * Encrypts credentials for a member
+ * @param {string} publicKey Member's PEM encoded RSA public key
+ * @param {string|Buffer|object} credentials Credentials; objects are serialized as JSON
+ * @returns {Buffer} Envelope bytes ready for storeEncryptedCredentials
+ */
+function encryptCredentials(publicKey, credentials) {
+  const key = validatePublicKey(publicKey);
+  const plaintext = Buffer.isBuffer(credentials)
+    ? credentials
+    : Buffer.from(typeof credentials === "string" ? credentials : JSON.stringify(credentials));
+
+  const contentKey = crypto.randomBytes(AES_KEY_LENGTH);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const wrappedKey = crypto.publicEncrypt(
+    {
+      key,
+      padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+      oaepHash: "sha256",
+    },
+    contentKey
+  );
+
+  const cipher = crypto.createCipheriv("aes-256-gcm", contentKey, iv, { authTagLength: TAG_LENGTH });
+  cipher.setAAD(Buffer.concat([_encodeHeader(wrappedKey.length), wrappedKey]));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return encodeEnvelope({ wrappedKey, iv, tag: cipher.getAuthTag(), ciphertext });
+}
+
+/**
+ * Decrypts a credential envelope
+ * @param {string} privateKey Member's PEM encoded RSA private key
+ * @param {string|Uint8Array|Array<number|bigint>} data Envelope as returned by getEncryptedCredentials
+ * @returns {string} The decrypted credentials
+ * @throws {CredentialError} KEY_UNWRAP_FAILED for a wrong key, TAMPERED when authentication fails
+ */
+function decryptCredentials(privateKey, data) {
+  const { header, wrappedKey, iv, tag, ciphertext } = decodeEnvelope(data);
+
+  let contentKey;
+  try {
+    contentKey = crypto.privateDecrypt(
+      {
+        key: privateKey,
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+        oaepHash: "sha256",
+      },
+      wrappedKey
+    );
+  } catch (error) {
+    throw new CredentialError(
+      "KEY_UNWRAP_FAILED",
+      "Could not unwrap the content key: wrong private key or tampered envelope",
+      error
+    );
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", contentKey, iv, { authTagLength: TAG_LENGTH });
+    decipher.setAAD(Buffer.concat([header, wrappedKey]));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString();
+  } catch (error) {
+    throw new CredentialError("TAMPERED", "Credential envelope failed authentication and may have been tampered with", error);
+  }
+}
+
+/**
+ * Decrypts a credential envelope holding JSON
+ * @param {string} privateKey Member's PEM encoded RSA private key
+ * @param {string|Uint8Array|Array<number|bigint>} data Envelope as returned by getEncryptedCredentials
+ * @returns {object} The parsed credentials
+ */
+function decryptCredentialsJson(privateKey, data) {
+  return JSON.parse(decryptCredentials(privateKey, data));
+}
+
+function _encodeHeader(keyLength) {
+  const header = Buffer.alloc(HEADER_LENGTH);
+  ENVELOPE_MAGIC.copy(header, 0);
+  header.writeUInt8(ENVELOPE_VERSION, ENVELOPE_MAGIC.length);
+  header.writeUInt16BE(keyLength, ENVELOPE_MAGIC.length + 1);
+  return header;
+}
+
+module.exports = {
+  ENVELOPE_VERSION,
+  MIN_RSA_MODULUS_LENGTH,
+  CredentialError,
+  generateKeyPair,
+  validatePublicKey,
+  toBuffer,
+  encodeEnvelope,
+  decodeEnvelope,
+  encryptCredentials,
+  decryptCredentials,
+  decryptCredentialsJson,
+};
@@ -0,0 +1,82 @@
+const fs = require("fs");
+const path = require("path");
+
+// Default location of the per-network deployment registries
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// Names of the contracts that make up a full system deployment
+const SYSTEM_CONTRACTS = [
+  "SubscriptionServiceProvider",
+  "SharedSubscriptionToken",
+  "SubscriptionVoting",
+  "SubscriptionSeats",
+  "SubscriptionSeatMarketplace",
+  "SubscriptionTokenPricing",
+];
+
+/**
+ * Returns the path of the deployments file for a network
+ * @param {string} networkName Hardhat network name (e.g. "localhost")
+ * @param {string} [deploymentsDir] Directory holding the deployments files
+ * @returns {string} Absolute path of the deployments file
+ */
+function getDeploymentsPath(networkName, deploymentsDir = DEFAULT_DEPLOYMENTS_DIR) {
+  return path.join(deploymentsDir, `${networkName}.json`);
+}
+
+/**
+ * Loads the deployments registry of a network
+ * Returns an empty registry when nothing has been deployed yet
+ * @param {string} networkName Hardhat network name
+ * @param {string} [deploymentsDir] Directory holding the deployments files
+ * @returns {object} Deployments registry
+ */
+function loadDeployments(networkName, deploymentsDir = DEFAULT_DEPLOYMENTS_DIR) {
+  const file = getDeploymentsPath(networkName, deploymentsDir);
+  if (!fs.existsSync(file)) {
+    return { network: networkName, contracts: {} };
+  }
+  const deployments = JSON.parse(fs.readFileSync(file, "utf8"));
+  deployments.contracts = deployments.contracts || {};
+  return deployments;
+}
+
+/**
+ * Writes the deployments registry of a network to disk
+ * @param {string} networkName Hardhat network name
+ * @param {object} deployments Deployments registry
+ * @param {string} [deploymentsDir] Directory holding the deployments files
+ * @returns {string} Path the registry was written to
+ */
+function saveDeployments(networkName, deployments, deploymentsDir = DEFAULT_DEPLOYMENTS_DIR) {
+  const file = getDeploymentsPath(networkName, deploymentsDir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  deployments.updatedAt = new Date().toISOString();
+  fs.writeFileSync(file, JSON.stringify(deployments, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Returns an ethers contract instance for a contract recorded in a registry
+ * @param {object} ethers ethers instance (usually hre.ethers)
+ * @param {object} deployments Deployments registry
+ * @param {string} name Contract name (e.g. "SharedSubscriptionToken")
+ * @param {object} [runner] Signer or provider to connect the contract to
+ * @returns {object} ethers Contract
+ */
+function getDeployedContract(ethers, deployments, name, runner) {
+  const record = deployments.contracts[name];
+  if (!record) {
+    throw new Error(`${name} is not deployed on network "${deployments.network}"`);
+  }
+  return new ethers.Contract(record.address, record.abi, runner || ethers.provider);
+}
+
+module.exports = {
+  DEFAULT_DEPLOYMENTS_DIR,
+  SYSTEM_CONTRACTS,
+  getDeploymentsPath,
+  loadDeployments,
+  saveDeployments,
+  getDeployedContract,
+};
@@ -0,0 +1,28 @@
+/**
+ * Converts ethers results into plain JSON friendly values
+ * @param {*} value Value to convert
+ * @returns {*} The value with bigints as strings and Results as arrays or objects
+ */
+function toPlain(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toPlain(v)]));
+  }
+  return value;
+}
+
+/**
+ * Returns the arguments of a parsed event or error as a plain object keyed by parameter name
+ * @param {object} parsed LogDescription or ErrorDescription from ethers
+ * @returns {object}
+ */
+function namedArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name || i] = toPlain(parsed.args[i]);
+  });
+  return args;
+}
+
+module.exports = { toPlain, namedArgs };
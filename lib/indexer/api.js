@@ -0,0 +1,148 @@
+const http = require("http");
+const { accountKey } = require("./state");
+
+/**
+ * Creates the local HTTP/JSON query API of an indexer
+ *
+ * Routes (all GET):
+ *   /status                              Sync cursor and totals
+ *   /services                            Service catalog (?status=active|paused|retired)
+ *   /services/:serviceId/accounts        Accounts of a service (?active=true|false, ?private=true|false)
+ *   /accounts/:serviceId/:accountId      One account with current and former members
+ *   /users/:address                      Subscriptions and membership history of a user
+ *   /proposals                           Proposals (?status=open|revealing|pending-execution|executed, ?type, ?serviceId, ?accountId)
+ *   /proposals/:proposalId               One proposal with its votes
+ *   /events                              Raw event log (?contract, ?event, ?limit, ?offset)
+ *
+ * @param {object} indexer EventIndexer to serve
+ * @returns {http.Server}
+ */
+function createApiServer(indexer) {
+  const routes = [
+    [/^\/status$/, () => status(indexer)],
+    [/^\/services$/, (_, query) => services(indexer, query)],
+    [/^\/services\/(\d+)\/accounts$/, ([serviceId], query) => serviceAccounts(indexer, serviceId, query)],
+    [/^\/accounts\/(\d+)\/(\d+)$/, ([serviceId, accountId]) => account(indexer, serviceId, accountId)],
+    [/^\/users\/(0x[0-9a-fA-F]{40})$/, ([address]) => user(indexer, address)],
+    [/^\/proposals$/, (_, query) => proposals(indexer, query)],
+    [/^\/proposals\/(\d+)$/, ([proposalId]) => proposal(indexer, proposalId)],
+    [/^\/events$/, (_, query) => events(indexer, query)],
+  ];
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const send = (statusCode, body) => {
+      res.writeHead(statusCode, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== "GET") return send(405, { error: "Method not allowed" });
+
+    for (const [pattern, handler] of routes) {
+      const match = url.pathname.match(pattern);
+      if (!match) continue;
+      try {
+        const body = handler(match.slice(1), url.searchParams);
+        return body === undefined ? send(404, { error: "Not found" }) : send(200, body);
+      } catch (error) {
+        return send(400, { error: error.message });
+      }
+    }
+    return send(404, { error: "Not found" });
+  });
+}
+
+// Time used for expiry and voting checks: the timestamp of the last indexed block
+function now(indexer) {
+  return BigInt(indexer.store.data.lastBlockTimestamp || 0);
+}
+
+function status(indexer) {
+  const { lastBlock, lastBlockTimestamp, events } = indexer.store.data;
+  return {
+    lastBlock,
+    lastBlockTimestamp,
+    events: events.length,
+    services: Object.keys(indexer.state.services).length,
+    accounts: Object.keys(indexer.state.accounts).length,
+    users: Object.keys(indexer.state.users).length,
+    proposals: Object.keys(indexer.state.proposals).length,
+  };
+}
+
+function services(indexer, query) {
+  const list = Object.values(indexer.state.services);
+  return query.has("status") ? list.filter((service) => service.status === query.get("status")) : list;
+}
+
+function withAccountStatus(indexer, account) {
+  return { ...account, active: BigInt(account.expirationTime) >= now(indexer) };
+}
+
+function serviceAccounts(indexer, serviceId, query) {
+  let accounts = Object.values(indexer.state.accounts)
+    .filter((account) => account.serviceId === serviceId)
+    .map((account) => withAccountStatus(indexer, account));
+  if (query.has("active")) {
+    const active = query.get("active") === "true";
+    accounts = accounts.filter((account) => account.active === active);
+  }
+  if (query.has("private")) {
+    const isPrivate = query.get("private") === "true";
+    accounts = accounts.filter((account) => Boolean(account.creator) === isPrivate);
+  }
+  return accounts;
+}
+
+function account(indexer, serviceId, accountId) {
+  const found = indexer.state.accounts[accountKey(serviceId, accountId)];
+  return found && withAccountStatus(indexer, found);
+}
+
+function user(indexer, address) {
+  const key = Object.keys(indexer.state.users).find((a) => a.toLowerCase() === address.toLowerCase());
+  if (!key) return undefined;
+  const found = indexer.state.users[key];
+  const involved = Object.values(indexer.state.proposals).filter(
+    (p) => p.proposer === key || p.userToKick === key || p.action.user === key || p.votes.some((v) => v.voter === key)
+  );
+  return { ...found, proposals: involved.map((p) => withProposalStatus(indexer, p)) };
+}
+
+function withProposalStatus(indexer, found) {
+  let status = "executed";
+  if (!found.executed) {
+    if (BigInt(found.endTime) >= now(indexer)) status = "open";
+    else if (BigInt(found.revealEndTime) >= now(indexer)) status = "revealing";
+    else status = "pending-execution";
+  }
+  return { ...found, status };
+}
+
+function proposals(indexer, query) {
+  let list = Object.values(indexer.state.proposals).map((p) => withProposalStatus(indexer, p));
+  if (query.has("status")) list = list.filter((p) => p.status === query.get("status"));
+  if (query.has("type")) list = list.filter((p) => p.proposalType === query.get("type"));
+  if (query.has("serviceId")) list = list.filter((p) => p.serviceId === query.get("serviceId"));
+  if (query.has("accountId")) list = list.filter((p) => p.accountId === query.get("accountId"));
+  return list;
+}
+
+function proposal(indexer, proposalId) {
+  const found = indexer.state.proposals[proposalId];
+  return found && withProposalStatus(indexer, found);
+}
+
+function events(indexer, query) {
+  let list = indexer.store.data.events;
+  if (query.has("contract")) list = list.filter((e) => e.contract === query.get("contract"));
+  if (query.has("event")) list = list.filter((e) => e.event === query.get("event"));
+  const offset = Number(query.get("offset") || 0);
+  const limit = Math.min(Number(query.get("limit") || 100), 1000);
+  if (!Number.isInteger(offset) || !Number.isInteger(limit) || offset < 0 || limit < 0) {
+    throw new Error("offset and limit must be non-negative integers");
+  }
+  return { total: list.length, offset, limit, events: list.slice(offset, offset + limit) };
+}
+
+module.exports = { createApiServer };
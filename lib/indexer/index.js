@@ -0,0 +1,210 @@
+const { namedArgs } = require("../events");
+const { JsonStore } = require("./store");
+const { buildState, applyEvent } = require("./state");
+
+/**
+ * Off-chain event indexer for the subscription system
+ *
+ * Replays the events of SharedSubscriptionToken, SubscriptionServiceProvider and SubscriptionVoting
+ * into an append-only event log and a derived state of services, accounts, members and proposals.
+ *
+ * Reorgs: the hashes of recently indexed blocks are kept. Before every sync the hash of the last
+ * indexed block is compared with the chain; on a mismatch the indexer walks back to the newest
+ * block that still matches, drops the events after it and replays the rest of the log.
+ */
+class EventIndexer {
+  /**
+   * @param {object} options
+   * @param {object} options.contracts Contract instances keyed token, provider and voting
+   * @param {JsonStore} [options.store] Store holding the event log
+   * @param {number} [options.startBlock] First block to index
+   * @param {number} [options.confirmations] Blocks to stay behind the chain head
+   * @param {number} [options.reorgDepth] Number of recent block hashes kept to detect reorgs
+   * @param {number} [options.maxBlockRange] Maximum number of blocks per log query
+   * @param {Function} [options.log] Logger
+   */
+  constructor(options) {
+    const { token, provider, voting } = options.contracts;
+    this.contracts = { token, provider, voting };
+    this.store = options.store || new JsonStore();
+    this.startBlock = options.startBlock || 0;
+    this.confirmations = options.confirmations || 0;
+    this.reorgDepth = options.reorgDepth || 64;
+    this.maxBlockRange = options.maxBlockRange || 2000;
+    this.log = options.log || console.log;
+
+    this.state = buildState(this.store.data.events);
+    this._timer = null;
+    this._running = false;
+  }
+
+  /**
+   * Indexes every new block up to the chain head minus the confirmations
+   * @returns {Promise<{fromBlock: number, toBlock: number, events: number, reorgedFrom: number|null}>}
+   */
+  async sync() {
+    const chain = this.contracts.token.runner.provider;
+    const data = this.store.data;
+    const reorgedFrom = await this._handleReorg(chain);
+
+    const head = (await chain.getBlockNumber()) - this.confirmations;
+    const fromBlock = data.lastBlock === null ? this.startBlock : data.lastBlock + 1;
+    const byAddress = await this._contractsByAddress();
+    let events = 0;
+
+    for (let start = fromBlock; start <= head; start += this.maxBlockRange) {
+      const end = Math.min(start + this.maxBlockRange - 1, head);
+      const logs = await chain.getLogs({ address: Object.keys(byAddress), fromBlock: start, toBlock: end });
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+      const blocks = {};
+      for (const log of logs) {
+        const [name, contract] = byAddress[log.address.toLowerCase()];
+        const parsed = contract.interface.parseLog(log);
+        if (!parsed) continue;
+
+        if (!blocks[log.blockNumber]) blocks[log.blockNumber] = await chain.getBlock(log.blockNumber);
+        const block = blocks[log.blockNumber];
+        const record = {
+          contract: name,
+          event: parsed.name,
+          args: namedArgs(parsed),
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash,
+          logIndex: log.index,
+          timestamp: block.timestamp,
+          extra: await this._enrich(name, parsed, log),
+        };
+        data.events.push(record);
+        data.blockHashes[log.blockNumber] = log.blockHash;
+        applyEvent(this.state, record);
+        events++;
+      }
+
+      const endBlock = await chain.getBlock(end);
+      data.blockHashes[end] = endBlock.hash;
+      data.lastBlock = end;
+      data.lastBlockTimestamp = endBlock.timestamp;
+      this._pruneBlockHashes();
+      this.store.save();
+    }
+
+    return { fromBlock, toBlock: data.lastBlock, events, reorgedFrom };
+  }
+
+  /**
+   * Runs sync in a loop until stop is called
+   * @param {number} [intervalMs] Delay between two syncs
+   */
+  start(intervalMs = 5000) {
+    this._running = true;
+    const loop = async () => {
+      try {
+        const result = await this.sync();
+        if (result.reorgedFrom !== null) this.log(`Reorg detected, re-indexed from block ${result.reorgedFrom}`);
+      } catch (error) {
+        this.log(`Indexer sync failed: ${error.message}`);
+      }
+      if (this._running) this._timer = setTimeout(loop, intervalMs);
+    };
+    loop();
+  }
+
+  /**
+   * Stops the loop started with start
+   */
+  stop() {
+    this._running = false;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  async _contractsByAddress() {
+    const byAddress = {};
+    const names = {
+      token: "SharedSubscriptionToken",
+      provider: "SubscriptionServiceProvider",
+      voting: "SubscriptionVoting",
+    };
+    for (const [key, contract] of Object.entries(this.contracts)) {
+      byAddress[(await contract.getAddress()).toLowerCase()] = [names[key], contract];
+    }
+    return byAddress;
+  }
+
+  // Adds data that is not part of the event itself, read at the event's block
+  async _enrich(contractName, parsed, log) {
+    const blockTag = log.blockNumber;
+    if (contractName === "SharedSubscriptionToken" && parsed.name === "SubscriptionAccountCreated") {
+      const account = await this.contracts.token.subscriptionAccounts(parsed.args.serviceId, parsed.args.accountId, {
+        blockTag,
+      });
+      return { expirationTime: account.expirationTime.toString() };
+    }
+    if (contractName === "SubscriptionServiceProvider" && parsed.name === "ServiceAdded") {
+      const [, , , apiEndpoint] = await this.contracts.provider.getServiceDetails(parsed.args.serviceId, { blockTag });
+      return { apiEndpoint };
+    }
+    if (contractName === "SubscriptionVoting" && parsed.name === "ProposalCreated") {
+      const proposal = await this.contracts.voting.getProposal(parsed.args.proposalId, { blockTag });
+      return { endTime: proposal.endTime.toString(), revealEndTime: proposal.revealEndTime.toString() };
+    }
+    return {};
+  }
+
+  // Returns the block the index was rolled back to, or null when no reorg happened
+  async _handleReorg(chain) {
+    const data = this.store.data;
+    if (data.lastBlock === null) return null;
+
+    const known = Object.keys(data.blockHashes)
+      .map(Number)
+      .sort((a, b) => b - a);
+    if (known.length === 0) return null;
+
+    const latest = await chain.getBlock(known[0]);
+    if (latest && latest.hash === data.blockHashes[known[0]]) return null;
+
+    // Walk back to the newest block both histories agree on
+    let forkBlock = null;
+    for (const number of known) {
+      const block = await chain.getBlock(number);
+      if (block && block.hash === data.blockHashes[number]) {
+        forkBlock = number;
+        break;
+      }
+    }
+
+    if (forkBlock === null) {
+      // The reorg is deeper than the kept hashes, start over
+      data.events = [];
+      data.blockHashes = {};
+      data.lastBlock = null;
+      data.lastBlockTimestamp = null;
+      this.state = buildState([]);
+      this.store.save();
+      return this.startBlock;
+    }
+
+    data.events = data.events.filter((record) => record.blockNumber <= forkBlock);
+    for (const number of known) {
+      if (number > forkBlock) delete data.blockHashes[number];
+    }
+    data.lastBlock = forkBlock;
+    data.lastBlockTimestamp = (await chain.getBlock(forkBlock)).timestamp;
+    this.state = buildState(data.events);
+    this.store.save();
+    return forkBlock + 1;
+  }
+
+  _pruneBlockHashes() {
+    const data = this.store.data;
+    const oldest = data.lastBlock - this.reorgDepth;
+    for (const number of Object.keys(data.blockHashes)) {
+      if (Number(number) < oldest) delete data.blockHashes[number];
+    }
+  }
+}
+
+module.exports = { EventIndexer, JsonStore };
@@ -0,0 +1,364 @@
+/**
+ * Derived state of the indexer
+ *
+ * The state is a pure function of the event log: applyEvent folds one event record into it,
+ * and buildState replays a whole log. This is what makes reorgs cheap to handle, since the
+ * indexer only has to drop the orphaned events and replay the rest.
+ */
+
+const { PROPOSAL_TYPES, decodeProposalAction } = require("../proposals");
+
+/**
+ * Returns an empty state
+ * @returns {object}
+ */
+function emptyState() {
+  return {
+    services: {},
+    accounts: {},
+    users: {},
+    proposals: {},
+  };
+}
+
+/**
+ * Folds one event record into the state
+ * @param {object} state State to update in place
+ * @param {object} record Event record as stored by the indexer
+ * @returns {object} The same state
+ */
+function applyEvent(state, record) {
+  const handler = HANDLERS[`${record.contract}.${record.event}`];
+  if (handler) handler(state, record.args, record);
+  return state;
+}
+
+/**
+ * Replays an event log into a fresh state
+ * @param {Array<object>} events Event records in chain order
+ * @returns {object}
+ */
+function buildState(events) {
+  const state = emptyState();
+  for (const record of events) applyEvent(state, record);
+  return state;
+}
+
+/**
+ * Key of an account in state.accounts
+ * @param {string|number} serviceId
+ * @param {string|number} accountId
+ * @returns {string}
+ */
+function accountKey(serviceId, accountId) {
+  return `${serviceId}:${accountId}`;
+}
+
+// Names of SubscriptionServiceProvider.ServiceStatus values
+const SERVICE_STATUSES = ["active", "paused", "retired"];
+
+// Names of SharedSubscriptionToken.MatchingStrategy values
+const MATCHING_STRATEGIES = ["fill-most-full", "fill-least-full", "round-robin"];
+
+const HANDLERS = {
+  "SubscriptionServiceProvider.ServiceAdded": (state, args, record) => {
+    state.services[args.serviceId] = {
+      serviceId: args.serviceId,
+      symbol: args.symbol,
+      apiEndpoint: record.extra.apiEndpoint,
+      cost: args.cost,
+      status: "active",
+      tiers: {},
+      matching: MATCHING_STRATEGIES[0],
+      addedAt: record.timestamp,
+      payments: 0,
+      revenue: "0",
+    };
+  },
+
+  "SubscriptionServiceProvider.ServiceCostUpdated": (state, args) => {
+    const service = state.services[args.serviceId];
+    if (service) service.cost = args.cost;
+  },
+
+  "SubscriptionServiceProvider.ServiceMetadataUpdated": (state, args) => {
+    const service = state.services[args.serviceId];
+    if (!service) return;
+    service.symbol = args.symbol;
+    service.apiEndpoint = args.apiEndpoint;
+  },
+
+  "SubscriptionServiceProvider.ServiceStatusChanged": (state, args, record) => {
+    const service = state.services[args.serviceId];
+    if (!service) return;
+    service.status = SERVICE_STATUSES[Number(args.status)];
+    if (service.status === "retired") service.retiredAt = record.timestamp;
+  },
+
+  "SubscriptionServiceProvider.TierAdded": (state, args) => _setTier(state, args),
+
+  "SubscriptionServiceProvider.TierUpdated": (state, args) => _setTier(state, args),
+
+  "SubscriptionServiceProvider.PaymentReceived": (state, args) => {
+    const service = state.services[args.serviceId];
+    if (!service) return;
+    service.payments += 1;
+    service.revenue = (BigInt(service.revenue) + BigInt(args.amount)).toString();
+  },
+
+  "SharedSubscriptionToken.MatchingStrategyUpdated": (state, args) => {
+    const service = state.services[args.serviceId];
+    if (service) service.matching = MATCHING_STRATEGIES[Number(args.strategy)];
+  },
+
+  "SharedSubscriptionToken.SubscriptionAccountCreated": (state, args, record) => {
+    state.accounts[accountKey(args.serviceId, args.accountId)] = {
+      serviceId: args.serviceId,
+      accountId: args.accountId,
+      tierId: args.tierId,
+      createdAt: record.timestamp,
+      createdInTransaction: record.transactionHash,
+      expirationTime: record.extra.expirationTime,
+      renewals: 0,
+      escrow: "0",
+      members: [],
+      formerMembers: [],
+      invites: [],
+      creator: null,
+      inviteCodes: {},
+    };
+  },
+
+  "SharedSubscriptionToken.PrivateAccountCreated": (state, args) => {
+    const account = state.accounts[accountKey(args.serviceId, args.accountId)];
+    if (account) account.creator = args.creator;
+  },
+
+  "SharedSubscriptionToken.InviteCodeCreated": (state, args, record) => {
+    const account = state.accounts[accountKey(args.serviceId, args.accountId)];
+    if (!account) return;
+    account.inviteCodes[args.codeHash] = {
+      expiresAt: args.expiresAt,
+      usesLeft: args.maxUses,
+      createdAt: record.timestamp,
+    };
+  },
+
+  "SharedSubscriptionToken.InviteCodeRevoked": (state, args) => {
+    const account = state.accounts[accountKey(args.serviceId, args.accountId)];
+    if (account) delete account.inviteCodes[args.codeHash];
+  },
+
+  "SharedSubscriptionToken.InviteCodeUsed": (state, args) => {
+    const account = state.accounts[accountKey(args.serviceId, args.accountId)];
+    const invite = account && account.inviteCodes[args.codeHash];
+    if (invite) invite.usesLeft = args.usesLeft;
+  },
+
+  "SharedSubscriptionToken.SubscriptionRenewed": (state, args) => {
+    const account = state.accounts[accountKey(args.serviceId, args.accountId)];
+    if (!account) return;
+    account.renewals += 1;
+    account.expirationTime = args.expirationTime;
+  },
+
+  "SharedSubscriptionToken.AccountWoundDown": (state, args, record) => {
+    const account = state.accounts[accountKey(args.serviceId, args.accountId)];
+    if (!account) return;
+    account.expirationTime = record.timestamp.toString();
+    account.woundDownAt = record.timestamp;
+  },
+
+  "SharedSubscriptionToken.AccountPruned": (state, args, record) => {
+    const account = state.accounts[accountKey(args.serviceId, args.accountId)];
+    if (!account) return;
+    if (args.numMembers !== "0") account.expirationTime = record.timestamp.toString();
+    account.prunedAt = record.timestamp;
+  },
+
+  "SharedSubscriptionToken.MemberMoved": (state, args, record) => {
+    // The member keeps their settings, UserAddedToSubscription follows for the new account
+    const account = state.accounts[accountKey(args.serviceId, args.fromAccountId)];
+    if (account) {
+      account.members = account.members.filter((member) => member !== args.user);
+      account.formerMembers.push({ user: args.user, reason: "moved", removedAt: record.timestamp });
+    }
+    _user(state, args.user).history.push({
+      type: "moved",
+      serviceId: args.serviceId,
+      accountId: args.fromAccountId,
+      timestamp: record.timestamp,
+    });
+  },
+
+  "SharedSubscriptionToken.AccountsMerged": (state, args, record) => {
+    const account = state.accounts[accountKey(args.serviceId, args.fromAccountId)];
+    if (!account) return;
+    account.expirationTime = record.timestamp.toString();
+    account.mergedInto = args.intoAccountId;
+  },
+
+  "SharedSubscriptionToken.AccountDissolved": (state, args, record) => {
+    const account = state.accounts[accountKey(args.serviceId, args.accountId)];
+    if (!account) return;
+    account.expirationTime = record.timestamp.toString();
+    account.dissolvedAt = record.timestamp;
+  },
+
+  "SharedSubscriptionToken.AccountTierSwitched": (state, args) => {
+    const account = state.accounts[accountKey(args.serviceId, args.accountId)];
+    if (account) account.tierId = args.tierId;
+  },
+
+  "SharedSubscriptionToken.UserInvited": (state, args, record) => {
+    const account = state.accounts[accountKey(args.serviceId, args.accountId)];
+    if (account) account.invites.push({ user: args.user, invitedAt: record.timestamp });
+  },
+
+  "SharedSubscriptionToken.SubscriptionAutoRenewed": (state, args) => {
+    const account = state.accounts[accountKey(args.serviceId, args.accountId)];
+    if (!account) return;
+    account.renewals += 1;
+    account.expirationTime = args.expirationTime;
+    // The keeper reward is paid out of the escrow without an escrow event of its own
+    _addToEscrow(state, args.serviceId, args.accountId, -BigInt(args.reward));
+  },
+
+  "SharedSubscriptionToken.AutoRenewUpdated": (state, args) => {
+    _user(state, args.user).autoRenew[args.serviceId] = args.enabled;
+  },
+
+  "SharedSubscriptionToken.EscrowDeposited": (state, args) => {
+    _addToEscrow(state, args.serviceId, args.accountId, BigInt(args.amount));
+  },
+
+  "SharedSubscriptionToken.EscrowCharged": (state, args) => {
+    _addToEscrow(state, args.serviceId, args.accountId, -BigInt(args.numMembers) * BigInt(args.costPerMember));
+  },
+
+  "SharedSubscriptionToken.EscrowRefunded": (state, args) => {
+    _addToEscrow(state, args.serviceId, args.accountId, -BigInt(args.amount));
+  },
+
+  "SharedSubscriptionToken.UserAddedToSubscription": (state, args, record) => {
+    const account = state.accounts[accountKey(args.serviceId, args.accountId)];
+    if (account && !account.members.includes(args.user)) account.members.push(args.user);
+    // Joining through an invitation uses it up
+    if (account) account.invites = account.invites.filter((invite) => invite.user !== args.user);
+
+    const user = _user(state, args.user);
+    user.subscriptions[args.serviceId] = args.accountId;
+    user.history.push({ type: "joined", serviceId: args.serviceId, accountId: args.accountId, timestamp: record.timestamp });
+  },
+
+  "SharedSubscriptionToken.UserKicked": (state, args, record) => {
+    _removeMember(state, args.kickedUser, args.serviceId, args.accountId, "kicked", record);
+  },
+
+  "SharedSubscriptionToken.UserLeftSubscription": (state, args, record) => {
+    _removeMember(state, args.user, args.serviceId, args.accountId, "left", record);
+  },
+
+  "SharedSubscriptionToken.PublicKeyRegistered": (state, args, record) => {
+    const user = _user(state, args.user);
+    user.publicKeyRegisteredAt = record.timestamp;
+  },
+
+  "SubscriptionVoting.GovernanceParamsUpdated": (state, args, record) => {
+    const account = state.accounts[accountKey(args.serviceId, args.accountId)];
+    if (!account) return;
+    account.governance = {
+      votingPeriod: args.votingPeriod,
+      proposalCooldown: args.proposalCooldown,
+      approvalPercent: args.approvalPercent,
+      quorumPercent: args.quorumPercent,
+      updatedAt: record.timestamp,
+    };
+  },
+
+  "SubscriptionVoting.SecretBallotsUpdated": (state, args) => {
+    const account = state.accounts[accountKey(args.serviceId, args.accountId)];
+    if (account) account.revealPeriod = args.revealPeriod;
+  },
+
+  "SubscriptionVoting.ProposalCreated": (state, args, record) => {
+    state.proposals[args.proposalId] = {
+      proposalId: args.proposalId,
+      serviceId: args.serviceId,
+      accountId: args.accountId,
+      proposer: args.proposer,
+      userToKick: args.userToKick,
+      proposalType: PROPOSAL_TYPES[args.proposalType],
+      action: decodeProposalAction(args.proposalType, args.payload),
+      createdAt: record.timestamp,
+      endTime: record.extra.endTime,
+      revealEndTime: record.extra.revealEndTime,
+      commits: [],
+      yesVotes: 0,
+      noVotes: 0,
+      votes: [],
+      executed: false,
+      successful: null,
+    };
+  },
+
+  "SubscriptionVoting.VoteCommitted": (state, args, record) => {
+    const proposal = state.proposals[args.proposalId];
+    if (proposal) proposal.commits.push({ voter: args.voter, timestamp: record.timestamp });
+  },
+
+  "SubscriptionVoting.VoteCast": (state, args, record) => {
+    const proposal = state.proposals[args.proposalId];
+    if (!proposal) return;
+    proposal.votes.push({ voter: args.voter, vote: args.vote, timestamp: record.timestamp });
+    if (args.vote) proposal.yesVotes += 1;
+    else proposal.noVotes += 1;
+  },
+
+  "SubscriptionVoting.ProposalExecuted": (state, args, record) => {
+    const proposal = state.proposals[args.proposalId];
+    if (!proposal) return;
+    proposal.executed = true;
+    proposal.executedAt = record.timestamp;
+    proposal.successful = args.successful;
+  },
+};
+
+function _user(state, address) {
+  if (!state.users[address]) {
+    state.users[address] = { address, publicKeyRegisteredAt: null, subscriptions: {}, autoRenew: {}, history: [] };
+  }
+  return state.users[address];
+}
+
+function _setTier(state, args) {
+  const service = state.services[args.serviceId];
+  if (!service) return;
+  service.tiers[args.tierId] = {
+    tierId: args.tierId,
+    name: args.name,
+    cost: args.cost,
+    maxSeats: args.maxSeats,
+    duration: args.duration,
+  };
+}
+
+function _addToEscrow(state, serviceId, accountId, amount) {
+  const account = state.accounts[accountKey(serviceId, accountId)];
+  if (account) account.escrow = (BigInt(account.escrow) + amount).toString();
+}
+
+function _removeMember(state, address, serviceId, accountId, reason, record) {
+  const account = state.accounts[accountKey(serviceId, accountId)];
+  if (account) {
+    account.members = account.members.filter((member) => member !== address);
+    account.formerMembers.push({ user: address, reason, removedAt: record.timestamp });
+  }
+
+  const user = _user(state, address);
+  delete user.subscriptions[serviceId];
+  delete user.autoRenew[serviceId];
+  user.history.push({ type: reason, serviceId, accountId, timestamp: record.timestamp });
+}
+
+module.exports = { emptyState, applyEvent, buildState, accountKey };
@@ -0,0 +1,38 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * JSON file store for the indexer
+ *
+ * Holds the raw event log, the block hashes used to detect reorgs and the sync cursor.
+ * Derived state is not persisted, it is rebuilt from the event log on load.
+ */
+class JsonStore {
+  /**
+   * @param {string} [file] Path of the store file; an in-memory store is used when omitted
+   */
+  constructor(file) {
+    this.file = file;
+    this.data = this._load();
+  }
+
+  _load() {
+    if (this.file && fs.existsSync(this.file)) {
+      return JSON.parse(fs.readFileSync(this.file, "utf8"));
+    }
+    return { lastBlock: null, lastBlockTimestamp: null, blockHashes: {}, events: [] };
+  }
+
+  /**
+   * Persists the store, writing to a temporary file first so a crash never truncates it
+   */
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.data));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+module.exports = { JsonStore };
@@ -0,0 +1,32 @@
+const { AbiCoder, hexlify, keccak256, randomBytes } = require("ethers");
+
+/**
+ * Invitation codes of private SharedSubscriptionToken accounts
+ *
+ * The creator of a private account registers keccak256(abi.encode(code)) with createInviteCode
+ * and hands the 32 byte code itself to the people they invite, who join with
+ * subscribeWithInvite. Anyone holding the code can use it until it expires, runs out of uses or
+ * is revoked.
+ */
+
+const coder = AbiCoder.defaultAbiCoder();
+
+/**
+ * Computes the hash an invitation code is registered under
+ * @param {string} code Hex encoded 32 byte code
+ * @returns {string} The code hash passed to createInviteCode and revokeInviteCode
+ */
+function inviteCodeHash(code) {
+  return keccak256(coder.encode(["bytes32"], [code]));
+}
+
+/**
+ * Generates a random invitation code
+ * @returns {{code: string, codeHash: string}}
+ */
+function createInviteCode() {
+  const code = hexlify(randomBytes(32));
+  return { code, codeHash: inviteCodeHash(code) };
+}
+
+module.exports = { inviteCodeHash, createInviteCode };
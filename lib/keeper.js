@@ -0,0 +1,176 @@
+const { NonceManager } = require("ethers");
+
+/**
+ * Keeper that triggers autoRenew on SharedSubscriptionToken accounts
+ *
+ * Candidates come either from a running indexer (GET /services/:id/accounts of lib/indexer/api.js,
+ * filtered on their expiry) or from the token contract's getAutoRenewableAccounts view. Indexer
+ * data may lag the chain, so every candidate is checked again with canAutoRenew before a
+ * transaction is sent. The keeper reward is paid to the signer of each renewal.
+ *
+ * With the prune option the keeper also closes the empty and long expired accounts listed by
+ * getPrunableAccounts, one pruneAccounts transaction per service.
+ */
+class AutoRenewKeeper {
+  /**
+   * @param {object} options
+   * @param {object} options.token SharedSubscriptionToken contract instance, with the registry ABI when pruning
+   * (pruneAccounts runs through SharedSubscriptionTokenExtension)
+   * @param {object} options.signer Signer that sends the renewals and receives the rewards
+   * @param {Array<number|string|bigint>} [options.serviceIds] Services to scan, every indexed service when omitted
+   * @param {string} [options.indexerUrl] Base URL of an indexer API to read candidates from
+   * @param {boolean} [options.prune] Whether to prune empty and long expired accounts as well
+   * @param {Function} [options.log] Logger
+   */
+  constructor(options) {
+    this.token = options.token;
+    this.signer = new NonceManager(options.signer);
+    this.serviceIds = options.serviceIds;
+    this.indexerUrl = options.indexerUrl ? options.indexerUrl.replace(/\/$/, "") : null;
+    this.prune = Boolean(options.prune);
+    this.log = options.log || console.log;
+
+    if (!this.indexerUrl && !this.serviceIds) {
+      throw new Error("serviceIds are required when no indexer is used");
+    }
+
+    this._timer = null;
+    this._running = false;
+  }
+
+  /**
+   * Lists the accounts that can be auto-renewed right now
+   * @returns {Promise<Array<{serviceId: string, accountId: string}>>}
+   */
+  async findDueAccounts() {
+    const candidates = this.indexerUrl ? await this._indexerCandidates() : await this._contractCandidates();
+
+    const due = [];
+    for (const candidate of candidates) {
+      if (await this.token.canAutoRenew(candidate.serviceId, candidate.accountId)) due.push(candidate);
+    }
+    return due;
+  }
+
+  /**
+   * Renews every due account, then prunes accounts when enabled
+   * @returns {Promise<{renewed: Array, pruned: Array, failed: Array}>}
+   */
+  async sync() {
+    const token = this.token.connect(this.signer);
+    const renewed = [];
+    const failed = [];
+
+    for (const { serviceId, accountId } of await this.findDueAccounts()) {
+      try {
+        const receipt = await (await token.autoRenew(serviceId, accountId)).wait();
+        const event = receipt.logs
+          .map((log) => token.interface.parseLog(log))
+          .find((parsed) => parsed && parsed.name === "SubscriptionAutoRenewed");
+        renewed.push({
+          serviceId,
+          accountId,
+          reward: event.args.reward.toString(),
+          expirationTime: event.args.expirationTime.toString(),
+          transactionHash: receipt.hash,
+        });
+      } catch (error) {
+        // Another keeper may have renewed the account first
+        this.signer.reset();
+        this.log(`Could not renew account ${accountId} of service ${serviceId}: ${error.message}`);
+        failed.push({ serviceId, accountId, error: error.message });
+      }
+    }
+
+    const pruned = [];
+    if (this.prune) {
+      for (const serviceId of await this._serviceIds()) {
+        const accountIds = [...(await this.token.getPrunableAccounts(serviceId))];
+        if (accountIds.length === 0) continue;
+        try {
+          const receipt = await (await token.pruneAccounts(serviceId, accountIds)).wait();
+          pruned.push({
+            serviceId: serviceId.toString(),
+            accountIds: accountIds.map((accountId) => accountId.toString()),
+            transactionHash: receipt.hash,
+          });
+        } catch (error) {
+          this.signer.reset();
+          this.log(`Could not prune accounts of service ${serviceId}: ${error.message}`);
+          failed.push({ serviceId: serviceId.toString(), error: error.message });
+        }
+      }
+    }
+    return { renewed, pruned, failed };
+  }
+
+  /**
+   * Runs sync in a loop until stop is called
+   * @param {number} [intervalMs] Delay between two syncs
+   */
+  start(intervalMs = 60000) {
+    this._running = true;
+    const loop = async () => {
+      try {
+        const result = await this.sync();
+        if (result.renewed.length || result.pruned.length || result.failed.length) {
+          this.log(
+            `${result.renewed.length} accounts renewed, ${result.pruned.length} services pruned, ` +
+              `${result.failed.length} failed`
+          );
+        }
+      } catch (error) {
+        this.log(`Keeper sync failed: ${error.message}`);
+      }
+      if (this._running) this._timer = setTimeout(loop, intervalMs);
+    };
+    loop();
+  }
+
+  /**
+   * Stops the loop started with start
+   */
+  stop() {
+    this._running = false;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  async _contractCandidates() {
+    const candidates = [];
+    for (const serviceId of this.serviceIds) {
+      for (const accountId of await this.token.getAutoRenewableAccounts(serviceId)) {
+        candidates.push({ serviceId: serviceId.toString(), accountId: accountId.toString() });
+      }
+    }
+    return candidates;
+  }
+
+  async _indexerCandidates() {
+    const chain = this.token.runner.provider || this.signer.provider;
+    const now = BigInt((await chain.getBlock("latest")).timestamp);
+    const window = await this.token.autoRenewWindow();
+
+    const candidates = [];
+    for (const serviceId of await this._serviceIds()) {
+      for (const account of await this._fetchJson(`/services/${serviceId}/accounts`)) {
+        if (account.members.length > 0 && BigInt(account.expirationTime) <= now + window) {
+          candidates.push({ serviceId: account.serviceId, accountId: account.accountId });
+        }
+      }
+    }
+    return candidates;
+  }
+
+  async _serviceIds() {
+    return this.serviceIds || (await this._fetchJson("/services")).map((service) => service.serviceId);
+  }
+
+  async _fetchJson(route) {
+    const response = await fetch(this.indexerUrl + route);
+    if (!response.ok) throw new Error(`Indexer returned ${response.status} for ${route}`);
+    return response.json();
+  }
+}
+
+module.exports = { AutoRenewKeeper };
@@ -0,0 +1,84 @@
+const { AbiCoder } = require("ethers");
+
+/**
+ * Encoding of SubscriptionVoting proposal payloads
+ *
+ * PROPOSAL_TYPES lists the names of the SubscriptionVoting.ProposalType values in enum order.
+ * Each type has its named arguments ABI encoded into the payload; dissolve-account has none
+ * and an empty payload.
+ */
+const PROPOSAL_TYPES = [
+  "kick",
+  "switch-tier",
+  "set-auto-renew",
+  "invite-user",
+  "dissolve-account",
+  "update-governance",
+  "set-secret-ballots",
+];
+
+// Arguments carried in the payload of each proposal type
+const PAYLOAD_ARGUMENTS = {
+  kick: [{ name: "user", type: "address" }],
+  "switch-tier": [{ name: "tierId", type: "uint256" }],
+  "set-auto-renew": [{ name: "enabled", type: "bool" }],
+  "invite-user": [{ name: "user", type: "address" }],
+  "dissolve-account": [],
+  "update-governance": [
+    { name: "votingPeriod", type: "uint256" },
+    { name: "proposalCooldown", type: "uint256" },
+    { name: "approvalPercent", type: "uint256" },
+    { name: "quorumPercent", type: "uint256" },
+  ],
+  "set-secret-ballots": [{ name: "revealPeriod", type: "uint256" }],
+};
+
+const coder = AbiCoder.defaultAbiCoder();
+
+/**
+ * Resolves a proposal type name or enum value to its enum value
+ * @param {string|number|bigint} proposalType
+ * @returns {number}
+ */
+function proposalTypeId(proposalType) {
+  const id =
+    typeof proposalType === "string" && isNaN(proposalType) ? PROPOSAL_TYPES.indexOf(proposalType) : Number(proposalType);
+  if (!PROPOSAL_TYPES[id]) throw new Error(`Unknown proposal type ${proposalType}`);
+  return id;
+}
+
+/**
+ * Encodes the action of a proposal
+ * @param {string|number} proposalType Type name or enum value
+ * @param {object} action Arguments of the action, e.g. { tierId: 1 } for switch-tier
+ * @returns {string} Hex encoded payload
+ */
+function encodeProposalAction(proposalType, action = {}) {
+  const name = PROPOSAL_TYPES[proposalTypeId(proposalType)];
+  const args = PAYLOAD_ARGUMENTS[name];
+  if (args.length === 0) return "0x";
+  for (const argument of args) {
+    if (action[argument.name] === undefined) throw new Error(`Missing ${argument.name} for a ${name} proposal`);
+  }
+  return coder.encode(
+    args.map((argument) => argument.type),
+    args.map((argument) => action[argument.name])
+  );
+}
+
+/**
+ * Decodes the action of a proposal
+ * @param {string|number|bigint} proposalType Type name or enum value
+ * @param {string} payload Hex encoded payload
+ * @returns {object} Arguments of the action with bigints as strings, empty for dissolve-account
+ */
+function decodeProposalAction(proposalType, payload) {
+  const args = PAYLOAD_ARGUMENTS[PROPOSAL_TYPES[proposalTypeId(proposalType)]];
+  if (args.length === 0) return {};
+  const values = coder.decode(args.map((argument) => argument.type), payload);
+  return Object.fromEntries(
+    args.map((argument, i) => [argument.name, typeof values[i] === "bigint" ? values[i].toString() : values[i]])
+  );
+}
+
+module.exports = { PROPOSAL_TYPES, proposalTypeId, encodeProposalAction, decodeProposalAction };
@@ -0,0 +1,123 @@
+const fs = require("fs");
+const path = require("path");
+const { NonceManager } = require("ethers");
+const { toPlain } = require("./events");
+
+/**
+ * Relayer for signed SubscriptionVoting ballots and proposals (see lib/ballots.js)
+ *
+ * Signed proposals are submitted one by one with proposeBySig. Signed ballots are checked
+ * against the chain first and the accepted ones are submitted together in a single
+ * voteBySigBatch transaction; a ballot that would revert (expired, already voted, not a
+ * member...) is reported instead of making the whole batch fail.
+ */
+class BallotRelayer {
+  /**
+   * @param {object} options
+   * @param {object} options.voting SubscriptionVoting contract instance
+   * @param {object} options.signer Signer that submits the transactions and pays the gas
+   * @param {Function} [options.log] Logger
+   */
+  constructor(options) {
+    this.voting = options.voting;
+    this.signer = new NonceManager(options.signer);
+    this.log = options.log || console.log;
+  }
+
+  /**
+   * Submits signed proposals and ballots
+   * Proposals go first so that ballots may refer to them.
+   * @param {Array<object>} signed Signed items as returned by signBallot and signProposal
+   * @returns {Promise<{proposed: Array, voted: Array, rejected: Array, transactionHash: string|null}>}
+   */
+  async relay(signed) {
+    const voting = this.voting.connect(this.signer);
+    const proposed = [];
+    const rejected = [];
+
+    for (const item of signed.filter((s) => s.kind === "proposal")) {
+      try {
+        const receipt = await (
+          await voting.proposeBySig(
+            item.serviceId,
+            item.accountId,
+            item.proposalType,
+            item.payload,
+            item.proposer,
+            item.deadline,
+            item.signature
+          )
+        ).wait();
+        const event = this._findEvent(receipt, "ProposalCreated");
+        proposed.push({ proposer: item.proposer, proposalId: event.args.proposalId.toString() });
+      } catch (error) {
+        this.signer.reset();
+        this.log(`Rejected proposal of ${item.proposer}: ${error.shortMessage || error.message}`);
+        rejected.push({ ...item, error: error.shortMessage || error.message });
+      }
+    }
+
+    const accepted = [];
+    for (const item of signed.filter((s) => s.kind === "ballot")) {
+      const ballot = _toSignedBallot(item);
+      try {
+        await voting.voteBySigBatch.staticCall([...accepted, ballot]);
+        accepted.push(ballot);
+      } catch (error) {
+        this.log(`Rejected ballot of ${item.voter} on proposal ${item.proposalId}: ${error.shortMessage || error.message}`);
+        rejected.push({ ...item, error: error.shortMessage || error.message });
+      }
+    }
+
+    let transactionHash = null;
+    if (accepted.length > 0) {
+      const receipt = await (await voting.voteBySigBatch(accepted)).wait();
+      transactionHash = receipt.hash;
+    }
+
+    const voted = accepted.map((ballot) => ({ voter: ballot.voter, proposalId: ballot.proposalId.toString() }));
+    return { proposed, voted, rejected: toPlain(rejected), transactionHash };
+  }
+
+  _findEvent(receipt, name) {
+    return receipt.logs
+      .map((log) => this.voting.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === name);
+  }
+}
+
+/**
+ * Reads the signed items collected in a JSON file
+ * @param {string} file Path of the file, missing files hold nothing
+ * @returns {Array<object>}
+ */
+function loadSignatures(file) {
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Adds a signed item to a JSON file for a relayer to pick up
+ * @param {string} file Path of the file, created when missing
+ * @param {object} signed Signed item as returned by signBallot or signProposal
+ * @returns {number} Number of items in the file
+ */
+function appendSignature(file, signed) {
+  const collected = loadSignatures(file);
+  collected.push(toPlain(signed));
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(collected, null, 2) + "\n");
+  return collected.length;
+}
+
+function _toSignedBallot(item) {
+  return {
+    proposalId: item.proposalId,
+    support: item.support,
+    voter: item.voter,
+    deadline: item.deadline,
+    signature: item.signature,
+  };
+}
+
+module.exports = { BallotRelayer, loadSignatures, appendSignature };
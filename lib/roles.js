@@ -0,0 +1,65 @@
+const { id, isHexString } = require("ethers");
+
+/**
+ * Roles and pause switches of the system contracts (see contracts/SubscriptionAccessControl.sol
+ * and contracts/SubscriptionPausable.sol)
+ *
+ * ROLES maps the names used by tasks and deployment options to the role constants of the
+ * contracts; the ID of a role is the keccak256 hash of its constant name. CONTRACT_ROLES lists
+ * the roles each contract checks. The deployer holds every role until it is revoked.
+ */
+const ROLES = {
+  "credentials-operator": "CREDENTIALS_OPERATOR_ROLE",
+  treasurer: "TREASURER_ROLE",
+  "catalog-admin": "CATALOG_ADMIN_ROLE",
+  guardian: "GUARDIAN_ROLE",
+};
+
+const CONTRACT_ROLES = {
+  SharedSubscriptionToken: ["credentials-operator", "treasurer", "catalog-admin", "guardian"],
+  SubscriptionServiceProvider: ["catalog-admin", "treasurer", "guardian"],
+  SubscriptionVoting: ["guardian"],
+  SubscriptionSeats: [],
+  SubscriptionSeatMarketplace: [],
+  SubscriptionTokenPricing: [],
+};
+
+// Names of the SubscriptionPausable.PauseSwitch values in enum order
+const PAUSE_SWITCHES = ["payments", "joins", "governance", "credential-reads"];
+
+/**
+ * Resolves a role name or ID to its ID
+ * @param {string} role Role name (e.g. "treasurer") or 32 byte hex ID
+ * @returns {string}
+ */
+function roleId(role) {
+  if (isHexString(role, 32)) return role.toLowerCase();
+  if (!ROLES[role]) throw new Error(`Unknown role ${role}, expected one of ${Object.keys(ROLES).join(", ")}`);
+  return id(ROLES[role]);
+}
+
+/**
+ * Resolves a pause switch name or enum value to its enum value
+ * @param {string|number} pauseSwitch Switch name (e.g. "payments") or enum value
+ * @returns {number}
+ */
+function pauseSwitchId(pauseSwitch) {
+  const index =
+    typeof pauseSwitch === "string" && isNaN(pauseSwitch) ? PAUSE_SWITCHES.indexOf(pauseSwitch) : Number(pauseSwitch);
+  if (!PAUSE_SWITCHES[index]) {
+    throw new Error(`Unknown pause switch ${pauseSwitch}, expected one of ${PAUSE_SWITCHES.join(", ")}`);
+  }
+  return index;
+}
+
+/**
+ * Resolves a role ID to its name
+ * @param {string} roleIdHex 32 byte hex ID
+ * @returns {string} Role name, or the ID itself for unknown roles
+ */
+function roleName(roleIdHex) {
+  const name = Object.keys(ROLES).find((role) => roleId(role) === roleIdHex.toLowerCase());
+  return name || roleIdHex;
+}
+
+module.exports = { ROLES, CONTRACT_ROLES, PAUSE_SWITCHES, roleId, roleName, pauseSwitchId };
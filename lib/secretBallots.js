@@ -0,0 +1,120 @@
+const fs = require("fs");
+const path = require("path");
+const { AbiCoder, hexlify, keccak256, randomBytes } = require("ethers");
+
+/**
+ * Commit-reveal helpers for secret kick votes of SubscriptionVoting
+ *
+ * A secret vote is committed as keccak256(abi.encode(proposalId, voter, support, salt)) during
+ * the voting period and revealed with the same support and salt in the reveal period. The salt
+ * is the only thing that keeps the vote secret and the only way to reveal it, so it is written
+ * to a local SaltStore before the commitment is sent.
+ */
+
+const coder = AbiCoder.defaultAbiCoder();
+
+/**
+ * Generates a random 32 byte salt
+ * @returns {string} Hex encoded salt
+ */
+function createSalt() {
+  return hexlify(randomBytes(32));
+}
+
+/**
+ * Computes the commitment of a secret vote
+ * @param {number|string|bigint} proposalId ID of the proposal
+ * @param {string} voter Address of the member voting
+ * @param {boolean} support True for yes, false for no
+ * @param {string} salt Hex encoded 32 byte salt
+ * @returns {string} The commitment passed to commitVote
+ */
+function voteCommitment(proposalId, voter, support, salt) {
+  return keccak256(coder.encode(["uint256", "address", "bool", "bytes32"], [proposalId, voter, support, salt]));
+}
+
+/**
+ * JSON file keeping the salts of committed votes until they are revealed
+ * Entries are keyed by voting contract, proposal and voter so that one file can serve several
+ * members and deployments.
+ */
+class SaltStore {
+  /**
+   * @param {string} file Path of the JSON file, created on first write
+   */
+  constructor(file) {
+    this.file = file;
+    this.data = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  }
+
+  /**
+   * Returns the stored vote of a member
+   * @returns {{support: boolean, salt: string}|undefined}
+   */
+  get(votingAddress, proposalId, voter) {
+    return this.data[_key(votingAddress, proposalId, voter)];
+  }
+
+  /**
+   * Stores the vote of a member and writes the file
+   */
+  set(votingAddress, proposalId, voter, vote) {
+    this.data[_key(votingAddress, proposalId, voter)] = { support: vote.support, salt: vote.salt };
+    this._write();
+  }
+
+  /**
+   * Forgets the vote of a member once revealed and writes the file
+   */
+  delete(votingAddress, proposalId, voter) {
+    delete this.data[_key(votingAddress, proposalId, voter)];
+    this._write();
+  }
+
+  _write() {
+    fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2) + "\n");
+  }
+}
+
+/**
+ * Commits a secret vote, keeping its salt in a store
+ * @param {object} voting SubscriptionVoting contract instance
+ * @param {object} signer Ethers signer of the voting member
+ * @param {number|string|bigint} proposalId ID of the proposal
+ * @param {boolean} support True for yes, false for no
+ * @param {SaltStore} store Store to keep the salt in
+ * @returns {Promise<object>} The transaction response
+ */
+async function commitSecretVote(voting, signer, proposalId, support, store) {
+  const votingAddress = await voting.getAddress();
+  const voter = await signer.getAddress();
+  const salt = createSalt();
+  store.set(votingAddress, proposalId, voter, { support, salt });
+  return voting.connect(signer).commitVote(proposalId, voteCommitment(proposalId, voter, support, salt));
+}
+
+/**
+ * Reveals a secret vote whose salt is in a store and forgets it once the reveal is mined
+ * @param {object} voting SubscriptionVoting contract instance
+ * @param {object} signer Ethers signer of the voting member
+ * @param {number|string|bigint} proposalId ID of the proposal
+ * @param {SaltStore} store Store holding the salt
+ * @returns {Promise<object>} The transaction receipt
+ */
+async function revealSecretVote(voting, signer, proposalId, store) {
+  const votingAddress = await voting.getAddress();
+  const voter = await signer.getAddress();
+  const vote = store.get(votingAddress, proposalId, voter);
+  if (!vote) throw new Error(`No stored vote of ${voter} on proposal ${proposalId}`);
+
+  const receipt = await (await voting.connect(signer).revealVote(proposalId, vote.support, vote.salt)).wait();
+  store.delete(votingAddress, proposalId, voter);
+  return receipt;
+}
+
+function _key(votingAddress, proposalId, voter) {
+  return `${votingAddress.toLowerCase()}:${proposalId}:${voter.toLowerCase()}`;
+}
+
+module.exports = { createSalt, voteCommitment, SaltStore, commitSecretVote, revealSecretVote };
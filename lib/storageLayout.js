@@ -0,0 +1,162 @@
+/**
+ * Storage layout checks for upgrading contracts behind proxies
+ *
+ * A new implementation has to keep every variable of the old one in the same slot with a
+ * compatible type. New variables may only take slots after the old ones or slots reserved by a
+ * __gap array, whose length then shrinks by as much. Structs stored in mappings may gain members
+ * at the end; structs stored in arrays or directly in a variable may not, as that moves what
+ * follows them.
+ *
+ * Layouts come from the solc storageLayout output (enabled in hardhat.config.js) and are
+ * normalized so that layouts of separate compilations compare equal: AST IDs are dropped from
+ * type IDs and entries.
+ */
+
+// Name of the arrays reserving slots for variables added later
+const GAP_LABEL = "__gap";
+
+// Drops the AST IDs solc puts in type IDs, e.g. t_struct(Account)123_storage -> t_struct(Account)_storage
+function _normalizeTypeId(typeId) {
+  return typeId.replace(/(t_(?:struct|enum|contract)\([^)]*\))\d+/g, "$1");
+}
+
+function _normalizeEntry(entry) {
+  return { label: entry.label, slot: entry.slot, offset: entry.offset, type: _normalizeTypeId(entry.type) };
+}
+
+/**
+ * Normalizes a solc storage layout
+ * @param {object} layout storageLayout output of solc, with storage and types
+ * @returns {object} Layout with storage entries of { label, slot, offset, type } and the types they use
+ */
+function normalizeStorageLayout(layout) {
+  const types = {};
+  for (const [typeId, type] of Object.entries(layout.types || {})) {
+    const normalized = { encoding: type.encoding, label: type.label, numberOfBytes: type.numberOfBytes };
+    if (type.members) normalized.members = type.members.map(_normalizeEntry);
+    if (type.key) normalized.key = _normalizeTypeId(type.key);
+    if (type.value) normalized.value = _normalizeTypeId(type.value);
+    if (type.base) normalized.base = _normalizeTypeId(type.base);
+    types[_normalizeTypeId(typeId)] = normalized;
+  }
+  return { storage: layout.storage.map(_normalizeEntry), types };
+}
+
+/**
+ * Reads the storage layout of a compiled contract
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} name Contract name
+ * @returns {Promise<object>} Normalized storage layout
+ */
+async function getStorageLayout(hre, name) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${name}`);
+  const layout = buildInfo.output.contracts[artifact.sourceName][name].storageLayout;
+  if (!layout) {
+    throw new Error(`No storage layout for ${name}, storageLayout must be in the solc outputSelection`);
+  }
+  return normalizeStorageLayout(layout);
+}
+
+// Position of the first byte of an entry, counting the bytes of all slots before it
+function _startByte(entry) {
+  return Number(entry.slot) * 32 + entry.offset;
+}
+
+// Position of the first byte after an entry
+function _endByte(layout, entry) {
+  return _startByte(entry) + Number(layout.types[entry.type].numberOfBytes);
+}
+
+// Whether two types are address-like: addresses and contract references are stored the same way
+function _isAddress(type) {
+  return type.label === "address" || type.label === "address payable" || type.label.startsWith("contract ");
+}
+
+/**
+ * Checks whether a value of the old type can be read as the new type
+ * @returns {string|null} Why the types are incompatible, or null
+ */
+function _typeProblem(oldLayout, oldTypeId, newLayout, newTypeId) {
+  const oldType = oldLayout.types[oldTypeId];
+  const newType = newLayout.types[newTypeId];
+  if (oldTypeId === newTypeId && !oldType.members && !oldType.base && !oldType.value) return null;
+  if (oldType.encoding !== newType.encoding) return `changed from ${oldType.label} to ${newType.label}`;
+
+  if (oldType.encoding === "mapping") {
+    if (oldType.key !== newType.key) return `key changed from ${oldType.key} to ${newType.key}`;
+    return _typeProblem(oldLayout, oldType.value, newLayout, newType.value);
+  }
+  if (oldType.encoding === "dynamic_array") {
+    // Elements are packed one after the other, a bigger element would move the following ones
+    const oldBase = oldLayout.types[oldType.base];
+    const newBase = newLayout.types[newType.base];
+    if (oldBase.numberOfBytes !== newBase.numberOfBytes) return `element size changed in ${newType.label}`;
+    return _typeProblem(oldLayout, oldType.base, newLayout, newType.base);
+  }
+  if (oldType.members) {
+    if (!newType.members) return `changed from ${oldType.label} to ${newType.label}`;
+    for (const [i, member] of oldType.members.entries()) {
+      const newMember = newType.members[i];
+      if (!newMember) return `member ${member.label} was removed`;
+      if (newMember.label !== member.label) return `member ${member.label} was replaced by ${newMember.label}`;
+      if (newMember.slot !== member.slot || newMember.offset !== member.offset) {
+        return `member ${member.label} moved`;
+      }
+      const problem = _typeProblem(oldLayout, member.type, newLayout, newMember.type);
+      if (problem) return `member ${member.label}: ${problem}`;
+    }
+    return null;
+  }
+  if (oldType.numberOfBytes !== newType.numberOfBytes) {
+    return `size changed from ${oldType.label} to ${newType.label}`;
+  }
+  if (oldType.base) return _typeProblem(oldLayout, oldType.base, newLayout, newType.base);
+  if (_isAddress(oldType) && _isAddress(newType)) return null;
+  // Enums can gain values at the end without changing size
+  if (oldType.label.startsWith("enum ") && newType.label.startsWith("enum ")) return null;
+  if (oldType.label !== newType.label) return `changed from ${oldType.label} to ${newType.label}`;
+  return null;
+}
+
+/**
+ * Lists why a new storage layout cannot replace an old one behind a proxy
+ * @param {object} oldLayout Normalized layout of the current implementation
+ * @param {object} newLayout Normalized layout of the new implementation
+ * @returns {Array<string>} Problems found, empty when the upgrade is safe
+ */
+function compareStorageLayouts(oldLayout, newLayout) {
+  const problems = [];
+  const at = (entry) => `slot ${entry.slot}${entry.offset > 0 ? ` offset ${entry.offset}` : ""}`;
+  const matched = new Set();
+
+  for (const entry of oldLayout.storage) {
+    if (entry.label === GAP_LABEL) continue;
+    const newEntry = newLayout.storage.find((e) => e.slot === entry.slot && e.offset === entry.offset);
+    if (!newEntry) {
+      problems.push(`${entry.label} (${at(entry)}) was removed or moved`);
+    } else if (newEntry.label !== entry.label) {
+      problems.push(`${entry.label} (${at(entry)}) was replaced by ${newEntry.label}`);
+    } else {
+      matched.add(newEntry);
+      const problem = _typeProblem(oldLayout, entry.type, newLayout, newEntry.type);
+      if (problem) problems.push(`${entry.label} (${at(entry)}): ${problem}`);
+    }
+  }
+
+  // New variables may only use bytes that were free, such as the rest of a slot, or reserved by a gap
+  const oldEnd = Math.max(0, ...oldLayout.storage.map((entry) => _endByte(oldLayout, entry)));
+  const gaps = oldLayout.storage
+    .filter((entry) => entry.label === GAP_LABEL)
+    .map((entry) => [_startByte(entry), _endByte(oldLayout, entry)]);
+  for (const entry of newLayout.storage) {
+    if (matched.has(entry)) continue;
+    const start = _startByte(entry);
+    const end = _endByte(newLayout, entry);
+    const free = start >= oldEnd || gaps.some(([gapStart, gapEnd]) => start >= gapStart && end <= gapEnd);
+    if (!free) problems.push(`${entry.label} (${at(entry)}) overlaps existing storage`);
+  }
+  return problems;
+}
+
+module.exports = { GAP_LABEL, normalizeStorageLayout, getStorageLayout, compareStorageLayouts };
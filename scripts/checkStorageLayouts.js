@@ -0,0 +1,84 @@
+const fs = require("fs");
+const path = require("path");
+const { SYSTEM_CONTRACTS } = require("../lib/deployments");
+const { getStorageLayout, compareStorageLayouts } = require("../lib/storageLayout");
+
+// Storage layouts of the last release, which upgrades have to stay compatible with
+const DEFAULT_LAYOUTS_DIR = path.join(__dirname, "..", "storage-layouts");
+
+// Contracts that run on the storage of a system contract besides the contract itself
+const SHARED_LAYOUTS = {
+  SharedSubscriptionTokenMigration: "SharedSubscriptionToken",
+  SharedSubscriptionTokenExtension: "SharedSubscriptionToken",
+};
+
+/**
+ * Compares the storage layouts of the compiled system contracts with the recorded ones
+ * Contracts sharing a proxy with a system contract must have exactly its layout.
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} [options]
+ * @param {string} [options.layoutsDir] Directory of the recorded layouts
+ * @param {boolean} [options.update] Whether to record the current layouts instead of checking them
+ * @returns {Promise<object>} Contract names mapped to the problems found
+ */
+async function checkStorageLayouts(hre, options = {}) {
+  const layoutsDir = options.layoutsDir || DEFAULT_LAYOUTS_DIR;
+  const results = {};
+
+  for (const name of SYSTEM_CONTRACTS) {
+    const layout = await getStorageLayout(hre, name);
+    const file = path.join(layoutsDir, `${name}.json`);
+    if (options.update) {
+      fs.mkdirSync(layoutsDir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(layout, null, 2) + "\n");
+      results[name] = [];
+    } else if (!fs.existsSync(file)) {
+      results[name] = [`no recorded layout in ${file}`];
+    } else {
+      results[name] = compareStorageLayouts(JSON.parse(fs.readFileSync(file, "utf8")), layout);
+    }
+  }
+
+  for (const [name, sharedWith] of Object.entries(SHARED_LAYOUTS)) {
+    const layout = await getStorageLayout(hre, name);
+    const other = await getStorageLayout(hre, sharedWith);
+    results[name] = [...compareStorageLayouts(other, layout), ...compareStorageLayouts(layout, other)];
+  }
+  return results;
+}
+
+/**
+ * Storage layout check
+ *
+ * Usage: npx hardhat run scripts/checkStorageLayouts.js
+ *
+ * Environment:
+ *   UPDATE_STORAGE_LAYOUTS  Set to true to record the current layouts, after a release
+ *   STORAGE_LAYOUTS_DIR     Directory of the recorded layouts (default storage-layouts/)
+ */
+async function main() {
+  const hre = require("hardhat");
+  await hre.run("compile", { quiet: true });
+  const update = process.env.UPDATE_STORAGE_LAYOUTS === "true";
+  const results = await checkStorageLayouts(hre, { layoutsDir: process.env.STORAGE_LAYOUTS_DIR, update });
+
+  let failed = false;
+  for (const [name, problems] of Object.entries(results)) {
+    if (problems.length === 0) {
+      console.log(`${name}: ${update && SYSTEM_CONTRACTS.includes(name) ? "recorded" : "compatible"}`);
+      continue;
+    }
+    failed = true;
+    console.log(`${name}: incompatible\n  ${problems.join("\n  ")}`);
+  }
+  if (failed) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { DEFAULT_LAYOUTS_DIR, checkStorageLayouts };
@@ -0,0 +1,49 @@
+const path = require("path");
+const { loadDeployments, getDeployedContract } = require("../lib/deployments");
+const { CredentialDistributor } = require("../lib/credentialDistributor");
+
+/**
+ * Long-running credential distribution daemon
+ *
+ * Usage: npx hardhat run scripts/credentialDaemon.js --network localhost
+ *
+ * Environment:
+ *   VAULT_FILE        Vault of plaintext logins (default config/vault.json)
+ *   CHECKPOINT_FILE   Progress file (default data/<network>/credential-checkpoint.json)
+ *   POLL_INTERVAL_MS  Delay between two syncs (default 5000)
+ *   CONFIRMATIONS     Blocks to wait before acting on an event (default 0)
+ *   DEPLOYMENTS_DIR   Directory of the deployments files
+ *   SIGNER_INDEX      Index of the signer holding the credentials operator role (default 0)
+ */
+async function main() {
+  const hre = require("hardhat");
+  const deployments = loadDeployments(hre.network.name, process.env.DEPLOYMENTS_DIR);
+  const operator = (await hre.ethers.getSigners())[Number(process.env.SIGNER_INDEX || 0)];
+  const token = getDeployedContract(hre.ethers, deployments, "SharedSubscriptionToken", hre.ethers.provider);
+
+  const distributor = new CredentialDistributor({
+    token,
+    signer: operator,
+    vaultFile: process.env.VAULT_FILE || path.join(__dirname, "..", "config", "vault.json"),
+    checkpointFile:
+      process.env.CHECKPOINT_FILE ||
+      path.join(__dirname, "..", "data", hre.network.name, "credential-checkpoint.json"),
+    startBlock: deployments.contracts.SharedSubscriptionToken.blockNumber,
+    confirmations: Number(process.env.CONFIRMATIONS || 0),
+  });
+
+  console.log(`Distributing credentials for ${await token.getAddress()} as ${operator.address}`);
+  distributor.start(Number(process.env.POLL_INTERVAL_MS || 5000));
+
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      console.log("Stopping credential daemon");
+      distributor.stop();
+    });
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,553 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  DEFAULT_DEPLOYMENTS_DIR,
+  loadDeployments,
+  saveDeployments,
+} = require("../lib/deployments");
+const { ROLES, CONTRACT_ROLES, roleId } = require("../lib/roles");
+const { getStorageLayout, compareStorageLayouts } = require("../lib/storageLayout");
+
+// Service catalog seeded into SubscriptionServiceProvider by default
+const DEFAULT_SERVICES_FILE = path.join(__dirname, "..", "config", "services.json");
+
+// Names of the SharedSubscriptionToken.MatchingStrategy values in enum order
+const MATCHING_STRATEGIES = ["fill-most-full", "fill-least-full", "round-robin"];
+
+// Implementations that initialize new proxies of contracts without a public initializer of their own
+const PROXY_INITIALIZERS = { SharedSubscriptionToken: "SharedSubscriptionTokenMigration" };
+
+// Contracts whose fallback runs the functions of another contract, recorded with the ABIs of both
+const DELEGATED_ABIS = { SharedSubscriptionToken: "SharedSubscriptionTokenExtension" };
+
+/**
+ * Reads a service catalog file
+ * Each entry needs a serviceId, symbol, cost (in ETH) and apiEndpoint. The cost is the cost of the
+ * standard tier (ID 0); further plan tiers go in an optional "tiers" array of
+ * { tierId, name, cost (in ETH), maxSeats, durationDays }, and an optional "matching" strategy
+ * (fill-most-full, fill-least-full or round-robin) sets how subscribers are grouped.
+ * @param {string} file Path of the JSON catalog
+ * @param {object} ethers ethers instance used to parse costs
+ * @returns {Array<object>} Services with costs converted to wei
+ */
+function loadServiceCatalog(file, ethers) {
+  const services = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(services)) {
+    throw new Error(`Service catalog ${file} must contain a JSON array`);
+  }
+  return services.map((service) => {
+    for (const field of ["serviceId", "symbol", "cost", "apiEndpoint"]) {
+      if (service[field] === undefined) {
+        throw new Error(`Service entry is missing "${field}": ${JSON.stringify(service)}`);
+      }
+    }
+    return {
+      serviceId: BigInt(service.serviceId),
+      symbol: service.symbol,
+      cost: ethers.parseEther(String(service.cost)),
+      apiEndpoint: service.apiEndpoint,
+      tiers: (service.tiers || []).map((tier) => _parseTier(service, tier, ethers)),
+      matching: _parseMatching(service),
+    };
+  });
+}
+
+function _parseTier(service, tier, ethers) {
+  for (const field of ["tierId", "name", "cost", "maxSeats", "durationDays"]) {
+    if (tier[field] === undefined) {
+      throw new Error(`Tier of service ${service.serviceId} is missing "${field}": ${JSON.stringify(tier)}`);
+    }
+  }
+  if (Number(tier.tierId) === 0) {
+    throw new Error(`Service ${service.serviceId}: tier 0 is the standard tier, its cost is the service cost`);
+  }
+  return {
+    tierId: BigInt(tier.tierId),
+    name: tier.name,
+    cost: ethers.parseEther(String(tier.cost)),
+    maxSeats: BigInt(tier.maxSeats),
+    duration: BigInt(Math.round(Number(tier.durationDays) * 24 * 60 * 60)),
+  };
+}
+
+// Enum value of the matching strategy of a catalog entry, undefined leaves the contract's choice alone
+function _parseMatching(service) {
+  if (service.matching === undefined) return undefined;
+  const strategy = MATCHING_STRATEGIES.indexOf(service.matching);
+  if (strategy === -1) {
+    throw new Error(`Service ${service.serviceId}: unknown matching strategy "${service.matching}"`);
+  }
+  return BigInt(strategy);
+}
+
+/**
+ * Reads a role assignment file
+ * The file maps role names (credentials-operator, treasurer, catalog-admin) to the addresses
+ * that should hold them, e.g. { "treasurer": ["0x..."] }.
+ * @param {string} file Path of the JSON file
+ * @returns {object} Role names mapped to arrays of addresses
+ */
+function loadRoleAssignments(file) {
+  const roles = JSON.parse(fs.readFileSync(file, "utf8"));
+  for (const [role, accounts] of Object.entries(roles)) {
+    if (!ROLES[role]) throw new Error(`Unknown role "${role}" in ${file}`);
+    if (!Array.isArray(accounts)) throw new Error(`Role ${role} in ${file} must list an array of addresses`);
+  }
+  return roles;
+}
+
+// Whether the on-chain tier details match a catalog tier
+function _tierMatches(details, tier) {
+  const [exists, name, cost, maxSeats, duration] = details;
+  return (
+    exists && name === tier.name && cost === tier.cost && maxSeats === tier.maxSeats && duration === tier.duration
+  );
+}
+
+// ABI recorded for a contract, including the functions its fallback delegates under the same address
+async function _registryAbi(hre, name) {
+  const { abi } = await hre.artifacts.readArtifact(name);
+  if (!DELEGATED_ABIS[name]) return abi;
+
+  // Both contracts share events and state variables, and only the contract's own constructor applies
+  const key = (item) => `${item.type} ${item.name}(${(item.inputs || []).map((input) => input.type).join(",")})`;
+  const keys = new Set(abi.map(key));
+  const delegated = (await hre.artifacts.readArtifact(DELEGATED_ABIS[name])).abi;
+  return abi.concat(delegated.filter((item) => item.name !== undefined && !keys.has(key(item))));
+}
+
+// Zeroes the immutable values in deployed code, the compiler leaves them zero in the artifact
+function _maskImmutables(code, immutableReferences = {}) {
+  let masked = code;
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) {
+      const from = 2 + start * 2;
+      masked = masked.slice(0, from) + "0".repeat(length * 2) + masked.slice(from + length * 2);
+    }
+  }
+  return masked;
+}
+
+// Whether the code at an address is the compiled code of a contract, ignoring immutable values
+async function _codeMatches(hre, name, address) {
+  const { ethers, artifacts } = hre;
+  const code = await ethers.provider.getCode(address);
+  if (code === "0x") return false;
+  const artifact = await artifacts.readArtifact(name);
+  const buildInfo = await artifacts.getBuildInfo(`${artifact.sourceName}:${name}`);
+  const immutableReferences =
+    buildInfo.output.contracts[artifact.sourceName][name].evm.deployedBytecode.immutableReferences;
+  return ethers.keccak256(_maskImmutables(code, immutableReferences)) === ethers.keccak256(artifact.deployedBytecode);
+}
+
+// Deploys an implementation contract, or reuses the recorded one while its code matches the artifact
+async function _ensureImplementation(hre, deployments, name, deployer, log) {
+  deployments.implementations = deployments.implementations || {};
+  const record = deployments.implementations[name];
+  if (record && (await _codeMatches(hre, name, record.address))) return record.address;
+
+  // Proxies never read the state of the implementation, so its constructor gets placeholder arguments
+  const factory = await hre.ethers.getContractFactory(name, deployer);
+  const args = factory.interface.deploy.inputs.map((input) => (input.type === "address" ? hre.ethers.ZeroAddress : 0));
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+  const address = await contract.getAddress();
+  const { deployedBytecode } = await hre.artifacts.readArtifact(name);
+  deployments.implementations[name] = { address, deployedBytecodeHash: hre.ethers.keccak256(deployedBytecode) };
+  log(`${name}: implementation deployed at ${address}`);
+  return address;
+}
+
+// Points a recorded proxy at an implementation after checking their storage layouts are compatible
+async function _upgradeProxy(hre, deployments, name, implementationName, deployer, log) {
+  const record = deployments.contracts[name];
+  const storageLayout = await getStorageLayout(hre, implementationName);
+  const problems = compareStorageLayouts(record.storageLayout, storageLayout);
+  if (problems.length > 0) {
+    throw new Error(
+      `Cannot upgrade ${name} to ${implementationName}, incompatible storage layout:\n  ${problems.join("\n  ")}`
+    );
+  }
+
+  const implementation = await _ensureImplementation(hre, deployments, implementationName, deployer, log);
+  const proxyAdmin = await hre.ethers.getContractAt("ProxyAdmin", deployments.contracts.ProxyAdmin.address, deployer);
+  await (await proxyAdmin.upgrade(record.address, implementation)).wait();
+
+  record.abi = await _registryAbi(hre, implementationName);
+  record.implementation = { name: implementationName, address: implementation };
+  record.storageLayout = storageLayout;
+  log(`${name}: proxy at ${record.address} upgraded to ${implementationName}`);
+  return hre.ethers.getContractAt(implementationName, record.address, deployer);
+}
+
+/**
+ * Deploys (or reuses) every system contract, wires them together and seeds the service catalog
+ * Re-running is safe: contracts whose on-chain code matches the compiled artifact are reused
+ * and only missing wiring or catalog entries are sent as transactions.
+ * Upgradeable deployments put every contract behind a TransparentUpgradeableProxy administered by
+ * a ProxyAdmin. Re-running upgrades the proxies whose implementation is outdated, after checking
+ * that the storage layout of the new implementation is compatible with the recorded one.
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} [options]
+ * @param {string} [options.servicesFile] Service catalog to seed
+ * @param {string} [options.deploymentsDir] Directory of the deployments files
+ * @param {object} [options.deployer] Signer used for every transaction
+ * @param {object} [options.roles] Role names mapped to addresses to grant them to, on every contract checking the role
+ * @param {boolean} [options.upgradeable] Whether to deploy the contracts behind proxies
+ * @param {Array<object>} [options.services] Parsed service catalog, used instead of servicesFile
+ * @param {Function} [options.log] Progress logger
+ * @returns {Promise<object>} The deployments registry, contract instances and the actions taken
+ */
+async function deploySystem(hre, options = {}) {
+  const { ethers, network, artifacts } = hre;
+  const servicesFile = options.servicesFile || DEFAULT_SERVICES_FILE;
+  const deploymentsDir = options.deploymentsDir || DEFAULT_DEPLOYMENTS_DIR;
+  const log = options.log || console.log;
+  const deployer = options.deployer || (await ethers.getSigners())[0];
+  const chainId = (await ethers.provider.getNetwork()).chainId;
+  const actions = [];
+
+  const deployments = loadDeployments(network.name, deploymentsDir);
+  if (deployments.chainId !== undefined && BigInt(deployments.chainId) !== chainId) {
+    log(`Chain ID changed from ${deployments.chainId} to ${chainId}, ignoring previous deployments`);
+    deployments.contracts = {};
+  }
+  deployments.network = network.name;
+  deployments.chainId = chainId.toString();
+
+  // Reuses a recorded deployment when its code still matches the artifact, otherwise deploys it
+  async function ensureContract(name, args = []) {
+    const artifact = await artifacts.readArtifact(name);
+    const expectedHash = ethers.keccak256(artifact.deployedBytecode);
+    const record = deployments.contracts[name];
+
+    if (record) {
+      if (await _codeMatches(hre, name, record.address)) {
+        // The functions the contract delegates may have changed since it was recorded
+        record.abi = await _registryAbi(hre, name);
+        log(`${name}: reusing ${record.address}`);
+        return ethers.getContractAt(name, record.address, deployer);
+      }
+      log(`${name}: recorded deployment at ${record.address} is missing or outdated`);
+    }
+
+    const factory = await ethers.getContractFactory(name, deployer);
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    const receipt = await contract.deploymentTransaction().wait();
+    const address = await contract.getAddress();
+
+    deployments.contracts[name] = {
+      address,
+      abi: await _registryAbi(hre, name),
+      deployedBytecodeHash: expectedHash,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+    saveDeployments(network.name, deployments, deploymentsDir);
+    actions.push(`deploy ${name}`);
+    log(`${name}: deployed at ${address}`);
+    return contract;
+  }
+
+  // Reuses a recorded proxy, upgrading it when its implementation is outdated, otherwise deploys one
+  async function ensureProxy(name, initArgs) {
+    const record = deployments.contracts[name];
+    const proxyAdminAddress = await proxyAdmin.getAddress();
+
+    if (record && record.implementation && (await ethers.provider.getCode(record.address)) !== "0x") {
+      const implementation = await proxyAdmin.getProxyImplementation(record.address);
+      if (await _codeMatches(hre, name, implementation)) {
+        record.abi = await _registryAbi(hre, name);
+        log(`${name}: reusing proxy at ${record.address}`);
+        return ethers.getContractAt(name, record.address, deployer);
+      }
+      const contract = await _upgradeProxy(hre, deployments, name, name, deployer, log);
+      saveDeployments(network.name, deployments, deploymentsDir);
+      actions.push(`upgrade ${name}`);
+      return contract;
+    }
+    if (record) log(`${name}: recorded deployment at ${record.address} is missing or not behind a proxy`);
+
+    // The proxy is initialized in its constructor, so nobody can initialize it in between
+    const initializer = PROXY_INITIALIZERS[name] || name;
+    const implementation = await _ensureImplementation(hre, deployments, initializer, deployer, log);
+    const { interface: initInterface } = await ethers.getContractFactory(initializer);
+    const initData = initInterface.encodeFunctionData("initialize", initArgs);
+    const factory = await ethers.getContractFactory("TransparentUpgradeableProxy", deployer);
+    const proxy = await factory.deploy(implementation, proxyAdminAddress, initData);
+    await proxy.waitForDeployment();
+    const receipt = await proxy.deploymentTransaction().wait();
+    const address = await proxy.getAddress();
+
+    deployments.contracts[name] = {
+      address,
+      abi: await _registryAbi(hre, initializer),
+      implementation: { name: initializer, address: implementation },
+      storageLayout: await getStorageLayout(hre, initializer),
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+    if (initializer !== name) await _upgradeProxy(hre, deployments, name, name, deployer, log);
+    saveDeployments(network.name, deployments, deploymentsDir);
+    actions.push(`deploy ${name}`);
+    log(`${name}: deployed behind a proxy at ${address}`);
+    return ethers.getContractAt(name, address, deployer);
+  }
+
+  // Proxies are initialized with the deployer as owner, like the constructors of direct deployments
+  const upgradeable = Boolean(options.upgradeable);
+  const proxyAdmin = upgradeable ? await ensureContract("ProxyAdmin") : null;
+  const owner = deployer.address;
+  const provider = upgradeable
+    ? await ensureProxy("SubscriptionServiceProvider", [owner])
+    : await ensureContract("SubscriptionServiceProvider");
+  const token = upgradeable
+    ? await ensureProxy("SharedSubscriptionToken", [owner])
+    : await ensureContract("SharedSubscriptionToken");
+  const tokenAddress = await token.getAddress();
+  const voting = upgradeable
+    ? await ensureProxy("SubscriptionVoting", [owner, tokenAddress])
+    : await ensureContract("SubscriptionVoting", [tokenAddress]);
+  const seats = upgradeable
+    ? await ensureProxy("SubscriptionSeats", [owner, tokenAddress])
+    : await ensureContract("SubscriptionSeats", [tokenAddress]);
+  const seatsAddress = await seats.getAddress();
+  const marketplace = upgradeable
+    ? await ensureProxy("SubscriptionSeatMarketplace", [owner, tokenAddress, seatsAddress])
+    : await ensureContract("SubscriptionSeatMarketplace", [tokenAddress, seatsAddress]);
+  const pricing = upgradeable
+    ? await ensureProxy("SubscriptionTokenPricing", [owner])
+    : await ensureContract("SubscriptionTokenPricing");
+  // Holds the token functions past its size limit, which run on the token's storage, so it needs no proxy
+  const extension = await ensureContract("SharedSubscriptionTokenExtension");
+  const tokenExtension = await ethers.getContractAt("SharedSubscriptionTokenExtension", tokenAddress, deployer);
+  const providerAddress = await provider.getAddress();
+  const votingAddress = await voting.getAddress();
+  const marketplaceAddress = await marketplace.getAddress();
+  const pricingAddress = await pricing.getAddress();
+  const extensionAddress = await extension.getAddress();
+
+  // Each wiring step knows how to check itself and how to fix itself
+  const wiring = [
+    {
+      description: "SharedSubscriptionToken.votingContractAddress",
+      isWired: async () => (await token.votingContractAddress()) === votingAddress,
+      wire: () => token.setVotingContractAddress(votingAddress),
+    },
+    {
+      description: "SharedSubscriptionToken.serviceProviderAddress",
+      isWired: async () => (await token.serviceProviderAddress()) === providerAddress,
+      wire: () => token.setServiceProviderAddress(providerAddress),
+    },
+    {
+      description: "SubscriptionServiceProvider.tokenContractAddress",
+      isWired: async () => (await provider.tokenContractAddress()) === tokenAddress,
+      wire: () => provider.setTokenContractAddress(tokenAddress),
+    },
+    {
+      description: "SubscriptionVoting.subscriptionToken",
+      isWired: async () => (await voting.subscriptionToken()) === tokenAddress,
+      wire: () => voting.updateSubscriptionTokenAddress(tokenAddress),
+    },
+    {
+      description: "SharedSubscriptionToken.extensionAddress",
+      isWired: async () => (await token.extensionAddress()) === extensionAddress,
+      wire: () => token.setExtensionAddress(extensionAddress),
+    },
+    {
+      description: "SharedSubscriptionToken.seatContractAddress",
+      isWired: async () => (await token.seatContractAddress()) === seatsAddress,
+      wire: () => tokenExtension.setSeatContractAddress(seatsAddress),
+    },
+    {
+      description: "SubscriptionSeats.tokenContractAddress",
+      isWired: async () => (await seats.tokenContractAddress()) === tokenAddress,
+      wire: () => seats.setTokenContractAddress(tokenAddress),
+    },
+    {
+      description: "SharedSubscriptionToken.marketplaceAddress",
+      isWired: async () => (await token.marketplaceAddress()) === marketplaceAddress,
+      wire: () => tokenExtension.setMarketplaceAddress(marketplaceAddress),
+    },
+    {
+      description: "SubscriptionSeatMarketplace.tokenContractAddress",
+      isWired: async () => (await marketplace.tokenContractAddress()) === tokenAddress,
+      wire: () => marketplace.setTokenContractAddress(tokenAddress),
+    },
+    {
+      description: "SubscriptionSeatMarketplace.seatContractAddress",
+      isWired: async () => (await marketplace.seatContractAddress()) === seatsAddress,
+      wire: () => marketplace.setSeatContractAddress(seatsAddress),
+    },
+    {
+      description: "SharedSubscriptionToken.pricingContractAddress",
+      isWired: async () => (await tokenExtension.pricingContractAddress()) === pricingAddress,
+      wire: () => tokenExtension.setPricingContractAddress(pricingAddress),
+    },
+  ];
+
+  for (const step of wiring) {
+    if (await step.isWired()) continue;
+    await (await step.wire()).wait();
+    actions.push(`wire ${step.description}`);
+    log(`Wired ${step.description}`);
+  }
+
+  // Grant the requested roles on every contract that checks them; the deployer keeps its own
+  const contractsByName = {
+    SharedSubscriptionToken: token,
+    SubscriptionServiceProvider: provider,
+    SubscriptionVoting: voting,
+    SubscriptionSeats: seats,
+    SubscriptionSeatMarketplace: marketplace,
+    SubscriptionTokenPricing: pricing,
+  };
+  const grants = [];
+  for (const [role, accounts] of Object.entries(options.roles || {})) {
+    for (const [name, contract] of Object.entries(contractsByName)) {
+      if (!CONTRACT_ROLES[name].includes(role)) continue;
+      for (const account of accounts) grants.push({ name, contract, role, account: ethers.getAddress(account) });
+    }
+  }
+  for (const grant of grants) {
+    if (await grant.contract.hasRole(roleId(grant.role), grant.account)) continue;
+    await (await grant.contract.grantRole(roleId(grant.role), grant.account)).wait();
+    actions.push(`grant ${grant.role} on ${grant.name} to ${grant.account}`);
+    log(`Granted ${grant.role} on ${grant.name} to ${grant.account}`);
+  }
+
+  // Seed the service catalog
+  const services = options.services || loadServiceCatalog(servicesFile, ethers);
+  for (const service of services) {
+    const [exists, cost, symbol, apiEndpoint] = await provider.getServiceDetails(service.serviceId);
+    if (!exists) {
+      await (
+        await provider.addService(service.serviceId, service.symbol, service.cost, service.apiEndpoint)
+      ).wait();
+      actions.push(`add service ${service.serviceId}`);
+      log(`Added service ${service.serviceId} (${service.symbol})`);
+    } else if (cost !== service.cost) {
+      await (await provider.updateServiceCost(service.serviceId, service.cost)).wait();
+      actions.push(`update cost of service ${service.serviceId}`);
+      log(`Updated cost of service ${service.serviceId} to ${ethers.formatEther(service.cost)} ETH`);
+    }
+    if (exists && (symbol !== service.symbol || apiEndpoint !== service.apiEndpoint)) {
+      await (
+        await provider.updateServiceMetadata(service.serviceId, service.symbol, service.apiEndpoint)
+      ).wait();
+      actions.push(`update metadata of service ${service.serviceId}`);
+      log(`Updated metadata of service ${service.serviceId} (${service.symbol})`);
+    }
+    for (const tier of service.tiers) {
+      if (_tierMatches(await provider.getTierDetails(service.serviceId, tier.tierId), tier)) continue;
+      await (
+        await provider.setTier(service.serviceId, tier.tierId, tier.name, tier.cost, tier.maxSeats, tier.duration)
+      ).wait();
+      actions.push(`set tier ${tier.tierId} of service ${service.serviceId}`);
+      log(`Set tier ${tier.tierId} (${tier.name}) of service ${service.serviceId}`);
+    }
+    if (service.matching !== undefined && (await token.matchingStrategies(service.serviceId)) !== service.matching) {
+      await (await token.setMatchingStrategy(service.serviceId, service.matching)).wait();
+      actions.push(`set matching of service ${service.serviceId}`);
+      log(`Set matching of service ${service.serviceId} to ${MATCHING_STRATEGIES[service.matching]}`);
+    }
+  }
+
+  // Verify the final state matches what was requested
+  const problems = [];
+  for (const step of wiring) {
+    if (!(await step.isWired())) problems.push(`${step.description} is not wired`);
+  }
+  for (const grant of grants) {
+    if (!(await grant.contract.hasRole(roleId(grant.role), grant.account))) {
+      problems.push(`${grant.account} is missing ${grant.role} on ${grant.name}`);
+    }
+  }
+  if (upgradeable) {
+    for (const name of Object.keys(contractsByName)) {
+      const implementation = await proxyAdmin.getProxyImplementation(deployments.contracts[name].address);
+      if (!(await _codeMatches(hre, name, implementation))) {
+        problems.push(`${name} proxy does not run the compiled implementation`);
+      }
+    }
+  }
+  for (const service of services) {
+    const [exists, cost, symbol, apiEndpoint] = await provider.getServiceDetails(service.serviceId);
+    if (!exists) problems.push(`service ${service.serviceId} is missing`);
+    else if (cost !== service.cost) problems.push(`service ${service.serviceId} has the wrong cost`);
+    else if (symbol !== service.symbol || apiEndpoint !== service.apiEndpoint) {
+      problems.push(`service ${service.serviceId} has the wrong metadata`);
+    }
+    for (const tier of service.tiers) {
+      if (!_tierMatches(await provider.getTierDetails(service.serviceId, tier.tierId), tier)) {
+        problems.push(`tier ${tier.tierId} of service ${service.serviceId} does not match the catalog`);
+      }
+    }
+    if (service.matching !== undefined && (await token.matchingStrategies(service.serviceId)) !== service.matching) {
+      problems.push(`service ${service.serviceId} has the wrong matching strategy`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Deployment verification failed:\n  ${problems.join("\n  ")}`);
+  }
+
+  deployments.deployer = deployer.address;
+  const file = saveDeployments(network.name, deployments, deploymentsDir);
+  log(`Deployments written to ${file}`);
+
+  return { deployments, file, actions, contracts: { provider, token, voting, seats, marketplace, pricing } };
+}
+
+/**
+ * Points the proxy of a system contract at another implementation, e.g. SharedSubscriptionTokenMigration
+ * Fails when the storage layout of the implementation is not compatible with the current one.
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} name Name of the system contract (e.g. "SharedSubscriptionToken")
+ * @param {string} implementationName Contract to run behind the proxy
+ * @param {object} [options]
+ * @param {string} [options.deploymentsDir] Directory of the deployments files
+ * @param {object} [options.deployer] Signer owning the ProxyAdmin
+ * @param {Function} [options.log] Progress logger
+ * @returns {Promise<object>} Contract instance at the proxy address with the implementation's ABI
+ */
+async function upgradeProxy(hre, name, implementationName, options = {}) {
+  const deploymentsDir = options.deploymentsDir || DEFAULT_DEPLOYMENTS_DIR;
+  const log = options.log || console.log;
+  const deployer = options.deployer || (await hre.ethers.getSigners())[0];
+  const deployments = loadDeployments(hre.network.name, deploymentsDir);
+  if (!deployments.contracts[name] || !deployments.contracts[name].implementation) {
+    throw new Error(`${name} is not deployed behind a proxy on network "${hre.network.name}"`);
+  }
+
+  const contract = await _upgradeProxy(hre, deployments, name, implementationName, deployer, log);
+  saveDeployments(hre.network.name, deployments, deploymentsDir);
+  return contract;
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const { actions } = await deploySystem(hre, {
+    servicesFile: process.env.SERVICES_FILE,
+    deploymentsDir: process.env.DEPLOYMENTS_DIR,
+    roles: process.env.ROLES_FILE ? loadRoleAssignments(process.env.ROLES_FILE) : undefined,
+    upgradeable: Boolean(process.env.UPGRADEABLE),
+  });
+  console.log(actions.length === 0 ? "Nothing to do, deployment is up to date" : `${actions.length} action(s) performed`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  DEFAULT_SERVICES_FILE,
+  MATCHING_STRATEGIES,
+  loadServiceCatalog,
+  loadRoleAssignments,
+  deploySystem,
+  upgradeProxy,
+};
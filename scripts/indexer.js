@@ -0,0 +1,56 @@
+const path = require("path");
+const { loadDeployments, getDeployedContract } = require("../lib/deployments");
+const { EventIndexer, JsonStore } = require("../lib/indexer");
+const { createApiServer } = require("../lib/indexer/api");
+
+/**
+ * Event indexer with a local HTTP/JSON query API
+ *
+ * Usage: npx hardhat run scripts/indexer.js --network localhost
+ *
+ * Environment:
+ *   INDEXER_STORE     Store file (default data/<network>/indexer.json)
+ *   INDEXER_PORT      Port of the query API (default 9545)
+ *   POLL_INTERVAL_MS  Delay between two syncs (default 5000)
+ *   CONFIRMATIONS     Blocks to stay behind the chain head (default 0)
+ *   DEPLOYMENTS_DIR   Directory of the deployments files
+ */
+async function main() {
+  const hre = require("hardhat");
+  const deployments = loadDeployments(hre.network.name, process.env.DEPLOYMENTS_DIR);
+  const contract = (name) => getDeployedContract(hre.ethers, deployments, name, hre.ethers.provider);
+
+  const startBlock = Math.min(
+    ...Object.values(deployments.contracts).map((record) => record.blockNumber || 0)
+  );
+  const indexer = new EventIndexer({
+    contracts: {
+      token: contract("SharedSubscriptionToken"),
+      provider: contract("SubscriptionServiceProvider"),
+      voting: contract("SubscriptionVoting"),
+    },
+    store: new JsonStore(
+      process.env.INDEXER_STORE || path.join(__dirname, "..", "data", hre.network.name, "indexer.json")
+    ),
+    startBlock,
+    confirmations: Number(process.env.CONFIRMATIONS || 0),
+  });
+
+  const port = Number(process.env.INDEXER_PORT || 9545);
+  const server = createApiServer(indexer);
+  server.listen(port, "127.0.0.1", () => console.log(`Indexer API listening on http://127.0.0.1:${port}`));
+  indexer.start(Number(process.env.POLL_INTERVAL_MS || 5000));
+
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      console.log("Stopping indexer");
+      indexer.stop();
+      server.close();
+    });
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
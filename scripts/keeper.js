@@ -0,0 +1,55 @@
+const { loadDeployments, getDeployedContract } = require("../lib/deployments");
+const { AutoRenewKeeper } = require("../lib/keeper");
+const { DEFAULT_SERVICES_FILE, loadServiceCatalog } = require("./deploy");
+
+/**
+ * Auto-renewal keeper
+ *
+ * Usage: npx hardhat run scripts/keeper.js --network localhost
+ *
+ * Environment:
+ *   INDEXER_URL       Indexer API to read candidate accounts from (default: query the token contract)
+ *   KEEPER_SERVICES   Comma separated service IDs to scan (default: the indexer's services, or the catalog)
+ *   SERVICES_FILE     Service catalog used when neither of the above is set
+ *   KEEPER_PRUNE      Set to true to also prune empty and long expired accounts
+ *   POLL_INTERVAL_MS  Delay between two scans (default 60000)
+ *   DEPLOYMENTS_DIR   Directory of the deployments files
+ */
+async function main() {
+  const hre = require("hardhat");
+  const deployments = loadDeployments(hre.network.name, process.env.DEPLOYMENTS_DIR);
+  const [keeper] = await hre.ethers.getSigners();
+  const token = getDeployedContract(hre.ethers, deployments, "SharedSubscriptionToken", hre.ethers.provider);
+
+  let serviceIds;
+  if (process.env.KEEPER_SERVICES) {
+    serviceIds = process.env.KEEPER_SERVICES.split(",").map((id) => id.trim());
+  } else if (!process.env.INDEXER_URL) {
+    serviceIds = loadServiceCatalog(process.env.SERVICES_FILE || DEFAULT_SERVICES_FILE, hre.ethers).map(
+      (service) => service.serviceId
+    );
+  }
+
+  const autoRenewKeeper = new AutoRenewKeeper({
+    token,
+    signer: keeper,
+    serviceIds,
+    indexerUrl: process.env.INDEXER_URL,
+    prune: process.env.KEEPER_PRUNE === "true",
+  });
+
+  console.log(`Auto-renewing accounts of ${await token.getAddress()} as ${keeper.address}`);
+  autoRenewKeeper.start(Number(process.env.POLL_INTERVAL_MS || 60000));
+
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      console.log("Stopping keeper");
+      autoRenewKeeper.stop();
+    });
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
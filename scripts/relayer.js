@@ -0,0 +1,35 @@
+const { loadDeployments, getDeployedContract } = require("../lib/deployments");
+const { BallotRelayer, loadSignatures } = require("../lib/relayer");
+
+/**
+ * Relayer of signed ballots and proposals
+ *
+ * Usage: SIGNATURES_FILE=ballots.json npx hardhat run scripts/relayer.js --network localhost
+ *
+ * Submits everything collected in the file (see the sign-vote and sign-proposal tasks) with the
+ * first signer paying the gas, then prints what was relayed and what was rejected.
+ *
+ * Environment:
+ *   SIGNATURES_FILE   JSON file of signed ballots and proposals (required)
+ *   DEPLOYMENTS_DIR   Directory of the deployments files
+ */
+async function main() {
+  const hre = require("hardhat");
+  if (!process.env.SIGNATURES_FILE) throw new Error("SIGNATURES_FILE is required");
+
+  const deployments = loadDeployments(hre.network.name, process.env.DEPLOYMENTS_DIR);
+  const [relayer] = await hre.ethers.getSigners();
+  const voting = getDeployedContract(hre.ethers, deployments, "SubscriptionVoting", hre.ethers.provider);
+
+  const signed = loadSignatures(process.env.SIGNATURES_FILE);
+  console.log(`Relaying ${signed.length} signatures to ${await voting.getAddress()} as ${relayer.address}`);
+
+  const result = await new BallotRelayer({ voting, signer: relayer }).relay(signed);
+  console.log(JSON.stringify(result, null, 2));
+  if (result.rejected.length > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
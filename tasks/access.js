@@ -0,0 +1,130 @@
+const { types } = require("hardhat/config");
+const { systemTask, loadSystem, runTransaction, runQuery } = require("./helpers");
+const { CONTRACT_ROLES, PAUSE_SWITCHES, roleId, pauseSwitchId } = require("../lib/roles");
+
+// Contracts selected with --contract, by their key in the object returned by loadSystem
+const CONTRACTS = {
+  token: "SharedSubscriptionToken",
+  provider: "SubscriptionServiceProvider",
+  voting: "SubscriptionVoting",
+};
+
+const ROLE_HELP = "Role name (credentials-operator, treasurer, catalog-admin, guardian) or ID";
+
+function _contract(system, name) {
+  if (!CONTRACTS[name]) {
+    throw new Error(`Unknown contract ${name}, expected one of ${Object.keys(CONTRACTS).join(", ")}`);
+  }
+  return system[name];
+}
+
+// Defines a system task acting on the contract selected with --contract
+function accessTask(name, description) {
+  return systemTask(name, description).addParam(
+    "contract",
+    "Contract to act on: token, provider or voting",
+    undefined,
+    types.string
+  );
+}
+
+// ==================== Role and ownership tasks ====================
+
+accessTask("grant-role", "Grants a role of a contract to an account, as its owner")
+  .addParam("role", ROLE_HELP, undefined, types.string)
+  .addParam("account", "Address receiving the role", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      _contract(system, taskArgs.contract).grantRole(roleId(taskArgs.role), taskArgs.account)
+    );
+  });
+
+accessTask("revoke-role", "Revokes a role of a contract from an account, as its owner")
+  .addParam("role", ROLE_HELP, undefined, types.string)
+  .addParam("account", "Address losing the role", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      _contract(system, taskArgs.contract).revokeRole(roleId(taskArgs.role), taskArgs.account)
+    );
+  });
+
+accessTask("renounce-role", "Gives up a role the caller holds on a contract")
+  .addParam("role", ROLE_HELP, undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      _contract(system, taskArgs.contract).renounceRole(roleId(taskArgs.role))
+    );
+  });
+
+accessTask("transfer-ownership", "Offers ownership of a contract to a new owner, who has to accept it")
+  .addParam("to", "Address of the new owner", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => _contract(system, taskArgs.contract).transferOwnership(taskArgs.to));
+  });
+
+accessTask("accept-ownership", "Accepts ownership of a contract offered to the caller")
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => _contract(system, taskArgs.contract).acceptOwnership());
+  });
+
+systemTask("show-roles", "Shows the owner of every contract and the roles an account holds")
+  .addOptionalParam("account", "Address to check, the caller by default", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runQuery(system, taskArgs, async () => {
+      const account = taskArgs.account || system.signer.address;
+      const result = { account };
+      for (const [key, name] of Object.entries(CONTRACTS)) {
+        const contract = system[key];
+        const roles = [];
+        for (const role of CONTRACT_ROLES[name]) {
+          if (await contract.hasRole(roleId(role), account)) roles.push(role);
+        }
+        result[key] = { owner: await contract.owner(), pendingOwner: await contract.pendingOwner(), roles };
+      }
+      return result;
+    });
+  });
+
+// ==================== Pause tasks ====================
+
+accessTask("pause", "Pauses a switch of a contract for its pause duration, as a guardian")
+  .addParam("switch", `Switch to pause: ${PAUSE_SWITCHES.join(", ")}`, undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      _contract(system, taskArgs.contract).pause(pauseSwitchId(taskArgs.switch))
+    );
+  });
+
+accessTask("unpause", "Lifts the pause of a switch of a contract before it expires, as its owner")
+  .addParam("switch", `Switch to unpause: ${PAUSE_SWITCHES.join(", ")}`, undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      _contract(system, taskArgs.contract).unpause(pauseSwitchId(taskArgs.switch))
+    );
+  });
+
+systemTask("show-pauses", "Shows which switches of every contract are paused and until when")
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runQuery(system, taskArgs, async () => {
+      const result = {};
+      for (const key of Object.keys(CONTRACTS)) {
+        const contract = system[key];
+        const paused = {};
+        for (const [index, name] of PAUSE_SWITCHES.entries()) {
+          if (!(await contract.isPaused(index))) continue;
+          paused[name] = new Date(Number(await contract.pausedUntil(index)) * 1000).toISOString();
+        }
+        result[key] = { pauseDuration: (await contract.pauseDuration()).toString(), paused };
+      }
+      return result;
+    });
+  });
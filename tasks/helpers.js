@@ -0,0 +1,253 @@
+const { task, types } = require("hardhat/config");
+const { loadDeployments, getDeployedContract, SYSTEM_CONTRACTS } = require("../lib/deployments");
+const { toPlain, namedArgs } = require("../lib/events");
+
+/**
+ * Defines a task that talks to a deployed system
+ * Every such task accepts --from, --deployments and --json
+ * @param {string} name Task name
+ * @param {string} description Task description
+ * @returns {object} Hardhat task definition
+ */
+function systemTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("from", "Signer index or address to send from", "0", types.string)
+    .addOptionalParam("deployments", "Directory holding the deployments files", undefined, types.string)
+    .addFlag("json", "Print machine readable JSON instead of text");
+}
+
+/**
+ * Resolves the signer selected with --from
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} from Signer index or address
+ * @returns {Promise<object>} ethers signer
+ */
+async function getSigner(hre, from) {
+  const signers = await hre.ethers.getSigners();
+  if (/^\d+$/.test(from)) {
+    const signer = signers[Number(from)];
+    if (!signer) throw new Error(`No signer at index ${from}`);
+    return signer;
+  }
+  const address = hre.ethers.getAddress(from);
+  const signer = signers.find((s) => s.address === address);
+  if (!signer) throw new Error(`No signer available for ${address}`);
+  return signer;
+}
+
+/**
+ * Loads every contract of the deployed system, connected to the selected signer
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} taskArgs Task arguments holding from and deployments
+ * @returns {Promise<object>} The signer and the token, provider, voting, seats, marketplace and pricing contracts,
+ * the last three being undefined for deployments made before they were added, and tokenExtension,
+ * the token with the ABI of the functions it runs through SharedSubscriptionTokenExtension
+ */
+async function loadSystem(hre, taskArgs) {
+  const deployments = loadDeployments(hre.network.name, taskArgs.deployments || process.env.DEPLOYMENTS_DIR);
+  const signer = await getSigner(hre, taskArgs.from);
+  const contract = (name) => getDeployedContract(hre.ethers, deployments, name, signer);
+
+  return {
+    signer,
+    token: contract("SharedSubscriptionToken"),
+    provider: contract("SubscriptionServiceProvider"),
+    voting: contract("SubscriptionVoting"),
+    tokenExtension: _tokenExtension(hre.ethers, deployments, signer),
+    seats: deployments.contracts.SubscriptionSeats ? contract("SubscriptionSeats") : undefined,
+    marketplace: deployments.contracts.SubscriptionSeatMarketplace
+      ? contract("SubscriptionSeatMarketplace")
+      : undefined,
+    pricing: deployments.contracts.SubscriptionTokenPricing ? contract("SubscriptionTokenPricing") : undefined,
+  };
+}
+
+/**
+ * Loads an ERC-20 payment token, connected to the selected signer
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} system Contracts returned by loadSystem
+ * @param {string} address Address of the payment token
+ * @returns {Promise<{contract: object, decimals: number}>} The token and its number of decimals, used to parse
+ * and format amounts given in whole units
+ */
+async function loadPaymentToken(hre, system, address) {
+  const contract = await hre.ethers.getContractAt("IERC20Metadata", address, system.signer);
+  return { contract, decimals: Number(await contract.decimals()) };
+}
+
+/**
+ * Decodes the events of a receipt using the ABIs of every system contract
+ * @param {object} system Contracts returned by loadSystem
+ * @param {object} receipt Transaction receipt
+ * @returns {Array<{contract: string, event: string, args: object}>}
+ */
+function decodeEvents(system, receipt) {
+  const contracts = _systemContracts(system);
+  const events = [];
+  for (const log of receipt.logs) {
+    for (const [name, contract] of contracts) {
+      const parsed = _tryParse(() => contract.interface.parseLog(log));
+      if (!parsed) continue;
+      events.push({ contract: name, event: parsed.name, args: namedArgs(parsed) });
+      break;
+    }
+  }
+  return events;
+}
+
+/**
+ * Turns a failed call into a readable error, decoding custom errors of every system contract
+ * @param {object} system Contracts returned by loadSystem
+ * @param {Error} error Error thrown by ethers
+ * @returns {{error: string, args?: object, message: string}}
+ */
+function decodeError(system, error) {
+  const data = _findRevertData(error);
+  if (data && data !== "0x") {
+    for (const [, contract] of _systemContracts(system)) {
+      const parsed = _tryParse(() => contract.interface.parseError(data));
+      if (!parsed) continue;
+      if (parsed.name === "Error") {
+        return { error: "Error", message: parsed.args[0] };
+      }
+      const args = namedArgs(parsed);
+      return { error: parsed.name, args, message: `${parsed.name}(${Object.values(args).join(", ")})` };
+    }
+  }
+  if (error.reason) return { error: "Error", message: error.reason };
+  return { error: error.code || error.name || "Error", message: error.shortMessage || error.message };
+}
+
+/**
+ * Prints a task result either as JSON or as indented text
+ * @param {object} result Result to print
+ * @param {boolean} json Whether to print JSON
+ */
+function printResult(result, json) {
+  if (json) {
+    console.log(JSON.stringify(toPlain(result), null, 2));
+    return;
+  }
+  _printText(toPlain(result), "");
+}
+
+/**
+ * Sends a transaction built by a task and reports the outcome
+ * Failures are decoded, printed and flagged through process.exitCode instead of thrown
+ * @param {object} system Contracts returned by loadSystem
+ * @param {object} taskArgs Task arguments holding json
+ * @param {Function} send Function returning the transaction promise
+ * @param {object} [details] Fields added to the result when the transaction succeeds
+ * @returns {Promise<object>} The printed result
+ */
+async function runTransaction(system, taskArgs, send, details = {}) {
+  let result;
+  try {
+    const tx = await send();
+    const receipt = await tx.wait();
+    result = {
+      status: "success",
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      events: decodeEvents(system, receipt),
+      ...details,
+    };
+  } catch (error) {
+    result = { status: "failed", ...decodeError(system, error) };
+    process.exitCode = 1;
+  }
+  printResult(result, taskArgs.json);
+  return result;
+}
+
+/**
+ * Runs a read-only task body and reports the outcome
+ * @param {object} system Contracts returned by loadSystem
+ * @param {object} taskArgs Task arguments holding json
+ * @param {Function} read Async function producing the result
+ * @returns {Promise<object>} The printed result
+ */
+async function runQuery(system, taskArgs, read) {
+  let result;
+  try {
+    result = await read();
+  } catch (error) {
+    result = { status: "failed", ...decodeError(system, error) };
+    process.exitCode = 1;
+  }
+  printResult(result, taskArgs.json);
+  return result;
+}
+
+function _tokenExtension(ethers, deployments, signer) {
+  const extension = deployments.contracts.SharedSubscriptionTokenExtension;
+  if (!extension) return undefined;
+  return new ethers.Contract(deployments.contracts.SharedSubscriptionToken.address, extension.abi, signer);
+}
+
+function _systemContracts(system) {
+  const byName = {
+    SharedSubscriptionToken: system.token,
+    SubscriptionServiceProvider: system.provider,
+    SubscriptionVoting: system.voting,
+    SubscriptionSeats: system.seats,
+    SubscriptionSeatMarketplace: system.marketplace,
+    SubscriptionTokenPricing: system.pricing,
+  };
+  return SYSTEM_CONTRACTS.filter((name) => byName[name]).map((name) => [name, byName[name]]);
+}
+
+function _tryParse(parse) {
+  try {
+    return parse();
+  } catch {
+    return null;
+  }
+}
+
+function _findRevertData(error) {
+  // ethers nests the revert data differently depending on where the call failed
+  for (let e = error; e; e = e.error || e.info?.error || e.cause) {
+    if (typeof e.data === "string") return e.data;
+    if (typeof e.data?.data === "string") return e.data.data;
+  }
+  return null;
+}
+
+function _printText(value, indent) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) console.log(`${indent}(none)`);
+    value.forEach((item) => {
+      if (item && typeof item === "object" && item.event) {
+        console.log(`${indent}${item.contract}.${item.event}`);
+        _printText(item.args, indent + "  ");
+      } else if (item && typeof item === "object") {
+        _printText(item, indent);
+      } else {
+        console.log(`${indent}- ${item}`);
+      }
+    });
+    return;
+  }
+  for (const [key, v] of Object.entries(value)) {
+    if (v && typeof v === "object") {
+      console.log(`${indent}${key}:`);
+      _printText(v, indent + "  ");
+    } else {
+      console.log(`${indent}${key}: ${v}`);
+    }
+  }
+}
+
+module.exports = {
+  systemTask,
+  getSigner,
+  loadSystem,
+  loadPaymentToken,
+  decodeEvents,
+  decodeError,
+  printResult,
+  runTransaction,
+  runQuery,
+};
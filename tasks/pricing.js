@@ -0,0 +1,131 @@
+const { types } = require("hardhat/config");
+const { systemTask, loadSystem, runTransaction, runQuery } = require("./helpers");
+
+// ==================== SubscriptionTokenPricing tasks ====================
+
+systemTask("show-price", "Shows the token price, the volume discounts and any pending price or discount change")
+  .addOptionalParam("amount", "Number of tokens to quote a purchase of", 1, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runQuery(system, taskArgs, async () => {
+      const pricing = _pricing(system);
+      const [cost, unitPrice] = await pricing.quote(taskArgs.amount);
+      const fixedPrice = await pricing.fixedPrice();
+      const setting = await _describePrice(hre, fixedPrice, await pricing.priceFeed(), await pricing.fiatPrice());
+      const result = {
+        unitPrice: hre.ethers.formatEther(unitPrice),
+        amount: taskArgs.amount,
+        cost: hre.ethers.formatEther(cost),
+        redemptionPrice: hre.ethers.formatEther(await pricing.redemptionPrice()),
+        ...setting,
+        volumeDiscounts: _describeDiscounts(await pricing.getVolumeDiscounts()),
+        pendingChange: null,
+        pendingVolumeDiscounts: null,
+      };
+
+      const pending = await pricing.pendingChange();
+      if (pending.executableAt > 0n) {
+        result.pendingChange = {
+          ...(await _describePrice(hre, pending.price, pending.priceFeed, pending.fiatPrice)),
+          executableAt: new Date(Number(pending.executableAt) * 1000).toISOString(),
+        };
+      }
+      const discountsExecutableAt = await pricing.discountsExecutableAt();
+      if (discountsExecutableAt > 0n) {
+        result.pendingVolumeDiscounts = {
+          volumeDiscounts: _describeDiscounts(await pricing.getPendingVolumeDiscounts()),
+          executableAt: new Date(Number(discountsExecutableAt) * 1000).toISOString(),
+        };
+      }
+      return result;
+    });
+  });
+
+systemTask("propose-price", "Proposes a fixed token price, or a fiat price through a price feed (owner only)")
+  .addOptionalParam("price", "Fixed price of a token in ETH", undefined, types.string)
+  .addOptionalParam("feed", "Address of a Chainlink style ETH price feed, e.g. ETH/USD", undefined, types.string)
+  .addOptionalParam("fiatPrice", "Price of a token in the currency of the feed, e.g. 0.25", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, async () => {
+      const pricing = _pricing(system);
+      if (taskArgs.feed) {
+        if (!taskArgs.fiatPrice) throw new Error("--fiat-price is required with --feed");
+        const feed = await hre.ethers.getContractAt("IPriceFeed", taskArgs.feed);
+        const fiatPrice = hre.ethers.parseUnits(taskArgs.fiatPrice, await feed.decimals());
+        return pricing.proposeFeedPrice(taskArgs.feed, fiatPrice);
+      }
+      if (!taskArgs.price) throw new Error("Either --price or --feed and --fiat-price is required");
+      return pricing.proposeFixedPrice(hre.ethers.parseEther(taskArgs.price));
+    });
+  });
+
+systemTask("execute-price-change", "Puts the proposed token price into effect once its timelock has passed")
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => _pricing(system).executePriceChange());
+  });
+
+systemTask("cancel-price-change", "Withdraws the proposed token price (owner only)")
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => _pricing(system).cancelPriceChange());
+  });
+
+systemTask("propose-volume-discounts", "Proposes volume discounts replacing the current ones (owner only)")
+  .addParam(
+    "discounts",
+    "Comma separated minAmount:discountBps pairs by growing amount, e.g. 10:500,50:1000, or none",
+    undefined,
+    types.string
+  )
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => {
+      const pairs = taskArgs.discounts === "none" ? [] : taskArgs.discounts.split(",").map((pair) => pair.split(":"));
+      if (pairs.some((pair) => pair.length !== 2)) throw new Error(`Invalid discounts ${taskArgs.discounts}`);
+      return _pricing(system).proposeVolumeDiscounts(
+        pairs.map(([minAmount]) => BigInt(minAmount)),
+        pairs.map(([, discountBps]) => BigInt(discountBps))
+      );
+    });
+  });
+
+systemTask("execute-volume-discounts", "Puts the proposed volume discounts into effect once their timelock has passed")
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => _pricing(system).executeVolumeDiscounts());
+  });
+
+systemTask("cancel-volume-discounts", "Withdraws the proposed volume discounts (owner only)")
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => _pricing(system).cancelVolumeDiscounts());
+  });
+
+systemTask("set-max-feed-age", "Sets the oldest price feed answer accepted (owner only)")
+  .addParam("seconds", "Age in seconds, e.g. the heartbeat of the feed", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => _pricing(system).setMaxFeedAge(taskArgs.seconds));
+  });
+
+function _pricing(system) {
+  if (!system.pricing) throw new Error("SubscriptionTokenPricing is not deployed, re-run scripts/deploy.js");
+  return system.pricing;
+}
+
+// Describes volume discounts of the pricing contract
+function _describeDiscounts(discounts) {
+  return discounts.map(([minAmount, discountBps]) => ({
+    minAmount: minAmount.toString(),
+    discountBps: discountBps.toString(),
+  }));
+}
+
+// Describes a price setting of the pricing contract, a fixed price or a fiat price through a feed
+async function _describePrice(hre, fixedPrice, priceFeed, fiatPrice) {
+  if (priceFeed === hre.ethers.ZeroAddress) return { mode: "fixed", fixedPrice: hre.ethers.formatEther(fixedPrice) };
+  const feed = await hre.ethers.getContractAt("IPriceFeed", priceFeed);
+  return { mode: "feed", priceFeed, fiatPrice: hre.ethers.formatUnits(fiatPrice, await feed.decimals()) };
+}
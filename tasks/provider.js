@@ -0,0 +1,157 @@
+const { types } = require("hardhat/config");
+const { systemTask, loadSystem, loadPaymentToken, runTransaction, runQuery } = require("./helpers");
+
+// Names of SubscriptionServiceProvider.ServiceStatus values
+const SERVICE_STATUSES = ["active", "paused", "retired"];
+
+// ==================== SubscriptionServiceProvider admin tasks ====================
+
+systemTask("add-service", "Adds a service to the provider catalog")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("symbol", "Short service symbol, e.g. NFLX", undefined, types.string)
+  .addParam("cost", "Service cost in ETH", undefined, types.string)
+  .addParam("endpoint", "API endpoint of the service", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      system.provider.addService(
+        taskArgs.service,
+        taskArgs.symbol,
+        hre.ethers.parseEther(taskArgs.cost),
+        taskArgs.endpoint
+      )
+    );
+  });
+
+systemTask("update-cost", "Updates the cost of a service")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("cost", "New service cost in ETH", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      system.provider.updateServiceCost(taskArgs.service, hre.ethers.parseEther(taskArgs.cost))
+    );
+  });
+
+systemTask("update-metadata", "Updates the symbol and API endpoint of a service")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("symbol", "New service symbol", undefined, types.string)
+  .addParam("endpoint", "New API endpoint", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      system.provider.updateServiceMetadata(taskArgs.service, taskArgs.symbol, taskArgs.endpoint)
+    );
+  });
+
+systemTask("pause-service", "Stops new accounts for a service, existing accounts keep renewing")
+  .addParam("service", "Service ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => system.provider.pauseService(taskArgs.service));
+  });
+
+systemTask("resume-service", "Accepts new accounts for a paused service again")
+  .addParam("service", "Service ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => system.provider.resumeService(taskArgs.service));
+  });
+
+systemTask("retire-service", "Retires a service for good so its accounts can be wound down")
+  .addParam("service", "Service ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => system.provider.retireService(taskArgs.service));
+  });
+
+systemTask("set-tier", "Adds or updates a plan tier of a service")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("tier", "Tier ID (0 is the standard tier)", undefined, types.int)
+  .addParam("name", "Display name of the tier", undefined, types.string)
+  .addParam("cost", "Cost of one period in ETH", undefined, types.string)
+  .addParam("seats", "Maximum members per account", undefined, types.int)
+  .addParam("days", "Length of one period in days", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      system.provider.setTier(
+        taskArgs.service,
+        taskArgs.tier,
+        taskArgs.name,
+        hre.ethers.parseEther(taskArgs.cost),
+        taskArgs.seats,
+        taskArgs.days * 24 * 60 * 60
+      )
+    );
+  });
+
+systemTask("set-tier-token-cost", "Sets the cost of one period of a tier in an ERC-20 token such as a stablecoin")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("tier", "Tier ID (0 is the standard tier)", undefined, types.int)
+  .addParam("token", "Address of the ERC-20 token", undefined, types.string)
+  .addParam("cost", "Cost of one period in whole units of the token, 0 to stop accepting it", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, async () => {
+      const { decimals } = await loadPaymentToken(hre, system, taskArgs.token);
+      return system.provider.setTierTokenCost(
+        taskArgs.service,
+        taskArgs.tier,
+        taskArgs.token,
+        hre.ethers.parseUnits(taskArgs.cost, decimals)
+      );
+    });
+  });
+
+systemTask("list-services", "Lists every service of the catalog with its status and tiers")
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runQuery(system, taskArgs, async () => {
+      const services = [];
+      for (const serviceId of await system.provider.getServiceIds()) {
+        const [, cost, symbol, apiEndpoint] = await system.provider.getServiceDetails(serviceId);
+        const status = await system.provider.getServiceStatus(serviceId);
+        const tiers = [];
+        for (const tierId of await system.provider.getTierIds(serviceId)) {
+          const [, name, tierCost, maxSeats, duration] = await system.provider.getTierDetails(serviceId, tierId);
+          tiers.push({
+            tierId: tierId.toString(),
+            name,
+            cost: hre.ethers.formatEther(tierCost),
+            maxSeats: maxSeats.toString(),
+            durationDays: Number(duration) / (24 * 60 * 60),
+          });
+        }
+        services.push({
+          serviceId: serviceId.toString(),
+          symbol,
+          cost: hre.ethers.formatEther(cost),
+          apiEndpoint,
+          status: SERVICE_STATUSES[Number(status)],
+          tiers,
+        });
+      }
+      return services;
+    });
+  });
+
+systemTask("set-receiver", "Sets the address provider withdrawals are paid to")
+  .addParam("receiver", "Payment receiver address", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => system.provider.setPaymentReceiver(taskArgs.receiver));
+  });
+
+systemTask("withdraw", "Withdraws the provider balance to the payment receiver")
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => system.provider.withdrawFunds());
+  });
+
+systemTask("withdraw-token-funds", "Withdraws the provider's payments in an ERC-20 token to the payment receiver")
+  .addParam("token", "Address of the ERC-20 token", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => system.provider.withdrawTokenFunds(taskArgs.token));
+  });
@@ -0,0 +1,475 @@
+const fs = require("fs");
+const { types } = require("hardhat/config");
+const { systemTask, loadSystem, loadPaymentToken, runTransaction, runQuery } = require("./helpers");
+const { validatePublicKey, decryptCredentials, toBuffer } = require("../lib/credentials");
+const { createInviteCode, inviteCodeHash } = require("../lib/invites");
+
+// ==================== SharedSubscriptionToken member tasks ====================
+
+systemTask("buy-tokens", "Buys subscription tokens at the current token price, volume discounts included")
+  .addParam("amount", "Number of tokens to buy", undefined, types.int)
+  .addOptionalParam("payWith", "Address of an accepted ERC-20 token to pay in instead of ETH", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, async () => {
+      if (taskArgs.payWith) {
+        const extension = _tokenExtension(system);
+        const price = await extension.paymentTokenPrice(taskArgs.payWith);
+        const { contract } = await loadPaymentToken(hre, system, taskArgs.payWith);
+        await (await contract.approve(await system.token.getAddress(), price * BigInt(taskArgs.amount))).wait();
+        return extension.buyTokensWith(taskArgs.payWith, taskArgs.amount);
+      }
+      const cost = await _tokenExtension(system).quoteTokens(taskArgs.amount);
+      return system.token.buyTokens(taskArgs.amount, { value: cost });
+    });
+  });
+
+systemTask("transfer-tokens", "Sends subscription tokens to another address, e.g. as a gift")
+  .addParam("to", "Address of the recipient", undefined, types.string)
+  .addParam("amount", "Number of tokens to send", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => _tokenExtension(system).transfer(taskArgs.to, taskArgs.amount));
+  });
+
+systemTask("sell-tokens", "Sells subscription tokens back for ETH at the token price, out of the token reserve")
+  .addParam("amount", "Number of tokens to sell", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => _tokenExtension(system).sellTokens(taskArgs.amount));
+  });
+
+systemTask("show-balance", "Shows the token balance of an address, the part it can sell for ETH, the token supply and the token reserve")
+  .addOptionalParam("holder", "Address of the holder, the caller by default", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runQuery(system, taskArgs, async () => {
+      const holder = taskArgs.holder || system.signer.address;
+      return {
+        holder,
+        balance: (await system.token.balanceOf(holder)).toString(),
+        backedBalance: (await _tokenExtension(system).backedBalanceOf(holder)).toString(),
+        totalSupply: (await system.token.totalSupply()).toString(),
+        tokenReserve: hre.ethers.formatEther(await _tokenExtension(system).tokenReserve()),
+      };
+    });
+  });
+
+systemTask("set-payment-token", "Accepts an ERC-20 token such as a stablecoin for token purchases (treasurer only)")
+  .addParam("token", "Address of the ERC-20 token", undefined, types.string)
+  .addParam("price", "Token price in whole units of the ERC-20 token, 0 to stop accepting it", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, async () => {
+      const { decimals } = await loadPaymentToken(hre, system, taskArgs.token);
+      return _tokenExtension(system).setPaymentTokenPrice(
+        taskArgs.token,
+        hre.ethers.parseUnits(taskArgs.price, decimals)
+      );
+    });
+  });
+
+systemTask("withdraw-payment-tokens", "Withdraws the token purchases paid in an ERC-20 token (treasurer only)")
+  .addParam("token", "Address of the ERC-20 token", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => _tokenExtension(system).withdrawPaymentTokens(taskArgs.token));
+  });
+
+systemTask("show-payment-tokens", "Lists the ERC-20 tokens subscription tokens can be bought with and their prices")
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runQuery(system, taskArgs, async () => {
+      const extension = _tokenExtension(system);
+      const paymentTokens = [];
+      for (const address of await extension.getPaymentTokens()) {
+        const { contract, decimals } = await loadPaymentToken(hre, system, address);
+        const price = await extension.paymentTokenPrice(address);
+        if (price === 0n) continue;
+        const symbol = await contract.symbol();
+        paymentTokens.push({ address, symbol, price: hre.ethers.formatUnits(price, decimals) });
+      }
+      return paymentTokens;
+    });
+  });
+
+systemTask("subscribe", "Spends one token to join or create a shared account for a service")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addOptionalParam("tier", "Plan tier ID", 0, types.int)
+  .addOptionalParam("value", "ETH to send along with the call", "0", types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      system.token.subscribe(taskArgs.service, taskArgs.tier, { value: hre.ethers.parseEther(taskArgs.value) })
+    );
+  });
+
+systemTask("accept-invite", "Spends one token to join the shared account the caller was invited to")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("account", "Account ID", undefined, types.int)
+  .addOptionalParam("value", "ETH to send along with the call", "0", types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      system.token.acceptInvite(taskArgs.service, taskArgs.account, { value: hre.ethers.parseEther(taskArgs.value) })
+    );
+  });
+
+systemTask("create-private-account", "Spends one token to open a shared account that only invited users can join")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addOptionalParam("tier", "Plan tier ID", 0, types.int)
+  .addOptionalParam("value", "ETH to send along with the call", "0", types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      system.token.createPrivateAccount(taskArgs.service, taskArgs.tier, {
+        value: hre.ethers.parseEther(taskArgs.value),
+      })
+    );
+  });
+
+systemTask("create-invite-code", "Issues an invitation code to the caller's private account and prints the code")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("account", "Account ID", undefined, types.int)
+  .addOptionalParam("validFor", "Hours the code stays valid", 168, types.float)
+  .addOptionalParam("maxUses", "Number of users that can join with the code", 1, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    const { code, codeHash } = createInviteCode();
+    const latestBlock = await hre.ethers.provider.getBlock("latest");
+    const expiresAt = latestBlock.timestamp + Math.round(taskArgs.validFor * 60 * 60);
+    return runTransaction(
+      system,
+      taskArgs,
+      () => system.token.createInviteCode(taskArgs.service, taskArgs.account, codeHash, expiresAt, taskArgs.maxUses),
+      { code, codeHash, expiresAt }
+    );
+  });
+
+systemTask("revoke-invite-code", "Revokes an outstanding invitation code of the caller's private account")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("account", "Account ID", undefined, types.int)
+  .addParam("code", "Invitation code, or its hash with --hashed", undefined, types.string)
+  .addFlag("hashed", "The code is given as its hash")
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    const codeHash = taskArgs.hashed ? taskArgs.code : inviteCodeHash(taskArgs.code);
+    return runTransaction(system, taskArgs, () =>
+      system.token.revokeInviteCode(taskArgs.service, taskArgs.account, codeHash)
+    );
+  });
+
+systemTask("join-with-invite", "Spends one token to join a private account with an invitation code")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("account", "Account ID", undefined, types.int)
+  .addParam("code", "Invitation code", undefined, types.string)
+  .addOptionalParam("value", "ETH to send along with the call", "0", types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      system.token.subscribeWithInvite(taskArgs.service, taskArgs.account, taskArgs.code, {
+        value: hre.ethers.parseEther(taskArgs.value),
+      })
+    );
+  });
+
+systemTask("renew", "Spends one token to renew the caller's shared account for a service")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addOptionalParam("value", "ETH to send along with the call", "0", types.string)
+  .addOptionalParam(
+    "payWith",
+    "Address of an ERC-20 token the provider accepts, paying the period in it instead of from escrow",
+    undefined,
+    types.string
+  )
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, async () => {
+      if (taskArgs.payWith) {
+        // Every member's share is pulled, the other members approve theirs with approve-renewal-share
+        await (await _approveRenewalShare(hre, system, taskArgs.service, taskArgs.payWith)).wait();
+        return _tokenExtension(system).renewWithToken(taskArgs.service, taskArgs.payWith);
+      }
+      return system.token.renewSubscription(taskArgs.service, { value: hre.ethers.parseEther(taskArgs.value) });
+    });
+  });
+
+systemTask("approve-renewal-share", "Approves the caller's share of renewals of their account paid in an ERC-20 token")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("payWith", "Address of an ERC-20 token the provider accepts", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => _approveRenewalShare(hre, system, taskArgs.service, taskArgs.payWith));
+  });
+
+systemTask("leave", "Leaves the caller's shared account for a service, refunding unused time in ETH")
+  .addParam("service", "Service ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => system.token.leaveSubscription(taskArgs.service));
+  });
+
+systemTask("set-auto-renew", "Opts the caller in or out of auto-renewal of their account for a service")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("enabled", "Whether the account may be auto-renewed", undefined, types.boolean)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => system.token.setAutoRenew(taskArgs.service, taskArgs.enabled));
+  });
+
+systemTask("auto-renew", "Renews an account that is due for auto-renewal and collects the keeper reward")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("account", "Account ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => system.token.autoRenew(taskArgs.service, taskArgs.account));
+  });
+
+systemTask("wind-down", "Closes an account of a retired service and refunds its members")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("account", "Account ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => system.token.windDownAccount(taskArgs.service, taskArgs.account));
+  });
+
+systemTask("prune", "Closes the empty and long expired accounts of a service")
+  .addParam("service", "Service ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    const accountIds = [...(await _tokenExtension(system).getPrunableAccounts(taskArgs.service))];
+    return runTransaction(system, taskArgs, () =>
+      _tokenExtension(system).pruneAccounts(taskArgs.service, accountIds)
+    );
+  });
+
+systemTask("set-merge-consent", "Agrees or stops agreeing to merge the caller's account for a service")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("consent", "true to agree, false to withdraw the agreement", undefined, types.boolean)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      _tokenExtension(system).setMergeConsent(taskArgs.service, taskArgs.consent)
+    );
+  });
+
+systemTask("merge", "Merges two underfilled accounts of a service whose members all agreed")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("account", "Account ID", undefined, types.int)
+  .addParam("other", "ID of the other account", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      _tokenExtension(system).mergeAccounts(taskArgs.service, taskArgs.account, taskArgs.other)
+    );
+  });
+
+systemTask("deposit", "Deposits ETH towards the caller's share of their account's next period")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("value", "ETH to deposit", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      system.token.depositToEscrow(taskArgs.service, { value: hre.ethers.parseEther(taskArgs.value) })
+    );
+  });
+
+systemTask("withdraw-surplus", "Withdraws the caller's escrow deposit above their share of the next period")
+  .addParam("service", "Service ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => system.token.withdrawEscrowSurplus(taskArgs.service));
+  });
+
+systemTask("withdraw-refund", "Withdraws the escrow deposits and unused time refunded from accounts the caller was removed from")
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => system.token.withdrawEscrowRefund());
+  });
+
+systemTask("show-escrow", "Shows the caller's deposit, share, shortfall and surplus in their account's escrow")
+  .addParam("service", "Service ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runQuery(system, taskArgs, async () => {
+      const [exists, accountId] = await system.token.getUserSubscriptionDetails(system.signer.address, taskArgs.service);
+      if (!exists) throw new Error(`${system.signer.address} is not subscribed to service ${taskArgs.service}`);
+      const [deposit, share, shortfall, surplus] = await system.token.getMemberEscrow(
+        system.signer.address,
+        taskArgs.service
+      );
+      return {
+        serviceId: taskArgs.service,
+        accountId: accountId.toString(),
+        deposit: hre.ethers.formatEther(deposit),
+        share: hre.ethers.formatEther(share),
+        shortfall: hre.ethers.formatEther(shortfall),
+        surplus: hre.ethers.formatEther(surplus),
+        accountEscrow: hre.ethers.formatEther(await system.token.accountEscrow(taskArgs.service, accountId)),
+      };
+    });
+  });
+
+systemTask("transfer-seat", "Hands the caller's seat in their account for a service to a user with a registered key")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("to", "Address of the recipient", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, async () => {
+      const seats = _seats(system);
+      const seatId = await seats.seatOf(system.signer.address, taskArgs.service);
+      if (seatId === 0n) throw new Error(`${system.signer.address} holds no seat of service ${taskArgs.service}`);
+      return seats.transferFrom(system.signer.address, taskArgs.to, seatId);
+    });
+  });
+
+systemTask("claim-seat", "Mints the seat NFT of a membership that started before seats were issued")
+  .addParam("service", "Service ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => _seats(system).claimSeat(taskArgs.service));
+  });
+
+systemTask("show-seat", "Shows the seat NFT an account holds for a service and the membership it stands for")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addOptionalParam("holder", "Address of the holder, the caller by default", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runQuery(system, taskArgs, async () => {
+      const seats = _seats(system);
+      const holder = taskArgs.holder || system.signer.address;
+      const seatId = await seats.seatOf(holder, taskArgs.service);
+      if (seatId === 0n) throw new Error(`${holder} holds no seat of service ${taskArgs.service}`);
+      const [, serviceId, accountId, expirationTime] = await seats.getSeat(seatId);
+      return {
+        seatId: seatId.toString(),
+        holder,
+        serviceId: serviceId.toString(),
+        accountId: accountId.toString(),
+        expiresAt: new Date(Number(expirationTime) * 1000).toISOString(),
+      };
+    });
+  });
+
+systemTask("list-seat", "Offers the caller's seat for a service for sale on the seat marketplace")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("price", "Price in ETH, or in tokens with --tokens", undefined, types.string)
+  .addFlag("tokens", "The price is in subscription tokens")
+  .addFlag("approval", "Only users the account invited through a vote may buy")
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, async () => {
+      const seats = _seats(system);
+      const marketplace = _marketplace(system);
+      const seatId = await seats.seatOf(system.signer.address, taskArgs.service);
+      if (seatId === 0n) throw new Error(`${system.signer.address} holds no seat of service ${taskArgs.service}`);
+      // The marketplace moves the seat when it is sold, so it must be approved on it first
+      const marketplaceAddress = await marketplace.getAddress();
+      if ((await seats.getApproved(seatId)) !== marketplaceAddress) {
+        await (await seats.approve(marketplaceAddress, seatId)).wait();
+      }
+      const price = taskArgs.tokens ? BigInt(taskArgs.price) : hre.ethers.parseEther(taskArgs.price);
+      return marketplace.listSeat(taskArgs.service, price, taskArgs.tokens, taskArgs.approval);
+    });
+  });
+
+systemTask("cancel-listing", "Withdraws the caller's offer of a seat from the seat marketplace")
+  .addParam("seat", "Seat ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => _marketplace(system).cancelListing(taskArgs.seat));
+  });
+
+systemTask("buy-seat", "Buys a seat listed on the seat marketplace, paying its price in ETH or tokens")
+  .addParam("seat", "Seat ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, async () => {
+      const marketplace = _marketplace(system);
+      const [seller, price, inTokens] = await marketplace.listings(taskArgs.seat);
+      if (seller === hre.ethers.ZeroAddress) throw new Error(`Seat ${taskArgs.seat} is not listed`);
+      return marketplace.buySeat(taskArgs.seat, { value: inTokens ? 0n : price });
+    });
+  });
+
+systemTask("show-listing", "Shows a seat marketplace listing and the membership on offer")
+  .addParam("seat", "Seat ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runQuery(system, taskArgs, async () => {
+      const [listing, serviceId, accountId, expirationTime] = await _marketplace(system).getListing(taskArgs.seat);
+      if (listing.seller === hre.ethers.ZeroAddress) throw new Error(`Seat ${taskArgs.seat} is not listed`);
+      return {
+        seatId: taskArgs.seat,
+        seller: listing.seller,
+        price: listing.inTokens ? `${listing.price} tokens` : `${hre.ethers.formatEther(listing.price)} ETH`,
+        requiresApproval: listing.requiresApproval,
+        serviceId: serviceId.toString(),
+        accountId: accountId.toString(),
+        expiresAt: new Date(Number(expirationTime) * 1000).toISOString(),
+      };
+    });
+  });
+
+systemTask("register-key", "Registers the RSA public key credentials are encrypted with")
+  .addParam("keyFile", "Path of the PEM encoded public key", undefined, types.inputFile)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => {
+      const publicKey = fs.readFileSync(taskArgs.keyFile, "utf8");
+      validatePublicKey(publicKey);
+      return system.token.registerPublicKey(publicKey);
+    });
+  });
+
+systemTask("get-credentials", "Fetches the caller's encrypted credentials and optionally decrypts them")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addOptionalParam("privateKeyFile", "PEM private key used to decrypt locally", undefined, types.inputFile)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runQuery(system, taskArgs, async () => {
+      const encrypted = await system.token.getEncryptedCredentials(taskArgs.service);
+      const result = { serviceId: taskArgs.service, encryptedLength: toBuffer(encrypted).length };
+
+      if (!taskArgs.privateKeyFile) {
+        result.encrypted = encrypted;
+        return result;
+      }
+
+      // Decryption happens locally, the private key never leaves this machine
+      const plaintext = decryptCredentials(fs.readFileSync(taskArgs.privateKeyFile, "utf8"), encrypted);
+      try {
+        result.credentials = JSON.parse(plaintext);
+      } catch {
+        result.credentials = plaintext;
+      }
+      return result;
+    });
+  });
+
+function _seats(system) {
+  if (!system.seats) throw new Error("SubscriptionSeats is not deployed, re-run scripts/deploy.js");
+  return system.seats;
+}
+
+function _marketplace(system) {
+  if (!system.marketplace) throw new Error("SubscriptionSeatMarketplace is not deployed, re-run scripts/deploy.js");
+  return system.marketplace;
+}
+
+function _tokenExtension(system) {
+  if (!system.tokenExtension) {
+    throw new Error("SharedSubscriptionTokenExtension is not deployed, re-run scripts/deploy.js");
+  }
+  return system.tokenExtension;
+}
+
+// Approves the token contract for the caller's share of a renewal of their account paid in an ERC-20 token
+async function _approveRenewalShare(hre, system, serviceId, paymentToken) {
+  const [, accountId] = await system.token.getUserSubscriptionDetails(system.signer.address, serviceId);
+  const [, , , tierId] = await system.token.subscriptionAccounts(serviceId, accountId);
+  const cost = await system.provider.tierTokenCosts(serviceId, tierId, paymentToken);
+  const members = BigInt((await system.token.getSubscriptionMembers(serviceId, accountId)).length);
+  const { contract } = await loadPaymentToken(hre, system, paymentToken);
+  return contract.approve(await system.token.getAddress(), (cost + members - 1n) / members);
+}
@@ -0,0 +1,198 @@
+const path = require("path");
+const { types } = require("hardhat/config");
+const { systemTask, loadSystem, runTransaction, runQuery } = require("./helpers");
+const { PROPOSAL_TYPES, proposalTypeId, encodeProposalAction, decodeProposalAction } = require("../lib/proposals");
+const { signBallot, signProposal } = require("../lib/ballots");
+const { appendSignature } = require("../lib/relayer");
+const { SaltStore, commitSecretVote } = require("../lib/secretBallots");
+
+// ==================== SubscriptionVoting tasks ====================
+
+systemTask("propose-kick", "Proposes to kick a member from a shared account")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("account", "Account ID", undefined, types.int)
+  .addParam("user", "Address of the member to kick", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      system.voting.proposeToKickUser(taskArgs.service, taskArgs.account, taskArgs.user)
+    );
+  });
+
+_proposalTask("propose", "Proposes an action for a shared account").setAction(async (taskArgs, hre) => {
+  const system = await loadSystem(hre, taskArgs);
+  const payload = encodeProposalAction(taskArgs.type, _proposalAction(taskArgs));
+  return runTransaction(system, taskArgs, () =>
+    system.voting.propose(taskArgs.service, taskArgs.account, proposalTypeId(taskArgs.type), payload)
+  );
+});
+
+_proposalTask("sign-proposal", "Signs a proposal for a relayer to submit without paying gas")
+  .addParam("out", "JSON file collecting the signatures", undefined, types.string)
+  .addOptionalParam("validFor", "Hours the signature stays valid", 24, types.float)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runQuery(system, taskArgs, async () => {
+      const signed = await signProposal(system.voting, system.signer, {
+        serviceId: taskArgs.service,
+        accountId: taskArgs.account,
+        proposalType: taskArgs.type,
+        action: _proposalAction(taskArgs),
+        deadline: await _deadline(hre, taskArgs.validFor),
+      });
+      return { ...signed, collected: appendSignature(taskArgs.out, signed) };
+    });
+  });
+
+systemTask("vote", "Votes on an open proposal")
+  .addParam("proposal", "Proposal ID", undefined, types.int)
+  .addParam("support", "true to vote yes, false to vote no", undefined, types.boolean)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () =>
+      system.voting.voteOnProposal(taskArgs.proposal, taskArgs.support)
+    );
+  });
+
+systemTask("commit-vote", "Commits a secret vote on a proposal with secret ballots")
+  .addParam("proposal", "Proposal ID", undefined, types.int)
+  .addParam("support", "true to vote yes, false to vote no", undefined, types.boolean)
+  .addOptionalParam("salts", "JSON file keeping the salts until the reveal", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    const store = new SaltStore(_saltsFile(hre, taskArgs));
+    return runTransaction(system, taskArgs, () =>
+      commitSecretVote(system.voting, system.signer, taskArgs.proposal, taskArgs.support, store)
+    );
+  });
+
+systemTask("reveal-vote", "Reveals a secret vote committed with commit-vote")
+  .addParam("proposal", "Proposal ID", undefined, types.int)
+  .addOptionalParam("salts", "JSON file keeping the salts until the reveal", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    const store = new SaltStore(_saltsFile(hre, taskArgs));
+    const votingAddress = await system.voting.getAddress();
+    const vote = store.get(votingAddress, taskArgs.proposal, system.signer.address);
+    if (!vote) throw new Error(`No stored vote of ${system.signer.address} on proposal ${taskArgs.proposal}`);
+
+    const result = await runTransaction(system, taskArgs, () =>
+      system.voting.revealVote(taskArgs.proposal, vote.support, vote.salt)
+    );
+    if (result.status === "success") store.delete(votingAddress, taskArgs.proposal, system.signer.address);
+    return result;
+  });
+
+systemTask("sign-vote", "Signs a vote for a relayer to submit without paying gas")
+  .addParam("proposal", "Proposal ID", undefined, types.int)
+  .addParam("support", "true to vote yes, false to vote no", undefined, types.boolean)
+  .addParam("out", "JSON file collecting the signatures", undefined, types.string)
+  .addOptionalParam("validFor", "Hours the signature stays valid", 24, types.float)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runQuery(system, taskArgs, async () => {
+      const signed = await signBallot(system.voting, system.signer, {
+        proposalId: taskArgs.proposal,
+        support: taskArgs.support,
+        deadline: await _deadline(hre, taskArgs.validFor),
+      });
+      return { ...signed, collected: appendSignature(taskArgs.out, signed) };
+    });
+  });
+
+systemTask("execute", "Executes a proposal whose voting period has ended")
+  .addParam("proposal", "Proposal ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runTransaction(system, taskArgs, () => system.voting.executeProposal(taskArgs.proposal));
+  });
+
+systemTask("show-governance", "Shows the voting rules of a shared account")
+  .addParam("service", "Service ID", undefined, types.int)
+  .addParam("account", "Account ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runQuery(system, taskArgs, async () => {
+      const params = await system.voting.getGovernanceParams(taskArgs.service, taskArgs.account);
+      return {
+        serviceId: taskArgs.service,
+        accountId: taskArgs.account,
+        votingPeriodHours: Number(params.votingPeriod) / 3600,
+        proposalCooldownHours: Number(params.proposalCooldown) / 3600,
+        approvalPercent: params.approvalPercent,
+        quorumPercent: params.quorumPercent,
+        revealPeriodHours: Number(await system.voting.revealPeriods(taskArgs.service, taskArgs.account)) / 3600,
+      };
+    });
+  });
+
+systemTask("show-proposal", "Shows the state of a proposal")
+  .addParam("proposal", "Proposal ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const system = await loadSystem(hre, taskArgs);
+    return runQuery(system, taskArgs, async () => {
+      const proposal = await system.voting.getProposal(taskArgs.proposal);
+      if (proposal.proposer === hre.ethers.ZeroAddress) {
+        throw new Error(`Proposal ${taskArgs.proposal} does not exist`);
+      }
+      const latestBlock = await hre.ethers.provider.getBlock("latest");
+      return {
+        proposalId: taskArgs.proposal,
+        proposer: proposal.proposer,
+        proposalType: PROPOSAL_TYPES[proposal.proposalType],
+        action: decodeProposalAction(proposal.proposalType, proposal.payload),
+        userToKick: proposal.userToKick,
+        serviceId: proposal.serviceId,
+        accountId: proposal.accountId,
+        yesVotes: proposal.yesVotes,
+        noVotes: proposal.noVotes,
+        endTime: new Date(Number(proposal.endTime) * 1000).toISOString(),
+        revealEndTime: proposal.revealEndTime > 0n ? new Date(Number(proposal.revealEndTime) * 1000).toISOString() : null,
+        votingOpen: !proposal.executed && BigInt(latestBlock.timestamp) <= proposal.endTime,
+        executable: (await system.voting.canExecute(taskArgs.proposal)).executable,
+        executed: proposal.executed,
+      };
+    });
+  });
+
+// Defines a task taking a proposal type and the arguments of its action
+function _proposalTask(name, description) {
+  return systemTask(name, description)
+    .addParam("service", "Service ID", undefined, types.int)
+    .addParam("account", "Account ID", undefined, types.int)
+    .addParam("type", `Proposal type (${PROPOSAL_TYPES.join(", ")})`, undefined, types.string)
+    .addOptionalParam("user", "Member to kick or user to invite", undefined, types.string)
+    .addOptionalParam("tier", "Plan tier ID to switch to", undefined, types.int)
+    .addOptionalParam("enabled", "Whether auto-renewal should be on", undefined, types.boolean)
+    .addOptionalParam("votingPeriod", "Voting period in hours", undefined, types.float)
+    .addOptionalParam("cooldown", "Cooldown between two proposals of a member in hours", undefined, types.float)
+    .addOptionalParam("approval", "Percentage of the members the yes votes must exceed", undefined, types.int)
+    .addOptionalParam("quorum", "Percentage of the members that must vote", undefined, types.int)
+    .addOptionalParam("revealPeriod", "Reveal period of secret kick votes in hours, 0 for public", undefined, types.float);
+}
+
+function _proposalAction(taskArgs) {
+  return {
+    user: taskArgs.user,
+    tierId: taskArgs.tier,
+    enabled: taskArgs.enabled,
+    votingPeriod: _hoursToSeconds(taskArgs.votingPeriod),
+    proposalCooldown: _hoursToSeconds(taskArgs.cooldown),
+    approvalPercent: taskArgs.approval,
+    quorumPercent: taskArgs.quorum,
+    revealPeriod: _hoursToSeconds(taskArgs.revealPeriod),
+  };
+}
+
+function _saltsFile(hre, taskArgs) {
+  return taskArgs.salts || path.join(__dirname, "..", "data", hre.network.name, "ballot-salts.json");
+}
+
+function _hoursToSeconds(hours) {
+  return hours === undefined ? undefined : Math.round(hours * 3600);
+}
+
+async function _deadline(hre, validForHours) {
+  const latestBlock = await hre.ethers.provider.getBlock("latest");
+  return latestBlock.timestamp + _hoursToSeconds(validForHours);
+}
@@ -0,0 +1,135 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploySystem } = require("../scripts/deploy");
+const { CredentialDistributor } = require("../lib/credentialDistributor");
+const { generateKeyPair, decryptCredentialsJson } = require("../lib/credentials");
+
+describe("Credential distribution daemon", function () {
+  let workDir, vaultFile, checkpointFile;
+  let token, voting;
+  let owner, user1, user2, user3;
+  const serviceId1 = 1;
+  const standardTier = 0;
+  const tokenPrice = hre.ethers.parseEther("0.01");
+  const serviceCost = hre.ethers.parseEther("10");
+  let keyPairs;
+
+  function writeVault(login) {
+    fs.writeFileSync(vaultFile, JSON.stringify({ [serviceId1]: { 1: login } }));
+  }
+
+  function newDistributor() {
+    return new CredentialDistributor({
+      token,
+      signer: owner,
+      vaultFile,
+      checkpointFile,
+      retryDelayMs: 0,
+      log: () => {},
+    });
+  }
+
+  async function credentialsOf(user) {
+    const encrypted = await token.connect(user).getEncryptedCredentials(serviceId1);
+    return decryptCredentialsJson(keyPairs[user.address].privateKey, encrypted);
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3] = await hre.ethers.getSigners();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "distributor-"));
+    vaultFile = path.join(workDir, "vault.json");
+    checkpointFile = path.join(workDir, "checkpoint.json");
+    writeVault({ username: "netflix_main", password: "first" });
+
+    ({ contracts: { token, voting } } = await deploySystem(hre, { deploymentsDir: workDir, log: () => {} }));
+
+    // Three members share account 1 and register their keys
+    keyPairs = {};
+    const users = [user1, user2, user3];
+    for (let i = 0; i < users.length; i++) {
+      const user = users[i];
+      keyPairs[user.address] = generateKeyPair();
+      await token.connect(user).buyTokens(1, { value: tokenPrice });
+      await token.connect(user).subscribe(serviceId1, standardTier, { value: i === 0 ? serviceCost : 0 });
+      await token.connect(user).registerPublicKey(keyPairs[user.address].publicKey);
+    }
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("Should deliver the vault login to every member", async function () {
+    const result = await newDistributor().sync();
+
+    expect(result.delivered).to.have.lengthOf(3);
+    for (const user of [user1, user2, user3]) {
+      expect(await credentialsOf(user)).to.deep.equal({ username: "netflix_main", password: "first" });
+    }
+  });
+
+  it("Should resume from its checkpoint without re-sending", async function () {
+    await newDistributor().sync();
+
+    const restarted = newDistributor();
+    const result = await restarted.sync();
+    expect(result.events).to.equal(0);
+    expect(result.delivered).to.be.empty;
+  });
+
+  it("Should re-send after a key change", async function () {
+    const distributor = newDistributor();
+    await distributor.sync();
+
+    keyPairs[user2.address] = generateKeyPair();
+    await token.connect(user2).registerPublicKey(keyPairs[user2.address].publicKey);
+
+    const result = await distributor.sync();
+    expect(result.delivered.map((d) => d.user)).to.deep.equal([user2.address]);
+    expect((await credentialsOf(user2)).password).to.equal("first");
+  });
+
+  it("Should re-issue rotated credentials to remaining members after a kick", async function () {
+    const distributor = newDistributor();
+    await distributor.sync();
+
+    // user1 and user2 vote user3 out, then the operator rotates the password
+    await voting.connect(user1).proposeToKickUser(serviceId1, 1, user3.address);
+    await voting.connect(user1).voteOnProposal(1, true);
+    await voting.connect(user2).voteOnProposal(1, true);
+    await hre.ethers.provider.send("evm_increaseTime", [60 * 60 * 25]);
+    await hre.ethers.provider.send("evm_mine");
+    await voting.executeProposal(1);
+    writeVault({ username: "netflix_main", password: "rotated" });
+
+    const result = await distributor.sync();
+    expect(result.delivered.map((d) => d.user)).to.have.members([user1.address, user2.address]);
+    expect((await credentialsOf(user1)).password).to.equal("rotated");
+    expect((await credentialsOf(user2)).password).to.equal("rotated");
+    await expect(token.connect(user3).getEncryptedCredentials(serviceId1)).to.be.revertedWith(
+      "Not subscribed to this service"
+    );
+  });
+
+  it("Should retry failed submissions on the next sync", async function () {
+    const distributor = newDistributor();
+
+    // Fail every delivery of the first sync
+    const store = distributor._store.bind(distributor);
+    let failNext = true;
+    distributor._store = async (delivery) => {
+      if (failNext) throw new Error("network down");
+      return store(delivery);
+    };
+
+    const first = await distributor.sync();
+    expect(first.failed).to.have.lengthOf(3);
+
+    failNext = false;
+    const second = await distributor.sync();
+    expect(second.delivered).to.have.lengthOf(3);
+  });
+});
@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const crypto = require("crypto");
+const {
+  ENVELOPE_VERSION,
+  CredentialError,
+  generateKeyPair,
+  validatePublicKey,
+  toBuffer,
+  decodeEnvelope,
+  encryptCredentials,
+  decryptCredentials,
+  decryptCredentialsJson,
+} = require("../lib/credentials");
+
+describe("Credential encryption library", function () {
+  let keyPair;
+
+  before(function () {
+    keyPair = generateKeyPair();
+  });
+
+  it("Should round-trip credentials of any size", function () {
+    const credentials = { username: "netflix_main", notes: "x".repeat(4096) };
+    const envelope = encryptCredentials(keyPair.publicKey, credentials);
+
+    expect(decodeEnvelope(envelope).version).to.equal(ENVELOPE_VERSION);
+    expect(decryptCredentialsJson(keyPair.privateKey, envelope)).to.deep.equal(credentials);
+  });
+
+  it("Should decode every shape returned by the contracts", function () {
+    const envelope = encryptCredentials(keyPair.publicKey, "secret");
+    const shapes = [
+      "0x" + envelope.toString("hex"),
+      envelope.toString("hex"),
+      new Uint8Array(envelope),
+      Array.from(envelope).map((n) => BigInt(n)),
+    ];
+
+    for (const shape of shapes) {
+      expect(decryptCredentials(keyPair.privateKey, shape)).to.equal("secret");
+    }
+  });
+
+  it("Should report tampering with the ciphertext or auth tag", function () {
+    const envelope = encryptCredentials(keyPair.publicKey, "secret");
+
+    const flippedCiphertext = Buffer.from(envelope);
+    flippedCiphertext[flippedCiphertext.length - 1] ^= 0x01;
+    expect(() => decryptCredentials(keyPair.privateKey, flippedCiphertext))
+      .to.throw(CredentialError)
+      .with.property("code", "TAMPERED");
+
+    const flippedTag = Buffer.from(envelope);
+    const { tag } = decodeEnvelope(envelope);
+    flippedTag[envelope.indexOf(tag)] ^= 0x01;
+    expect(() => decryptCredentials(keyPair.privateKey, flippedTag))
+      .to.throw(CredentialError)
+      .with.property("code", "TAMPERED");
+  });
+
+  it("Should reject a wrong private key", function () {
+    const envelope = encryptCredentials(keyPair.publicKey, "secret");
+    const otherKeyPair = generateKeyPair();
+
+    expect(() => decryptCredentials(otherKeyPair.privateKey, envelope))
+      .to.throw(CredentialError)
+      .with.property("code", "KEY_UNWRAP_FAILED");
+  });
+
+  it("Should reject data that is not an envelope", function () {
+    const rawRsa = crypto.publicEncrypt(keyPair.publicKey, Buffer.from("secret"));
+    expect(() => decryptCredentials(keyPair.privateKey, rawRsa))
+      .to.throw(CredentialError)
+      .with.property("code", "INVALID_ENVELOPE");
+
+    const future = encryptCredentials(keyPair.publicKey, "secret");
+    future[2] = ENVELOPE_VERSION + 1;
+    expect(() => decodeEnvelope(future))
+      .to.throw(CredentialError)
+      .with.property("code", "UNSUPPORTED_VERSION");
+
+    expect(() => toBuffer("0xzz")).to.throw(CredentialError).with.property("code", "INVALID_DATA");
+  });
+
+  it("Should validate public keys before registration", function () {
+    expect(() => validatePublicKey(keyPair.publicKey)).to.not.throw();
+    expect(() => validatePublicKey("not a key"))
+      .to.throw(CredentialError)
+      .with.property("code", "INVALID_PUBLIC_KEY");
+
+    const { publicKey: ecKey } = crypto.generateKeyPairSync("ec", {
+      namedCurve: "prime256v1",
+      publicKeyEncoding: { type: "spki", format: "pem" },
+      privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    });
+    expect(() => validatePublicKey(ecKey)).to.throw(/Expected an RSA key/);
+
+    const { publicKey: shortKey } = generateKeyPair(1024);
+    expect(() => validatePublicKey(shortKey)).to.throw(/at least 2048/);
+  });
+});
@@ -0,0 +1,116 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploySystem } = require("../scripts/deploy");
+const { loadDeployments, getDeployedContract } = require("../lib/deployments");
+
+describe("Deployment script", function () {
+  let deploymentsDir;
+  const quiet = () => {};
+
+  beforeEach(function () {
+    // Every test gets its own empty deployments directory
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  it("Should deploy, wire and seed the whole system", async function () {
+    const { contracts, file } = await deploySystem(hre, { deploymentsDir, log: quiet });
+    const { token, provider, voting } = contracts;
+
+    expect(await token.votingContractAddress()).to.equal(await voting.getAddress());
+    expect(await token.serviceProviderAddress()).to.equal(await provider.getAddress());
+    expect(await provider.tokenContractAddress()).to.equal(await token.getAddress());
+    expect(await voting.subscriptionToken()).to.equal(await token.getAddress());
+
+    // Services from config/services.json are in the catalog
+    const [exists, cost, symbol] = await provider.getServiceDetails(1);
+    expect(exists).to.be.true;
+    expect(cost).to.equal(hre.ethers.parseEther("10"));
+    expect(symbol).to.equal("NFLX");
+    const [, tierName, , maxSeats] = await provider.getTierDetails(1, 1);
+    expect(tierName).to.equal("Family");
+    expect(maxSeats).to.equal(6);
+    expect(await token.matchingStrategies(1)).to.equal(0);
+    expect(await token.matchingStrategies(2)).to.equal(1);
+
+    // The registry records addresses and ABIs
+    const deployments = JSON.parse(fs.readFileSync(file, "utf8"));
+    expect(deployments.contracts.SharedSubscriptionToken.address).to.equal(await token.getAddress());
+    expect(deployments.contracts.SubscriptionVoting.abi).to.be.an("array").that.is.not.empty;
+
+    // The token's entry covers the functions it runs through the extension
+    const registered = getDeployedContract(hre.ethers, deployments, "SharedSubscriptionToken");
+    expect(await registered.symbol()).to.equal("SUBT");
+    expect(await registered.tokenPrice()).to.equal(hre.ethers.parseEther("0.01"));
+    expect(registered.interface.getFunction("sellTokens")).to.not.be.null;
+  });
+
+  it("Should skip contracts that are already deployed and wired", async function () {
+    const first = await deploySystem(hre, { deploymentsDir, log: quiet });
+    const second = await deploySystem(hre, { deploymentsDir, log: quiet });
+
+    expect(second.actions).to.be.empty;
+    for (const name of Object.keys(first.deployments.contracts)) {
+      expect(second.deployments.contracts[name].address).to.equal(first.deployments.contracts[name].address);
+    }
+  });
+
+  it("Should repair broken wiring and catalog drift on re-run", async function () {
+    const { contracts } = await deploySystem(hre, { deploymentsDir, log: quiet });
+    const { token, provider } = contracts;
+
+    // Break the wiring and change a service cost and symbol by hand
+    await token.setVotingContractAddress(hre.ethers.ZeroAddress);
+    await provider.updateServiceCost(1, hre.ethers.parseEther("1"));
+    await provider.updateServiceMetadata(1, "OLD", "https://old.example.com");
+
+    const { actions } = await deploySystem(hre, { deploymentsDir, log: quiet });
+    expect(actions).to.have.members([
+      "wire SharedSubscriptionToken.votingContractAddress",
+      "update cost of service 1",
+      "update metadata of service 1",
+    ]);
+
+    const deployments = loadDeployments(hre.network.name, deploymentsDir);
+    expect(await token.votingContractAddress()).to.equal(deployments.contracts.SubscriptionVoting.address);
+    expect((await provider.getServiceDetails(1))[1]).to.equal(hre.ethers.parseEther("10"));
+    expect((await provider.getServiceDetails(1))[2]).to.equal("NFLX");
+  });
+
+  it("Should grant the requested roles on every contract that checks them", async function () {
+    const [, treasurer, operator] = await hre.ethers.getSigners();
+    const roles = { treasurer: [treasurer.address], "credentials-operator": [operator.address] };
+    const { contracts, actions } = await deploySystem(hre, { deploymentsDir, roles, log: quiet });
+    const { token, provider } = contracts;
+
+    expect(await token.hasRole(hre.ethers.id("TREASURER_ROLE"), treasurer.address)).to.be.true;
+    expect(await provider.hasRole(hre.ethers.id("TREASURER_ROLE"), treasurer.address)).to.be.true;
+    expect(await token.hasRole(hre.ethers.id("CREDENTIALS_OPERATOR_ROLE"), operator.address)).to.be.true;
+    expect(actions.filter((action) => action.startsWith("grant"))).to.have.lengthOf(3);
+
+    const rerun = await deploySystem(hre, { deploymentsDir, roles, log: quiet });
+    expect(rerun.actions).to.be.empty;
+  });
+
+  it("Should redeploy a recorded contract that has no code on chain", async function () {
+    const { deployments: first } = await deploySystem(hre, { deploymentsDir, log: quiet });
+
+    // Point the registry at an address without code, as after restarting a local node
+    const stale = loadDeployments(hre.network.name, deploymentsDir);
+    stale.contracts.SubscriptionVoting.address = hre.ethers.Wallet.createRandom().address;
+    fs.writeFileSync(path.join(deploymentsDir, `${hre.network.name}.json`), JSON.stringify(stale));
+
+    const { actions, deployments } = await deploySystem(hre, { deploymentsDir, log: quiet });
+    expect(actions).to.include("deploy SubscriptionVoting");
+    expect(actions).to.include("wire SharedSubscriptionToken.votingContractAddress");
+    expect(deployments.contracts.SharedSubscriptionToken.address).to.equal(
+      first.contracts.SharedSubscriptionToken.address
+    );
+  });
+});
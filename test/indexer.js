@@ -0,0 +1,181 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploySystem } = require("../scripts/deploy");
+const { EventIndexer, JsonStore } = require("../lib/indexer");
+const { createApiServer } = require("../lib/indexer/api");
+
+describe("Event indexer", function () {
+  let workDir, storeFile;
+  let contracts, startBlock;
+  let user1, user2, user3;
+  const serviceId1 = 1;
+  const standardTier = 0;
+  const tokenPrice = hre.ethers.parseEther("0.01");
+  const serviceCost = hre.ethers.parseEther("10");
+
+  function newIndexer() {
+    return new EventIndexer({ contracts, store: new JsonStore(storeFile), startBlock, log: () => {} });
+  }
+
+  async function join(user, value = 0n) {
+    await contracts.token.connect(user).buyTokens(1, { value: tokenPrice });
+    await contracts.token.connect(user).subscribe(serviceId1, standardTier, { value });
+  }
+
+  beforeEach(async function () {
+    [, user1, user2, user3] = await hre.ethers.getSigners();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    storeFile = path.join(workDir, "indexer.json");
+    startBlock = (await hre.ethers.provider.getBlockNumber()) + 1;
+    ({ contracts } = await deploySystem(hre, { deploymentsDir: workDir, log: () => {} }));
+
+    await join(user1, serviceCost);
+    await join(user2);
+    await join(user3);
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("Should index services, accounts and members", async function () {
+    const indexer = newIndexer();
+    await indexer.sync();
+
+    expect(indexer.state.services["1"].symbol).to.equal("NFLX");
+    expect(indexer.state.services["1"].payments).to.equal(1);
+    expect(indexer.state.services["1"].tiers["1"]).to.include({ name: "Family", maxSeats: "6" });
+    expect(indexer.state.services["2"].matching).to.equal("fill-least-full");
+
+    const account = indexer.state.accounts["1:1"];
+    expect(account.tierId).to.equal("0");
+    expect(account.members).to.deep.equal([user1.address, user2.address, user3.address]);
+    const [, expirationTime] = await contracts.token.subscriptionAccounts(serviceId1, 1);
+    expect(account.expirationTime).to.equal(expirationTime.toString());
+  });
+
+  it("Should keep the history of kicked users and executed proposals", async function () {
+    const { voting } = contracts;
+    await voting.connect(user1).proposeToKickUser(serviceId1, 1, user3.address);
+    await voting.connect(user1).voteOnProposal(1, true);
+    await voting.connect(user2).voteOnProposal(1, true);
+    await hre.ethers.provider.send("evm_increaseTime", [60 * 60 * 25]);
+    await hre.ethers.provider.send("evm_mine");
+    await voting.executeProposal(1);
+
+    const indexer = newIndexer();
+    await indexer.sync();
+
+    const account = indexer.state.accounts["1:1"];
+    expect(account.members).to.not.include(user3.address);
+    expect(account.formerMembers[0]).to.include({ user: user3.address, reason: "kicked" });
+
+    const proposal = indexer.state.proposals["1"];
+    expect(proposal.executed).to.be.true;
+    expect(proposal.successful).to.be.true;
+    expect(proposal.votes).to.have.lengthOf(2);
+    expect(proposal.proposalType).to.equal("kick");
+    expect(proposal.action).to.deep.equal({ user: user3.address });
+  });
+
+  it("Should track catalog changes and wound down accounts", async function () {
+    const { provider, token } = contracts;
+    await provider.updateServiceMetadata(serviceId1, "NFLX2", "https://api2.netflix.example.com");
+    await provider.pauseService(2);
+    await provider.retireService(serviceId1);
+    await token.windDownAccount(serviceId1, 1);
+
+    const indexer = newIndexer();
+    await indexer.sync();
+
+    expect(indexer.state.services["1"]).to.include({
+      symbol: "NFLX2",
+      apiEndpoint: "https://api2.netflix.example.com",
+      status: "retired",
+    });
+    expect(indexer.state.services["2"].status).to.equal("paused");
+    const account = indexer.state.accounts["1:1"];
+    expect(account.members).to.deep.equal([]);
+    expect(account.formerMembers.map((m) => m.reason)).to.deep.equal(["left", "left", "left"]);
+    expect(account.woundDownAt).to.be.a("number");
+  });
+
+  it("Should resume from its store after a restart", async function () {
+    await newIndexer().sync();
+
+    const [, share] = await contracts.token.getMemberEscrow(user1.address, serviceId1);
+    await contracts.token.connect(user2).depositToEscrow(serviceId1, { value: share });
+    await contracts.token.connect(user3).depositToEscrow(serviceId1, { value: share * 2n });
+    await contracts.token.connect(user1).buyTokens(1, { value: tokenPrice });
+    await hre.ethers.provider.send("evm_increaseTime", [60 * 60 * 24 * 30]);
+    await hre.ethers.provider.send("evm_mine");
+    await contracts.token.connect(user1).renewSubscription(serviceId1, { value: share });
+
+    const restarted = newIndexer();
+    expect(restarted.state.accounts["1:1"].members).to.have.lengthOf(3);
+    const result = await restarted.sync();
+    // Three EscrowDeposited, two Transfer, PaymentReceived, EscrowCharged and SubscriptionRenewed
+    expect(result.events).to.equal(8);
+    expect(restarted.state.accounts["1:1"].renewals).to.equal(1);
+    expect(restarted.state.accounts["1:1"].escrow).to.equal(share.toString());
+  });
+
+  it("Should roll back orphaned events after a reorg", async function () {
+    const indexer = newIndexer();
+    const snapshot = await hre.ethers.provider.send("evm_snapshot", []);
+
+    // Index a proposal that is about to be orphaned
+    await contracts.voting.connect(user1).proposeToKickUser(serviceId1, 1, user3.address);
+    await indexer.sync();
+    expect(indexer.state.proposals["1"]).to.exist;
+
+    // Replace the chain from the snapshot with a different history of the same length
+    await hre.ethers.provider.send("evm_revert", [snapshot]);
+    await hre.ethers.provider.send("evm_mine");
+    await hre.ethers.provider.send("evm_mine");
+
+    const result = await indexer.sync();
+    expect(result.reorgedFrom).to.not.be.null;
+    expect(indexer.state.proposals["1"]).to.not.exist;
+    expect(indexer.state.accounts["1:1"].members).to.have.lengthOf(3);
+  });
+
+  it("Should answer queries over HTTP", async function () {
+    const { voting } = contracts;
+    await voting.connect(user1).proposeToKickUser(serviceId1, 1, user3.address);
+
+    const indexer = newIndexer();
+    await indexer.sync();
+    const server = createApiServer(indexer);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const get = async (route) => {
+      const res = await fetch(base + route);
+      return { status: res.status, body: await res.json() };
+    };
+
+    try {
+      const accounts = await get("/services/1/accounts?active=true");
+      expect(accounts.body).to.have.lengthOf(1);
+      expect(accounts.body[0].members).to.have.lengthOf(3);
+
+      const open = await get("/proposals?status=open");
+      expect(open.body.map((p) => p.proposalId)).to.deep.equal(["1"]);
+
+      const user = await get(`/users/${user3.address.toLowerCase()}`);
+      expect(user.body.subscriptions).to.deep.equal({ 1: "1" });
+      expect(user.body.proposals[0].userToKick).to.equal(user3.address);
+
+      const events = await get("/events?event=UserAddedToSubscription&limit=2");
+      expect(events.body.total).to.equal(3);
+      expect(events.body.events).to.have.lengthOf(2);
+
+      expect((await get("/accounts/1/99")).status).to.equal(404);
+    } finally {
+      server.close();
+    }
+  });
+});
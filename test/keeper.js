@@ -0,0 +1,125 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploySystem } = require("../scripts/deploy");
+const { getDeployedContract } = require("../lib/deployments");
+const { AutoRenewKeeper } = require("../lib/keeper");
+const { EventIndexer, JsonStore } = require("../lib/indexer");
+const { createApiServer } = require("../lib/indexer/api");
+
+describe("Auto-renewal keeper", function () {
+  let workDir, deployments, contracts, startBlock;
+  let keeper, user1, user2, user3;
+  const serviceId1 = 1;
+  const standardTier = 0;
+  const serviceId2 = 2;
+  const tokenPrice = hre.ethers.parseEther("0.01");
+  const serviceCost = hre.ethers.parseEther("10");
+
+  // Subscribes the users to one account, opts them in and funds their share of the next period
+  async function fundedAccount(serviceId, users) {
+    for (let i = 0; i < users.length; i++) {
+      await contracts.token.connect(users[i]).buyTokens(1, { value: tokenPrice });
+      await contracts.token.connect(users[i]).subscribe(serviceId, standardTier, { value: i === 0 ? serviceCost : 0 });
+      await contracts.token.connect(users[i]).setAutoRenew(serviceId, true);
+    }
+    for (const user of users) {
+      const [, , shortfall] = await contracts.token.getMemberEscrow(user.address, serviceId);
+      await contracts.token.connect(user).depositToEscrow(serviceId, { value: shortfall });
+    }
+  }
+
+  async function advanceDays(days) {
+    await hre.ethers.provider.send("evm_increaseTime", [60 * 60 * 24 * days]);
+    await hre.ethers.provider.send("evm_mine");
+  }
+
+  beforeEach(async function () {
+    [keeper, user1, user2, user3] = await hre.ethers.getSigners();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "keeper-"));
+    startBlock = (await hre.ethers.provider.getBlockNumber()) + 1;
+    ({ deployments, contracts } = await deploySystem(hre, { deploymentsDir: workDir, log: () => {} }));
+
+    await fundedAccount(serviceId1, [user1, user2]);
+    // Account of service 2 is not funded and must be left alone
+    await contracts.token.connect(user3).buyTokens(1, { value: tokenPrice });
+    await contracts.token.connect(user3).subscribe(serviceId2, standardTier, { value: serviceCost });
+    await contracts.token.connect(user3).setAutoRenew(serviceId2, true);
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("Should renew due accounts found through the contract", async function () {
+    const autoRenewKeeper = new AutoRenewKeeper({
+      token: contracts.token,
+      signer: keeper,
+      serviceIds: [serviceId1, serviceId2],
+      log: () => {},
+    });
+    expect(await autoRenewKeeper.findDueAccounts()).to.deep.equal([]);
+
+    await advanceDays(28);
+    const result = await autoRenewKeeper.sync();
+    expect(result.failed).to.deep.equal([]);
+    expect(result.renewed).to.have.lengthOf(1);
+    expect(result.renewed[0]).to.include({
+      serviceId: "1",
+      accountId: "1",
+      reward: (await contracts.token.keeperReward()).toString(),
+    });
+
+    // Nothing left to do until the next period is due
+    expect((await autoRenewKeeper.sync()).renewed).to.deep.equal([]);
+  });
+
+  it("Should prune accounts left to expire when enabled", async function () {
+    // Pruning runs through the token extension, whose functions the registry ABI includes
+    const token = getDeployedContract(hre.ethers, deployments, "SharedSubscriptionToken", keeper);
+    const autoRenewKeeper = new AutoRenewKeeper({
+      token,
+      signer: keeper,
+      serviceIds: [serviceId1, serviceId2],
+      prune: true,
+      log: () => {},
+    });
+
+    // The funded account is renewed before the pruning, the other one is past its grace period
+    await advanceDays(38);
+    const result = await autoRenewKeeper.sync();
+    expect(result.renewed.map((r) => r.accountId)).to.deep.equal(["1"]);
+    expect(result.pruned).to.have.lengthOf(1);
+    expect(result.pruned[0]).to.include({ serviceId: "2" });
+    expect(result.pruned[0].accountIds).to.deep.equal(["1"]);
+    expect(await contracts.token.getSubscriptionMembers(serviceId2, 1)).to.be.empty;
+    expect(await token.getPrunableAccounts(serviceId1)).to.be.empty;
+  });
+
+  it("Should read candidates from the indexer API", async function () {
+    await advanceDays(28);
+    const indexer = new EventIndexer({ contracts, store: new JsonStore(), startBlock, log: () => {} });
+    await indexer.sync();
+    const server = createApiServer(indexer);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    try {
+      const autoRenewKeeper = new AutoRenewKeeper({
+        token: contracts.token,
+        signer: keeper,
+        indexerUrl: `http://127.0.0.1:${server.address().port}/`,
+        log: () => {},
+      });
+      const result = await autoRenewKeeper.sync();
+      expect(result.renewed.map((r) => [r.serviceId, r.accountId])).to.deep.equal([["1", "1"]]);
+
+      await indexer.sync();
+      expect(indexer.state.accounts["1:1"].renewals).to.equal(1);
+      expect(indexer.state.accounts["1:1"].expirationTime).to.equal(result.renewed[0].expirationTime);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,155 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploySystem, upgradeProxy } = require("../scripts/deploy");
+const { snapshotSystem, replaySnapshot, verifyMigration } = require("../scripts/migrate");
+const { checkStorageLayouts } = require("../scripts/checkStorageLayouts");
+const { getStorageLayout, compareStorageLayouts } = require("../lib/storageLayout");
+const { loadDeployments, saveDeployments } = require("../lib/deployments");
+
+describe("Upgrades and migration", function () {
+  let deploymentsDir;
+  let user1, user2, user3, user4;
+  const quiet = () => {};
+  const serviceId = 1;
+  const standardTier = 0;
+  const tokenPrice = hre.ethers.parseEther("0.01");
+  const serviceCost = hre.ethers.parseEther("10");
+
+  // The first subscriber creates the account and deposits its first period
+  async function join(token, user, deposit = 0n) {
+    await token.connect(user).buyTokens(1, { value: tokenPrice });
+    await token.connect(user).subscribe(serviceId, standardTier, { value: deposit });
+  }
+
+  beforeEach(async function () {
+    [, user1, user2, user3, user4] = await hre.ethers.getSigners();
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  it("Should keep the storage layouts compatible with the recorded ones", async function () {
+    const results = await checkStorageLayouts(hre);
+    for (const [name, problems] of Object.entries(results)) {
+      expect(problems, name).to.be.empty;
+    }
+
+    // Appending a variable or taking slots of a gap is fine, inserting one is not
+    const layout = await getStorageLayout(hre, "SubscriptionServiceProvider");
+    const entry = (label, slot) => ({ label, slot: String(slot), offset: 0, type: "t_uint256" });
+    const last = layout.storage[layout.storage.length - 1];
+    const appended = { ...layout, storage: [...layout.storage, entry("added", Number(last.slot) + 1)] };
+    expect(compareStorageLayouts(layout, appended)).to.be.empty;
+
+    const gap = layout.storage.find((e) => e.label === "__gap");
+    const shrunkGap = { ...gap, slot: String(Number(gap.slot) + 1), type: "t_array(t_uint256)46_storage" };
+    const withinGap = {
+      types: { ...layout.types, [shrunkGap.type]: { ...layout.types[gap.type], numberOfBytes: "1472" } },
+      storage: layout.storage.flatMap((e) => (e === gap ? [entry("added", gap.slot), shrunkGap] : [e])),
+    };
+    expect(compareStorageLayouts(layout, withinGap)).to.be.empty;
+
+    const shifted = layout.storage.map((e) => (Number(e.slot) >= 50 ? { ...e, slot: String(Number(e.slot) + 1) } : e));
+    const inserted = { ...layout, storage: [...shifted, entry("inserted", 50)] };
+    expect(compareStorageLayouts(layout, inserted)).to.include("pauseDuration (slot 50) was replaced by inserted");
+  });
+
+  it("Should deploy behind proxies and upgrade them in place", async function () {
+    const { contracts, deployments } = await deploySystem(hre, { deploymentsDir, upgradeable: true, log: quiet });
+    const { token } = contracts;
+    const record = deployments.contracts.SharedSubscriptionToken;
+    const proxyAdmin = await hre.ethers.getContractAt("ProxyAdmin", deployments.contracts.ProxyAdmin.address);
+    expect(await proxyAdmin.getProxyImplementation(record.address)).to.equal(record.implementation.address);
+    expect(record.implementation.name).to.equal("SharedSubscriptionToken");
+
+    await join(token, user1, serviceCost);
+    await join(token, user2);
+
+    // Re-running finds every proxy up to date
+    const rerun = await deploySystem(hre, { deploymentsDir, upgradeable: true, log: quiet });
+    expect(rerun.actions).to.be.empty;
+
+    // Switching implementations keeps the state of the proxy
+    const options = { deploymentsDir, log: quiet };
+    await upgradeProxy(hre, "SharedSubscriptionToken", "SharedSubscriptionTokenMigration", options);
+    await upgradeProxy(hre, "SharedSubscriptionToken", "SharedSubscriptionToken", options);
+    expect(await token.getSubscriptionMembers(serviceId, 1)).to.deep.equal([user1.address, user2.address]);
+    expect(await token.owner()).to.equal(deployments.deployer);
+
+    // The token proxy cannot be initialized again
+    const migration = await hre.ethers.getContractAt("SharedSubscriptionTokenMigration", record.address);
+    await upgradeProxy(hre, "SharedSubscriptionToken", "SharedSubscriptionTokenMigration", options);
+    await expect(migration.connect(user1).initialize(user1.address)).to.be.revertedWith(
+      "Initializable: contract is already initialized"
+    );
+    await expect(migration.connect(user1).importBalances([user1.address], [100])).to.be.revertedWith(
+      "Ownable: caller is not the owner"
+    );
+  });
+
+  it("Should refuse an upgrade with an incompatible storage layout", async function () {
+    await deploySystem(hre, { deploymentsDir, upgradeable: true, log: quiet });
+
+    // Pretend the running implementation had a variable where the new one has another
+    const deployments = loadDeployments(hre.network.name, deploymentsDir);
+    const record = deployments.contracts.SubscriptionVoting;
+    record.storageLayout.storage.find((e) => e.label === "lastProposalTime").label = "lastProposalTimes";
+    saveDeployments(hre.network.name, deployments, deploymentsDir);
+
+    await expect(
+      upgradeProxy(hre, "SubscriptionVoting", "SubscriptionVoting", { deploymentsDir, log: quiet })
+    ).to.be.rejectedWith(/incompatible storage layout:\n.*lastProposalTimes .* was replaced by lastProposalTime/);
+  });
+
+  it("Should migrate balances and memberships from a legacy deployment", async function () {
+    const legacyDir = fs.mkdtempSync(path.join(os.tmpdir(), "legacy-"));
+    const { contracts: legacy } = await deploySystem(hre, { deploymentsDir: legacyDir, log: quiet });
+    fs.rmSync(legacyDir, { recursive: true, force: true });
+    const fromBlock = await hre.ethers.provider.getBlockNumber();
+
+    await join(legacy.token, user1, serviceCost);
+    await join(legacy.token, user2);
+    await legacy.token.connect(user1).registerPublicKey("key-1");
+    await legacy.token.connect(user1).setAutoRenew(serviceId, true);
+    const [, share] = await legacy.token.getMemberEscrow(user2.address, serviceId);
+    await legacy.token.connect(user2).depositToEscrow(serviceId, { value: share });
+    await legacy.provider.manuallyRegisterSubscriber(serviceId, user2.address);
+
+    // user3 left again keeping a spare token, user4 only bought tokens and is only found through the extra addresses
+    await join(legacy.token, user3);
+    await legacy.token.connect(user3).buyTokens(1, { value: tokenPrice });
+    await legacy.token.connect(user3).leaveSubscription(serviceId);
+    await legacy.token.connect(user4).buyTokens(3, { value: tokenPrice * 3n });
+
+    const snapshot = await snapshotSystem(hre, legacy, { fromBlock, addresses: [user4.address] });
+    expect(snapshot.accounts).to.have.lengthOf(1);
+    const snapshotted = snapshot.users.map((user) => user.address);
+    expect(snapshotted).to.include.members([user1.address, user3.address, user4.address]);
+
+    const contracts = await replaySnapshot(hre, snapshot, { deploymentsDir, log: quiet });
+    expect(await verifyMigration(snapshot, contracts)).to.be.empty;
+
+    const { token, provider, seats } = contracts;
+    expect(await token.getSubscriptionMembers(serviceId, 1)).to.deep.equal([user1.address, user2.address]);
+    expect(await token.balanceOf(user4.address)).to.equal(3);
+    expect(await token.userPublicKeys(user1.address)).to.equal("key-1");
+    expect(await token.autoRenewEnabled(user1.address, serviceId)).to.be.true;
+    expect(await provider.isSubscribed(serviceId, user2.address)).to.be.true;
+    expect(await seats.ownerOf(await seats.seatOf(user2.address, serviceId))).to.equal(user2.address);
+    const deployments = loadDeployments(hre.network.name, deploymentsDir);
+    expect(deployments.contracts.SharedSubscriptionToken.implementation.name).to.equal("SharedSubscriptionToken");
+    expect(deployments.migratedFrom.token).to.equal(await legacy.token.getAddress());
+
+    expect(await token.balanceOf(user3.address)).to.equal(await legacy.token.balanceOf(user3.address));
+
+    // The migrated escrow is backed by ETH and new members join the migrated account
+    await expect(token.connect(user2).leaveSubscription(serviceId)).to.changeEtherBalance(user2, share);
+    await join(token, user4);
+    expect(await token.isMemberOfAccount(user4.address, serviceId, 1)).to.be.true;
+  });
+});
@@ -0,0 +1,61 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploySystem } = require("../scripts/deploy");
+const { signBallot, signProposal } = require("../lib/ballots");
+const { BallotRelayer, loadSignatures, appendSignature } = require("../lib/relayer");
+
+describe("Ballot relayer", function () {
+  let workDir, contracts;
+  let relayer, user1, user2, user3, outsider;
+  const serviceId1 = 1;
+  const standardTier = 0;
+  const tokenPrice = hre.ethers.parseEther("0.01");
+  const serviceCost = hre.ethers.parseEther("10");
+
+  beforeEach(async function () {
+    [relayer, user1, user2, user3, outsider] = await hre.ethers.getSigners();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-"));
+    ({ contracts } = await deploySystem(hre, { deploymentsDir: workDir, log: () => {} }));
+
+    for (const user of [user1, user2, user3]) {
+      await contracts.token.connect(user).buyTokens(1, { value: tokenPrice });
+      await contracts.token.connect(user).subscribe(serviceId1, standardTier, { value: user === user1 ? serviceCost : 0 });
+    }
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("Should relay a signed proposal and batch the valid ballots", async function () {
+    const { voting } = contracts;
+    const file = path.join(workDir, "signatures.json");
+
+    const proposal = await signProposal(voting, user1, {
+      serviceId: serviceId1,
+      accountId: 1,
+      proposalType: "kick",
+      action: { user: user3.address },
+    });
+    appendSignature(file, proposal);
+    appendSignature(file, await signBallot(voting, user1, { proposalId: 1, support: true, nonce: 1 }));
+    appendSignature(file, await signBallot(voting, user2, { proposalId: 1, support: true }));
+    appendSignature(file, await signBallot(voting, outsider, { proposalId: 1, support: true }));
+    expect(loadSignatures(file)).to.have.lengthOf(4);
+
+    const result = await new BallotRelayer({ voting, signer: relayer, log: () => {} }).relay(loadSignatures(file));
+    expect(result.proposed).to.deep.equal([{ proposer: user1.address, proposalId: "1" }]);
+    expect(result.voted.map((v) => v.voter)).to.deep.equal([user1.address, user2.address]);
+    expect(result.rejected.map((r) => r.voter)).to.deep.equal([outsider.address]);
+    expect(result.rejected[0].error).to.include("Not a member");
+
+    // Both ballots went through in a single transaction
+    const receipt = await hre.ethers.provider.getTransactionReceipt(result.transactionHash);
+    const votes = receipt.logs.map((log) => voting.interface.parseLog(log)).filter((e) => e.name === "VoteCast");
+    expect(votes).to.have.lengthOf(2);
+    expect((await voting.getProposal(1)).yesVotes).to.equal(2);
+  });
+});
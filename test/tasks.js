@@ -0,0 +1,347 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploySystem } = require("../scripts/deploy");
+const { generateKeyPair, encryptCredentials } = require("../lib/credentials");
+
+describe("Hardhat tasks", function () {
+  let deploymentsDir;
+  let contracts;
+  let user1, user2, user3;
+  const serviceId1 = 1;
+
+  // Runs a task in --json mode and returns its parsed output
+  async function runTask(name, args) {
+    const lines = [];
+    const originalLog = console.log;
+    console.log = (...parts) => lines.push(parts.join(" "));
+    try {
+      await hre.run(name, { deployments: deploymentsDir, json: true, ...args });
+    } finally {
+      console.log = originalLog;
+    }
+    return JSON.parse(lines.join("\n"));
+  }
+
+  beforeEach(async function () {
+    [, user1, user2, user3] = await hre.ethers.getSigners();
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    ({ contracts } = await deploySystem(hre, { deploymentsDir, log: () => {} }));
+  });
+
+  afterEach(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    process.exitCode = undefined;
+  });
+
+  it("Should buy tokens and subscribe with decoded events", async function () {
+    const bought = await runTask("buy-tokens", { from: "1", amount: 2 });
+    expect(bought.status).to.equal("success");
+    expect(await contracts.token.balanceOf(user1.address)).to.equal(2);
+
+    const subscribed = await runTask("subscribe", { from: user1.address, service: serviceId1, value: "10" });
+    expect(subscribed.events.map((e) => e.event)).to.include.members([
+      "SubscriptionAccountCreated",
+      "PaymentReceived",
+      "UserAddedToSubscription",
+    ]);
+    const added = subscribed.events.find((e) => e.event === "UserAddedToSubscription");
+    expect(added.args).to.deep.equal({ user: user1.address, serviceId: "1", accountId: "1" });
+  });
+
+  it("Should gift and sell tokens", async function () {
+    await runTask("buy-tokens", { from: "1", amount: 3 });
+    const gifted = await runTask("transfer-tokens", { from: "1", to: user2.address, amount: 2 });
+    const transfer = gifted.events.find((e) => e.event === "Transfer");
+    expect(transfer.args).to.deep.equal({ from: user1.address, to: user2.address, value: "2" });
+
+    const sold = await runTask("sell-tokens", { from: "2", amount: 2 });
+    expect(sold.events.map((e) => e.event)).to.include.members(["Transfer", "TokensSold"]);
+    const shown = await runTask("show-balance", { from: "1" });
+    expect(shown).to.include({ balance: "1", backedBalance: "1", totalSupply: "1", tokenReserve: "0.01" });
+  });
+
+  it("Should buy tokens and renew with a stablecoin", async function () {
+    const stablecoin = await (await hre.ethers.getContractFactory("MockStablecoin")).deploy();
+    const token = await stablecoin.getAddress();
+    await stablecoin.mint(user1.address, hre.ethers.parseUnits("100", 6));
+
+    await runTask("set-payment-token", { token, price: "2.5" });
+    expect(await runTask("show-payment-tokens", {})).to.deep.equal([{ address: token, symbol: "mUSD", price: "2.5" }]);
+    const bought = await runTask("buy-tokens", { from: "1", amount: 2, payWith: token });
+    expect(bought.events.map((e) => e.event)).to.include("TokensBoughtWithToken");
+
+    await runTask("subscribe", { from: "1", service: serviceId1, value: "10" });
+    await runTask("buy-tokens", { from: "2", amount: 1 });
+    await runTask("subscribe", { from: "2", service: serviceId1 });
+    await runTask("set-tier-token-cost", { service: serviceId1, tier: 0, token, cost: "15" });
+
+    // Both members pay half of the next period
+    await hre.ethers.provider.send("evm_increaseTime", [30 * 24 * 60 * 60]);
+    await stablecoin.mint(user2.address, hre.ethers.parseUnits("100", 6));
+    await runTask("approve-renewal-share", { from: "2", service: serviceId1, payWith: token });
+    const renewed = await runTask("renew", { from: "1", service: serviceId1, payWith: token });
+    expect(renewed.events.map((e) => e.event)).to.include.members(["TokenPaymentReceived", "SubscriptionRenewed"]);
+    expect(await stablecoin.balanceOf(user1.address)).to.equal(hre.ethers.parseUnits("87.5", 6));
+    expect(await stablecoin.balanceOf(user2.address)).to.equal(hre.ethers.parseUnits("92.5", 6));
+  });
+
+  it("Should change the token price and volume discounts", async function () {
+    const proposed = await runTask("propose-price", { price: "0.02" });
+    expect(proposed.events.map((e) => e.event)).to.include("PriceChangeProposed");
+    expect((await runTask("show-price", {})).pendingChange).to.include({ mode: "fixed", fixedPrice: "0.02" });
+
+    await hre.ethers.provider.send("evm_increaseTime", [2 * 24 * 60 * 60]);
+    await runTask("execute-price-change", { from: "2" });
+    await runTask("propose-volume-discounts", { discounts: "10:500,50:1000" });
+    expect((await runTask("show-price", {})).pendingVolumeDiscounts.volumeDiscounts).to.deep.equal([
+      { minAmount: "10", discountBps: "500" },
+      { minAmount: "50", discountBps: "1000" },
+    ]);
+    await hre.ethers.provider.send("evm_increaseTime", [2 * 24 * 60 * 60]);
+    await runTask("execute-volume-discounts", { from: "2" });
+    const shown = await runTask("show-price", { amount: 10 });
+    expect(shown).to.include({ mode: "fixed", unitPrice: "0.02", cost: "0.19", redemptionPrice: "0.018" });
+    expect(shown.pendingChange).to.be.null;
+    expect(shown.pendingVolumeDiscounts).to.be.null;
+
+    await runTask("buy-tokens", { from: "1", amount: 10 });
+    expect(await contracts.token.balanceOf(user1.address)).to.equal(10);
+    expect(await runTask("show-balance", { from: "1" })).to.include({ balance: "10", tokenReserve: "0.19" });
+  });
+
+  it("Should decrypt credentials locally", async function () {
+    const keyPair = generateKeyPair();
+    const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), "keys-"));
+    const publicKeyFile = path.join(keyDir, "public.pem");
+    const privateKeyFile = path.join(keyDir, "private.pem");
+    fs.writeFileSync(publicKeyFile, keyPair.publicKey);
+    fs.writeFileSync(privateKeyFile, keyPair.privateKey);
+
+    try {
+      await runTask("buy-tokens", { from: "1", amount: 1 });
+      await runTask("subscribe", { from: "1", service: serviceId1, value: "10" });
+      await runTask("register-key", { from: "1", keyFile: publicKeyFile });
+
+      const credentials = { username: "netflix_main", password: "hunter2" };
+      await contracts.token.storeEncryptedCredentials(
+        user1.address,
+        serviceId1,
+        encryptCredentials(keyPair.publicKey, credentials)
+      );
+
+      const result = await runTask("get-credentials", { from: "1", service: serviceId1, privateKeyFile });
+      expect(result.credentials).to.deep.equal(credentials);
+    } finally {
+      fs.rmSync(keyDir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should run the voting flow", async function () {
+    for (const user of [user1, user2, user3]) {
+      await runTask("buy-tokens", { from: user.address, amount: 1 });
+      await runTask("subscribe", { from: user.address, service: serviceId1, value: "10" });
+    }
+
+    const proposed = await runTask("propose-kick", { from: "1", service: serviceId1, account: 1, user: user3.address });
+    expect(proposed.events[0].event).to.equal("ProposalCreated");
+
+    await runTask("vote", { from: "1", proposal: 1, support: true });
+    await runTask("vote", { from: "2", proposal: 1, support: true });
+    const shown = await runTask("show-proposal", { proposal: 1 });
+    expect(shown.yesVotes).to.equal("2");
+    expect(shown.proposalType).to.equal("kick");
+    expect(shown.action).to.deep.equal({ user: user3.address });
+    expect(shown.votingOpen).to.be.true;
+    // Both members allowed to vote agreed, no need to wait for the end of the vote
+    expect(shown.executable).to.be.true;
+
+    const rules = await runTask("show-governance", { service: serviceId1, account: 1 });
+    expect(rules).to.include({ votingPeriodHours: 24, proposalCooldownHours: 12 });
+
+    await hre.ethers.provider.send("evm_increaseTime", [60 * 60 * 25]);
+    await hre.ethers.provider.send("evm_mine");
+
+    const executed = await runTask("execute", { from: "2", proposal: 1 });
+    const event = executed.events.find((e) => e.event === "ProposalExecuted");
+    expect(event.args.successful).to.be.true;
+
+    await runTask("propose", { from: "1", service: serviceId1, account: 1, type: "set-auto-renew", enabled: true });
+    const typed = await runTask("show-proposal", { proposal: 2 });
+    expect(typed.proposalType).to.equal("set-auto-renew");
+    expect(typed.action).to.deep.equal({ enabled: true });
+
+    // A member without gas signs a vote that a relayer submits later
+    const signaturesFile = path.join(deploymentsDir, "signatures.json");
+    const signed = await runTask("sign-vote", { from: "2", proposal: 2, support: true, out: signaturesFile });
+    expect(signed).to.include({ kind: "ballot", voter: user2.address, collected: 1 });
+    const [ballot] = JSON.parse(fs.readFileSync(signaturesFile, "utf8"));
+    await contracts.voting.voteBySig(ballot.proposalId, ballot.support, ballot.voter, ballot.deadline, ballot.signature);
+    expect(await contracts.voting.hasVoted(2, user2.address)).to.be.true;
+  });
+
+  it("Should commit and reveal secret votes", async function () {
+    for (const user of [user1, user2, user3]) {
+      await runTask("buy-tokens", { from: user.address, amount: 1 });
+      await runTask("subscribe", { from: user.address, service: serviceId1, value: "10" });
+    }
+    await runTask("propose", { from: "1", service: serviceId1, account: 1, type: "set-secret-ballots", revealPeriod: 2 });
+    await runTask("vote", { from: "1", proposal: 1, support: true });
+    await runTask("vote", { from: "2", proposal: 1, support: true });
+    await runTask("execute", { from: "1", proposal: 1 });
+    const rules = await runTask("show-governance", { service: serviceId1, account: 1 });
+    expect(rules.revealPeriodHours).to.equal(2);
+
+    await runTask("propose-kick", { from: "2", service: serviceId1, account: 1, user: user3.address });
+    const salts = path.join(deploymentsDir, "salts.json");
+    const committed = await runTask("commit-vote", { from: "1", proposal: 2, support: true, salts });
+    expect(committed.events[0].event).to.equal("VoteCommitted");
+    expect(Object.keys(JSON.parse(fs.readFileSync(salts, "utf8")))).to.have.lengthOf(1);
+
+    await hre.ethers.provider.send("evm_increaseTime", [60 * 60 * 25]);
+    await hre.ethers.provider.send("evm_mine");
+    const revealed = await runTask("reveal-vote", { from: "1", proposal: 2, salts });
+    expect(revealed.events[0].args.vote).to.be.true;
+    expect(JSON.parse(fs.readFileSync(salts, "utf8"))).to.deep.equal({});
+    const shown = await runTask("show-proposal", { proposal: 2 });
+    expect(shown.yesVotes).to.equal("1");
+  });
+
+  it("Should share a private account through invitation codes", async function () {
+    for (const user of [user1, user2]) {
+      await runTask("buy-tokens", { from: user.address, amount: 1 });
+    }
+    await runTask("create-private-account", { from: "1", service: serviceId1, value: "10" });
+    const issued = await runTask("create-invite-code", { from: "1", service: serviceId1, account: 1, maxUses: 1 });
+    expect(issued.events[0].args.codeHash).to.equal(issued.codeHash);
+
+    const joined = await runTask("join-with-invite", { from: "2", service: serviceId1, account: 1, code: issued.code });
+    expect(joined.status).to.equal("success");
+    expect(await contracts.token.isMemberOfAccount(user2.address, serviceId1, 1)).to.be.true;
+
+    const revoked = await runTask("revoke-invite-code", { from: "1", service: serviceId1, account: 1, code: issued.code });
+    expect(revoked).to.include({ status: "failed", message: "Invalid invite code" });
+  });
+
+  it("Should deposit into and withdraw from the escrow", async function () {
+    await runTask("buy-tokens", { from: "1", amount: 1 });
+    await runTask("subscribe", { from: "1", service: serviceId1, value: "10" });
+
+    await runTask("deposit", { from: "1", service: serviceId1, value: "12" });
+    const shown = await runTask("show-escrow", { from: "1", service: serviceId1 });
+    expect(shown).to.include({ accountId: "1", deposit: "12.0", share: "10.0", surplus: "2.0", shortfall: "0.0" });
+
+    const withdrawn = await runTask("withdraw-surplus", { from: "1", service: serviceId1 });
+    expect(withdrawn.events[0]).to.deep.include({ event: "EscrowRefunded" });
+    expect(await contracts.token.accountEscrow(serviceId1, 1)).to.equal(hre.ethers.parseEther("10"));
+  });
+
+  it("Should hand a seat over to another user", async function () {
+    await runTask("buy-tokens", { from: "1", amount: 1 });
+    await runTask("subscribe", { from: "1", service: serviceId1, value: "10" });
+    await contracts.token.connect(user2).registerPublicKey("key-2");
+    const shown = await runTask("show-seat", { from: "1", service: serviceId1 });
+    expect(shown).to.include({ seatId: "1", holder: user1.address, accountId: "1" });
+
+    const transferred = await runTask("transfer-seat", { from: "1", service: serviceId1, to: user2.address });
+    expect(transferred.events.map((event) => event.event)).to.include.members(["Transfer", "UserAddedToSubscription"]);
+    expect(await contracts.token.isMemberOfAccount(user2.address, serviceId1, 1)).to.be.true;
+    const failed = await runTask("show-seat", { from: "1", service: serviceId1 });
+    expect(failed.status).to.equal("failed");
+  });
+
+  it("Should sell a seat through the marketplace", async function () {
+    await runTask("buy-tokens", { from: "1", amount: 1 });
+    await runTask("subscribe", { from: "1", service: serviceId1, value: "10" });
+    await contracts.token.connect(user2).registerPublicKey("key-2");
+
+    const listed = await runTask("list-seat", { from: "1", service: serviceId1, price: "0.5" });
+    expect(listed.events.map((event) => event.event)).to.include("SeatListed");
+    const shown = await runTask("show-listing", { seat: 1 });
+    expect(shown).to.include({ seller: user1.address, price: "0.5 ETH", accountId: "1" });
+
+    const bought = await runTask("buy-seat", { from: "2", seat: 1 });
+    expect(bought.events.map((event) => event.event)).to.include.members(["SeatSold", "UserAddedToSubscription"]);
+    expect(await contracts.token.isMemberOfAccount(user2.address, serviceId1, 1)).to.be.true;
+    expect((await runTask("show-listing", { seat: 1 })).status).to.equal("failed");
+  });
+
+  it("Should report custom errors and revert reasons", async function () {
+    const missing = await runTask("update-cost", { service: 99, cost: "1" });
+    expect(missing.status).to.equal("failed");
+    expect(missing.error).to.equal("ServiceNotFound");
+
+    const unauthorized = await runTask("withdraw", { from: "1" });
+    expect(unauthorized.error).to.equal("Unauthorized");
+
+    const reverted = await runTask("subscribe", { from: "1", service: serviceId1 });
+    expect(reverted.message).to.equal("Insufficient tokens");
+    expect(process.exitCode).to.equal(1);
+  });
+
+  it("Should run the provider admin tasks", async function () {
+    await runTask("add-service", { service: 3, symbol: "DSNY", cost: "5", endpoint: "https://api.disney.example.com" });
+    await runTask("update-cost", { service: 3, cost: "6" });
+    await runTask("set-receiver", { receiver: user2.address });
+
+    const [exists, cost] = await contracts.provider.getServiceDetails(3);
+    expect(exists).to.be.true;
+    expect(cost).to.equal(hre.ethers.parseEther("6"));
+    expect(await contracts.provider.paymentReceiver()).to.equal(user2.address);
+
+    const withdrawn = await runTask("withdraw", {});
+    expect(withdrawn.status).to.equal("success");
+
+    await runTask("set-tier", { service: 3, tier: 1, name: "Duo", cost: "3", seats: 2, days: 7 });
+    const listed = await runTask("list-services", {});
+    const disney = listed.find((service) => service.serviceId === "3");
+    expect(disney.tiers).to.deep.equal([
+      { tierId: "0", name: "Standard", cost: "6.0", maxSeats: "5", durationDays: 30 },
+      { tierId: "1", name: "Duo", cost: "3.0", maxSeats: "2", durationDays: 7 },
+    ]);
+  });
+
+  it("Should manage roles and ownership", async function () {
+    const granted = await runTask("grant-role", { contract: "provider", role: "catalog-admin", account: user1.address });
+    expect(granted.events[0]).to.deep.include({ contract: "SubscriptionServiceProvider", event: "RoleGranted" });
+    const added = await runTask("add-service", {
+      from: "1",
+      service: 3,
+      symbol: "DSNY",
+      cost: "5",
+      endpoint: "https://api.disney.example.com",
+    });
+    expect(added.status).to.equal("success");
+
+    await runTask("renounce-role", { from: "1", contract: "provider", role: "catalog-admin" });
+    const shown = await runTask("show-roles", { account: user1.address });
+    expect(shown.provider.roles).to.deep.equal([]);
+
+    await runTask("transfer-ownership", { contract: "token", to: user2.address });
+    expect((await runTask("show-roles", { from: "2" })).token.pendingOwner).to.equal(user2.address);
+    await runTask("accept-ownership", { from: "2", contract: "token" });
+    expect(await contracts.token.owner()).to.equal(user2.address);
+
+    const unknown = await runTask("grant-role", { contract: "token", role: "janitor", account: user1.address });
+    expect(unknown.status).to.equal("failed");
+  });
+
+  it("Should pause and unpause switches", async function () {
+    const paused = await runTask("pause", { contract: "token", switch: "joins" });
+    expect(paused.events[0]).to.deep.include({ event: "Paused" });
+    const shown = await runTask("show-pauses", {});
+    expect(Object.keys(shown.token.paused)).to.deep.equal(["joins"]);
+    expect(shown.provider.paused).to.deep.equal({});
+
+    await runTask("buy-tokens", { from: "1", amount: 1 });
+    const refused = await runTask("subscribe", { from: "1", service: serviceId1, value: "10" });
+    expect(refused.message).to.equal("Pausable: paused");
+
+    const guarded = await runTask("unpause", { from: "1", contract: "token", switch: "joins" });
+    expect(guarded.message).to.equal("Ownable: caller is not the owner");
+    await runTask("unpause", { contract: "token", switch: "joins" });
+    expect(await contracts.token.isPaused(1)).to.be.false;
+  });
+});
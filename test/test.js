@@ -1,82 +1,40 @@
 const hre = require("hardhat");
 const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const { ethers } = require("hardhat");
-const crypto = require("crypto");
-
-// Helper functions for encryption/decryption
-function generateKeyPair() {
-  return crypto.generateKeyPairSync("rsa", {
-    modulusLength: 2048,
-    publicKeyEncoding: {
-      type: "spki",
-      format: "pem",
-    },
-    privateKeyEncoding: {
-      type: "pkcs8",
-      format: "pem",
-    },
-  });
-}
-
-function encryptWithPublicKey(publicKey, data) {
-  const encryptedData = crypto.publicEncrypt(
-    {
-      key: publicKey,
-      padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
-    },
-    Buffer.from(data)
-  );
-  return encryptedData;
-}
-
-function decryptWithPrivateKey(privateKey, encryptedData) {
-  // Convert to Buffer if we received a hex string or Uint8Array
-  if (typeof encryptedData === "string") {
-    // Strip 0x prefix (if present) and convert from hex
-    const hex = encryptedData.startsWith("0x")
-      ? encryptedData.slice(2)
-      : encryptedData;
-    encryptedData = Buffer.from(hex, "hex");
-  } else if (
-    encryptedData instanceof Uint8Array &&
-    !(encryptedData instanceof Buffer)
-  ) {
-    encryptedData = Buffer.from(encryptedData);
-  } else if (Array.isArray(encryptedData)) {
-    // Handle array of numbers returned from blockchain
-    encryptedData = Buffer.from(encryptedData.map((n) => Number(n)));
-  }
-
-  try {
-    const decryptedData = crypto.privateDecrypt(
-      {
-        key: privateKey,
-        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
-      },
-      encryptedData
-    );
-    return decryptedData.toString();
-  } catch (error) {
-    console.error("Decryption error:", error.message);
-    console.error("Encrypted data type:", typeof encryptedData);
-    console.error("Encrypted data length:", encryptedData.length);
-    throw error;
-  }
-}
+const {
+  generateKeyPair,
+  encryptCredentials,
+  decryptCredentials,
+} = require("../lib/credentials");
+const { signBallot, signProposal } = require("../lib/ballots");
+const { SaltStore, commitSecretVote, revealSecretVote, voteCommitment } = require("../lib/secretBallots");
+const { createInviteCode } = require("../lib/invites");
 
 describe("SharedSubscriptionToken", function () {
   let sharedSubscriptionToken;
+  let tokenExtension;
   let subscriptionVoting;
   let subscriptionServiceProvider;
   let owner, user1, user2, user3, user4, user5, user6;
   const serviceId1 = 1; // Netflix
   const serviceId2 = 2; // Spotify
+  const standardTier = 0; // Tier every service starts with: 5 seats, 30 days
+  const standardTierDuration = 60 * 60 * 24 * 30;
   const tokenPrice = hre.ethers.parseEther("0.01"); // 0.01 ETH per token
   const serviceCost = hre.ethers.parseEther("10"); // 10 ETH for service
 
   // Store key pairs for testing
   const keyPairs = {};
 
+  // ETH refunded for the time left before an expiration, at the block of a mined transaction
+  async function unusedTimeRefund(expirationTime, tx, periodDuration = standardTierDuration) {
+    const { timestamp } = await (await tx.wait()).getBlock();
+    return (tokenPrice * (expirationTime - BigInt(timestamp))) / BigInt(periodDuration);
+  }
+
   beforeEach(async function () {
     [owner, user1, user2, user3, user4, user5, user6] =
       await hre.ethers.getSigners();
@@ -97,6 +55,14 @@ describe("SharedSubscriptionToken", function () {
     sharedSubscriptionToken = await SharedSubscriptionToken.deploy();
     await sharedSubscriptionToken.waitForDeployment();
 
+    // Deploy the extension the token runs its newer functions from, and reach them at the token's address
+    const extension = await (await hre.ethers.getContractFactory("SharedSubscriptionTokenExtension", owner)).deploy();
+    await sharedSubscriptionToken.setExtensionAddress(await extension.getAddress());
+    tokenExtension = await hre.ethers.getContractAt(
+      "SharedSubscriptionTokenExtension",
+      await sharedSubscriptionToken.getAddress()
+    );
+
     // Deploy the voting contract with the main contract address
     const SubscriptionVoting = await hre.ethers.getContractFactory(
       "SubscriptionVoting",
@@ -170,7 +136,7 @@ describe("SharedSubscriptionToken", function () {
     // Then subscribe (need to include payment for service provider)
     await sharedSubscriptionToken
       .connect(user1)
-      .subscribe(serviceId1, { value: serviceCost });
+      .subscribe(serviceId1, standardTier, { value: serviceCost });
 
     // Check if subscription is active
     const isActive = await sharedSubscriptionToken.isSubscriptionActive(
@@ -197,7 +163,7 @@ describe("SharedSubscriptionToken", function () {
       .buyTokens(1, { value: tokenPrice });
     await sharedSubscriptionToken
       .connect(user1)
-      .subscribe(serviceId1, { value: serviceCost });
+      .subscribe(serviceId1, standardTier, { value: serviceCost });
 
     // Get user's subscription details
     const [exists, accountId] =
@@ -229,10 +195,10 @@ describe("SharedSubscriptionToken", function () {
       if (i === 0) {
         await sharedSubscriptionToken
           .connect(user)
-          .subscribe(serviceId1, { value: serviceCost });
+          .subscribe(serviceId1, standardTier, { value: serviceCost });
       } else {
         // Subsequent users only need to spend token
-        await sharedSubscriptionToken.connect(user).subscribe(serviceId1);
+        await sharedSubscriptionToken.connect(user).subscribe(serviceId1, standardTier);
       }
     }
 
@@ -269,10 +235,10 @@ describe("SharedSubscriptionToken", function () {
   });
 
   it("Should create new subscription account when existing ones are full", async function () {
-    // First set max users per subscription to 3 for testing
-    await sharedSubscriptionToken
+    // First limit the standard tier to 3 seats for testing
+    await subscriptionServiceProvider
       .connect(owner)
-      .updateMaxUsersPerSubscription(3);
+      .setTier(serviceId1, standardTier, "Standard", serviceCost, 3, standardTierDuration);
 
     // Subscribe with 4 users (should create 2 accounts)
     for (let i = 0; i < 4; i++) {
@@ -285,10 +251,10 @@ describe("SharedSubscriptionToken", function () {
       if (i === 0 || i === 3) {
         await sharedSubscriptionToken
           .connect(user)
-          .subscribe(serviceId1, { value: serviceCost });
+          .subscribe(serviceId1, standardTier, { value: serviceCost });
       } else {
         // Other users only need to spend token
-        await sharedSubscriptionToken.connect(user).subscribe(serviceId1);
+        await sharedSubscriptionToken.connect(user).subscribe(serviceId1, standardTier);
       }
     }
 
@@ -326,10 +292,10 @@ describe("SharedSubscriptionToken", function () {
       if (i === 0) {
         await sharedSubscriptionToken
           .connect(user)
-          .subscribe(serviceId1, { value: serviceCost });
+          .subscribe(serviceId1, standardTier, { value: serviceCost });
       } else {
         // Subsequent users only need to spend token
-        await sharedSubscriptionToken.connect(user).subscribe(serviceId1);
+        await sharedSubscriptionToken.connect(user).subscribe(serviceId1, standardTier);
       }
     }
 
@@ -340,8 +306,8 @@ describe("SharedSubscriptionToken", function () {
         serviceId1
       );
 
-    // Calculate cost per member and capture event
-    const tx = await sharedSubscriptionToken
+    // Calculate cost per member and capture event, through the extension the function lives in
+    const tx = await tokenExtension
       .connect(owner)
       .calculateCostPerMember(serviceId1, accountId);
     const receipt = await tx.wait();
@@ -391,7 +357,7 @@ describe("SharedSubscriptionToken", function () {
       .buyTokens(1, { value: tokenPrice });
     await sharedSubscriptionToken
       .connect(user1)
-      .subscribe(serviceId1, { value: serviceCost });
+      .subscribe(serviceId1, standardTier, { value: serviceCost });
 
     console.log(
       "Initial subscription status:",
@@ -426,16 +392,28 @@ describe("SharedSubscriptionToken", function () {
       .buyTokens(2, { value: tokenPrice * BigInt(2) });
     await sharedSubscriptionToken
       .connect(user1)
-      .subscribe(serviceId1, { value: serviceCost });
+      .subscribe(serviceId1, standardTier, { value: serviceCost });
 
-    // Advance time close to expiration
+    // Five days before expiry is too early to renew
     await hre.ethers.provider.send("evm_increaseTime", [60 * 60 * 24 * 25]); // Advance 25 days
     await hre.ethers.provider.send("evm_mine");
+    await expect(
+      sharedSubscriptionToken
+        .connect(user1)
+        .renewSubscription(serviceId1, { value: serviceCost })
+    ).to.be.revertedWith("Account is not due for renewal");
 
-    // Renew subscription
-    await sharedSubscriptionToken
-      .connect(user1)
-      .renewSubscription(serviceId1, { value: serviceCost });
+    // Within the renewal window the new period starts where the current one ends
+    await hre.ethers.provider.send("evm_increaseTime", [60 * 60 * 24 * 3]);
+    await hre.ethers.provider.send("evm_mine");
+    const [, expirationTime] = await sharedSubscriptionToken.subscriptionAccounts(serviceId1, 1);
+    await expect(
+      sharedSubscriptionToken
+        .connect(user1)
+        .renewSubscription(serviceId1, { value: serviceCost })
+    )
+      .to.emit(sharedSubscriptionToken, "SubscriptionRenewed")
+      .withArgs(serviceId1, 1, user1.address, expirationTime + BigInt(standardTierDuration));
 
     // Advance another 10 days (would expire without renewal)
     await hre.ethers.provider.send("evm_increaseTime", [60 * 60 * 24 * 10]);
@@ -454,7 +432,12 @@ describe("SharedSubscriptionToken", function () {
     await sharedSubscriptionToken
       .connect(user1)
       .buyTokens(10, { value: tokenPrice * BigInt(10) });
+    await sharedSubscriptionToken
+      .connect(user1)
+      .subscribe(serviceId1, standardTier, { value: serviceCost });
 
+    // Only the price of the spent token is revenue, the rest stays in the token reserve
+    const reserve = tokenPrice * BigInt(9);
     const initialContractBalance = await hre.ethers.provider.getBalance(
       await sharedSubscriptionToken.getAddress()
     );
@@ -476,9 +459,9 @@ describe("SharedSubscriptionToken", function () {
       owner.address
     );
 
-    expect(finalContractBalance).to.equal(0);
+    expect(finalContractBalance).to.equal(reserve);
     expect(finalOwnerBalance).to.be.closeTo(
-      initialOwnerBalance + initialContractBalance - gasUsed,
+      initialOwnerBalance + initialContractBalance - reserve - gasUsed,
       hre.ethers.parseEther("0.0001") // Allow for small gas calculation differences
     );
   });
@@ -502,10 +485,10 @@ describe("SharedSubscriptionToken", function () {
         if (i === 0) {
           await sharedSubscriptionToken
             .connect(user)
-            .subscribe(serviceId1, { value: serviceCost });
+            .subscribe(serviceId1, standardTier, { value: serviceCost });
         } else {
           // Subsequent users only need to spend token
-          await sharedSubscriptionToken.connect(user).subscribe(serviceId1);
+          await sharedSubscriptionToken.connect(user).subscribe(serviceId1, standardTier);
         }
 
         // Ensure all users are registered in the service provider
@@ -544,7 +527,7 @@ describe("SharedSubscriptionToken", function () {
 
       // Owner encrypts credentials with user's public key
       const credentialsString = JSON.stringify(serviceCredentials);
-      const encryptedData = encryptWithPublicKey(
+      const encryptedData = encryptCredentials(
         keyPairs[user1.address].publicKey,
         credentialsString
       );
@@ -560,7 +543,7 @@ describe("SharedSubscriptionToken", function () {
         .getEncryptedCredentials(serviceId1);
 
       // Decrypt retrieved data
-      const decryptedData = decryptWithPrivateKey(
+      const decryptedData = decryptCredentials(
         keyPairs[user1.address].privateKey,
         retrievedData
       );
@@ -601,7 +584,7 @@ describe("SharedSubscriptionToken", function () {
         };
 
         const credentialsString = JSON.stringify(userData);
-        const encryptedData = encryptWithPublicKey(
+        const encryptedData = encryptCredentials(
           keyPairs[user.address].publicKey,
           credentialsString
         );
@@ -617,7 +600,7 @@ describe("SharedSubscriptionToken", function () {
           .connect(user)
           .getEncryptedCredentials(serviceId1);
 
-        const decryptedData = decryptWithPrivateKey(
+        const decryptedData = decryptCredentials(
           keyPairs[user.address].privateKey,
           retrievedData
         );
@@ -635,6 +618,35 @@ describe("SharedSubscriptionToken", function () {
       }
     });
 
+    it("Should store credentials larger than a single RSA block", async function () {
+      await sharedSubscriptionToken
+        .connect(user1)
+        .registerPublicKey(keyPairs[user1.address].publicKey);
+
+      // Well beyond the ~190 bytes raw RSA-OAEP can hold with a 2048-bit key
+      const credentials = {
+        username: "netflix_main",
+        password: "AccountPassword123!",
+        recoveryCodes: Array.from({ length: 20 }, (_, i) => `recovery-code-${i}`),
+      };
+
+      const encryptedData = encryptCredentials(
+        keyPairs[user1.address].publicKey,
+        credentials
+      );
+      await sharedSubscriptionToken
+        .connect(owner)
+        .storeEncryptedCredentials(user1.address, serviceId1, encryptedData);
+
+      const retrievedData = await sharedSubscriptionToken
+        .connect(user1)
+        .getEncryptedCredentials(serviceId1);
+      const decryptedCredentials = JSON.parse(
+        decryptCredentials(keyPairs[user1.address].privateKey, retrievedData)
+      );
+      expect(decryptedCredentials).to.deep.equal(credentials);
+    });
+
     it("Should prevent accessing credentials after subscription expires", async function () {
       // User registers public key
       await sharedSubscriptionToken
@@ -643,7 +655,7 @@ describe("SharedSubscriptionToken", function () {
 
       // Owner stores credentials
       const credentials = { username: "test_user", password: "test_password" };
-      const encryptedData = encryptWithPublicKey(
+      const encryptedData = encryptCredentials(
         keyPairs[user1.address].publicKey,
         JSON.stringify(credentials)
       );
@@ -695,7 +707,7 @@ describe("SharedSubscriptionToken", function () {
         sharedSubscriptionToken
           .connect(user2)
           .storeEncryptedCredentials(user1.address, serviceId1, dummyData)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith("AccessControl: caller is missing role");
     });
   });
 
@@ -703,9 +715,9 @@ describe("SharedSubscriptionToken", function () {
   describe("Voting System", function () {
     beforeEach(async function () {
       // Setup: Allow up to 5 users in a single subscription account
-      await sharedSubscriptionToken
+      await subscriptionServiceProvider
         .connect(owner)
-        .updateMaxUsersPerSubscription(5);
+        .setTier(serviceId1, standardTier, "Standard", serviceCost, 5, standardTierDuration);
 
       // User1, User2, User3, User4, and User5 buy tokens and subscribe to the same service
       for (let i = 0; i < 5; i++) {
@@ -718,10 +730,10 @@ describe("SharedSubscriptionToken", function () {
         if (i === 0) {
           await sharedSubscriptionToken
             .connect(user)
-            .subscribe(serviceId1, { value: serviceCost });
+            .subscribe(serviceId1, standardTier, { value: serviceCost });
         } else {
           // Subsequent users only need to spend token
-          await sharedSubscriptionToken.connect(user).subscribe(serviceId1);
+          await sharedSubscriptionToken.connect(user).subscribe(serviceId1, standardTier);
         }
       }
     });
@@ -889,194 +901,2615 @@ describe("SharedSubscriptionToken", function () {
     });
   });
 
-  // New tests for subscription service provider
-  describe("SubscriptionServiceProvider", function () {
-    beforeEach(async function () {
-      // User1 buys tokens and subscribes
-      await sharedSubscriptionToken
-        .connect(user1)
-        .buyTokens(1, { value: tokenPrice });
-      await sharedSubscriptionToken
-        .connect(user1)
-        .subscribe(serviceId1, { value: serviceCost });
-    });
+  describe("Governance Proposals", function () {
+    const Kick = 0;
+    const SwitchTier = 1;
+    const SetAutoRenew = 2;
+    const InviteUser = 3;
+    const DissolveAccount = 4;
+    const coder = hre.ethers.AbiCoder.defaultAbiCoder();
+    const members = () => [user1, user2, user3];
+
+    // Votes yes with the given members and closes the voting period
+    async function passVote(proposalId, voters) {
+      for (const voter of voters) {
+        await subscriptionVoting.connect(voter).voteOnProposal(proposalId, true);
+      }
+      await hre.ethers.provider.send("evm_increaseTime", [60 * 60 * 25]);
+      await hre.ethers.provider.send("evm_mine");
+    }
 
-    it("Should process payments correctly", async function () {
-      // Check that the payment was received by the service provider
-      const providerBalance = await hre.ethers.provider.getBalance(
-        await subscriptionServiceProvider.getAddress()
-      );
-      expect(providerBalance).to.equal(serviceCost);
+    beforeEach(async function () {
+      // User1, User2 and User3 share account 1
+      for (const user of members()) {
+        await sharedSubscriptionToken.connect(user).buyTokens(1, { value: tokenPrice });
+        await sharedSubscriptionToken
+          .connect(user)
+          .subscribe(serviceId1, standardTier, { value: user === user1 ? serviceCost : 0 });
+      }
     });
 
-    it("Should allow service provider to withdraw funds", async function () {
-      const initialPaymentReceiverBalance =
-        await hre.ethers.provider.getBalance(owner.address);
+    it("Should keep kick proposals as a proposal type", async function () {
+      await subscriptionVoting
+        .connect(user1)
+        .propose(serviceId1, 1, Kick, coder.encode(["address"], [user3.address]));
 
-      // Withdraw funds from service provider
-      const tx = await subscriptionServiceProvider
-        .connect(owner)
-        .withdrawFunds();
-      const receipt = await tx.wait();
-      const gasUsed = receipt.gasUsed * receipt.gasPrice;
+      const proposal = await subscriptionVoting.getProposal(1);
+      expect(proposal.userToKick).to.equal(user3.address);
+      expect(proposal.proposalType).to.equal(Kick);
+      expect(proposal.payload).to.equal(coder.encode(["address"], [user3.address]));
+
+      await passVote(1, [user1, user2]);
+      await expect(subscriptionVoting.executeProposal(1))
+        .to.emit(subscriptionVoting, "ProposalExecuted")
+        .withArgs(1, serviceId1, 1, user3.address, true);
+      expect(await sharedSubscriptionToken.isMemberOfAccount(user3.address, serviceId1, 1)).to.be.false;
+    });
 
-      // Check balances after withdrawal
-      const finalProviderBalance = await hre.ethers.provider.getBalance(
-        await subscriptionServiceProvider.getAddress()
-      );
-      const finalPaymentReceiverBalance = await hre.ethers.provider.getBalance(
-        owner.address
-      );
+    it("Should reject payloads that do not match the proposal type", async function () {
+      await expect(
+        subscriptionVoting.connect(user1).propose(serviceId1, 1, SwitchTier, "0x")
+      ).to.be.revertedWith("Invalid payload");
+      await expect(
+        subscriptionVoting
+          .connect(user1)
+          .propose(serviceId1, 1, DissolveAccount, coder.encode(["uint256"], [1]))
+      ).to.be.revertedWith("Invalid payload");
+      await expect(
+        subscriptionVoting
+          .connect(user1)
+          .propose(serviceId1, 1, InviteUser, coder.encode(["address"], [user2.address]))
+      ).to.be.revertedWith("User already in this account");
 
-      expect(finalProviderBalance).to.equal(0);
-      expect(finalPaymentReceiverBalance).to.be.closeTo(
-        initialPaymentReceiverBalance + serviceCost - gasUsed,
-        hre.ethers.parseEther("0.0001") // Allow for small gas calculation differences
-      );
+      // Only the voting contract may call the token's hooks
+      await expect(
+        sharedSubscriptionToken.connect(user1).dissolveAccount(serviceId1, 1)
+      ).to.be.revertedWith("Only voting contract can call this function");
     });
 
-    it("Should allow updating service costs", async function () {
-      const newCost = hre.ethers.parseEther("15"); // 15 ETH
-
-      // Update the cost
+    it("Should switch the account to a tier that fits its members", async function () {
       await subscriptionServiceProvider
         .connect(owner)
-        .updateServiceCost(serviceId1, newCost);
-
-      // Get the updated service details
-      const serviceDetails =
-        await subscriptionServiceProvider.getServiceDetails(serviceId1);
-      const updatedCost = serviceDetails[1]; // cost is the second item in the tuple
-
-      expect(updatedCost).to.equal(newCost);
-    });
-
-    it("Should allow setting a different payment receiver", async function () {
-      // Set user6 as the payment receiver
+        .setTier(serviceId1, 1, "Duo", hre.ethers.parseEther("4"), 2, standardTierDuration);
       await subscriptionServiceProvider
         .connect(owner)
-        .setPaymentReceiver(user6.address);
-
-      // Verify the payment receiver was updated
-      const newPaymentReceiver =
-        await subscriptionServiceProvider.paymentReceiver();
-      expect(newPaymentReceiver).to.equal(user6.address);
+        .setTier(serviceId1, 2, "Family", hre.ethers.parseEther("15"), 6, standardTierDuration);
 
-      // Subscribe with a new user to generate payments
-      await sharedSubscriptionToken
+      // The Duo tier is too small for three members
+      await subscriptionVoting
+        .connect(user1)
+        .propose(serviceId1, 1, SwitchTier, coder.encode(["uint256"], [1]));
+      await subscriptionVoting
         .connect(user2)
-        .buyTokens(1, { value: tokenPrice });
+        .propose(serviceId1, 1, SwitchTier, coder.encode(["uint256"], [2]));
+      await passVote(1, members());
 
-      const initialUser6Balance = await hre.ethers.provider.getBalance(
-        user6.address
-      );
+      await expect(subscriptionVoting.executeProposal(1))
+        .to.emit(subscriptionVoting, "ProposalExecuted")
+        .withArgs(1, serviceId1, 1, hre.ethers.ZeroAddress, false);
+      // Proposal 2 got no votes at all
+      await expect(subscriptionVoting.executeProposal(2))
+        .to.emit(subscriptionVoting, "ProposalExecuted")
+        .withArgs(2, serviceId1, 1, hre.ethers.ZeroAddress, false);
 
-      // User2 subscribes to serviceId2, which will send payment to the provider
-      await sharedSubscriptionToken
+      await subscriptionVoting
+        .connect(user3)
+        .propose(serviceId1, 1, SwitchTier, coder.encode(["uint256"], [2]));
+      await passVote(3, [user2, user3]);
+      await expect(subscriptionVoting.executeProposal(3))
+        .to.emit(sharedSubscriptionToken, "AccountTierSwitched")
+        .withArgs(serviceId1, 1, 2);
+
+      const account = await sharedSubscriptionToken.subscriptionAccounts(serviceId1, 1);
+      expect(account.tierId).to.equal(2);
+      // The members now share the cost of the Family tier
+      const [, share] = await sharedSubscriptionToken.getMemberEscrow(user1.address, serviceId1);
+      expect(share).to.equal(hre.ethers.parseEther("5"));
+    });
+
+    it("Should opt every member in to auto-renewal", async function () {
+      await subscriptionVoting
         .connect(user2)
-        .subscribe(serviceId2, { value: serviceCost });
+        .propose(serviceId1, 1, SetAutoRenew, coder.encode(["bool"], [true]));
+      await passVote(1, [user1, user2]);
+      await subscriptionVoting.executeProposal(1);
 
-      // Now withdraw funds to user6
-      await subscriptionServiceProvider.connect(owner).withdrawFunds();
+      for (const user of members()) {
+        expect(await sharedSubscriptionToken.autoRenewEnabled(user.address, serviceId1)).to.be.true;
+      }
+    });
 
-      // Check the final balance - there should be the sum of serviceCosts in the balance now
-      const finalUser6Balance = await hre.ethers.provider.getBalance(
-        user6.address
-      );
+    it("Should let an invited user join the account", async function () {
+      await sharedSubscriptionToken.connect(user5).buyTokens(2, { value: tokenPrice * BigInt(2) });
+      await expect(
+        sharedSubscriptionToken.connect(user5).acceptInvite(serviceId1, 1)
+      ).to.be.revertedWith("Not invited to this account");
 
-      // Check that the total service cost (20 ETH) was transferred
-      expect(finalUser6Balance - initialUser6Balance).to.equal(
-        serviceCost * BigInt(2)
+      await subscriptionVoting
+        .connect(user1)
+        .propose(serviceId1, 1, InviteUser, coder.encode(["address"], [user5.address]));
+      await passVote(1, [user1, user2]);
+      await expect(subscriptionVoting.executeProposal(1))
+        .to.emit(sharedSubscriptionToken, "UserInvited")
+        .withArgs(user5.address, serviceId1, 1);
+
+      await expect(sharedSubscriptionToken.connect(user5).acceptInvite(serviceId1, 1))
+        .to.emit(sharedSubscriptionToken, "UserAddedToSubscription")
+        .withArgs(user5.address, serviceId1, 1);
+      expect(await sharedSubscriptionToken.balanceOf(user5.address)).to.equal(1);
+      expect(await sharedSubscriptionToken.accountInvites(serviceId1, 1, user5.address)).to.be.false;
+    });
+
+    it("Should dissolve the account only when every member agrees", async function () {
+      await subscriptionVoting.connect(user1).propose(serviceId1, 1, DissolveAccount, "0x");
+      await passVote(1, [user1, user2]);
+      await expect(subscriptionVoting.executeProposal(1))
+        .to.emit(subscriptionVoting, "ProposalExecuted")
+        .withArgs(1, serviceId1, 1, hre.ethers.ZeroAddress, false);
+
+      await subscriptionVoting.connect(user2).propose(serviceId1, 1, DissolveAccount, "0x");
+      await passVote(2, members());
+      const [, expirationTime] = await sharedSubscriptionToken.subscriptionAccounts(serviceId1, 1);
+      const dissolve = await subscriptionVoting.executeProposal(2);
+      const refund = await unusedTimeRefund(expirationTime, dissolve);
+      await expect(dissolve)
+        .to.emit(sharedSubscriptionToken, "AccountDissolved")
+        .withArgs(serviceId1, 1, 3, refund * 3n);
+
+      expect(await sharedSubscriptionToken.getSubscriptionMembers(serviceId1, 1)).to.be.empty;
+      // Most of the period was left, so each member gets most of the value of their token back
+      expect(refund).to.be.greaterThan((tokenPrice * 9n) / 10n);
+      await expect(sharedSubscriptionToken.connect(user3).withdrawEscrowRefund()).to.changeEtherBalance(
+        user3,
+        refund
       );
+
+      // New subscribers are not placed in the dissolved account
+      await sharedSubscriptionToken.connect(user3).buyTokens(1, { value: tokenPrice });
+      await sharedSubscriptionToken.connect(user3).subscribe(serviceId1, standardTier, { value: serviceCost });
+      const [, accountId] = await sharedSubscriptionToken.getUserSubscriptionDetails(user3.address, serviceId1);
+      expect(accountId).to.equal(2);
     });
+  });
 
-    it("Should handle API credentials management", async function () {
-      // Generate key pair for test user
-      keyPairs[user1.address] = generateKeyPair();
+  describe("Governance Parameters", function () {
+    const Kick = 0;
+    const UpdateGovernance = 5;
+    const coder = hre.ethers.AbiCoder.defaultAbiCoder();
+    const governance = (votingPeriod, cooldown, approval, quorum) =>
+      coder.encode(["uint256", "uint256", "uint256", "uint256"], [votingPeriod, cooldown, approval, quorum]);
+    const kick = (user) => coder.encode(["address"], [user.address]);
 
-      // User1 registers their public key
-      await sharedSubscriptionToken
-        .connect(user1)
-        .registerPublicKey(keyPairs[user1.address].publicKey);
+    beforeEach(async function () {
+      // User1 to User5 share account 1
+      for (const user of [user1, user2, user3, user4, user5]) {
+        await sharedSubscriptionToken.connect(user).buyTokens(1, { value: tokenPrice });
+        await sharedSubscriptionToken
+          .connect(user)
+          .subscribe(serviceId1, standardTier, { value: user === user1 ? serviceCost : 0 });
+      }
+    });
 
-      // Mock API credentials with endpoint information
-      const apiCredentials = {
-        username: "user123",
-        password: "pass456",
-        apiKey: "sk_live_testKey1234567890",
-        endpoint: "https://api.netflix.example.com/v1/stream",
-      };
+    it("Should start every account with the default rules", async function () {
+      const [votingPeriod, cooldown, approval, quorum] = await subscriptionVoting.getGovernanceParams(serviceId1, 1);
+      expect([votingPeriod, cooldown, approval, quorum]).to.deep.equal([86400n, 43200n, 50n, 0n]);
+    });
 
-      // Encrypt credentials
-      const credentialsString = JSON.stringify(apiCredentials);
-      const encryptedData = encryptWithPublicKey(
-        keyPairs[user1.address].publicKey,
-        credentialsString
+    it("Should execute as soon as the outcome is decided", async function () {
+      await subscriptionVoting.connect(user1).propose(serviceId1, 1, Kick, kick(user5));
+      await subscriptionVoting.connect(user1).voteOnProposal(1, true);
+      await subscriptionVoting.connect(user2).voteOnProposal(1, true);
+      await expect(subscriptionVoting.executeProposal(1)).to.be.revertedWithCustomError(
+        subscriptionVoting,
+        "OutcomeNotDecided"
       );
 
-      // Store credentials
-      await sharedSubscriptionToken
-        .connect(owner)
-        .storeEncryptedCredentials(user1.address, serviceId1, encryptedData);
+      // Three yes votes out of the four members allowed to vote settle it
+      await subscriptionVoting.connect(user3).voteOnProposal(1, true);
+      expect(await subscriptionVoting.canExecute(1)).to.deep.equal([true, true]);
+      await expect(subscriptionVoting.executeProposal(1))
+        .to.emit(subscriptionVoting, "ProposalExecuted")
+        .withArgs(1, serviceId1, 1, user5.address, true);
+
+      // Two no votes out of four leave no way to reach three yes votes
+      await subscriptionVoting.connect(user2).propose(serviceId1, 1, Kick, kick(user4));
+      await subscriptionVoting.connect(user1).voteOnProposal(2, false);
+      await subscriptionVoting.connect(user3).voteOnProposal(2, false);
+      await expect(subscriptionVoting.executeProposal(2))
+        .to.emit(subscriptionVoting, "ProposalExecuted")
+        .withArgs(2, serviceId1, 1, user4.address, false);
+      expect(await sharedSubscriptionToken.isMemberOfAccount(user4.address, serviceId1, 1)).to.be.true;
+    });
 
-      // Retrieve credentials
-      const retrievedData = await sharedSubscriptionToken
-        .connect(user1)
-        .getEncryptedCredentials(serviceId1);
+    it("Should only change the rules through a proposal of the account", async function () {
+      await expect(
+        subscriptionVoting.connect(user1).propose(serviceId1, 1, UpdateGovernance, governance(60, 0, 50, 0))
+      ).to.be.revertedWith("Invalid governance parameters");
+      await expect(
+        subscriptionVoting.connect(user1).propose(serviceId1, 1, UpdateGovernance, governance(3600, 0, 40, 0))
+      ).to.be.revertedWith("Invalid governance parameters");
 
-      // Decrypt the credentials
-      const decryptedData = decryptWithPrivateKey(
-        keyPairs[user1.address].privateKey,
-        retrievedData
-      );
+      // Two hour votes, one hour cooldown, everybody has to take part
+      await subscriptionVoting.connect(user1).propose(serviceId1, 1, UpdateGovernance, governance(7200, 3600, 50, 100));
+      for (const user of [user1, user2, user3]) {
+        await subscriptionVoting.connect(user).voteOnProposal(1, true);
+      }
+      await expect(subscriptionVoting.executeProposal(1))
+        .to.emit(subscriptionVoting, "GovernanceParamsUpdated")
+        .withArgs(serviceId1, 1, 7200, 3600, 50, 100);
 
-      // Verify credentials were correctly stored and retrieved
-      const decryptedCredentials = JSON.parse(decryptedData);
-      expect(decryptedCredentials.username).to.equal(apiCredentials.username);
-      expect(decryptedCredentials.password).to.equal(apiCredentials.password);
-      expect(decryptedCredentials.apiKey).to.equal(apiCredentials.apiKey);
-      expect(decryptedCredentials.endpoint).to.equal(apiCredentials.endpoint);
+      // The cooldown of the account applies to the next proposal
+      await hre.ethers.provider.send("evm_increaseTime", [3601]);
+      await hre.ethers.provider.send("evm_mine");
+      await subscriptionVoting.connect(user1).propose(serviceId1, 1, Kick, kick(user5));
+      const proposal = await subscriptionVoting.getProposal(2);
+      const latestBlock = await hre.ethers.provider.getBlock("latest");
+      expect(proposal.endTime).to.equal(latestBlock.timestamp + 7200);
+
+      // Three yes votes are a majority but miss the quorum until the last member votes
+      for (const user of [user1, user2, user3]) {
+        await subscriptionVoting.connect(user).voteOnProposal(2, true);
+      }
+      expect(await subscriptionVoting.canExecute(2)).to.deep.equal([false, false]);
+      await subscriptionVoting.connect(user4).voteOnProposal(2, false);
+      await expect(subscriptionVoting.executeProposal(2))
+        .to.emit(subscriptionVoting, "ProposalExecuted")
+        .withArgs(2, serviceId1, 1, user5.address, true);
     });
   });
 
-  // Security tests for reentrancy
-  describe("Security: Reentrancy", function () {
-    let attackerContract;
+  describe("Signed Ballots", function () {
+    const coder = hre.ethers.AbiCoder.defaultAbiCoder();
 
     beforeEach(async function () {
-      // Deploy the attacker contract
-      const ReentrancyAttack = await hre.ethers.getContractFactory(
-        "ReentrancyAttack"
-      );
-      attackerContract = await ReentrancyAttack.connect(owner).deploy(
-        await sharedSubscriptionToken.getAddress()
-      );
-      await attackerContract.waitForDeployment();
+      // User1, User2 and User3 share account 1, User1 proposes to kick User3
+      for (const user of [user1, user2, user3]) {
+        await sharedSubscriptionToken.connect(user).buyTokens(1, { value: tokenPrice });
+        await sharedSubscriptionToken
+          .connect(user)
+          .subscribe(serviceId1, standardTier, { value: user === user1 ? serviceCost : 0 });
+      }
+      await subscriptionVoting.connect(user1).proposeToKickUser(serviceId1, 1, user3.address);
     });
 
-    it("Should prevent reentrancy on buyTokens", async function () {
-      // Attack amount - we'll send this to the attacker contract
-      const attackAmount = tokenPrice * BigInt(5);
+    it("Should record a ballot submitted by someone else", async function () {
+      const ballot = await signBallot(subscriptionVoting, user2, { proposalId: 1, support: true });
 
-      // Launch the attack
-      await attackerContract.connect(owner).attack({ value: attackAmount });
+      // The owner relays the ballot and pays the gas
+      await expect(
+        subscriptionVoting
+          .connect(owner)
+          .voteBySig(ballot.proposalId, ballot.support, ballot.voter, ballot.deadline, ballot.signature)
+      )
+        .to.emit(subscriptionVoting, "VoteCast")
+        .withArgs(1, serviceId1, 1, user2.address, true);
+      expect(await subscriptionVoting.hasVoted(1, user2.address)).to.be.true;
+      expect(await subscriptionVoting.nonces(user2.address)).to.equal(1);
 
-      // Get the attack count (how many times the reentrancy was attempted)
-      const attackCount = await attackerContract.attackCount();
-      console.log("Attack count (reentrant calls):", attackCount);
+      // The same signature cannot be used twice
+      await expect(
+        subscriptionVoting.voteBySig(ballot.proposalId, ballot.support, ballot.voter, ballot.deadline, ballot.signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should apply the same checks as a direct vote", async function () {
+      const relay = (ballot) =>
+        subscriptionVoting.voteBySig(ballot.proposalId, ballot.support, ballot.voter, ballot.deadline, ballot.signature);
+
+      await subscriptionVoting.connect(user2).voteOnProposal(1, true);
+      const again = await signBallot(subscriptionVoting, user2, { proposalId: 1, support: false });
+      await expect(relay(again)).to.be.revertedWith("Already voted");
+      const ownKick = await signBallot(subscriptionVoting, user3, { proposalId: 1, support: false });
+      await expect(relay(ownKick)).to.be.revertedWith("Cannot vote on your own kick");
+      const outsider = await signBallot(subscriptionVoting, user4, { proposalId: 1, support: true });
+      await expect(relay(outsider)).to.be.revertedWith("Not a member");
+
+      const latestBlock = await hre.ethers.provider.getBlock("latest");
+      const expired = await signBallot(subscriptionVoting, user1, {
+        proposalId: 1,
+        support: true,
+        deadline: latestBlock.timestamp - 1,
+      });
+      await expect(relay(expired)).to.be.revertedWith("Signature expired");
+
+      // A ballot signed by someone else than the claimed voter is rejected
+      const forged = await signBallot(subscriptionVoting, user4, { proposalId: 1, support: true, nonce: 0 });
+      await expect(relay({ ...forged, voter: user1.address })).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should record a batch of ballots in one transaction", async function () {
+      const ballots = [
+        await signBallot(subscriptionVoting, user1, { proposalId: 1, support: true }),
+        await signBallot(subscriptionVoting, user2, { proposalId: 1, support: true }),
+      ];
+      await subscriptionVoting.voteBySigBatch(ballots.map(({ kind, nonce, ...ballot }) => ballot));
+
+      const proposal = await subscriptionVoting.getProposal(1);
+      expect(proposal.yesVotes).to.equal(2);
+      await expect(subscriptionVoting.executeProposal(1))
+        .to.emit(subscriptionVoting, "ProposalExecuted")
+        .withArgs(1, serviceId1, 1, user3.address, true);
+    });
 
-      // If buyTokens is not vulnerable to reentrancy, there should be only
-      // one successful call and no stolen tokens
-      const stolenTokens = await attackerContract.stolenTokens();
-      console.log("Stolen tokens:", stolenTokens);
+    it("Should create a proposal signed by a member", async function () {
+      const signed = await signProposal(subscriptionVoting, user2, {
+        serviceId: serviceId1,
+        accountId: 1,
+        proposalType: "set-auto-renew",
+        action: { enabled: true },
+      });
+      await expect(
+        subscriptionVoting.proposeBySig(
+          signed.serviceId,
+          signed.accountId,
+          signed.proposalType,
+          signed.payload,
+          signed.proposer,
+          signed.deadline,
+          signed.signature
+        )
+      )
+        .to.emit(subscriptionVoting, "ProposalCreated")
+        .withArgs(2, serviceId1, 1, user2.address, hre.ethers.ZeroAddress, 2, coder.encode(["bool"], [true]));
+
+      // The cooldown of the signer applies as if they had proposed themselves
+      const again = await signProposal(subscriptionVoting, user2, {
+        serviceId: serviceId1,
+        accountId: 1,
+        proposalType: "dissolve-account",
+      });
+      await expect(
+        subscriptionVoting.proposeBySig(
+          again.serviceId,
+          again.accountId,
+          again.proposalType,
+          again.payload,
+          again.proposer,
+          again.deadline,
+          again.signature
+        )
+      ).to.be.revertedWith("Wait before proposing again");
+    });
+  });
+
+  describe("Secret Ballots", function () {
+    const SetSecretBallots = 6;
+    const revealPeriod = 60 * 60 * 6;
+    const coder = hre.ethers.AbiCoder.defaultAbiCoder();
+    let workDir, store;
+
+    async function increaseTime(seconds) {
+      await hre.ethers.provider.send("evm_increaseTime", [seconds]);
+      await hre.ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), "salts-"));
+      store = new SaltStore(path.join(workDir, "salts.json"));
 
-      // The attacker should only receive tokens for the initial legitimate call
-      expect(stolenTokens).to.equal(1);
+      // User1 to User5 share account 1 and switch to secret kick votes
+      for (const user of [user1, user2, user3, user4, user5]) {
+        await sharedSubscriptionToken.connect(user).buyTokens(1, { value: tokenPrice });
+        await sharedSubscriptionToken
+          .connect(user)
+          .subscribe(serviceId1, standardTier, { value: user === user1 ? serviceCost : 0 });
+      }
+      await subscriptionVoting
+        .connect(user1)
+        .propose(serviceId1, 1, SetSecretBallots, coder.encode(["uint256"], [revealPeriod]));
+      for (const user of [user1, user2, user3]) {
+        await subscriptionVoting.connect(user).voteOnProposal(1, true);
+      }
+      await expect(subscriptionVoting.executeProposal(1))
+        .to.emit(subscriptionVoting, "SecretBallotsUpdated")
+        .withArgs(serviceId1, 1, revealPeriod);
+
+      await subscriptionVoting.connect(user2).proposeToKickUser(serviceId1, 1, user5.address);
+    });
+
+    afterEach(function () {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it("Should reject public votes and out of bounds reveal periods", async function () {
+      await expect(subscriptionVoting.connect(user1).voteOnProposal(2, true)).to.be.revertedWith(
+        "Proposal uses secret ballots"
+      );
+      await expect(
+        subscriptionVoting.connect(user3).propose(serviceId1, 1, SetSecretBallots, coder.encode(["uint256"], [60]))
+      ).to.be.revertedWith("Invalid reveal period");
+
+      const proposal = await subscriptionVoting.getProposal(2);
+      expect(proposal.revealEndTime).to.equal(proposal.endTime + BigInt(revealPeriod));
+    });
+
+    it("Should only tally votes once revealed", async function () {
+      for (const user of [user1, user2, user3]) {
+        await expect(commitSecretVote(subscriptionVoting, user, 2, true, store))
+          .to.emit(subscriptionVoting, "VoteCommitted")
+          .withArgs(2, serviceId1, 1, user.address);
+      }
+      await commitSecretVote(subscriptionVoting, user4, 2, false, store);
+      expect((await subscriptionVoting.getProposal(2)).yesVotes).to.equal(0);
+      await expect(revealSecretVote(subscriptionVoting, user1, 2, store)).to.be.revertedWith("Not in reveal period");
+      await expect(subscriptionVoting.executeProposal(2)).to.be.revertedWithCustomError(
+        subscriptionVoting,
+        "OutcomeNotDecided"
+      );
+
+      await increaseTime(60 * 60 * 24 + 1);
+      await expect(revealSecretVote(subscriptionVoting, user1, 2, store))
+        .to.emit(subscriptionVoting, "VoteCast")
+        .withArgs(2, serviceId1, 1, user1.address, true);
+      expect(store.get(await subscriptionVoting.getAddress(), 2, user1.address)).to.be.undefined;
+      await revealSecretVote(subscriptionVoting, user2, 2, store);
+      expect(await subscriptionVoting.canExecute(2)).to.deep.equal([false, false]);
+
+      // The third yes vote settles the kick even though User4 has not revealed
+      await revealSecretVote(subscriptionVoting, user3, 2, store);
+      await expect(subscriptionVoting.executeProposal(2))
+        .to.emit(subscriptionVoting, "ProposalExecuted")
+        .withArgs(2, serviceId1, 1, user5.address, true);
+    });
+
+    it("Should count unrevealed commitments as abstentions", async function () {
+      for (const user of [user1, user2, user3]) {
+        await commitSecretVote(subscriptionVoting, user, 2, true, store);
+      }
+      await increaseTime(60 * 60 * 24 + 1);
+
+      // A reveal has to match the commitment
+      const { salt } = store.get(await subscriptionVoting.getAddress(), 2, user1.address);
+      await expect(subscriptionVoting.connect(user1).revealVote(2, false, salt)).to.be.revertedWith(
+        "Vote does not match commitment"
+      );
+      await expect(
+        subscriptionVoting.connect(user4).revealVote(2, true, hre.ethers.ZeroHash)
+      ).to.be.revertedWith("No vote to reveal");
+      await revealSecretVote(subscriptionVoting, user1, 2, store);
+      await revealSecretVote(subscriptionVoting, user2, 2, store);
+
+      await increaseTime(revealPeriod);
+      await expect(revealSecretVote(subscriptionVoting, user3, 2, store)).to.be.revertedWith("Not in reveal period");
+      await expect(subscriptionVoting.executeProposal(2))
+        .to.emit(subscriptionVoting, "ProposalExecuted")
+        .withArgs(2, serviceId1, 1, user5.address, false);
+      expect(await sharedSubscriptionToken.isMemberOfAccount(user5.address, serviceId1, 1)).to.be.true;
+    });
+
+    it("Should compute the commitment the contract expects", async function () {
+      const salt = hre.ethers.id("salt");
+      await subscriptionVoting.connect(user1).commitVote(2, voteCommitment(2, user1.address, true, salt));
+      await expect(subscriptionVoting.connect(user1).commitVote(2, hre.ethers.id("again"))).to.be.revertedWith(
+        "Already voted"
+      );
+      await increaseTime(60 * 60 * 24 + 1);
+      await expect(subscriptionVoting.connect(user1).revealVote(2, true, salt))
+        .to.emit(subscriptionVoting, "VoteCast")
+        .withArgs(2, serviceId1, 1, user1.address, true);
+    });
+  });
+
+  describe("Leaving a Subscription", function () {
+    beforeEach(async function () {
+      // User1, User2 and User3 share one account
+      for (let i = 0; i < 3; i++) {
+        const user = [user1, user2, user3][i];
+        await sharedSubscriptionToken
+          .connect(user)
+          .buyTokens(1, { value: tokenPrice });
+        await sharedSubscriptionToken
+          .connect(user)
+          .subscribe(serviceId1, standardTier, { value: i === 0 ? serviceCost : 0 });
+      }
+    });
+
+    it("Should remove the member everywhere and refund unused time", async function () {
+      const [, accountId] =
+        await sharedSubscriptionToken.getUserSubscriptionDetails(
+          user2.address,
+          serviceId1
+        );
+
+      // Leaving early refunds the value of the unused time
+      const [, expirationTime] = await sharedSubscriptionToken.subscriptionAccounts(serviceId1, accountId);
+      const leave = await sharedSubscriptionToken.connect(user2).leaveSubscription(serviceId1);
+      const refund = await unusedTimeRefund(expirationTime, leave);
+      await expect(leave)
+        .to.emit(sharedSubscriptionToken, "UserLeftSubscription")
+        .withArgs(user2.address, serviceId1, accountId, refund);
+      await expect(leave).to.changeEtherBalance(user2, refund);
+      expect(refund).to.be.closeTo(tokenPrice, tokenPrice / 100n);
+
+      expect(await sharedSubscriptionToken.balanceOf(user2.address)).to.equal(0);
+      expect(
+        await sharedSubscriptionToken.isMemberOfAccount(
+          user2.address,
+          serviceId1,
+          accountId
+        )
+      ).to.be.false;
+      expect(
+        await sharedSubscriptionToken.getSubscriptionMembers(
+          serviceId1,
+          accountId
+        )
+      ).to.not.include(user2.address);
+      expect(
+        await subscriptionServiceProvider.isSubscribed(serviceId1, user2.address)
+      ).to.be.false;
+
+      // A new token joins again
+      await sharedSubscriptionToken.connect(user2).buyTokens(1, { value: tokenPrice });
+      await sharedSubscriptionToken.connect(user2).subscribe(serviceId1, standardTier);
+      const [exists] = await sharedSubscriptionToken.getUserSubscriptionDetails(
+        user2.address,
+        serviceId1
+      );
+      expect(exists).to.be.true;
+    });
+
+    it("Should refund a partial period pro rata", async function () {
+      // Leave with 10 of the 30 days left
+      const [, expirationTime] = await sharedSubscriptionToken.subscriptionAccounts(serviceId1, 1);
+      await hre.ethers.provider.send("evm_setNextBlockTimestamp", [Number(expirationTime) - 60 * 60 * 24 * 10]);
+      await hre.ethers.provider.send("evm_mine");
+      expect(await sharedSubscriptionToken.calculateLeaveRefund(user3.address, serviceId1)).to.equal(tokenPrice / 3n);
+
+      await hre.ethers.provider.send("evm_setNextBlockTimestamp", [Number(expirationTime) - 60 * 60 * 24 * 5]);
+      const leave = await sharedSubscriptionToken.connect(user3).leaveSubscription(serviceId1);
+      await expect(leave)
+        .to.emit(sharedSubscriptionToken, "UserLeftSubscription")
+        .withArgs(user3.address, serviceId1, 1, tokenPrice / 6n);
+      await expect(leave).to.changeEtherBalance(user3, tokenPrice / 6n);
+      expect(await sharedSubscriptionToken.balanceOf(user3.address)).to.equal(0);
+    });
+
+    it("Should not refund anything once the period is over", async function () {
+      await hre.ethers.provider.send("evm_increaseTime", [standardTierDuration + 1]);
+      await hre.ethers.provider.send("evm_mine");
+
+      expect(await sharedSubscriptionToken.calculateLeaveRefund(user3.address, serviceId1)).to.equal(0);
+      const leave = await sharedSubscriptionToken.connect(user3).leaveSubscription(serviceId1);
+      await expect(leave)
+        .to.emit(sharedSubscriptionToken, "UserLeftSubscription")
+        .withArgs(user3.address, serviceId1, 1, 0);
+      await expect(leave).to.changeEtherBalance(user3, 0);
+    });
+
+    it("Should not allow leaving a service the user is not subscribed to", async function () {
+      await expect(
+        sharedSubscriptionToken.connect(user1).leaveSubscription(serviceId2)
+      ).to.be.revertedWith("Not subscribed to this service");
+    });
+
+    it("Should fail pending kick proposals against a member who left", async function () {
+      await subscriptionVoting
+        .connect(user1)
+        .proposeToKickUser(serviceId1, 1, user3.address);
+      await subscriptionVoting.connect(user1).voteOnProposal(1, true);
+      await subscriptionVoting.connect(user2).voteOnProposal(1, true);
+
+      await sharedSubscriptionToken.connect(user3).leaveSubscription(serviceId1);
+
+      await hre.ethers.provider.send("evm_increaseTime", [60 * 60 * 25]);
+      await hre.ethers.provider.send("evm_mine");
+
+      await expect(subscriptionVoting.connect(user1).executeProposal(1))
+        .to.emit(subscriptionVoting, "ProposalExecuted")
+        .withArgs(1, serviceId1, 1, user3.address, false);
+    });
+  });
+
+  describe("Payment Escrow", function () {
+    let share;
+
+    beforeEach(async function () {
+      for (let i = 0; i < 3; i++) {
+        const user = [user1, user2, user3][i];
+        await sharedSubscriptionToken
+          .connect(user)
+          .buyTokens(2, { value: tokenPrice * BigInt(2) });
+        await sharedSubscriptionToken
+          .connect(user)
+          .subscribe(serviceId1, standardTier, { value: i === 0 ? serviceCost : 0 });
+      }
+      [, share] = await sharedSubscriptionToken.getMemberEscrow(
+        user1.address,
+        serviceId1
+      );
+    });
+
+    it("Should require the creator to deposit the first period", async function () {
+      await sharedSubscriptionToken
+        .connect(user4)
+        .buyTokens(1, { value: tokenPrice });
+      await expect(
+        sharedSubscriptionToken
+          .connect(user4)
+          .subscribe(serviceId2, standardTier, { value: serviceCost - 1n })
+      ).to.be.revertedWith("Escrow does not cover the service cost");
+
+      // The first period was paid out of the creator's deposit
+      expect(await sharedSubscriptionToken.accountEscrow(serviceId1, 1)).to.equal(0);
+      expect(await sharedSubscriptionToken.totalEscrowed()).to.equal(0);
+    });
+
+    it("Should only renew once every member has deposited their share", async function () {
+      expect(share).to.equal((serviceCost + 2n) / 3n);
+      expect(
+        await sharedSubscriptionToken.getAccountEscrowShortfall(serviceId1, 1)
+      ).to.equal(share * 3n);
+
+      // Two days before expiry, within the renewal window
+      await hre.ethers.provider.send("evm_increaseTime", [standardTierDuration - 60 * 60 * 24 * 2]);
+      await hre.ethers.provider.send("evm_mine");
+      await sharedSubscriptionToken
+        .connect(user2)
+        .depositToEscrow(serviceId1, { value: share });
+      await expect(
+        sharedSubscriptionToken
+          .connect(user1)
+          .renewSubscription(serviceId1, { value: share })
+      ).to.be.revertedWith("Escrow does not cover the service cost");
+
+      const [deposit, , shortfall] = await sharedSubscriptionToken.getMemberEscrow(
+        user3.address,
+        serviceId1
+      );
+      expect(deposit).to.equal(0);
+      expect(shortfall).to.equal(share);
+
+      await sharedSubscriptionToken
+        .connect(user3)
+        .depositToEscrow(serviceId1, { value: share });
+      const providerAddress = await subscriptionServiceProvider.getAddress();
+      const providerBalance = await hre.ethers.provider.getBalance(providerAddress);
+
+      await expect(
+        sharedSubscriptionToken
+          .connect(user1)
+          .renewSubscription(serviceId1, { value: share })
+      )
+        .to.emit(sharedSubscriptionToken, "EscrowCharged")
+        .withArgs(serviceId1, 1, 3, share);
+
+      expect(await hre.ethers.provider.getBalance(providerAddress)).to.equal(
+        providerBalance + share * 3n
+      );
+      expect(await sharedSubscriptionToken.accountEscrow(serviceId1, 1)).to.equal(0);
+    });
+
+    it("Should only refund a renewed period to the member whose token paid for it", async function () {
+      await hre.ethers.provider.send("evm_increaseTime", [standardTierDuration + 1]);
+      await hre.ethers.provider.send("evm_mine");
+      for (const user of [user2, user3]) {
+        await sharedSubscriptionToken.connect(user).depositToEscrow(serviceId1, { value: share });
+      }
+      await sharedSubscriptionToken.connect(user1).renewSubscription(serviceId1, { value: share });
+
+      // User2 spent no token on the new period
+      expect(await sharedSubscriptionToken.calculateLeaveRefund(user2.address, serviceId1)).to.equal(0);
+      const leave = await sharedSubscriptionToken.connect(user2).leaveSubscription(serviceId1);
+      await expect(leave)
+        .to.emit(sharedSubscriptionToken, "UserLeftSubscription")
+        .withArgs(user2.address, serviceId1, 1, 0);
+      await expect(leave).to.changeEtherBalance(user2, 0);
+
+      const [, expirationTime] = await sharedSubscriptionToken.subscriptionAccounts(serviceId1, 1);
+      const renewerLeave = await sharedSubscriptionToken.connect(user1).leaveSubscription(serviceId1);
+      const refund = await unusedTimeRefund(expirationTime, renewerLeave);
+      await expect(renewerLeave).to.changeEtherBalance(user1, refund);
+      expect(refund).to.be.closeTo(tokenPrice, tokenPrice / 100n);
+    });
+
+    it("Should refund surpluses and the deposits of removed members", async function () {
+      await sharedSubscriptionToken
+        .connect(user2)
+        .depositToEscrow(serviceId1, { value: share * 3n });
+      await sharedSubscriptionToken
+        .connect(user3)
+        .depositToEscrow(serviceId1, { value: share });
+
+      // Only the part above the next share can be withdrawn
+      await expect(
+        sharedSubscriptionToken.connect(user2).withdrawEscrowSurplus(serviceId1)
+      ).to.changeEtherBalance(user2, share * 2n);
+      await expect(
+        sharedSubscriptionToken.connect(user3).withdrawEscrowSurplus(serviceId1)
+      ).to.be.revertedWith("No surplus to withdraw");
+
+      // Leaving pays back the whole deposit along with the unused time
+      const [, expirationTime] = await sharedSubscriptionToken.subscriptionAccounts(serviceId1, 1);
+      const leave = await sharedSubscriptionToken.connect(user2).leaveSubscription(serviceId1);
+      await expect(leave).to.changeEtherBalance(
+        user2,
+        share + (await unusedTimeRefund(expirationTime, leave))
+      );
+
+      // A kicked member withdraws their deposit themselves
+      await subscriptionVoting
+        .connect(user1)
+        .proposeToKickUser(serviceId1, 1, user3.address);
+      await subscriptionVoting.connect(user1).voteOnProposal(1, true);
+      await hre.ethers.provider.send("evm_increaseTime", [60 * 60 * 25]);
+      await hre.ethers.provider.send("evm_mine");
+      await subscriptionVoting.connect(user1).executeProposal(1);
+
+      expect(
+        await sharedSubscriptionToken.pendingEscrowRefunds(user3.address)
+      ).to.equal(share);
+      await expect(
+        sharedSubscriptionToken.connect(user3).withdrawEscrowRefund()
+      ).to.changeEtherBalance(user3, share);
+      expect(await sharedSubscriptionToken.totalEscrowed()).to.equal(0);
+    });
+
+    it("Should not let the owner withdraw escrowed funds", async function () {
+      await sharedSubscriptionToken
+        .connect(user2)
+        .depositToEscrow(serviceId1, { value: share });
+
+      const contractAddress = await sharedSubscriptionToken.getAddress();
+      await sharedSubscriptionToken.connect(owner).withdrawFunds();
+
+      // The price of the three tokens not spent yet stays in the token reserve
+      expect(await hre.ethers.provider.getBalance(contractAddress)).to.equal(share + tokenPrice * 3n);
+      expect(await sharedSubscriptionToken.totalEscrowed()).to.equal(share);
+    });
+  });
+
+  describe("Auto-Renewal", function () {
+    const keeperReward = hre.ethers.parseEther("0.001");
+    const day = 60 * 60 * 24;
+    let share;
+
+    beforeEach(async function () {
+      for (let i = 0; i < 2; i++) {
+        const user = [user1, user2][i];
+        await sharedSubscriptionToken
+          .connect(user)
+          .buyTokens(1, { value: tokenPrice });
+        await sharedSubscriptionToken
+          .connect(user)
+          .subscribe(serviceId1, standardTier, { value: i === 0 ? serviceCost : 0 });
+        await sharedSubscriptionToken.connect(user).setAutoRenew(serviceId1, true);
+      }
+      [, share] = await sharedSubscriptionToken.getMemberEscrow(
+        user1.address,
+        serviceId1
+      );
+      expect(share).to.equal(serviceCost / 2n + keeperReward / 2n);
+      for (const user of [user1, user2]) {
+        await sharedSubscriptionToken
+          .connect(user)
+          .depositToEscrow(serviceId1, { value: share });
+      }
+    });
+
+    it("Should let anyone renew a due account and pay the keeper", async function () {
+      await expect(
+        sharedSubscriptionToken.connect(user6).autoRenew(serviceId1, 1)
+      ).to.be.revertedWith("Account is not due for renewal");
+      expect(
+        await sharedSubscriptionToken.getAutoRenewableAccounts(serviceId1)
+      ).to.deep.equal([]);
+
+      await hre.ethers.provider.send("evm_increaseTime", [28 * day]);
+      await hre.ethers.provider.send("evm_mine");
+      expect(
+        await sharedSubscriptionToken.getAutoRenewableAccounts(serviceId1)
+      ).to.deep.equal([1n]);
+
+      const [, expirationTime] = await sharedSubscriptionToken.subscriptionAccounts(
+        serviceId1,
+        1
+      );
+      const tx = sharedSubscriptionToken.connect(user6).autoRenew(serviceId1, 1);
+      await expect(tx).to.changeEtherBalance(user6, keeperReward);
+      await expect(tx)
+        .to.emit(sharedSubscriptionToken, "SubscriptionAutoRenewed")
+        .withArgs(
+          serviceId1,
+          1,
+          user6.address,
+          keeperReward,
+          expirationTime + BigInt(30 * day)
+        );
+
+      expect(await sharedSubscriptionToken.accountEscrow(serviceId1, 1)).to.equal(0);
+      expect(await sharedSubscriptionToken.canAutoRenew(serviceId1, 1)).to.be.false;
+    });
+
+    it("Should not refund an auto-renewed period no token paid for", async function () {
+      await hre.ethers.provider.send("evm_increaseTime", [28 * day]);
+      await hre.ethers.provider.send("evm_mine");
+      const [, expirationTime] = await sharedSubscriptionToken.subscriptionAccounts(serviceId1, 1);
+      await sharedSubscriptionToken.connect(user6).autoRenew(serviceId1, 1);
+
+      // Only the two days left of the period the member's token paid for are refunded
+      const leave = await sharedSubscriptionToken.connect(user2).leaveSubscription(serviceId1);
+      const refund = await unusedTimeRefund(expirationTime, leave);
+      expect(refund).to.be.closeTo((tokenPrice * 2n) / 30n, tokenPrice / 100n);
+      await expect(leave).to.changeEtherBalance(user2, refund);
+    });
+
+    it("Should not renew unless every member opted in", async function () {
+      await sharedSubscriptionToken.connect(user2).setAutoRenew(serviceId1, false);
+      await hre.ethers.provider.send("evm_increaseTime", [29 * day]);
+      await hre.ethers.provider.send("evm_mine");
+
+      expect(await sharedSubscriptionToken.canAutoRenew(serviceId1, 1)).to.be.false;
+      await expect(
+        sharedSubscriptionToken.connect(user6).autoRenew(serviceId1, 1)
+      ).to.be.revertedWith("Not all members opted in to auto-renewal");
+    });
+
+    it("Should not renew an account whose escrow is short", async function () {
+      await sharedSubscriptionToken
+        .connect(user3)
+        .buyTokens(1, { value: tokenPrice });
+      await sharedSubscriptionToken.connect(user3).subscribe(serviceId1, standardTier);
+      await sharedSubscriptionToken.connect(user3).setAutoRenew(serviceId1, true);
+      await hre.ethers.provider.send("evm_increaseTime", [29 * day]);
+      await hre.ethers.provider.send("evm_mine");
+
+      expect(await sharedSubscriptionToken.canAutoRenew(serviceId1, 1)).to.be.false;
+      await expect(
+        sharedSubscriptionToken.connect(user6).autoRenew(serviceId1, 1)
+      ).to.be.revertedWith("Escrow does not cover the service cost");
+    });
+  });
+
+  // New tests for subscription service provider
+  describe("SubscriptionServiceProvider", function () {
+    beforeEach(async function () {
+      // User1 buys tokens and subscribes
+      await sharedSubscriptionToken
+        .connect(user1)
+        .buyTokens(1, { value: tokenPrice });
+      await sharedSubscriptionToken
+        .connect(user1)
+        .subscribe(serviceId1, standardTier, { value: serviceCost });
+    });
+
+    it("Should process payments correctly", async function () {
+      // Check that the payment was received by the service provider
+      const providerBalance = await hre.ethers.provider.getBalance(
+        await subscriptionServiceProvider.getAddress()
+      );
+      expect(providerBalance).to.equal(serviceCost);
+    });
+
+    it("Should allow service provider to withdraw funds", async function () {
+      const initialPaymentReceiverBalance =
+        await hre.ethers.provider.getBalance(owner.address);
+
+      // Withdraw funds from service provider
+      const tx = await subscriptionServiceProvider
+        .connect(owner)
+        .withdrawFunds();
+      const receipt = await tx.wait();
+      const gasUsed = receipt.gasUsed * receipt.gasPrice;
+
+      // Check balances after withdrawal
+      const finalProviderBalance = await hre.ethers.provider.getBalance(
+        await subscriptionServiceProvider.getAddress()
+      );
+      const finalPaymentReceiverBalance = await hre.ethers.provider.getBalance(
+        owner.address
+      );
+
+      expect(finalProviderBalance).to.equal(0);
+      expect(finalPaymentReceiverBalance).to.be.closeTo(
+        initialPaymentReceiverBalance + serviceCost - gasUsed,
+        hre.ethers.parseEther("0.0001") // Allow for small gas calculation differences
+      );
+    });
+
+    it("Should allow updating service costs", async function () {
+      const newCost = hre.ethers.parseEther("15"); // 15 ETH
+
+      // Update the cost
+      await subscriptionServiceProvider
+        .connect(owner)
+        .updateServiceCost(serviceId1, newCost);
+
+      // Get the updated service details
+      const serviceDetails =
+        await subscriptionServiceProvider.getServiceDetails(serviceId1);
+      const updatedCost = serviceDetails[1]; // cost is the second item in the tuple
+
+      expect(updatedCost).to.equal(newCost);
+    });
+
+    it("Should allow setting a different payment receiver", async function () {
+      // Set user6 as the payment receiver
+      await subscriptionServiceProvider
+        .connect(owner)
+        .setPaymentReceiver(user6.address);
+
+      // Verify the payment receiver was updated
+      const newPaymentReceiver =
+        await subscriptionServiceProvider.paymentReceiver();
+      expect(newPaymentReceiver).to.equal(user6.address);
+
+      // Subscribe with a new user to generate payments
+      await sharedSubscriptionToken
+        .connect(user2)
+        .buyTokens(1, { value: tokenPrice });
+
+      const initialUser6Balance = await hre.ethers.provider.getBalance(
+        user6.address
+      );
+
+      // User2 subscribes to serviceId2, which will send payment to the provider
+      await sharedSubscriptionToken
+        .connect(user2)
+        .subscribe(serviceId2, standardTier, { value: serviceCost });
+
+      // Now withdraw funds to user6
+      await subscriptionServiceProvider.connect(owner).withdrawFunds();
+
+      // Check the final balance - there should be the sum of serviceCosts in the balance now
+      const finalUser6Balance = await hre.ethers.provider.getBalance(
+        user6.address
+      );
+
+      // Check that the total service cost (20 ETH) was transferred
+      expect(finalUser6Balance - initialUser6Balance).to.equal(
+        serviceCost * BigInt(2)
+      );
+    });
+
+    it("Should handle API credentials management", async function () {
+      // Generate key pair for test user
+      keyPairs[user1.address] = generateKeyPair();
+
+      // User1 registers their public key
+      await sharedSubscriptionToken
+        .connect(user1)
+        .registerPublicKey(keyPairs[user1.address].publicKey);
+
+      // Mock API credentials with endpoint information
+      const apiCredentials = {
+        username: "user123",
+        password: "pass456",
+        apiKey: "sk_live_testKey1234567890",
+        endpoint: "https://api.netflix.example.com/v1/stream",
+      };
+
+      // Encrypt credentials
+      const credentialsString = JSON.stringify(apiCredentials);
+      const encryptedData = encryptCredentials(
+        keyPairs[user1.address].publicKey,
+        credentialsString
+      );
+
+      // Store credentials
+      await sharedSubscriptionToken
+        .connect(owner)
+        .storeEncryptedCredentials(user1.address, serviceId1, encryptedData);
+
+      // Retrieve credentials
+      const retrievedData = await sharedSubscriptionToken
+        .connect(user1)
+        .getEncryptedCredentials(serviceId1);
+
+      // Decrypt the credentials
+      const decryptedData = decryptCredentials(
+        keyPairs[user1.address].privateKey,
+        retrievedData
+      );
+
+      // Verify credentials were correctly stored and retrieved
+      const decryptedCredentials = JSON.parse(decryptedData);
+      expect(decryptedCredentials.username).to.equal(apiCredentials.username);
+      expect(decryptedCredentials.password).to.equal(apiCredentials.password);
+      expect(decryptedCredentials.apiKey).to.equal(apiCredentials.apiKey);
+      expect(decryptedCredentials.endpoint).to.equal(apiCredentials.endpoint);
+    });
+  });
+
+  describe("Service Lifecycle", function () {
+    const Status = { Active: 0, Paused: 1, Retired: 2 };
+
+    beforeEach(async function () {
+      for (let i = 0; i < 2; i++) {
+        const user = [user1, user2][i];
+        await sharedSubscriptionToken
+          .connect(user)
+          .buyTokens(2, { value: tokenPrice * BigInt(2) });
+        await sharedSubscriptionToken
+          .connect(user)
+          .subscribe(serviceId1, standardTier, { value: i === 0 ? serviceCost : 0 });
+      }
+    });
+
+    it("Should update metadata and enumerate the catalog", async function () {
+      await expect(
+        subscriptionServiceProvider
+          .connect(owner)
+          .updateServiceMetadata(serviceId1, "NFLX2", "https://api2.netflix.example.com")
+      )
+        .to.emit(subscriptionServiceProvider, "ServiceMetadataUpdated")
+        .withArgs(serviceId1, "NFLX2", "https://api2.netflix.example.com");
+      await expect(
+        subscriptionServiceProvider.connect(owner).updateServiceCost(serviceId1, 1)
+      )
+        .to.emit(subscriptionServiceProvider, "ServiceCostUpdated")
+        .withArgs(serviceId1, 1);
+
+      const [, cost, symbol, apiEndpoint] =
+        await subscriptionServiceProvider.getServiceDetails(serviceId1);
+      expect([cost, symbol, apiEndpoint]).to.deep.equal([
+        1n,
+        "NFLX2",
+        "https://api2.netflix.example.com",
+      ]);
+      expect(await subscriptionServiceProvider.getServiceIds()).to.deep.equal([
+        BigInt(serviceId1),
+        BigInt(serviceId2),
+      ]);
+
+      await expect(
+        subscriptionServiceProvider
+          .connect(user1)
+          .updateServiceMetadata(serviceId1, "X", "Y")
+      ).to.be.revertedWithCustomError(subscriptionServiceProvider, "Unauthorized");
+      await expect(
+        subscriptionServiceProvider.connect(owner).updateServiceMetadata(99, "X", "Y")
+      ).to.be.revertedWithCustomError(subscriptionServiceProvider, "ServiceNotFound");
+    });
+
+    it("Should only let existing accounts grow and renew while paused", async function () {
+      await expect(subscriptionServiceProvider.connect(owner).pauseService(serviceId1))
+        .to.emit(subscriptionServiceProvider, "ServiceStatusChanged")
+        .withArgs(serviceId1, Status.Paused);
+
+      // Joining the account with free seats still works
+      await sharedSubscriptionToken
+        .connect(user3)
+        .buyTokens(1, { value: tokenPrice });
+      await sharedSubscriptionToken.connect(user3).subscribe(serviceId1, standardTier);
+
+      // A full service cannot get a new account
+      await subscriptionServiceProvider
+        .connect(owner)
+        .setTier(serviceId1, standardTier, "Standard", serviceCost, 3, standardTierDuration);
+      await sharedSubscriptionToken
+        .connect(user4)
+        .buyTokens(1, { value: tokenPrice });
+      await expect(
+        sharedSubscriptionToken
+          .connect(user4)
+          .subscribe(serviceId1, standardTier, { value: serviceCost })
+      ).to.be.revertedWith("Service is paused");
+
+      const [, share] = await sharedSubscriptionToken.getMemberEscrow(
+        user1.address,
+        serviceId1
+      );
+      for (const user of [user2, user3]) {
+        await sharedSubscriptionToken
+          .connect(user)
+          .depositToEscrow(serviceId1, { value: share });
+      }
+      await hre.ethers.provider.send("evm_increaseTime", [standardTierDuration]);
+      await hre.ethers.provider.send("evm_mine");
+      await expect(
+        sharedSubscriptionToken
+          .connect(user1)
+          .renewSubscription(serviceId1, { value: share })
+      ).to.emit(sharedSubscriptionToken, "SubscriptionRenewed");
+
+      await subscriptionServiceProvider.connect(owner).resumeService(serviceId1);
+      await sharedSubscriptionToken
+        .connect(user4)
+        .subscribe(serviceId1, standardTier, { value: serviceCost });
+    });
+
+    it("Should wind down the accounts of a retired service with refunds", async function () {
+      await sharedSubscriptionToken
+        .connect(user2)
+        .depositToEscrow(serviceId1, { value: serviceCost / 2n });
+      await expect(
+        sharedSubscriptionToken.connect(user6).windDownAccount(serviceId1, 1)
+      ).to.be.revertedWith("Service is not retired");
+
+      await subscriptionServiceProvider.connect(owner).retireService(serviceId1);
+      await expect(
+        subscriptionServiceProvider.connect(owner).resumeService(serviceId1)
+      ).to.be.revertedWithCustomError(subscriptionServiceProvider, "ServiceIsRetired");
+      await expect(
+        sharedSubscriptionToken
+          .connect(user1)
+          .renewSubscription(serviceId1, { value: serviceCost })
+      ).to.be.revertedWith("Service is retired");
+      await expect(
+        sharedSubscriptionToken.connect(user3).subscribe(serviceId1, standardTier)
+      ).to.be.revertedWith("Service is retired");
+
+      const [, expirationTime] = await sharedSubscriptionToken.subscriptionAccounts(serviceId1, 1);
+      const windDown = await sharedSubscriptionToken.connect(user6).windDownAccount(serviceId1, 1);
+      const refund = await unusedTimeRefund(expirationTime, windDown);
+      await expect(windDown)
+        .to.emit(sharedSubscriptionToken, "AccountWoundDown")
+        .withArgs(serviceId1, 1, 2, refund * 2n);
+      expect(refund).to.be.greaterThan(0);
+
+      expect(
+        await sharedSubscriptionToken.getSubscriptionMembers(serviceId1, 1)
+      ).to.deep.equal([]);
+      expect(await sharedSubscriptionToken.balanceOf(user1.address)).to.equal(1);
+      expect(await sharedSubscriptionToken.balanceOf(user2.address)).to.equal(1);
+      // Each member gets the unused time back, and the deposit if they made one
+      expect(await sharedSubscriptionToken.pendingEscrowRefunds(user1.address)).to.equal(refund);
+      await expect(
+        sharedSubscriptionToken.connect(user2).withdrawEscrowRefund()
+      ).to.changeEtherBalance(user2, serviceCost / 2n + refund);
+    });
+  });
+
+  describe("Plan Tiers", function () {
+    const duoTier = 1;
+    const duoCost = hre.ethers.parseEther("4");
+    const duoDuration = 60 * 60 * 24 * 7;
+
+    beforeEach(async function () {
+      await subscriptionServiceProvider
+        .connect(owner)
+        .setTier(serviceId1, duoTier, "Duo", duoCost, 2, duoDuration);
+      for (const user of [user1, user2, user3, user4]) {
+        await sharedSubscriptionToken
+          .connect(user)
+          .buyTokens(2, { value: tokenPrice * BigInt(2) });
+      }
+    });
+
+    it("Should manage tiers in the provider catalog", async function () {
+      expect(await subscriptionServiceProvider.getTierIds(serviceId1)).to.deep.equal([
+        BigInt(standardTier),
+        BigInt(duoTier),
+      ]);
+      const [exists, name, cost, maxSeats, duration] =
+        await subscriptionServiceProvider.getTierDetails(serviceId1, duoTier);
+      expect([exists, name, cost, maxSeats, duration]).to.deep.equal([
+        true,
+        "Duo",
+        duoCost,
+        2n,
+        BigInt(duoDuration),
+      ]);
+
+      // The standard tier and the service cost stay in sync
+      await expect(subscriptionServiceProvider.connect(owner).updateServiceCost(serviceId1, 1))
+        .to.emit(subscriptionServiceProvider, "TierUpdated")
+        .withArgs(serviceId1, standardTier, "Standard", 1, 5, standardTierDuration);
+      expect((await subscriptionServiceProvider.getTierDetails(serviceId1, standardTier))[2]).to.equal(1);
+
+      await expect(
+        subscriptionServiceProvider
+          .connect(owner)
+          .setTier(serviceId1, 2, "Empty", duoCost, 0, duoDuration)
+      ).to.be.revertedWithCustomError(subscriptionServiceProvider, "InvalidTier");
+      await expect(
+        subscriptionServiceProvider
+          .connect(user1)
+          .setTier(serviceId1, 2, "Family", duoCost, 6, duoDuration)
+      ).to.be.revertedWithCustomError(subscriptionServiceProvider, "Unauthorized");
+    });
+
+    it("Should only group users on the same tier, up to its seats", async function () {
+      await sharedSubscriptionToken
+        .connect(user1)
+        .subscribe(serviceId1, standardTier, { value: serviceCost });
+      await expect(
+        sharedSubscriptionToken
+          .connect(user2)
+          .subscribe(serviceId1, duoTier, { value: duoCost })
+      )
+        .to.emit(sharedSubscriptionToken, "SubscriptionAccountCreated")
+        .withArgs(serviceId1, 2, duoTier);
+      await sharedSubscriptionToken.connect(user3).subscribe(serviceId1, duoTier);
+      // The duo account is full, so a third duo member gets a new account
+      await sharedSubscriptionToken
+        .connect(user4)
+        .subscribe(serviceId1, duoTier, { value: duoCost });
+
+      const accountOf = async (user) =>
+        (await sharedSubscriptionToken.getUserSubscriptionDetails(user.address, serviceId1))[1];
+      expect(await accountOf(user1)).to.equal(1);
+      expect(await accountOf(user2)).to.equal(2);
+      expect(await accountOf(user3)).to.equal(2);
+      expect(await accountOf(user4)).to.equal(3);
+
+      await expect(
+        sharedSubscriptionToken.connect(user1).subscribe(serviceId2, 9)
+      ).to.be.revertedWith("Tier does not exist");
+    });
+
+    it("Should charge and extend renewals by the tier's terms", async function () {
+      await sharedSubscriptionToken
+        .connect(user1)
+        .subscribe(serviceId1, duoTier, { value: duoCost });
+      const [, createdExpiration] = await sharedSubscriptionToken.subscriptionAccounts(
+        serviceId1,
+        1
+      );
+      const createdAt = (await hre.ethers.provider.getBlock("latest")).timestamp;
+      expect(createdExpiration).to.equal(createdAt + duoDuration);
+
+      await hre.ethers.provider.send("evm_increaseTime", [duoDuration - 60 * 60 * 24]);
+      await hre.ethers.provider.send("evm_mine");
+      await expect(
+        sharedSubscriptionToken
+          .connect(user1)
+          .renewSubscription(serviceId1, { value: duoCost })
+      ).to.changeEtherBalance(subscriptionServiceProvider, duoCost);
+      const [, renewedExpiration] = await sharedSubscriptionToken.subscriptionAccounts(
+        serviceId1,
+        1
+      );
+      expect(renewedExpiration).to.equal(createdExpiration + BigInt(duoDuration));
+    });
+  });
+
+  describe("Account Housekeeping", function () {
+    const duoTier = 1;
+    const duoCost = hre.ethers.parseEther("4");
+
+    async function advanceDays(days) {
+      await hre.ethers.provider.send("evm_increaseTime", [60 * 60 * 24 * days]);
+      await hre.ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      await subscriptionServiceProvider
+        .connect(owner)
+        .setTier(serviceId1, duoTier, "Duo", duoCost, 2, standardTierDuration);
+      for (const user of [user1, user2, user3, user4]) {
+        await sharedSubscriptionToken.connect(user).buyTokens(1, { value: tokenPrice });
+      }
+
+      // User1 and User2 fill account 1, User3 gets account 2, then User2 leaves
+      for (const user of [user1, user2, user3]) {
+        const value = user === user2 ? 0 : duoCost;
+        await sharedSubscriptionToken.connect(user).subscribe(serviceId1, duoTier, { value });
+      }
+      await sharedSubscriptionToken.connect(user2).leaveSubscription(serviceId1);
+    });
+
+    it("Should prune empty and long expired accounts", async function () {
+      await sharedSubscriptionToken.connect(user1).leaveSubscription(serviceId1);
+      await sharedSubscriptionToken.connect(user3).depositToEscrow(serviceId1, { value: duoCost });
+      expect(await tokenExtension.getPrunableAccounts(serviceId1)).to.deep.equal([1n]);
+
+      // Account 2 can still be renewed during the grace period
+      await advanceDays(30 + 6);
+      expect(await tokenExtension.isPrunable(serviceId1, 2)).to.be.false;
+      await advanceDays(2);
+
+      await expect(tokenExtension.connect(user4).pruneAccounts(serviceId1, [1, 2, 3]))
+        .to.emit(tokenExtension, "AccountPruned")
+        .withArgs(serviceId1, 1, 0)
+        .and.to.emit(tokenExtension, "AccountPruned")
+        .withArgs(serviceId1, 2, 1);
+      await expect(sharedSubscriptionToken.activeSubscriptionsByService(serviceId1, 0)).to.be.reverted;
+
+      // User3 is free to subscribe again and gets the deposit back
+      expect(await sharedSubscriptionToken.isSubscriptionActive(user3.address, serviceId1)).to.be.false;
+      expect(await sharedSubscriptionToken.pendingEscrowRefunds(user3.address)).to.equal(duoCost);
+      expect(await tokenExtension.getPrunableAccounts(serviceId1)).to.be.empty;
+    });
+
+    it("Should merge two underfilled accounts once every member agreed", async function () {
+      const deposit = hre.ethers.parseEther("1");
+      await sharedSubscriptionToken.connect(user1).depositToEscrow(serviceId1, { value: deposit });
+      await tokenExtension.connect(user1).setMergeConsent(serviceId1, true);
+      await expect(tokenExtension.mergeAccounts(serviceId1, 1, 2)).to.be.revertedWith("Not every member agreed");
+      await expect(tokenExtension.connect(user3).setMergeConsent(serviceId1, true))
+        .to.emit(tokenExtension, "MergeConsentUpdated")
+        .withArgs(user3.address, serviceId1, true);
+
+      // Account 2 is renewed and expires later, so User1 moves there with the time their token paid for
+      await advanceDays(28);
+      await sharedSubscriptionToken.connect(user3).buyTokens(1, { value: tokenPrice });
+      await sharedSubscriptionToken.connect(user3).renewSubscription(serviceId1, { value: duoCost });
+      const { expirationTime, periodDuration } = await sharedSubscriptionToken.subscriptionAccounts(serviceId1, 1);
+      const keptDeposit = await sharedSubscriptionToken.escrowDeposits(serviceId1, 2, user3.address);
+
+      const merge = await tokenExtension.mergeAccounts(serviceId1, 1, 2);
+      await expect(merge)
+        .to.emit(tokenExtension, "MemberMoved")
+        .withArgs(user1.address, serviceId1, 1, 2)
+        .and.to.emit(tokenExtension, "UserAddedToSubscription")
+        .withArgs(user1.address, serviceId1, 2)
+        .and.to.emit(tokenExtension, "AccountsMerged")
+        .withArgs(serviceId1, 1, 2, 1);
+      await expect(merge)
+        .to.emit(tokenExtension, "MergeConsentUpdated")
+        .withArgs(user1.address, serviceId1, false)
+        .and.to.emit(tokenExtension, "MergeConsentUpdated")
+        .withArgs(user3.address, serviceId1, false);
+      expect(await sharedSubscriptionToken.mergeConsent(user1.address, serviceId1)).to.be.false;
+      expect(await sharedSubscriptionToken.mergeConsent(user3.address, serviceId1)).to.be.false;
+
+      expect(await sharedSubscriptionToken.getSubscriptionMembers(serviceId1, 2)).to.deep.equal([
+        user3.address,
+        user1.address,
+      ]);
+      expect(await sharedSubscriptionToken.getSubscriptionMembers(serviceId1, 1)).to.be.empty;
+      const [, accountId] = await sharedSubscriptionToken.getUserSubscriptionDetails(user1.address, serviceId1);
+      expect(accountId).to.equal(2);
+      expect(await sharedSubscriptionToken.escrowDeposits(serviceId1, 2, user1.address)).to.equal(deposit);
+      expect(await sharedSubscriptionToken.escrowDeposits(serviceId1, 2, user3.address)).to.equal(keptDeposit);
+      expect(await sharedSubscriptionToken.accountEscrow(serviceId1, 1)).to.equal(0);
+      expect(await subscriptionServiceProvider.checkSubscriptionStatus(serviceId1, user1.address)).to.be.false;
+      expect(await sharedSubscriptionToken.activeSubscriptionsByService(serviceId1, 0)).to.equal(2);
+
+      // Nothing is refunded by the merge, the unused time comes back when User1 leaves
+      expect(await sharedSubscriptionToken.pendingEscrowRefunds(user1.address)).to.equal(0);
+      const leave = await sharedSubscriptionToken.connect(user1).leaveSubscription(serviceId1);
+      const refund = await unusedTimeRefund(expirationTime, leave, periodDuration);
+      expect(refund).to.be.greaterThan(0);
+      await expect(leave)
+        .to.emit(sharedSubscriptionToken, "UserLeftSubscription")
+        .withArgs(user1.address, serviceId1, 2, refund);
+    });
+
+    it("Should merge members who have nothing left in escrow", async function () {
+      for (const user of [user1, user3]) {
+        await tokenExtension.connect(user).setMergeConsent(serviceId1, true);
+      }
+      expect(await sharedSubscriptionToken.escrowDeposits(serviceId1, 1, user1.address)).to.equal(0);
+
+      await tokenExtension.mergeAccounts(serviceId1, 1, 2);
+      const [, accountId] = await sharedSubscriptionToken.getUserSubscriptionDetails(user1.address, serviceId1);
+      expect(accountId).to.equal(2);
+    });
+
+    it("Should only merge accounts that fit together", async function () {
+      for (const user of [user1, user3]) {
+        await tokenExtension.connect(user).setMergeConsent(serviceId1, true);
+      }
+      await expect(tokenExtension.mergeAccounts(serviceId1, 2, 2)).to.be.revertedWith(
+        "Cannot merge an account with itself"
+      );
+
+      // User4 takes the free seat of account 1, the three of them do not fit in a duo
+      await sharedSubscriptionToken.connect(user4).subscribe(serviceId1, duoTier);
+      await tokenExtension.connect(user4).setMergeConsent(serviceId1, true);
+      await expect(tokenExtension.mergeAccounts(serviceId1, 1, 2)).to.be.revertedWith(
+        "Too many members to merge"
+      );
+    });
+  });
+
+  describe("Account Matching", function () {
+    const trioTier = 1;
+    const trioCost = hre.ethers.parseEther("3");
+    const FillMostFull = 0;
+    const FillLeastFull = 1;
+    const RoundRobin = 2;
+    let newcomers;
+
+    const accountOf = async (user) =>
+      (await sharedSubscriptionToken.getUserSubscriptionDetails(user.address, serviceId1))[1];
+
+    beforeEach(async function () {
+      newcomers = (await hre.ethers.getSigners()).slice(7, 9);
+      await subscriptionServiceProvider
+        .connect(owner)
+        .setTier(serviceId1, trioTier, "Trio", trioCost, 3, standardTierDuration);
+      for (const user of [user1, user2, user3, user4, user5, user6, ...newcomers]) {
+        await sharedSubscriptionToken.connect(user).buyTokens(1, { value: tokenPrice });
+      }
+
+      // Account 1 fills up with User1 to User3, account 2 with User4 to User6
+      for (const user of [user1, user2, user3, user4, user5, user6]) {
+        const value = user === user1 || user === user4 ? trioCost : 0;
+        await sharedSubscriptionToken.connect(user).subscribe(serviceId1, trioTier, { value });
+      }
+      expect(await accountOf(user6)).to.equal(2);
+
+      // Leaving frees two seats in account 2, then one in account 1
+      for (const user of [user4, user5, user1]) {
+        await sharedSubscriptionToken.connect(user).leaveSubscription(serviceId1);
+      }
+    });
+
+    it("Should fill the fullest account first by default", async function () {
+      expect(await sharedSubscriptionToken.matchingStrategies(serviceId1)).to.equal(FillMostFull);
+      await sharedSubscriptionToken.connect(newcomers[0]).subscribe(serviceId1, trioTier);
+      expect(await accountOf(newcomers[0])).to.equal(1);
+
+      // Account 1 is full again, account 2 is next
+      await sharedSubscriptionToken.connect(newcomers[1]).subscribe(serviceId1, trioTier);
+      expect(await accountOf(newcomers[1])).to.equal(2);
+    });
+
+    it("Should even the accounts out with fill-least-full", async function () {
+      await expect(sharedSubscriptionToken.connect(owner).setMatchingStrategy(serviceId1, FillLeastFull))
+        .to.emit(sharedSubscriptionToken, "MatchingStrategyUpdated")
+        .withArgs(serviceId1, FillLeastFull);
+
+      for (const user of newcomers) {
+        await sharedSubscriptionToken.connect(user).subscribe(serviceId1, trioTier);
+        expect(await accountOf(user)).to.equal(2);
+      }
+    });
+
+    it("Should hand out accounts in turn with round robin", async function () {
+      await sharedSubscriptionToken.connect(owner).setMatchingStrategy(serviceId1, RoundRobin);
+
+      // Account 2 got a free seat first, so it is first in turn even though it has more room
+      for (const user of newcomers) {
+        await sharedSubscriptionToken.connect(user).subscribe(serviceId1, trioTier);
+      }
+      expect(await accountOf(newcomers[0])).to.equal(2);
+      expect(await accountOf(newcomers[1])).to.equal(1);
+    });
+
+    it("Should only let catalog admins choose the strategy", async function () {
+      await expect(
+        sharedSubscriptionToken.connect(user1).setMatchingStrategy(serviceId1, RoundRobin)
+      ).to.be.revertedWith("AccessControl: caller is missing role");
+    });
+
+    it("Should stop matching with accounts whose tier lost seats", async function () {
+      await subscriptionServiceProvider
+        .connect(owner)
+        .setTier(serviceId1, trioTier, "Duo", trioCost, 2, standardTierDuration);
+      await sharedSubscriptionToken.connect(owner).setMatchingStrategy(serviceId1, RoundRobin);
+
+      // Account 1 has two members and is full now, account 2 still has a seat
+      await sharedSubscriptionToken.connect(newcomers[0]).subscribe(serviceId1, trioTier);
+      expect(await accountOf(newcomers[0])).to.equal(2);
+      await sharedSubscriptionToken.connect(newcomers[1]).subscribe(serviceId1, trioTier, { value: trioCost });
+      expect(await accountOf(newcomers[1])).to.equal(3);
+    });
+  });
+
+  describe("Private Accounts", function () {
+    const week = 60 * 60 * 24 * 7;
+
+    beforeEach(async function () {
+      for (const user of [user1, user2, user3, user4]) {
+        await sharedSubscriptionToken.connect(user).buyTokens(1, { value: tokenPrice });
+      }
+      // User1 opens a private account
+      await expect(
+        sharedSubscriptionToken.connect(user1).createPrivateAccount(serviceId1, standardTier, { value: serviceCost })
+      )
+        .to.emit(sharedSubscriptionToken, "PrivateAccountCreated")
+        .withArgs(serviceId1, 1, user1.address);
+    });
+
+    async function issueCode(maxUses, validFor = week) {
+      const invite = createInviteCode();
+      const latestBlock = await hre.ethers.provider.getBlock("latest");
+      await sharedSubscriptionToken
+        .connect(user1)
+        .createInviteCode(serviceId1, 1, invite.codeHash, latestBlock.timestamp + validFor, maxUses);
+      return invite;
+    }
+
+    it("Should leave private accounts out of the matching", async function () {
+      await sharedSubscriptionToken.connect(user2).subscribe(serviceId1, standardTier, { value: serviceCost });
+      const [, accountId] = await sharedSubscriptionToken.getUserSubscriptionDetails(user2.address, serviceId1);
+      expect(accountId).to.equal(2);
+      const account = await sharedSubscriptionToken.subscriptionAccounts(serviceId1, 1);
+      expect(account.creator).to.equal(user1.address);
+    });
+
+    it("Should let invitees join with a code until it runs out", async function () {
+      const { code, codeHash } = await issueCode(2);
+      await expect(sharedSubscriptionToken.connect(user2).subscribeWithInvite(serviceId1, 1, code))
+        .to.emit(sharedSubscriptionToken, "InviteCodeUsed")
+        .withArgs(serviceId1, 1, codeHash, user2.address, 1)
+        .and.to.emit(sharedSubscriptionToken, "UserAddedToSubscription")
+        .withArgs(user2.address, serviceId1, 1);
+      await sharedSubscriptionToken.connect(user3).subscribeWithInvite(serviceId1, 1, code);
+      await expect(sharedSubscriptionToken.connect(user4).subscribeWithInvite(serviceId1, 1, code)).to.be.revertedWith(
+        "Invalid invite code"
+      );
+
+      expect(await sharedSubscriptionToken.getSubscriptionMembers(serviceId1, 1)).to.deep.equal([
+        user1.address,
+        user2.address,
+        user3.address,
+      ]);
+      expect(await sharedSubscriptionToken.balanceOf(user2.address)).to.equal(0);
+    });
+
+    it("Should reject expired and revoked codes", async function () {
+      const expiring = await issueCode(1, 60);
+      const revoked = await issueCode(1);
+      await expect(sharedSubscriptionToken.connect(user1).revokeInviteCode(serviceId1, 1, revoked.codeHash))
+        .to.emit(sharedSubscriptionToken, "InviteCodeRevoked")
+        .withArgs(serviceId1, 1, revoked.codeHash);
+      await expect(
+        sharedSubscriptionToken.connect(user2).subscribeWithInvite(serviceId1, 1, revoked.code)
+      ).to.be.revertedWith("Invalid invite code");
+
+      await hre.ethers.provider.send("evm_increaseTime", [61]);
+      await hre.ethers.provider.send("evm_mine");
+      await expect(
+        sharedSubscriptionToken.connect(user2).subscribeWithInvite(serviceId1, 1, expiring.code)
+      ).to.be.revertedWith("Invite code expired");
+    });
+
+    it("Should only let the creator manage codes", async function () {
+      const { code, codeHash } = await issueCode(1);
+      await sharedSubscriptionToken.connect(user2).subscribeWithInvite(serviceId1, 1, code);
+
+      const latestBlock = await hre.ethers.provider.getBlock("latest");
+      await expect(
+        sharedSubscriptionToken
+          .connect(user2)
+          .createInviteCode(serviceId1, 1, hre.ethers.id("code"), latestBlock.timestamp + week, 1)
+      ).to.be.revertedWith("Only the account creator");
+      await expect(
+        sharedSubscriptionToken.connect(user2).revokeInviteCode(serviceId1, 1, codeHash)
+      ).to.be.revertedWith("Only the account creator");
+      await expect(
+        sharedSubscriptionToken
+          .connect(user1)
+          .createInviteCode(serviceId1, 1, hre.ethers.id("code"), latestBlock.timestamp, 1)
+      ).to.be.revertedWith("Invalid invite code terms");
+    });
+  });
+
+  describe("ERC-20 Token", function () {
+    it("Should mint on purchase and burn on subscription with Transfer events", async function () {
+      expect(await tokenExtension.name()).to.equal("Shared Subscription Token");
+      expect(await tokenExtension.symbol()).to.equal("SUBT");
+      expect(await tokenExtension.decimals()).to.equal(0);
+      expect(await sharedSubscriptionToken.totalSupply()).to.equal(0);
+      expect(await sharedSubscriptionToken.balanceOf(owner.address)).to.equal(0);
+
+      await expect(sharedSubscriptionToken.connect(user1).buyTokens(3, { value: tokenPrice * 3n }))
+        .to.emit(sharedSubscriptionToken, "Transfer")
+        .withArgs(hre.ethers.ZeroAddress, user1.address, 3);
+      await expect(
+        sharedSubscriptionToken.connect(user1).subscribe(serviceId1, standardTier, { value: serviceCost })
+      )
+        .to.emit(sharedSubscriptionToken, "Transfer")
+        .withArgs(user1.address, hre.ethers.ZeroAddress, 1);
+      await hre.ethers.provider.send("evm_increaseTime", [standardTierDuration]);
+      await hre.ethers.provider.send("evm_mine");
+      await expect(sharedSubscriptionToken.connect(user1).renewSubscription(serviceId1, { value: serviceCost }))
+        .to.emit(sharedSubscriptionToken, "Transfer")
+        .withArgs(user1.address, hre.ethers.ZeroAddress, 1);
+
+      expect(await sharedSubscriptionToken.totalSupply()).to.equal(1);
+      expect(await tokenExtension.tokenReserve()).to.equal(tokenPrice);
+    });
+
+    it("Should transfer tokens directly and through allowances", async function () {
+      await sharedSubscriptionToken.connect(user1).buyTokens(5, { value: tokenPrice * 5n });
+
+      await expect(tokenExtension.connect(user1).transfer(user2.address, 2))
+        .to.emit(tokenExtension, "Transfer")
+        .withArgs(user1.address, user2.address, 2);
+      await expect(tokenExtension.connect(user1).transfer(user2.address, 4)).to.be.revertedWith(
+        "Insufficient tokens"
+      );
+      await expect(tokenExtension.connect(user1).transfer(hre.ethers.ZeroAddress, 1)).to.be.revertedWith(
+        "Transfer to the zero address"
+      );
+
+      await expect(tokenExtension.connect(user1).approve(user3.address, 2))
+        .to.emit(tokenExtension, "Approval")
+        .withArgs(user1.address, user3.address, 2);
+      await tokenExtension.connect(user3).transferFrom(user1.address, user4.address, 1);
+      expect(await tokenExtension.allowance(user1.address, user3.address)).to.equal(1);
+      await expect(
+        tokenExtension.connect(user3).transferFrom(user1.address, user4.address, 2)
+      ).to.be.revertedWith("Insufficient allowance");
+
+      await tokenExtension.connect(user1).approve(user3.address, hre.ethers.MaxUint256);
+      await tokenExtension.connect(user3).transferFrom(user1.address, user4.address, 2);
+      expect(await tokenExtension.allowance(user1.address, user3.address)).to.equal(hre.ethers.MaxUint256);
+
+      expect(await sharedSubscriptionToken.balanceOf(user1.address)).to.equal(0);
+      expect(await sharedSubscriptionToken.balanceOf(user2.address)).to.equal(2);
+      expect(await sharedSubscriptionToken.balanceOf(user4.address)).to.equal(3);
+      expect(await sharedSubscriptionToken.totalSupply()).to.equal(5);
+
+      // A gifted token subscribes like a bought one
+      await sharedSubscriptionToken.connect(user2).subscribe(serviceId1, standardTier, { value: serviceCost });
+      expect(await sharedSubscriptionToken.isSubscriptionActive(user2.address, serviceId1)).to.be.true;
+    });
+
+    it("Should redeem tokens out of the token reserve", async function () {
+      await sharedSubscriptionToken.connect(user1).buyTokens(3, { value: tokenPrice * 3n });
+      await sharedSubscriptionToken.connect(user2).buyTokens(1, { value: tokenPrice });
+      await sharedSubscriptionToken.connect(user1).subscribe(serviceId1, standardTier, { value: serviceCost });
+
+      // The spent token is revenue, the unspent ones stay redeemable
+      await expect(sharedSubscriptionToken.withdrawFunds()).to.changeEtherBalance(owner, tokenPrice);
+      const sale = tokenExtension.connect(user1).sellTokens(2);
+      await expect(sale).to.changeEtherBalance(user1, tokenPrice * 2n);
+      await expect(sale).to.emit(tokenExtension, "TokensSold").withArgs(user1.address, 2, tokenPrice * 2n);
+      expect(await tokenExtension.tokenReserve()).to.equal(tokenPrice);
+      await expect(tokenExtension.connect(user1).sellTokens(1)).to.be.revertedWith("Insufficient tokens");
+
+      // Unused time is refunded out of the revenue; it was withdrawn, so the reserve is left alone
+      await expect(sharedSubscriptionToken.connect(user1).leaveSubscription(serviceId1))
+        .to.emit(sharedSubscriptionToken, "UserLeftSubscription")
+        .withArgs(user1.address, serviceId1, 1, 0);
+      expect(await tokenExtension.tokenReserve()).to.equal(tokenPrice);
+      await expect(tokenExtension.connect(user2).sellTokens(1)).to.changeEtherBalance(user2, tokenPrice);
+      expect(await sharedSubscriptionToken.totalSupply()).to.equal(0);
+      expect(await tokenExtension.tokenReserve()).to.equal(0);
+
+      const GUARDIAN_ROLE = hre.ethers.id("GUARDIAN_ROLE");
+      await sharedSubscriptionToken.grantRole(GUARDIAN_ROLE, owner.address);
+      await sharedSubscriptionToken.connect(user2).buyTokens(1, { value: tokenPrice });
+      await sharedSubscriptionToken.pause(0);
+      await expect(tokenExtension.connect(user2).sellTokens(1)).to.be.revertedWith("Pausable: paused");
+    });
+  });
+
+  describe("Stablecoin Payments", function () {
+    let stablecoin;
+    let stablecoinAddress;
+    const usd = (amount) => hre.ethers.parseUnits(String(amount), 6);
+
+    // Signs an EIP-2612 permit of the stablecoin
+    async function signPermit(holder, spender, value, deadline) {
+      const domain = {
+        name: "Mock USD",
+        version: "1",
+        chainId: (await hre.ethers.provider.getNetwork()).chainId,
+        verifyingContract: stablecoinAddress,
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const nonce = await stablecoin.nonces(holder.address);
+      const signature = await holder.signTypedData(domain, types, {
+        owner: holder.address,
+        spender,
+        value,
+        nonce,
+        deadline,
+      });
+      return hre.ethers.Signature.from(signature);
+    }
+
+    beforeEach(async function () {
+      stablecoin = await (await hre.ethers.getContractFactory("MockStablecoin", owner)).deploy();
+      stablecoinAddress = await stablecoin.getAddress();
+      await stablecoin.mint(user1.address, usd(1000));
+      await stablecoin.mint(user2.address, usd(1000));
+    });
+
+    it("Should sell tokens for an allowlisted stablecoin", async function () {
+      const tokenAddress = await sharedSubscriptionToken.getAddress();
+      await expect(tokenExtension.connect(user1).buyTokensWith(stablecoinAddress, 1)).to.be.revertedWith(
+        "Payment token not accepted"
+      );
+      await expect(tokenExtension.connect(user1).setPaymentTokenPrice(stablecoinAddress, usd(20))).to.be.revertedWith(
+        "AccessControl: caller is missing role"
+      );
+      await expect(tokenExtension.setPaymentTokenPrice(stablecoinAddress, usd(20)))
+        .to.emit(tokenExtension, "PaymentTokenPriceUpdated")
+        .withArgs(stablecoinAddress, usd(20));
+      expect(await tokenExtension.getPaymentTokens()).to.deep.equal([stablecoinAddress]);
+
+      // Paid from an allowance
+      await stablecoin.connect(user1).approve(tokenAddress, usd(60));
+      await expect(tokenExtension.connect(user1).buyTokensWith(stablecoinAddress, 3))
+        .to.emit(tokenExtension, "TokensBoughtWithToken")
+        .withArgs(user1.address, stablecoinAddress, 3, usd(60));
+      expect(await sharedSubscriptionToken.balanceOf(user1.address)).to.equal(3);
+
+      // Paid with a permit instead of an approval
+      const deadline = (await hre.ethers.provider.getBlock("latest")).timestamp + 3600;
+      const { v, r, s } = await signPermit(user2, tokenAddress, usd(40), deadline);
+      await tokenExtension.connect(user2).buyTokensWithPermit(stablecoinAddress, 2, deadline, v, r, s);
+      expect(await sharedSubscriptionToken.balanceOf(user2.address)).to.equal(2);
+      expect(await stablecoin.balanceOf(user2.address)).to.equal(usd(960));
+
+      // Stablecoin purchases are revenue and do not back the ETH reserve
+      expect(await tokenExtension.tokenReserve()).to.equal(0);
+      await expect(tokenExtension.withdrawPaymentTokens(stablecoinAddress)).to.changeTokenBalance(
+        stablecoin,
+        owner,
+        usd(100)
+      );
+
+      await tokenExtension.setPaymentTokenPrice(stablecoinAddress, 0);
+      expect(await tokenExtension.getPaymentTokens()).to.deep.equal([stablecoinAddress]);
+      await expect(tokenExtension.connect(user1).buyTokensWith(stablecoinAddress, 1)).to.be.revertedWith(
+        "Payment token not accepted"
+      );
+    });
+
+    it("Should only sell back tokens that were bought with ETH", async function () {
+      await tokenExtension.setPaymentTokenPrice(stablecoinAddress, usd(20));
+      await stablecoin.connect(user1).approve(await sharedSubscriptionToken.getAddress(), usd(40));
+      await tokenExtension.connect(user1).buyTokensWith(stablecoinAddress, 2);
+      await sharedSubscriptionToken.connect(user1).buyTokens(1, { value: tokenPrice });
+      expect(await tokenExtension.backedBalanceOf(user1.address)).to.equal(1);
+      expect(await tokenExtension.backedSupply()).to.equal(1);
+      await expect(tokenExtension.connect(user1).sellTokens(2)).to.be.revertedWith(
+        "Insufficient tokens bought with ETH"
+      );
+
+      // Transfers and subscriptions use up the stablecoin tokens first
+      await tokenExtension.connect(user1).transfer(user2.address, 1);
+      expect(await tokenExtension.backedBalanceOf(user2.address)).to.equal(0);
+      await expect(tokenExtension.connect(user2).sellTokens(1)).to.be.revertedWith(
+        "Insufficient tokens bought with ETH"
+      );
+      await sharedSubscriptionToken.connect(user2).subscribe(serviceId1, standardTier, { value: serviceCost });
+      expect(await tokenExtension.tokenReserve()).to.equal(tokenPrice);
+      expect(await sharedSubscriptionToken.calculateLeaveRefund(user2.address, serviceId1)).to.equal(0);
+
+      await expect(tokenExtension.connect(user1).sellTokens(1)).to.changeEtherBalance(user1, tokenPrice);
+      expect(await tokenExtension.tokenReserve()).to.equal(0);
+      expect(await tokenExtension.backedSupply()).to.equal(0);
+      expect(await sharedSubscriptionToken.balanceOf(user1.address)).to.equal(1);
+    });
+
+    it("Should renew an account by paying the service provider in a stablecoin", async function () {
+      const tokenAddress = await sharedSubscriptionToken.getAddress();
+      await sharedSubscriptionToken.connect(user1).buyTokens(3, { value: tokenPrice * 3n });
+      await sharedSubscriptionToken.connect(user1).subscribe(serviceId1, standardTier, { value: serviceCost });
+      await sharedSubscriptionToken.connect(user2).buyTokens(1, { value: tokenPrice });
+      await sharedSubscriptionToken.connect(user2).subscribe(serviceId1, standardTier);
+      await expect(tokenExtension.connect(user1).renewWithToken(serviceId1, stablecoinAddress)).to.be.revertedWith(
+        "Account is not due for renewal"
+      );
+      await hre.ethers.provider.send("evm_increaseTime", [standardTierDuration - 60 * 60 * 24]);
+      await hre.ethers.provider.send("evm_mine");
+
+      await expect(
+        tokenExtension.connect(user1).renewWithToken(serviceId1, stablecoinAddress)
+      ).to.be.revertedWithCustomError(subscriptionServiceProvider, "PaymentTokenNotAccepted");
+      await expect(
+        subscriptionServiceProvider.connect(user1).setTierTokenCost(serviceId1, standardTier, stablecoinAddress, 1)
+      ).to.be.revertedWithCustomError(subscriptionServiceProvider, "Unauthorized");
+      await expect(
+        subscriptionServiceProvider.setTierTokenCost(serviceId1, 5, stablecoinAddress, 1)
+      ).to.be.revertedWithCustomError(subscriptionServiceProvider, "TierNotFound");
+      await expect(subscriptionServiceProvider.setTierTokenCost(serviceId1, standardTier, stablecoinAddress, usd(15)))
+        .to.emit(subscriptionServiceProvider, "TierTokenCostUpdated")
+        .withArgs(serviceId1, standardTier, stablecoinAddress, usd(15));
+
+      // Every member pays their share, so all of them have to approve it
+      const share = usd(7.5);
+      await stablecoin.connect(user1).approve(tokenAddress, share);
+      await expect(tokenExtension.connect(user1).renewWithToken(serviceId1, stablecoinAddress)).to.be.revertedWith(
+        "Member has not approved their share"
+      );
+      await stablecoin.connect(user2).approve(tokenAddress, share);
+
+      // The escrow is left alone and the new period starts where the current one ends
+      const escrowBefore = await sharedSubscriptionToken.totalEscrowed();
+      const [, expirationTime] = await sharedSubscriptionToken.subscriptionAccounts(serviceId1, 1);
+      const renewal = tokenExtension.connect(user1).renewWithToken(serviceId1, stablecoinAddress);
+      await expect(renewal).to.changeTokenBalances(stablecoin, [user1, user2], [-share, -share]);
+      await expect(renewal)
+        .to.emit(subscriptionServiceProvider, "TokenPaymentReceived")
+        .withArgs(serviceId1, user1.address, stablecoinAddress, usd(15))
+        .and.to.emit(sharedSubscriptionToken, "SubscriptionRenewed")
+        .withArgs(serviceId1, 1, user1.address, expirationTime + BigInt(standardTierDuration));
+      expect(await sharedSubscriptionToken.isSubscriptionActive(user1.address, serviceId1)).to.be.true;
+      expect(await sharedSubscriptionToken.balanceOf(user1.address)).to.equal(1);
+      expect(await sharedSubscriptionToken.totalEscrowed()).to.equal(escrowBefore);
+
+      // Shares are pulled once per period, a second renewal has to wait for the paid period to start
+      await stablecoin.connect(user2).approve(tokenAddress, share);
+      await expect(tokenExtension.connect(user1).renewWithToken(serviceId1, stablecoinAddress)).to.be.revertedWith(
+        "Account is not due for renewal"
+      );
+      await tokenExtension.updateAutoRenewWindow(standardTierDuration * 2);
+      await expect(tokenExtension.connect(user1).renewWithToken(serviceId1, stablecoinAddress)).to.be.revertedWith(
+        "Account is not due for renewal"
+      );
+      await hre.ethers.provider.send("evm_increaseTime", [60 * 60 * 24]);
+      await hre.ethers.provider.send("evm_mine");
+
+      // Or with a permit for the caller's share
+      const deadline = (await hre.ethers.provider.getBlock("latest")).timestamp + 3600;
+      const { v, r, s } = await signPermit(user1, tokenAddress, share, deadline);
+      await expect(
+        tokenExtension.connect(user1).renewWithTokenPermit(serviceId1, stablecoinAddress, share, deadline, v, r, s)
+      ).to.emit(sharedSubscriptionToken, "SubscriptionRenewed");
+      expect(await stablecoin.balanceOf(user1.address)).to.equal(usd(985));
+      expect(await stablecoin.balanceOf(user2.address)).to.equal(usd(985));
+
+      await expect(subscriptionServiceProvider.withdrawTokenFunds(stablecoinAddress)).to.changeTokenBalance(
+        stablecoin,
+        owner,
+        usd(30)
+      );
+    });
+
+    it("Should reject fee-on-transfer and failing payment tokens", async function () {
+      const tokenAddress = await sharedSubscriptionToken.getAddress();
+      await tokenExtension.setPaymentTokenPrice(stablecoinAddress, usd(20));
+      await subscriptionServiceProvider.setTierTokenCost(serviceId1, standardTier, stablecoinAddress, usd(15));
+      await sharedSubscriptionToken.connect(user1).buyTokens(2, { value: tokenPrice * 2n });
+      await sharedSubscriptionToken.connect(user1).subscribe(serviceId1, standardTier, { value: serviceCost });
+      await stablecoin.connect(user1).approve(tokenAddress, hre.ethers.MaxUint256);
+      await hre.ethers.provider.send("evm_increaseTime", [standardTierDuration]);
+      await hre.ethers.provider.send("evm_mine");
+
+      // A token keeping 1% of every transfer delivers less than the price
+      await stablecoin.setTransferFee(100);
+      await expect(tokenExtension.connect(user1).buyTokensWith(stablecoinAddress, 1)).to.be.revertedWith(
+        "Insufficient payment"
+      );
+      await expect(tokenExtension.connect(user1).renewWithToken(serviceId1, stablecoinAddress)).to.be.revertedWith(
+        "Insufficient payment"
+      );
+
+      // A token returning false instead of reverting is caught as well
+      await stablecoin.setTransferFee(0);
+      await stablecoin.setFailTransfers(true);
+      await expect(tokenExtension.connect(user1).buyTokensWith(stablecoinAddress, 1)).to.be.revertedWith(
+        "SafeERC20: ERC20 operation did not succeed"
+      );
+      await expect(tokenExtension.connect(user1).renewWithToken(serviceId1, stablecoinAddress)).to.be.revertedWith(
+        "SafeERC20: ERC20 operation did not succeed"
+      );
+
+      expect(await sharedSubscriptionToken.balanceOf(user1.address)).to.equal(1);
+      expect(await stablecoin.balanceOf(user1.address)).to.equal(usd(1000));
+    });
+  });
+
+  describe("Token Pricing", function () {
+    let pricing;
+    const delay = 2 * 24 * 60 * 60;
+
+    async function increaseTime(seconds) {
+      await hre.ethers.provider.send("evm_increaseTime", [seconds]);
+      await hre.ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      pricing = await (await hre.ethers.getContractFactory("SubscriptionTokenPricing", owner)).deploy();
+      await tokenExtension.setPricingContractAddress(await pricing.getAddress());
+    });
+
+    it("Should change the fixed price through a timelock", async function () {
+      const newPrice = hre.ethers.parseEther("0.02");
+      await expect(pricing.connect(user1).proposeFixedPrice(newPrice)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(pricing.executePriceChange()).to.be.revertedWith("No price change pending");
+
+      const proposal = pricing.proposeFixedPrice(newPrice);
+      await expect(proposal).to.emit(pricing, "PriceChangeProposed");
+      await expect(pricing.executePriceChange()).to.be.revertedWith("Price change is timelocked");
+
+      // Purchases go on at the old price until the change is executed, by anyone
+      await sharedSubscriptionToken.connect(user1).buyTokens(1, { value: tokenPrice });
+      await increaseTime(delay);
+      await expect(pricing.connect(user2).executePriceChange())
+        .to.emit(pricing, "PriceChanged")
+        .withArgs(newPrice, hre.ethers.ZeroAddress, 0);
+      await expect(sharedSubscriptionToken.connect(user1).buyTokens(1, { value: tokenPrice })).to.be.revertedWith(
+        "Insufficient payment"
+      );
+      await sharedSubscriptionToken.connect(user1).buyTokens(1, { value: newPrice });
+      expect(await tokenExtension.tokenReserve()).to.equal(tokenPrice + newPrice);
+
+      // Spending a token releases the average paid, the reserve keeps what the other one cost
+      await sharedSubscriptionToken.connect(user1).subscribe(serviceId1, standardTier, { value: serviceCost });
+      expect(await tokenExtension.tokenReserve()).to.equal((tokenPrice + newPrice) / 2n);
+      expect(await sharedSubscriptionToken.tokenPrice()).to.equal(tokenPrice);
+
+      // A proposal can be withdrawn
+      await pricing.proposeFixedPrice(tokenPrice);
+      await expect(pricing.cancelPriceChange())
+        .to.emit(pricing, "PriceChangeCancelled")
+        .withArgs(tokenPrice, hre.ethers.ZeroAddress, 0);
+      await increaseTime(delay);
+      await expect(pricing.executePriceChange()).to.be.revertedWith("No price change pending");
+      expect(await tokenExtension.quoteTokens(2)).to.equal(newPrice * 2n);
+    });
+
+    it("Should not let tokens bought before a price rise drain the reserve", async function () {
+      await sharedSubscriptionToken.connect(user1).buyTokens(2, { value: tokenPrice * 2n });
+      const newPrice = tokenPrice * 2n;
+      await pricing.proposeFixedPrice(newPrice);
+      await increaseTime(delay);
+      await pricing.executePriceChange();
+      await sharedSubscriptionToken.connect(user2).buyTokens(1, { value: newPrice });
+      expect(await pricing.redemptionPrice()).to.equal(newPrice);
+
+      // The old tokens sell at the average the reserve holds per token, not at the new price
+      const reserve = tokenPrice * 2n + newPrice;
+      const average = reserve / 3n;
+      await expect(tokenExtension.connect(user1).sellTokens(2))
+        .to.emit(tokenExtension, "TokensSold")
+        .withArgs(user1.address, 2, average * 2n);
+      expect(await tokenExtension.tokenReserve()).to.equal(reserve - average * 2n);
+
+      // What is left still covers the later buyer's token
+      await expect(tokenExtension.connect(user2).sellTokens(1)).to.changeEtherBalance(user2, reserve - average * 2n);
+      expect(await tokenExtension.tokenReserve()).to.equal(0);
+      await expect(tokenExtension.connect(user2).sellTokens(0)).to.be.revertedWith("Amount must be positive");
+    });
+
+    it("Should peg the price to a fiat amount through a price feed", async function () {
+      // ETH at 2000 USD, tokens at 0.25 USD
+      const feed = await (await hre.ethers.getContractFactory("MockPriceFeed", owner)).deploy(2000n * 10n ** 8n);
+      const feedAddress = await feed.getAddress();
+      const fiatPrice = 25n * 10n ** 6n;
+      await expect(pricing.proposeFeedPrice(feedAddress, 0)).to.be.revertedWith("Price must be positive");
+      await pricing.proposeFeedPrice(feedAddress, fiatPrice);
+      await increaseTime(delay);
+      await pricing.executePriceChange();
+
+      // The answer is two days old by now
+      await expect(pricing.unitPrice()).to.be.revertedWith("Price feed is stale");
+      await expect(sharedSubscriptionToken.connect(user1).buyTokens(1, { value: tokenPrice })).to.be.revertedWith(
+        "Price feed is stale"
+      );
+
+      await feed.setAnswer(2000n * 10n ** 8n);
+      const pegged = hre.ethers.parseEther("0.000125");
+      expect(await pricing.unitPrice()).to.equal(pegged);
+      await sharedSubscriptionToken.connect(user1).buyTokens(4, { value: pegged * 4n });
+      expect(await sharedSubscriptionToken.balanceOf(user1.address)).to.equal(4);
+
+      // ETH rising to 2500 USD makes the token cheaper in wei
+      await feed.setAnswer(2500n * 10n ** 8n);
+      expect(await tokenExtension.quoteTokens(4)).to.equal(hre.ethers.parseEther("0.0004"));
+
+      await pricing.setMaxFeedAge(60 * 60 * 24);
+      await feed.setUpdatedAt((await hre.ethers.provider.getBlock("latest")).timestamp - 60 * 60 * 12);
+      expect(await pricing.unitPrice()).to.equal(hre.ethers.parseEther("0.0001"));
+      await feed.setAnswer(0);
+      await expect(pricing.unitPrice()).to.be.revertedWith("Invalid feed answer");
+    });
+
+    it("Should let members leave and accounts wind down while the price feed is stale", async function () {
+      for (const user of [user1, user2]) {
+        await sharedSubscriptionToken.connect(user).buyTokens(1, { value: tokenPrice });
+        await sharedSubscriptionToken.connect(user).subscribe(serviceId1, standardTier, { value: serviceCost });
+      }
+
+      const feed = await (await hre.ethers.getContractFactory("MockPriceFeed", owner)).deploy(2000n * 10n ** 8n);
+      await pricing.proposeFeedPrice(await feed.getAddress(), 25n * 10n ** 6n);
+      await increaseTime(delay);
+      await pricing.executePriceChange();
+      await expect(pricing.redemptionPrice()).to.be.revertedWith("Price feed is stale");
+
+      // Refunds are priced from the token reserve, not from the feed
+      const [, expirationTime] = await sharedSubscriptionToken.subscriptionAccounts(serviceId1, 1);
+      const leave = await sharedSubscriptionToken.connect(user2).leaveSubscription(serviceId1);
+      const refund = await unusedTimeRefund(expirationTime, leave);
+      await expect(leave).to.emit(sharedSubscriptionToken, "UserLeftSubscription").withArgs(user2.address, serviceId1, 1, refund);
+      expect(refund).to.be.greaterThan(0);
+
+      await subscriptionServiceProvider.connect(owner).retireService(serviceId1);
+      await expect(sharedSubscriptionToken.windDownAccount(serviceId1, 1)).to.emit(
+        sharedSubscriptionToken,
+        "AccountWoundDown"
+      );
+    });
+
+    it("Should change volume discounts through a timelock", async function () {
+      await expect(pricing.connect(user1).proposeVolumeDiscounts([10], [500])).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(pricing.executeVolumeDiscounts()).to.be.revertedWith("No volume discounts pending");
+
+      await expect(pricing.proposeVolumeDiscounts([10], [500])).to.emit(pricing, "VolumeDiscountsProposed");
+      await expect(pricing.executeVolumeDiscounts()).to.be.revertedWith("Volume discounts are timelocked");
+      expect(await pricing.discountFor(10)).to.equal(0);
+      expect(await pricing.getPendingVolumeDiscounts()).to.deep.equal([[10n, 500n]]);
+
+      // A proposal can be withdrawn
+      await expect(pricing.cancelVolumeDiscounts())
+        .to.emit(pricing, "VolumeDiscountsCancelled")
+        .withArgs([10], [500]);
+      await increaseTime(delay);
+      await expect(pricing.executeVolumeDiscounts()).to.be.revertedWith("No volume discounts pending");
+      expect(await pricing.getPendingVolumeDiscounts()).to.be.empty;
+      expect(await pricing.discountFor(10)).to.equal(0);
+    });
+
+    it("Should apply volume discounts and refund overpayment", async function () {
+      await expect(pricing.proposeVolumeDiscounts([10, 5], [500, 1000])).to.be.revertedWith(
+        "Discounts must grow with the amount"
+      );
+      await expect(pricing.proposeVolumeDiscounts([10], [6000])).to.be.revertedWith("Discount too high");
+      await pricing.proposeVolumeDiscounts([10, 50], [500, 1000]);
+      await increaseTime(delay);
+      await expect(pricing.connect(user2).executeVolumeDiscounts())
+        .to.emit(pricing, "VolumeDiscountsUpdated")
+        .withArgs([10, 50], [500, 1000]);
+      expect(await pricing.discountsExecutableAt()).to.equal(0);
+
+      // 10 tokens at 5% off, the rest of the payment comes back
+      expect(await pricing.discountFor(9)).to.equal(0);
+      const cost = (tokenPrice * 10n * 95n) / 100n;
+      expect(await tokenExtension.quoteTokens(10)).to.equal(cost);
+      const purchase = sharedSubscriptionToken.connect(user1).buyTokens(10, { value: tokenPrice * 10n });
+      await expect(purchase).to.changeEtherBalance(user1, -cost);
+      expect(await tokenExtension.tokenReserve()).to.equal(cost);
+      expect(await sharedSubscriptionToken.tokenPrice()).to.equal(tokenPrice);
+
+      // Tokens sell back at the largest discount, never above what a discounted purchase costs
+      const redemptionPrice = (tokenPrice * 90n) / 100n;
+      expect(await pricing.redemptionPrice()).to.equal(redemptionPrice);
+      await expect(tokenExtension.connect(user1).sellTokens(10)).to.changeEtherBalance(user1, redemptionPrice * 10n);
+      expect(await tokenExtension.tokenReserve()).to.equal(cost - redemptionPrice * 10n);
+    });
+  });
+
+  describe("Seat NFTs", function () {
+    let subscriptionSeats;
+    let share;
+
+    beforeEach(async function () {
+      const tokenAddress = await sharedSubscriptionToken.getAddress();
+      subscriptionSeats = await (await hre.ethers.getContractFactory("SubscriptionSeats", owner)).deploy(tokenAddress);
+      await tokenExtension.setSeatContractAddress(await subscriptionSeats.getAddress());
+
+      for (const user of [user1, user2, user3]) {
+        await sharedSubscriptionToken.connect(user).buyTokens(1, { value: tokenPrice });
+      }
+      await sharedSubscriptionToken.connect(user1).subscribe(serviceId1, standardTier, { value: serviceCost });
+      await sharedSubscriptionToken.connect(user2).subscribe(serviceId1, standardTier);
+      [, share] = await sharedSubscriptionToken.getMemberEscrow(user2.address, serviceId1);
+      await sharedSubscriptionToken.connect(user2).depositToEscrow(serviceId1, { value: share });
+    });
+
+    it("Should mint a seat describing the membership to every member", async function () {
+      expect(await subscriptionSeats.seatOf(user1.address, serviceId1)).to.equal(1);
+      expect(await subscriptionSeats.ownerOf(2)).to.equal(user2.address);
+      const [, expirationTime] = await sharedSubscriptionToken.subscriptionAccounts(serviceId1, 1);
+      expect(await subscriptionSeats.getSeat(2)).to.deep.equal([user2.address, serviceId1, 1, expirationTime]);
+
+      const uri = await subscriptionSeats.tokenURI(2);
+      const metadata = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString());
+      expect(metadata.name).to.equal("Seat #2");
+      expect(metadata.attributes.map((attribute) => attribute.value)).to.deep.equal([
+        serviceId1,
+        1,
+        Number(expirationTime),
+      ]);
+    });
+
+    it("Should hand the membership over with the seat", async function () {
+      await subscriptionServiceProvider.manuallyRegisterSubscriber(serviceId1, user2.address);
+      await sharedSubscriptionToken.connect(user3).registerPublicKey("key-3");
+      const leaveRefund = await sharedSubscriptionToken.calculateLeaveRefund(user2.address, serviceId1);
+
+      await expect(subscriptionSeats.connect(user2).transferFrom(user2.address, user3.address, 2))
+        .to.emit(sharedSubscriptionToken, "UserLeftSubscription")
+        .withArgs(user2.address, serviceId1, 1, 0)
+        .and.to.emit(sharedSubscriptionToken, "UserAddedToSubscription")
+        .withArgs(user3.address, serviceId1, 1);
+
+      expect(await sharedSubscriptionToken.getSubscriptionMembers(serviceId1, 1)).to.deep.equal([
+        user1.address,
+        user3.address,
+      ]);
+      expect(await sharedSubscriptionToken.isMemberOfAccount(user3.address, serviceId1, 1)).to.be.true;
+      expect(await sharedSubscriptionToken.isSubscriptionActive(user2.address, serviceId1)).to.be.false;
+      expect(await subscriptionServiceProvider.isSubscribed(serviceId1, user3.address)).to.be.true;
+      expect(await subscriptionServiceProvider.isSubscribed(serviceId1, user2.address)).to.be.false;
+      expect(await subscriptionSeats.seatOf(user3.address, serviceId1)).to.equal(2);
+      expect(await subscriptionSeats.seatOf(user2.address, serviceId1)).to.equal(0);
+
+      // The deposit stays with the previous holder, the new one owes their own share
+      expect(await sharedSubscriptionToken.pendingEscrowRefunds(user2.address)).to.equal(share);
+      const [deposit] = await sharedSubscriptionToken.getMemberEscrow(user3.address, serviceId1);
+      expect(deposit).to.equal(0);
+      // The time the previous holder's token paid for goes with the seat
+      expect(await sharedSubscriptionToken.calculateLeaveRefund(user3.address, serviceId1)).to.be.closeTo(
+        leaveRefund,
+        leaveRefund / 1000n
+      );
+    });
+
+    it("Should refuse seat transfers the token would not accept", async function () {
+      await expect(
+        subscriptionSeats.connect(user2).transferFrom(user2.address, user3.address, 2)
+      ).to.be.revertedWith("Recipient has no public key");
+      await sharedSubscriptionToken.connect(user1).registerPublicKey("key-1");
+      await expect(
+        subscriptionSeats.connect(user2).transferFrom(user2.address, user1.address, 2)
+      ).to.be.revertedWith("Already subscribed to this service");
+
+      await expect(
+        tokenExtension.connect(user2).transferSeat(user2.address, user1.address, serviceId1)
+      ).to.be.revertedWith("Only seat contract can call this function");
+      await expect(subscriptionSeats.connect(user2).mintSeat(user2.address, serviceId2)).to.be.revertedWith(
+        "Only token contract can call this function"
+      );
+      await expect(tokenExtension.connect(user1).setSeatContractAddress(user1.address)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+
+      await sharedSubscriptionToken.setExtensionAddress(hre.ethers.ZeroAddress);
+      await expect(tokenExtension.setSeatContractAddress(user1.address)).to.be.revertedWith(
+        "Function not supported"
+      );
+    });
+
+    it("Should not hand seats over while the account has open proposals", async function () {
+      await sharedSubscriptionToken.connect(user3).registerPublicKey("key-3");
+      await subscriptionVoting.connect(user1).proposeToKickUser(serviceId1, 1, user2.address);
+      await subscriptionVoting.connect(user1).voteOnProposal(1, true);
+      expect(await subscriptionVoting.openProposals(serviceId1, 1)).to.equal(1);
+
+      // The voter cannot move the seat to a second address and vote again
+      await expect(
+        subscriptionSeats.connect(user1).transferFrom(user1.address, user3.address, 1)
+      ).to.be.revertedWith("Account has open proposals");
+      await expect(subscriptionVoting.connect(user3).voteOnProposal(1, true)).to.be.revertedWith("Not a member");
+
+      await hre.ethers.provider.send("evm_increaseTime", [60 * 60 * 25]);
+      await hre.ethers.provider.send("evm_mine");
+      await subscriptionVoting.executeProposal(1);
+      expect(await subscriptionVoting.openProposals(serviceId1, 1)).to.equal(0);
+      await subscriptionSeats.connect(user1).transferFrom(user1.address, user3.address, 1);
+      expect(await sharedSubscriptionToken.isMemberOfAccount(user3.address, serviceId1, 1)).to.be.true;
+    });
+
+    it("Should close kick proposals that are left with too few members to count", async function () {
+      await sharedSubscriptionToken.connect(user3).registerPublicKey("key-3");
+      await subscriptionVoting.connect(user1).proposeToKickUser(serviceId1, 1, user2.address);
+      await sharedSubscriptionToken.connect(user1).leaveSubscription(serviceId1);
+      await expect(subscriptionVoting.executeProposal(1)).to.be.revertedWithCustomError(
+        subscriptionVoting,
+        "OutcomeNotDecided"
+      );
+
+      // Once the vote is over the proposal fails and no longer holds the seat
+      await hre.ethers.provider.send("evm_increaseTime", [60 * 60 * 25]);
+      await hre.ethers.provider.send("evm_mine");
+      expect(await subscriptionVoting.canExecute(1)).to.deep.equal([true, false]);
+      await expect(subscriptionVoting.executeProposal(1))
+        .to.emit(subscriptionVoting, "ProposalExecuted")
+        .withArgs(1, serviceId1, 1, user2.address, false);
+      expect(await subscriptionVoting.openProposals(serviceId1, 1)).to.equal(0);
+      await subscriptionSeats.connect(user2).transferFrom(user2.address, user3.address, 2);
+      expect(await sharedSubscriptionToken.isMemberOfAccount(user3.address, serviceId1, 1)).to.be.true;
+    });
+
+    it("Should burn the seat of members who leave or are kicked", async function () {
+      await sharedSubscriptionToken.connect(user2).leaveSubscription(serviceId1);
+      await expect(subscriptionSeats.ownerOf(2)).to.be.revertedWith("ERC721: invalid token ID");
+      expect(await subscriptionSeats.seatOf(user2.address, serviceId1)).to.equal(0);
+
+      // Stand in for the voting contract
+      await sharedSubscriptionToken.setVotingContractAddress(owner.address);
+      await sharedSubscriptionToken.kickUser(serviceId1, 1, user1.address);
+      expect(await subscriptionSeats.balanceOf(user1.address)).to.equal(0);
+
+      // A member rejoining gets a new seat
+      await sharedSubscriptionToken.connect(user3).subscribe(serviceId1, standardTier, { value: serviceCost });
+      expect(await subscriptionSeats.seatOf(user3.address, serviceId1)).to.equal(3);
+    });
+
+    it("Should let members from before seats were issued claim theirs", async function () {
+      await tokenExtension.setSeatContractAddress(hre.ethers.ZeroAddress);
+      await sharedSubscriptionToken.connect(user3).subscribe(serviceId1, standardTier);
+      await tokenExtension.setSeatContractAddress(await subscriptionSeats.getAddress());
+
+      await subscriptionSeats.connect(user3).claimSeat(serviceId1);
+      expect(await subscriptionSeats.seatOf(user3.address, serviceId1)).to.equal(3);
+      await expect(subscriptionSeats.connect(user3).claimSeat(serviceId1)).to.be.revertedWith("Seat already issued");
+      await expect(subscriptionSeats.connect(user3).claimSeat(serviceId2)).to.be.revertedWith(
+        "Not subscribed to this service"
+      );
+    });
+  });
+
+  describe("Seat Marketplace", function () {
+    let subscriptionSeats;
+    let seatMarketplace;
+    const price = hre.ethers.parseEther("1");
+
+    beforeEach(async function () {
+      const tokenAddress = await sharedSubscriptionToken.getAddress();
+      subscriptionSeats = await (await hre.ethers.getContractFactory("SubscriptionSeats", owner)).deploy(tokenAddress);
+      const seatsAddress = await subscriptionSeats.getAddress();
+      seatMarketplace = await (
+        await hre.ethers.getContractFactory("SubscriptionSeatMarketplace", owner)
+      ).deploy(tokenAddress, seatsAddress);
+      await tokenExtension.setSeatContractAddress(seatsAddress);
+      await tokenExtension.setMarketplaceAddress(await seatMarketplace.getAddress());
+
+      for (const user of [user1, user2, user3]) {
+        await sharedSubscriptionToken.connect(user).buyTokens(1, { value: tokenPrice });
+      }
+      await sharedSubscriptionToken.connect(user1).subscribe(serviceId1, standardTier, { value: serviceCost });
+      await sharedSubscriptionToken.connect(user2).subscribe(serviceId1, standardTier);
+      await sharedSubscriptionToken.connect(user3).registerPublicKey("key-3");
+      await subscriptionSeats.connect(user2).approve(await seatMarketplace.getAddress(), 2);
+    });
+
+    it("Should sell a seat for ETH and move the membership to the buyer", async function () {
+      await subscriptionServiceProvider.manuallyRegisterSubscriber(serviceId1, user2.address);
+      await sharedSubscriptionToken.connect(user2).registerPublicKey("key-2");
+      await sharedSubscriptionToken.storeEncryptedCredentials(user2.address, serviceId1, "0x1234");
+      await expect(seatMarketplace.connect(user2).listSeat(serviceId1, price, false, false))
+        .to.emit(seatMarketplace, "SeatListed")
+        .withArgs(2, user2.address, serviceId1, 1, price, false, false);
+
+      const [, expirationTime] = await sharedSubscriptionToken.subscriptionAccounts(serviceId1, 1);
+      const [listing, , accountId, expiry] = await seatMarketplace.getListing(2);
+      expect(listing.seller).to.equal(user2.address);
+      expect([accountId, expiry]).to.deep.equal([1n, expirationTime]);
+
+      await expect(seatMarketplace.connect(user3).buySeat(2, { value: price - 1n })).to.be.revertedWith(
+        "Incorrect payment amount"
+      );
+      const purchase = seatMarketplace.connect(user3).buySeat(2, { value: price });
+      await expect(purchase).to.changeEtherBalances([user2, user3], [price, -price]);
+      await expect(purchase)
+        .to.emit(seatMarketplace, "SeatSold")
+        .withArgs(2, user2.address, user3.address, serviceId1, price, false);
+
+      expect(await sharedSubscriptionToken.getSubscriptionMembers(serviceId1, 1)).to.deep.equal([
+        user1.address,
+        user3.address,
+      ]);
+      expect(await subscriptionSeats.ownerOf(2)).to.equal(user3.address);
+      expect(await subscriptionServiceProvider.isSubscribed(serviceId1, user3.address)).to.be.true;
+      expect((await seatMarketplace.listings(2)).seller).to.equal(hre.ethers.ZeroAddress);
+
+      // The seller loses their access and credentials at the provider
+      expect(await subscriptionServiceProvider.isSubscribed(serviceId1, user2.address)).to.be.false;
+      await expect(sharedSubscriptionToken.connect(user2).getEncryptedCredentials(serviceId1)).to.be.revertedWith(
+        "Not subscribed to this service"
+      );
+    });
+
+    it("Should not sell a seat while the account has open proposals", async function () {
+      await seatMarketplace.connect(user2).listSeat(serviceId1, price, false, false);
+      await subscriptionVoting.connect(user2).proposeToKickUser(serviceId1, 1, user1.address);
+      await subscriptionVoting.connect(user2).voteOnProposal(1, true);
+
+      await expect(seatMarketplace.connect(user3).buySeat(2, { value: price })).to.be.revertedWith(
+        "Account has open proposals"
+      );
+      expect(await subscriptionSeats.ownerOf(2)).to.equal(user2.address);
+      expect((await seatMarketplace.listings(2)).seller).to.equal(user2.address);
+    });
+
+    it("Should sell for tokens only to buyers the account approved", async function () {
+      await seatMarketplace.connect(user2).listSeat(serviceId1, 2, true, true);
+      await sharedSubscriptionToken.connect(user3).buyTokens(1, { value: tokenPrice });
+
+      await expect(seatMarketplace.connect(user3).buySeat(2)).to.be.revertedWith("Buyer not approved by the account");
+
+      // Stand in for the voting contract passing an InviteUser proposal
+      await sharedSubscriptionToken.setVotingContractAddress(owner.address);
+      await sharedSubscriptionToken.inviteUser(serviceId1, 1, user3.address);
+      await sharedSubscriptionToken.setVotingContractAddress(await subscriptionVoting.getAddress());
+      await expect(seatMarketplace.connect(user3).buySeat(2, { value: 1 })).to.be.revertedWith(
+        "Incorrect payment amount"
+      );
+      await seatMarketplace.connect(user3).buySeat(2);
+
+      expect(await sharedSubscriptionToken.balanceOf(user3.address)).to.equal(0);
+      expect(await sharedSubscriptionToken.balanceOf(user2.address)).to.equal(2);
+      expect(await sharedSubscriptionToken.isMemberOfAccount(user3.address, serviceId1, 1)).to.be.true;
+      expect(await sharedSubscriptionToken.accountInvites(serviceId1, 1, user3.address)).to.be.false;
+    });
+
+    it("Should reject invalid listings and purchases", async function () {
+      await expect(seatMarketplace.connect(user1).listSeat(serviceId1, price, false, false)).to.be.revertedWith(
+        "Marketplace not approved for the seat"
+      );
+      await expect(seatMarketplace.connect(user3).listSeat(serviceId1, price, false, false)).to.be.revertedWith(
+        "No seat for this service"
+      );
+      await expect(seatMarketplace.connect(user2).listSeat(serviceId1, 0, false, false)).to.be.revertedWith(
+        "Price must be positive"
+      );
+
+      await seatMarketplace.connect(user2).listSeat(serviceId1, 5, true, false);
+      await expect(seatMarketplace.connect(user3).buySeat(2)).to.be.revertedWith("Insufficient tokens");
+      await expect(seatMarketplace.connect(user1).cancelListing(2)).to.be.revertedWith("Not the seller");
+      await expect(seatMarketplace.connect(user2).cancelListing(2))
+        .to.emit(seatMarketplace, "SeatListingCancelled")
+        .withArgs(2, user2.address);
+      await expect(seatMarketplace.connect(user3).buySeat(2)).to.be.revertedWith("Seat not listed");
+
+      // A listing goes stale once the seller hands the seat over elsewhere
+      await seatMarketplace.connect(user2).listSeat(serviceId1, price, false, false);
+      await subscriptionSeats.connect(user2).transferFrom(user2.address, user3.address, 2);
+      await expect(seatMarketplace.connect(user4).buySeat(2, { value: price })).to.be.revertedWith("Listing is stale");
+
+      await expect(
+        tokenExtension.connect(user3).payWithTokens(user3.address, user2.address, 1)
+      ).to.be.revertedWith("Only marketplace can call this function");
+    });
+  });
+
+  describe("Access Control", function () {
+    const CREDENTIALS_OPERATOR_ROLE = hre.ethers.id("CREDENTIALS_OPERATOR_ROLE");
+    const TREASURER_ROLE = hre.ethers.id("TREASURER_ROLE");
+    const CATALOG_ADMIN_ROLE = hre.ethers.id("CATALOG_ADMIN_ROLE");
+
+    it("Should give the deployer ownership and every role", async function () {
+      expect(await sharedSubscriptionToken.owner()).to.equal(owner.address);
+      expect(await sharedSubscriptionToken.CREDENTIALS_OPERATOR_ROLE()).to.equal(CREDENTIALS_OPERATOR_ROLE);
+      for (const role of [CREDENTIALS_OPERATOR_ROLE, TREASURER_ROLE, CATALOG_ADMIN_ROLE]) {
+        expect(await sharedSubscriptionToken.hasRole(role, owner.address)).to.be.true;
+      }
+      for (const role of [TREASURER_ROLE, CATALOG_ADMIN_ROLE]) {
+        expect(await subscriptionServiceProvider.hasRole(role, owner.address)).to.be.true;
+      }
+      expect(await subscriptionVoting.owner()).to.equal(owner.address);
+    });
+
+    it("Should split privileged duties between role holders", async function () {
+      // user1 operates credentials, user2 is the treasurer and user3 the catalog admin
+      await sharedSubscriptionToken.grantRole(CREDENTIALS_OPERATOR_ROLE, user1.address);
+      await sharedSubscriptionToken.grantRole(TREASURER_ROLE, user2.address);
+      await subscriptionServiceProvider.grantRole(TREASURER_ROLE, user2.address);
+      await subscriptionServiceProvider.grantRole(CATALOG_ADMIN_ROLE, user3.address);
+      await subscriptionServiceProvider.revokeRole(CATALOG_ADMIN_ROLE, owner.address);
+
+      await expect(
+        subscriptionServiceProvider.addService(3, "HULU", serviceCost, "https://api.hulu.example.com")
+      ).to.be.revertedWithCustomError(subscriptionServiceProvider, "Unauthorized");
+      await subscriptionServiceProvider
+        .connect(user3)
+        .addService(3, "HULU", serviceCost, "https://api.hulu.example.com");
+      await expect(subscriptionServiceProvider.connect(user3).withdrawFunds()).to.be.revertedWithCustomError(
+        subscriptionServiceProvider,
+        "Unauthorized"
+      );
+      await subscriptionServiceProvider.connect(user2).setPaymentReceiver(user2.address);
+
+      // Spent tokens are withdrawn by the treasurer, to the treasurer
+      await sharedSubscriptionToken.connect(user4).buyTokens(10, { value: tokenPrice * 10n });
+      await sharedSubscriptionToken.connect(user4).subscribe(serviceId1, standardTier, { value: serviceCost });
+      await expect(sharedSubscriptionToken.connect(user1).withdrawFunds()).to.be.revertedWith(
+        "AccessControl: caller is missing role"
+      );
+      await expect(sharedSubscriptionToken.connect(user2).withdrawFunds()).to.changeEtherBalance(
+        user2,
+        tokenPrice
+      );
+
+      await sharedSubscriptionToken.connect(user4).registerPublicKey(generateKeyPair().publicKey);
+      await expect(
+        sharedSubscriptionToken.connect(user2).storeEncryptedCredentials(user4.address, serviceId1, "0x1234")
+      ).to.be.revertedWith("AccessControl: caller is missing role");
+      await expect(
+        sharedSubscriptionToken.connect(user1).storeEncryptedCredentials(user4.address, serviceId1, "0x1234")
+      ).to.emit(sharedSubscriptionToken, "CredentialsUpdated");
+    });
+
+    it("Should only let the owner grant and revoke roles", async function () {
+      await expect(
+        sharedSubscriptionToken.connect(user1).grantRole(TREASURER_ROLE, user1.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(
+        subscriptionServiceProvider.connect(user1).grantRole(TREASURER_ROLE, user1.address)
+      ).to.be.revertedWithCustomError(subscriptionServiceProvider, "Unauthorized");
+
+      await expect(sharedSubscriptionToken.grantRole(TREASURER_ROLE, user1.address))
+        .to.emit(sharedSubscriptionToken, "RoleGranted")
+        .withArgs(TREASURER_ROLE, user1.address, owner.address);
+      await expect(
+        sharedSubscriptionToken.connect(user1).revokeRole(TREASURER_ROLE, owner.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+
+      // Holders can give up a role themselves
+      await expect(sharedSubscriptionToken.connect(user1).renounceRole(TREASURER_ROLE))
+        .to.emit(sharedSubscriptionToken, "RoleRevoked")
+        .withArgs(TREASURER_ROLE, user1.address, user1.address);
+      expect(await sharedSubscriptionToken.hasRole(TREASURER_ROLE, user1.address)).to.be.false;
+    });
+
+    it("Should transfer ownership in two steps", async function () {
+      await expect(subscriptionVoting.transferOwnership(user1.address))
+        .to.emit(subscriptionVoting, "OwnershipTransferStarted")
+        .withArgs(owner.address, user1.address);
+      expect(await subscriptionVoting.owner()).to.equal(owner.address);
+      expect(await subscriptionVoting.pendingOwner()).to.equal(user1.address);
+
+      await expect(subscriptionVoting.connect(user2).acceptOwnership()).to.be.revertedWith(
+        "Ownable: caller is not the new owner"
+      );
+      await expect(subscriptionVoting.connect(user1).acceptOwnership())
+        .to.emit(subscriptionVoting, "OwnershipTransferred")
+        .withArgs(owner.address, user1.address);
+      expect(await subscriptionVoting.pendingOwner()).to.equal(hre.ethers.ZeroAddress);
+
+      await expect(
+        subscriptionVoting.updateSubscriptionTokenAddress(user2.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await subscriptionVoting.connect(user1).updateSubscriptionTokenAddress(user2.address);
+      expect(await subscriptionVoting.subscriptionToken()).to.equal(user2.address);
+
+      // Roles stay with their holders
+      await subscriptionServiceProvider.transferOwnership(user1.address);
+      await subscriptionServiceProvider.connect(user1).acceptOwnership();
+      expect(await subscriptionServiceProvider.hasRole(TREASURER_ROLE, owner.address)).to.be.true;
+      expect(await subscriptionServiceProvider.hasRole(TREASURER_ROLE, user1.address)).to.be.false;
+    });
+  });
+
+  describe("Emergency Pause", function () {
+    const [Payments, Joins, Governance, CredentialReads] = [0, 1, 2, 3];
+    const GUARDIAN_ROLE = hre.ethers.id("GUARDIAN_ROLE");
+    let guardian, share;
+
+    beforeEach(async function () {
+      guardian = user6;
+      await sharedSubscriptionToken.grantRole(GUARDIAN_ROLE, guardian.address);
+      await subscriptionServiceProvider.grantRole(GUARDIAN_ROLE, guardian.address);
+      await subscriptionVoting.grantRole(GUARDIAN_ROLE, guardian.address);
+
+      for (const user of [user1, user2, user3, user4]) {
+        await sharedSubscriptionToken.connect(user).buyTokens(2, { value: tokenPrice * 2n });
+      }
+      for (const user of [user1, user2, user3]) {
+        await sharedSubscriptionToken
+          .connect(user)
+          .subscribe(serviceId1, standardTier, { value: user === user1 ? serviceCost : 0 });
+      }
+      [, share] = await sharedSubscriptionToken.getMemberEscrow(user1.address, serviceId1);
+      await sharedSubscriptionToken.connect(user2).depositToEscrow(serviceId1, { value: share });
+    });
+
+    it("Should halt payments and joins during an incident while funds stay withdrawable", async function () {
+      // The account is due for renewal when the incident starts
+      await hre.ethers.provider.send("evm_increaseTime", [standardTierDuration - 60 * 60 * 24 * 2]);
+      await hre.ethers.provider.send("evm_mine");
+      await expect(sharedSubscriptionToken.connect(guardian).pause(Payments)).to.emit(
+        sharedSubscriptionToken,
+        "Paused"
+      );
+      await sharedSubscriptionToken.connect(guardian).pause(Joins);
+      await subscriptionServiceProvider.connect(guardian).pause(Payments);
+
+      await expect(
+        sharedSubscriptionToken.connect(user5).buyTokens(1, { value: tokenPrice })
+      ).to.be.revertedWith("Pausable: paused");
+      await expect(
+        sharedSubscriptionToken.connect(user4).subscribe(serviceId1, standardTier)
+      ).to.be.revertedWith("Pausable: paused");
+      await expect(
+        sharedSubscriptionToken.connect(user3).depositToEscrow(serviceId1, { value: share })
+      ).to.be.revertedWith("Pausable: paused");
+      await expect(
+        sharedSubscriptionToken.connect(user1).renewSubscription(serviceId1)
+      ).to.be.revertedWith("Pausable: paused");
+
+      // Members can still leave with their deposits and the treasury can still withdraw
+      const [, expirationTime] = await sharedSubscriptionToken.subscriptionAccounts(serviceId1, 1);
+      const leave = await sharedSubscriptionToken.connect(user2).leaveSubscription(serviceId1);
+      const refund = await unusedTimeRefund(expirationTime, leave);
+      await expect(leave).to.changeEtherBalance(user2, share + refund);
+      await expect(sharedSubscriptionToken.withdrawFunds()).to.changeEtherBalance(owner, tokenPrice * 3n - refund);
+      await expect(subscriptionServiceProvider.withdrawFunds()).to.changeEtherBalance(owner, serviceCost);
+      expect(await hre.ethers.provider.getBalance(await sharedSubscriptionToken.getAddress())).to.equal(
+        (await sharedSubscriptionToken.totalEscrowed()) + tokenPrice * 5n
+      );
+
+      // Guardians cannot lift a pause, the owner can
+      await expect(sharedSubscriptionToken.connect(guardian).unpause(Payments)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(
+        subscriptionServiceProvider.connect(guardian).unpause(Payments)
+      ).to.be.revertedWithCustomError(subscriptionServiceProvider, "Unauthorized");
+      await expect(sharedSubscriptionToken.unpause(Payments)).to.emit(sharedSubscriptionToken, "Unpaused");
+      await sharedSubscriptionToken.unpause(Joins);
+
+      // The provider still refuses payments for new accounts until its own pause lifts
+      await expect(
+        sharedSubscriptionToken.connect(user4).subscribe(serviceId2, standardTier, { value: serviceCost })
+      ).to.be.revertedWithCustomError(subscriptionServiceProvider, "SystemPaused");
+      await subscriptionServiceProvider.unpause(Payments);
+      await sharedSubscriptionToken.connect(user4).subscribe(serviceId2, standardTier, { value: serviceCost });
+    });
+
+    it("Should lift pauses on their own after the pause duration", async function () {
+      await expect(sharedSubscriptionToken.connect(guardian).setPauseDuration(60)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(sharedSubscriptionToken.setPauseDuration(31 * 24 * 60 * 60)).to.be.revertedWith(
+        "Invalid pause duration"
+      );
+      await sharedSubscriptionToken.setPauseDuration(60 * 60);
+
+      await sharedSubscriptionToken.connect(guardian).pause(Joins);
+      expect(await sharedSubscriptionToken.isPaused(Joins)).to.be.true;
+      expect(await sharedSubscriptionToken.isPaused(Payments)).to.be.false;
+      await expect(
+        sharedSubscriptionToken.connect(user4).subscribe(serviceId1, standardTier)
+      ).to.be.revertedWith("Pausable: paused");
+
+      await hre.ethers.provider.send("evm_increaseTime", [60 * 60]);
+      await hre.ethers.provider.send("evm_mine");
+      expect(await sharedSubscriptionToken.isPaused(Joins)).to.be.false;
+      await sharedSubscriptionToken.connect(user4).subscribe(serviceId1, standardTier);
+      expect(await sharedSubscriptionToken.isMemberOfAccount(user4.address, serviceId1, 1)).to.be.true;
+    });
+
+    it("Should hold governance execution and credential reads", async function () {
+      await subscriptionVoting.connect(user1).proposeToKickUser(serviceId1, 1, user3.address);
+      await subscriptionVoting.connect(user1).voteOnProposal(1, true);
+      await subscriptionVoting.connect(user2).voteOnProposal(1, true);
+
+      // A pause of the token's governance switch also holds execution on the voting contract
+      await sharedSubscriptionToken.connect(guardian).pause(Governance);
+      await expect(subscriptionVoting.executeProposal(1)).to.be.revertedWith("Pausable: paused");
+      await sharedSubscriptionToken.unpause(Governance);
+      await subscriptionVoting.connect(guardian).pause(Governance);
+      await expect(subscriptionVoting.executeProposal(1)).to.be.revertedWith("Pausable: paused");
+      await subscriptionVoting.unpause(Governance);
+      await expect(subscriptionVoting.executeProposal(1))
+        .to.emit(subscriptionVoting, "ProposalExecuted")
+        .withArgs(1, serviceId1, 1, user3.address, true);
+
+      await sharedSubscriptionToken.connect(user1).registerPublicKey(generateKeyPair().publicKey);
+      await sharedSubscriptionToken.storeEncryptedCredentials(user1.address, serviceId1, "0x1234");
+      await sharedSubscriptionToken.connect(guardian).pause(CredentialReads);
+      await expect(
+        sharedSubscriptionToken.connect(user1).getEncryptedCredentials(serviceId1)
+      ).to.be.revertedWith("Pausable: paused");
+      await sharedSubscriptionToken.unpause(CredentialReads);
+      expect(await sharedSubscriptionToken.connect(user1).getEncryptedCredentials(serviceId1)).to.equal("0x1234");
+    });
+  });
+
+  // Security tests for reentrancy
+  describe("Security: Reentrancy", function () {
+    let attackerContract;
+
+    beforeEach(async function () {
+      // Deploy the attacker contract
+      const ReentrancyAttack = await hre.ethers.getContractFactory(
+        "ReentrancyAttack"
+      );
+      attackerContract = await ReentrancyAttack.connect(owner).deploy(
+        await sharedSubscriptionToken.getAddress()
+      );
+      await attackerContract.waitForDeployment();
+    });
+
+    it("Should prevent reentrancy on buyTokens", async function () {
+      // Attack amount - we'll send this to the attacker contract
+      const attackAmount = tokenPrice * BigInt(5);
+
+      // Launch the attack: the overpayment is refunded to the attacker, whose
+      // reentrant buyTokens call is rejected, so the refund and the purchase fail
+      await expect(attackerContract.connect(owner).attack({ value: attackAmount })).to.be.revertedWith(
+        "Transfer failed"
+      );
+
+      // No tokens were bought, reentrant or not
+      const attackCount = await attackerContract.attackCount();
+      console.log("Attack count (reentrant calls):", attackCount);
+      expect(attackCount).to.equal(0);
+      expect(await sharedSubscriptionToken.balanceOf(await attackerContract.getAddress())).to.equal(0);
 
-      // If the contract properly handles reentrancy, the attackCount could be 0 or 1
-      // 0 if no ETH is sent back to the attacker during buyTokens
-      // 1 if ETH is sent but reentrancy is prevented
-      expect(attackCount).to.be.lessThanOrEqual(1);
+      // Paying the exact price gives no opening for reentrancy
+      await attackerContract.connect(owner).attack({ value: tokenPrice });
+      expect(await attackerContract.attackCount()).to.equal(0);
+      expect(await attackerContract.stolenTokens()).to.equal(1);
     });
   });
 
@@ -1094,10 +3527,10 @@ describe("SharedSubscriptionToken", function () {
         if (i === 0) {
           await sharedSubscriptionToken
             .connect(user)
-            .subscribe(serviceId1, { value: serviceCost });
+            .subscribe(serviceId1, standardTier, { value: serviceCost });
         } else {
           // Subsequent users only need to spend token
-          await sharedSubscriptionToken.connect(user).subscribe(serviceId1);
+          await sharedSubscriptionToken.connect(user).subscribe(serviceId1, standardTier);
         }
       }
 